@@ -1,20 +1,86 @@
 declare module 'express-template-mock-server' {
+  /**
+   * Response options a sequence entry can override on its route
+   */
+  export interface SequenceEntry {
+    /** Response object or array for this call */
+    response?: any;
+    /** File to serve the body of this call from, replaces the `response` of the route */
+    responseFile?: string | ResponseFileConfig;
+    /** Text template sent as it is for this call */
+    body?: string;
+    /** Base64-encoded binary body for this call */
+    bodyBase64?: string;
+    /** Bodies for this call to choose from by the Accept header */
+    representations?: Representation[];
+    /** Content type for this call, such as "application/xml" or "csv" */
+    contentType?: string;
+    /** HTTP status code for this call, 204, 205 and 304 are sent without a body */
+    status?: number;
+    /** Location header template for this call */
+    location?: string;
+    /** HTTP error status code for this call */
+    errorCode?: number;
+    /** Error message when using errorCode */
+    errorMessage?: string;
+    /** Error body template for this call, replaces `{ error: errorMessage }` */
+    errorBody?: any;
+    /** Custom headers for this call */
+    headers?: Record<string, string>;
+    /** Delay in milliseconds for this call */
+    delay?: number;
+    /** Bandwidth in bytes per second the body of this call is streamed at */
+    throttle?: number;
+    /** Stream the body of this call in chunks */
+    chunks?: StreamChunks;
+    /** Stream an array response of this call as NDJSON, one element per line */
+    ndjson?: boolean;
+    /** Scenario states to move to when this entry is served */
+    transition?: Record<string, string>;
+    /** JSON Schema the rendered response of this call must match */
+    responseSchema?: Record<string, any>;
+  }
+
   /**
    * Configuration for a mock server route
    */
   export interface RouteConfig {
+    /** Optional unique id used to address the route through the admin API */
+    id?: string;
     /** HTTP method (GET, POST, PUT, DELETE, etc.) */
     method: string;
     /** Route path, can include Express-style parameters (e.g., /users/:id) */
     path: string;
     /** Response object or array that will be returned for this route */
     response?: any;
+    /** File to serve the body from instead of `response`, relative to the config file */
+    responseFile?: string | ResponseFileConfig;
+    /** Text template sent as it is instead of `response`, such as XML or CSV */
+    body?: string;
+    /** Base64-encoded binary body sent instead of `response` */
+    bodyBase64?: string;
+    /** Bodies to choose from by the Accept header, the first one answers requests that accept anything */
+    representations?: Representation[];
+    /** Content type of the response, a full type or a file extension such as "xml", defaults to JSON */
+    contentType?: string;
     /** Optional delay in milliseconds before sending the response */
     delay?: number;
-    /** Optional HTTP status code to return instead of 200 */
+    /** Bandwidth in bytes per second the body is streamed at, to reproduce slow connections */
+    throttle?: number;
+    /** Stream the body in chunks with chunked transfer encoding */
+    chunks?: StreamChunks;
+    /** Stream an array response as NDJSON (application/x-ndjson), one element per line */
+    ndjson?: boolean;
+    /** Optional HTTP status code for the response, defaults to 200; 204, 205 and 304 are sent without a body */
+    status?: number;
+    /** Location header template, such as "/users/{{body.id}}" for redirects and created resources */
+    location?: string;
+    /** Optional HTTP error status code to return instead of 200 */
     errorCode?: number;
     /** Optional error message when using errorCode */
     errorMessage?: string;
+    /** Error body template rendered like `response`, replaces `{ error: errorMessage }` */
+    errorBody?: any;
     /** Custom headers to return with the response */
     headers?: Record<string, string>;
     /** Conditions that must be met for this route to be matched */
@@ -25,9 +91,214 @@ declare module 'express-template-mock-server' {
       headers?: Record<string, string>;
       /** Request body fields that must match */
       body?: Record<string, any>;
+      /** Scenario states that must match */
+      scenario?: Record<string, string>;
     };
     /** Response to use if conditions are not met */
     fallback?: any;
+    /** Responses returned one call at a time */
+    responses?: SequenceEntry[];
+    /** What happens when the sequence is exhausted, defaults to "stick-on-last" */
+    sequenceMode?: 'cycle' | 'stick-on-last';
+    /** Scenario states to move to when this route responds */
+    transition?: Record<string, string>;
+    /** Forward the request to an upstream instead of returning `response` */
+    proxy?: string | RouteProxyConfig;
+    /** JSON Schemas the request must match */
+    requestSchema?: RequestSchema;
+    /** JSON Schema the rendered response must match */
+    responseSchema?: Record<string, any>;
+    /** Fault injection profile merged over globals.chaos, false turns chaos off for this route */
+    chaos?: ChaosProfile | false;
+    /** Answer with a Server-Sent Events stream playing a script of events instead of a response */
+    sse?: SseConfig;
+  }
+
+  /**
+   * How a streamed body is split, by `size` or `count`
+   */
+  export interface StreamChunks {
+    /** Bytes per chunk */
+    size?: number;
+    /** Number of chunks the body is split into */
+    count?: number;
+    /** Milliseconds between chunks, or between NDJSON lines */
+    delay?: number;
+  }
+
+  /**
+   * Script of a Server-Sent Events route
+   */
+  export interface SseConfig {
+    /** Events played in order, numbered from 1 across repeats */
+    events?: SseEvent[];
+    /** How many times the script is played, true loops until the client disconnects; defaults to 1, needs events */
+    repeat?: number | true;
+    /** Milliseconds before each event without its own delay */
+    interval?: number;
+    /** Reconnection time in milliseconds sent to the client */
+    retry?: number;
+    /** End the stream after the script, it stays open for pushed events by default */
+    close?: boolean;
+  }
+
+  /**
+   * A scripted event, templates see the request and `sse.number`, `sse.index`, `sse.iteration` and `sse.lastEventId`
+   */
+  export interface SseEvent {
+    /** Event name, "message" on the client when there is none */
+    event?: string;
+    /** Data template, strings are sent as they are and anything else as JSON */
+    data: any;
+    /** Id template, defaults to the event number; ids ending with the number can be resumed with Last-Event-ID */
+    id?: string | number;
+    /** Milliseconds before this event, overriding the interval */
+    delay?: number;
+  }
+
+  /**
+   * An event pushed to connected Server-Sent Events clients
+   */
+  export interface ServerEvent {
+    /** Event name */
+    event?: string;
+    /** Event data, strings are sent as they are and anything else as JSON */
+    data: any;
+    /** Event id */
+    id?: string | number;
+  }
+
+  /**
+   * A body a route can answer with, chosen by the Accept header
+   */
+  export interface Representation {
+    /** Content type the Accept header is matched against */
+    contentType: string;
+    /** Response object or array, serialized as JSON for JSON content types */
+    response?: any;
+    /** File to serve the body from */
+    responseFile?: string | ResponseFileConfig;
+    /** Text template sent as it is */
+    body?: string;
+    /** Base64-encoded binary body */
+    bodyBase64?: string;
+  }
+
+  /**
+   * A response body served from a file
+   */
+  export interface ResponseFileConfig {
+    /** File path relative to the config file, can contain templates such as `{{params.id}}` */
+    path: string;
+    /** Render JSON and text files as templates, defaults to true */
+    render?: boolean;
+    /** Another file path, or the status and JSON body to answer with when the file does not exist */
+    fallback?: string | { status?: number; body?: any };
+  }
+
+  /**
+   * JSON Schemas for the parts of a request
+   */
+  export interface RequestSchema {
+    /** Schema of the path parameters */
+    params?: Record<string, any>;
+    /** Schema of the query parameters */
+    query?: Record<string, any>;
+    /** Schema of the request headers, names are matched case-insensitively */
+    headers?: Record<string, any>;
+    /** Schema of the request body */
+    body?: Record<string, any>;
+    /** Status code of the response to invalid requests, defaults to 400 */
+    status?: 400 | 422;
+  }
+
+  /**
+   * A violation reported for an invalid request or rendered response
+   */
+  export interface RequestViolation {
+    /** Request part the violation was found in, or "response" */
+    in: 'params' | 'query' | 'headers' | 'body' | 'response';
+    /** JSON Pointer to the offending value */
+    path: string;
+    /** Description of the violation */
+    message: string;
+  }
+
+  /**
+   * Configuration for a stateful CRUD resource
+   */
+  export interface ResourceConfig {
+    /** Unique resource name */
+    name: string;
+    /** Base path of the generated routes (e.g., /users) */
+    basePath: string;
+    /** Field holding the item id, defaults to "id" */
+    idField?: string;
+    /** Items the collection starts with */
+    seed?: Record<string, any>[];
+  }
+
+  /**
+   * A WebSocket mock endpoint on the port of the HTTP server
+   * Templates see the connection request as `params`, `query` and `headers`
+   */
+  export interface WebSocketConfig {
+    /** Optional unique id */
+    id?: string;
+    /** Path sockets connect to, can include Express-style parameters (e.g., /chat/:room) */
+    path: string;
+    /** Messages sent when a socket connects */
+    onConnect?: WebSocketMessage[];
+    /** Rules answering incoming messages, the first matching rule replies */
+    messages?: WebSocketRule[];
+    /** Messages sent to every socket at an interval, templates see `broadcast.count` */
+    broadcasts?: Array<{
+      /** Message template, strings are sent as text and anything else as JSON */
+      message: any;
+      /** Milliseconds between messages */
+      interval: number;
+    }>;
+    /** Disconnect every socket some time after it connects */
+    close?: WebSocketClose & {
+      /** Milliseconds after connecting */
+      after: number;
+    };
+  }
+
+  /**
+   * A message sent to a socket
+   */
+  export interface WebSocketMessage {
+    /** Message template, strings are sent as text and anything else as JSON */
+    message: any;
+    /** Milliseconds to wait before sending */
+    delay?: number;
+  }
+
+  /**
+   * A rule answering incoming WebSocket messages
+   */
+  export interface WebSocketRule {
+    /** Fields incoming JSON messages must have, or the exact text of a message; any message matches without it */
+    match?: any;
+    /** Reply template, which sees the incoming message as `message` */
+    reply?: any;
+    /** Milliseconds to wait before replying */
+    delay?: number;
+    /** Send the reply to every socket connected to the same path */
+    broadcast?: boolean;
+    /** Close the socket after replying */
+    close?: WebSocketClose;
+  }
+
+  /**
+   * Close code and reason of a forced disconnect
+   */
+  export interface WebSocketClose {
+    /** Close code, 1000 or 3000-4999, defaults to 1000 */
+    code?: number;
+    /** Close reason of at most 123 bytes */
+    reason?: string;
   }
 
   /**
@@ -59,6 +330,56 @@ declare module 'express-template-mock-server' {
     optionsSuccessStatus?: number;
   }
 
+  /**
+   * Proxy options for requests that match no route
+   */
+  export interface ProxyConfig {
+    /** Base URL unmatched requests are forwarded to */
+    target?: string;
+    /** Write each proxied JSON response out as a new route */
+    record?: boolean;
+    /** File recorded routes are appended to, defaults to the config file */
+    recordFile?: string;
+    /** Milliseconds the upstream may stay idle, defaults to 30000 */
+    timeout?: number;
+    /** Request headers to set on forwarded requests, null removes a header */
+    headers?: Record<string, string | null>;
+    /** Path prefix removed before forwarding */
+    stripPrefix?: string;
+  }
+
+  /**
+   * Proxy options of a single route, unset options are inherited from globals.proxy
+   */
+  export interface RouteProxyConfig {
+    /** Base URL the route is forwarded to */
+    target?: string;
+    /** Milliseconds the upstream may stay idle */
+    timeout?: number;
+    /** Request headers to set on forwarded requests, null removes a header */
+    headers?: Record<string, string | null>;
+    /** Path prefix removed before forwarding */
+    stripPrefix?: string;
+    /** Template merged into the upstream JSON, with the upstream body available as `response` */
+    patch?: Record<string, any>;
+  }
+
+  /**
+   * Options passed to createMockServer
+   */
+  export interface MockServerOptions {
+    /** Proxy options, merged over globals.proxy */
+    proxy?: ProxyConfig;
+    /** Seed for the random template helpers, overrides MOCK_SEED and globals.seed */
+    seed?: number | string;
+    /** Custom template helpers, added to those of globals.helpers */
+    helpers?: Record<string, (...args: any[]) => any>;
+    /** Partial templates by name, added to those of globals.partials */
+    partials?: Record<string, string>;
+    /** Whether chaos starts enabled, overrides globals.chaos.enabled */
+    chaos?: boolean;
+  }
+
   /**
    * Global configuration options
    */
@@ -68,6 +389,90 @@ declare module 'express-template-mock-server' {
     
     /** CORS configuration options */
     cors?: boolean | CorsOptions;
+
+    /** Request journal options, false disables the journal */
+    journal?: boolean | {
+      /** Maximum number of requests kept, defaults to 1000 */
+      limit?: number;
+    };
+
+    /** Admin API options, false disables the admin API */
+    admin?: boolean | {
+      /** Path prefix of the admin API, defaults to /__admin */
+      prefix?: string;
+    };
+
+    /** Forward unmatched requests to an upstream, optionally recording the responses */
+    proxy?: ProxyConfig;
+
+    /** OpenAPI document whose operations are added after the configured routes */
+    openapi?: {
+      /** Path to the OpenAPI 3 or Swagger 2 document, relative to the config file */
+      spec: string;
+      /** Validate requests against the operations' parameters and request bodies */
+      validateRequests?: boolean;
+      /** Validate rendered responses against the schemas of the declared responses */
+      validateResponses?: boolean;
+    };
+
+    /** Seed making random, uuid and fake values repeat on every run */
+    seed?: number | string;
+
+    /** Derive random values from the request method and path instead of one shared sequence */
+    seedPerRequest?: boolean;
+
+    /** Date string or timestamp used as the current time by now and the date fake generators */
+    frozenTime?: string | number;
+
+    /** Locale of the data generated by the fake helper, defaults to "en" */
+    locale?: 'en' | 'de' | 'fr' | 'es';
+
+    /** What happens to responses that do not match their responseSchema, defaults to "strict" */
+    responseValidation?: 'strict' | 'warn';
+
+    /** Also merge path parameters, query values and body fields into the top level of the template data */
+    flatTemplateData?: boolean;
+
+    /** Modules exporting an object of custom template helpers, relative to the configuration file */
+    helpers?: string | string[];
+
+    /** Directory of .hbs partials, relative to the configuration file, used as {{> name}} */
+    partials?: string;
+
+    /** Fault injection profile of every route */
+    chaos?: ChaosProfile & {
+      /** Whether chaos starts enabled, defaults to true; switch it at runtime with setChaos or the admin API */
+      enabled?: boolean;
+    };
+  }
+
+  /**
+   * Latency added to requests by a chaos profile, in milliseconds
+   */
+  export type LatencyDistribution =
+    | { distribution: 'uniform'; min?: number; max: number }
+    | { distribution: 'normal'; mean: number; stddev?: number }
+    /** Latencies at percentiles such as p50, p90 and p99, interpolated between `min` and `max` */
+    | ({ distribution: 'percentiles'; min?: number; max?: number } & Record<`p${number}`, number>);
+
+  /**
+   * Faults injected into requests, each rate is a probability between 0 and 1 and together they add up to at most 1
+   */
+  export interface ChaosProfile {
+    /** Rate of requests answered with an error status */
+    errorRate?: number;
+    /** Weights of the error statuses, defaults to { "500": 1 } */
+    errors?: Record<string, number>;
+    /** Latency added before every request */
+    latency?: LatencyDistribution;
+    /** Rate of requests whose connection is dropped without a response */
+    resetRate?: number;
+    /** Rate of responses cut off halfway */
+    truncateRate?: number;
+    /** Rate of responses sent as malformed JSON */
+    malformedRate?: number;
+    /** Rate of requests that never get a response */
+    hangRate?: number;
   }
 
   /**
@@ -76,10 +481,59 @@ declare module 'express-template-mock-server' {
   export interface MockServerConfig {
     /** Array of route configurations */
     routes: RouteConfig[];
+    /** Stateful CRUD resources backed by in-memory collections */
+    resources?: ResourceConfig[];
+    /** WebSocket endpoints served on the same port */
+    websockets?: WebSocketConfig[];
+    /** Initial state per scenario name */
+    scenarios?: Record<string, string>;
     /** Global configuration options */
     globals?: GlobalConfig;
   }
 
+  /**
+   * A request recorded in the request journal
+   */
+  export interface JournalEntry {
+    method: string;
+    path: string;
+    /** Matched route id or "METHOD path", null when no route matched */
+    route: string | null;
+    /** True when the request was answered by the 404 handler */
+    unmatched: boolean;
+    /** True when the connection closed before the response finished, such as a client abort, a chaos fault or an event stream */
+    aborted: boolean;
+    headers: Record<string, string | string[]>;
+    query: Record<string, any>;
+    body: any;
+    /** ISO timestamp of when the request arrived */
+    timestamp: string;
+    /** Response status code */
+    status: number;
+    /** Time to respond in milliseconds */
+    latency: number;
+  }
+
+  /**
+   * Filter for journaled requests
+   */
+  export interface RequestFilter {
+    /** HTTP method, case-insensitive */
+    method?: string;
+    /** Exact request path or a pattern */
+    path?: string | RegExp;
+    /** Matched route id or "METHOD path" */
+    route?: string;
+    /** Only requests that did (not) match a route */
+    unmatched?: boolean;
+    /** Query parameters that must match */
+    query?: Record<string, any>;
+    /** Request headers that must match */
+    headers?: Record<string, any>;
+    /** Request body fields that must match */
+    body?: Record<string, any>;
+  }
+
   /**
    * Mock server instance
    */
@@ -96,12 +550,147 @@ declare module 'express-template-mock-server' {
      * @returns Promise that resolves when server has stopped
      */
     stop(): Promise<void>;
+
+    /** Start every response sequence over from its first entry */
+    resetSequences(): void;
+
+    /** Move every scenario back to its initial state */
+    resetScenarios(): void;
+
+    /** Get the current state of every scenario */
+    getScenarioStates(): Record<string, string>;
+
+    /** Get the journaled requests matching a filter, oldest first */
+    getRequests(filter?: RequestFilter): JournalEntry[];
+
+    /**
+     * Check that a number of journaled requests match a filter
+     * @param count - Expected number of matching requests, defaults to 1
+     * @throws If the number of matching requests differs
+     */
+    verify(filter?: RequestFilter, count?: number): JournalEntry[];
+
+    /** Clear the request journal */
+    clearRequests(): void;
+
+    /** Turn fault injection on or off, once the server is started */
+    setChaos(enabled: boolean): void;
+
+    /** Whether faults are injected */
+    isChaosEnabled(): boolean;
+
+    /**
+     * Send an event to connected Server-Sent Events clients
+     * @param event - Event to send
+     * @param route - Route id, configured path or request path of the clients, all clients by default
+     * @returns Number of clients the event was sent to
+     */
+    pushEvent(event: ServerEvent, route?: string): number;
   }
 
+  /**
+   * Helpers available in templates, such as {{upper query.name}} or {{#if (eq params.id 1)}}
+   * Numbers compare with the numbers strings hold, so path parameters and query values can be compared directly.
+   * Templates are checked when the configuration is loaded, and calling an unknown helper is an error.
+   */
+  export interface TemplateHelpers {
+    /** Current date and time in ISO format, or the frozen time */
+    now(): string;
+    /** Random integer between min and max, inclusive */
+    random(min: number, max: number): number;
+    /** Random UUID v4 */
+    uuid(): string;
+    /** Milliseconds since the request started */
+    responseTime(): number;
+    /** Realistic test data, such as {{fake 'person.fullName'}} */
+    fake(generator: string, options?: Record<string, any>): string;
+    /** Converts a value such as a path parameter to a number */
+    number(value: any): number;
+    /** Emits a value as JSON, parsing strings */
+    json(value: any): any;
+
+    /** True if the values are equal */
+    eq(a: any, b: any): boolean;
+    /** True if the values differ */
+    ne(a: any, b: any): boolean;
+    /** True if a is greater than b, numerically for numbers and numeric strings */
+    gt(a: any, b: any): boolean;
+    /** True if a is less than b, numerically for numbers and numeric strings */
+    lt(a: any, b: any): boolean;
+    /** True if every value is truthy */
+    and(...values: any[]): boolean;
+    /** True if any value is truthy */
+    or(...values: any[]): boolean;
+    /** True if the value is falsy */
+    not(value: any): boolean;
+
+    /** a + b */
+    add(a: number | string, b: number | string): number;
+    /** a - b */
+    subtract(a: number | string, b: number | string): number;
+    /** a * b */
+    multiply(a: number | string, b: number | string): number;
+    /** a / b, dividing by zero is an error */
+    divide(a: number | string, b: number | string): number;
+
+    /** Upper case text */
+    upper(value: any): string;
+    /** Lower case text */
+    lower(value: any): string;
+    /** Text with its first character in upper case */
+    capitalize(value: any): string;
+    /** Characters from start up to, but not including, end */
+    substring(value: any, start: number, end?: number): string;
+    /** Text with every occurrence of search replaced */
+    replace(value: any, search: string, replacement: string): string;
+
+    /**
+     * Formats a date, or the current time when only the format is given, in UTC
+     * Tokens are YYYY, YY, MM, DD, HH, mm, ss, SSS, X (Unix seconds) and x (Unix milliseconds); text in [brackets] is kept
+     */
+    dateFormat(format: string): string;
+    dateFormat(date: string | number, format: string): string;
+    /** Shifts a date, or the current time, by hash arguments such as days=7 or hours=-2, returning ISO format */
+    dateAdd(date?: string | number, units?: Partial<Record<'years' | 'months' | 'weeks' | 'days' | 'hours' | 'minutes' | 'seconds' | 'milliseconds', number>>): string;
+
+    /** The value, or the fallback when it is undefined, null or an empty string */
+    default(value: any, fallback: any): any;
+    /** Looks up a value by JSON path such as "$.items[0].name"; a wildcard "[*]" returns all matches */
+    jsonPath(value: any, path: string): any;
+    /** Base64 encoded text, or decoded text with decode=true */
+    base64(value: any, options?: { decode?: boolean }): string;
+  }
+
+  /**
+   * A problem found by validateMocks
+   */
+  export interface MockProblem {
+    /** Route id, or method and path */
+    route: string;
+    /** Index of the sequence entry, for routes with `responses` */
+    entry?: number;
+    /** Description of the problem */
+    message: string;
+    /** Schema violations of the rendered response */
+    details?: RequestViolation[];
+  }
+
+  /**
+   * Render every mock response with sample data and check it against its responseSchema
+   * @param configPath - Path to the configuration file
+   * @param options - Custom helpers and partials, like the createMockServer options
+   * @returns Number of checked responses and the problems found
+   */
+  export function validateMocks(
+    configPath: string,
+    options?: Pick<MockServerOptions, 'helpers' | 'partials'>
+  ): Promise<{ checked: number; problems: MockProblem[] }>;
+
   /**
    * Create a new mock server instance
-   * @param configPath - Path to the JSON configuration file
+   * @param configPath - Path to the JSON or YAML configuration file, or an OpenAPI 3 / Swagger 2 document
+   * @param options - Options overriding the configuration file
    * @returns Mock server instance
    */
-  export default function createMockServer(configPath: string): MockServer;
+  export default function createMockServer(configPath: string, options?: MockServerOptions): MockServer;
 } 
\ No newline at end of file
@@ -0,0 +1,292 @@
+const { createJournal } = require('../lib/journal');
+const { createChaosControl } = require('../lib/chaos');
+const { createEventHub } = require('../lib/sse');
+const {
+  getAdminOptions,
+  findRouteIndex,
+  createAdminHandlers,
+  createAdminRouter
+} = require('../lib/admin');
+
+const createResponse = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn().mockReturnThis(),
+  end: jest.fn().mockReturnThis()
+});
+
+describe('Admin API', () => {
+  const routes = [
+    { id: 'users', method: 'GET', path: '/users', response: [] },
+    { method: 'GET', path: '/health', response: { ok: true } }
+  ];
+
+  let config;
+  let controller;
+  let handlers;
+
+  beforeEach(() => {
+    config = { routes: [...routes], globals: {} };
+    controller = {
+      getConfig: jest.fn(() => config),
+      updateRoutes: jest.fn(newRoutes => {
+        if (newRoutes.some(route => !route.path)) {
+          throw new Error('Each route must have a method and path');
+        }
+        config = { ...config, routes: newRoutes };
+      }),
+      reload: jest.fn().mockResolvedValue({ routes: [routes[0]] }),
+      reset: jest.fn(),
+      journal: createJournal(),
+      chaos: createChaosControl(false),
+      events: createEventHub()
+    };
+    handlers = createAdminHandlers(controller);
+  });
+
+  describe('Options', () => {
+    it('should be enabled at the default prefix', () => {
+      expect(getAdminOptions()).toEqual({ prefix: '/__admin' });
+      expect(getAdminOptions({ admin: true })).toEqual({ prefix: '/__admin' });
+    });
+
+    it('should use a configured prefix', () => {
+      expect(getAdminOptions({ admin: { prefix: '/_mock' } })).toEqual({ prefix: '/_mock' });
+    });
+
+    it('should be disabled with false', () => {
+      expect(getAdminOptions({ admin: false })).toBeNull();
+    });
+  });
+
+  describe('Route Lookup', () => {
+    it('should find routes by id or index', () => {
+      expect(findRouteIndex(routes, 'users')).toBe(0);
+      expect(findRouteIndex(routes, '1')).toBe(1);
+      expect(findRouteIndex(routes, '2')).toBe(-1);
+      expect(findRouteIndex(routes, 'missing')).toBe(-1);
+    });
+  });
+
+  describe('Handlers', () => {
+    it('should list and get routes', () => {
+      const res = createResponse();
+      handlers.listRoutes({}, res);
+      expect(res.json).toHaveBeenCalledWith(routes);
+
+      const getRes = createResponse();
+      handlers.getRoute({ params: { routeId: 'users' } }, getRes);
+      expect(getRes.json).toHaveBeenCalledWith(routes[0]);
+    });
+
+    it('should return 404 for unknown routes', () => {
+      for (const handler of ['getRoute', 'replaceRoute', 'deleteRoute']) {
+        const res = createResponse();
+        handlers[handler]({ params: { routeId: 'missing' }, body: {} }, res);
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith({ error: 'Route not found: missing' });
+      }
+      expect(controller.updateRoutes).not.toHaveBeenCalled();
+    });
+
+    it('should append a new route', () => {
+      const route = { method: 'POST', path: '/users', response: {} };
+      const res = createResponse();
+      handlers.addRoute({ query: {}, body: route }, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(config.routes).toEqual([...routes, route]);
+    });
+
+    it('should prepend a new route so it takes precedence', () => {
+      const route = { method: 'GET', path: '/users', response: [{ id: 1 }] };
+      handlers.addRoute({ query: { position: 'first' }, body: route }, createResponse());
+      expect(config.routes[0]).toBe(route);
+    });
+
+    it('should reject invalid routes and keep the current ones', () => {
+      const res = createResponse();
+      handlers.addRoute({ query: {}, body: { method: 'GET' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Each route must have a method and path' });
+      expect(config.routes).toEqual(routes);
+    });
+
+    it('should replace a route', () => {
+      const route = { method: 'GET', path: '/health', response: { ok: false } };
+      const res = createResponse();
+      handlers.replaceRoute({ params: { routeId: '1' }, body: route }, res);
+
+      expect(res.json).toHaveBeenCalledWith(route);
+      expect(config.routes[1]).toBe(route);
+
+      const invalidRes = createResponse();
+      handlers.replaceRoute({ params: { routeId: '1' }, body: {} }, invalidRes);
+      expect(invalidRes.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should delete a route', () => {
+      const res = createResponse();
+      handlers.deleteRoute({ params: { routeId: 'users' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(204);
+      expect(config.routes).toEqual([routes[1]]);
+    });
+
+    it('should reset state', () => {
+      const res = createResponse();
+      handlers.reset({}, res);
+      expect(controller.reset).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(204);
+    });
+
+    it('should reload the config', async () => {
+      const res = createResponse();
+      await handlers.reload({}, res);
+      expect(res.json).toHaveBeenCalledWith({ routes: 1 });
+    });
+
+    it('should report reload failures', async () => {
+      controller.reload.mockRejectedValueOnce(new Error('Invalid JSON in config file'));
+      const res = createResponse();
+      await handlers.reload({}, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Reload failed, keeping previous routes: Invalid JSON in config file'
+      });
+    });
+
+    it('should return the current config', () => {
+      const res = createResponse();
+      handlers.getConfig({}, res);
+      expect(res.json).toHaveBeenCalledWith(config);
+    });
+
+    it('should list, find and clear journaled requests', () => {
+      const orders = { method: 'POST', path: '/orders', unmatched: false, body: { item: 'book' } };
+      const missing = { method: 'GET', path: '/missing', unmatched: true, body: {} };
+      controller.journal.record(orders);
+      controller.journal.record(missing);
+
+      const listRes = createResponse();
+      handlers.listRequests({ query: { unmatched: 'true' } }, listRes);
+      expect(listRes.json).toHaveBeenCalledWith([missing]);
+
+      const findRes = createResponse();
+      handlers.findRequests({ body: { method: 'POST', body: { item: 'book' } } }, findRes);
+      expect(findRes.json).toHaveBeenCalledWith([orders]);
+
+      const findAllRes = createResponse();
+      handlers.findRequests({}, findAllRes);
+      expect(findAllRes.json).toHaveBeenCalledWith([orders, missing]);
+
+      for (const [body, error] of [
+        [{ method: 1 }, 'filter method must be a string'],
+        [{ unmatched: 'yes' }, 'filter unmatched must be a boolean'],
+        [{ query: ['page'] }, 'filter query must be an object'],
+        [['GET'], 'filter must be an object']
+      ]) {
+        const invalidRes = createResponse();
+        handlers.findRequests({ body }, invalidRes);
+        expect(invalidRes.status).toHaveBeenCalledWith(400);
+        expect(invalidRes.json).toHaveBeenCalledWith({ error });
+      }
+
+      const clearRes = createResponse();
+      handlers.clearRequests({}, clearRes);
+      expect(clearRes.status).toHaveBeenCalledWith(204);
+      expect(controller.journal.query()).toEqual([]);
+    });
+
+    it('should return 404 for requests when the journal is disabled', () => {
+      const disabled = createAdminHandlers({ ...controller, journal: null });
+      for (const handler of ['listRequests', 'findRequests', 'clearRequests']) {
+        const res = createResponse();
+        disabled[handler]({ query: {}, body: {} }, res);
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith({ error: 'Request journal is disabled' });
+      }
+    });
+  });
+
+  describe('Chaos', () => {
+    it('should switch chaos on and off', () => {
+      let res = createResponse();
+      handlers.getChaos({}, res);
+      expect(res.json).toHaveBeenCalledWith({ enabled: false });
+
+      res = createResponse();
+      handlers.setChaos({ body: { enabled: true } }, res);
+      expect(res.json).toHaveBeenCalledWith({ enabled: true });
+      expect(controller.chaos.isEnabled()).toBe(true);
+
+      res = createResponse();
+      handlers.setChaos({ body: { enabled: 'yes' } }, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'enabled must be a boolean' });
+      expect(controller.chaos.isEnabled()).toBe(true);
+    });
+  });
+
+  describe('Events', () => {
+    it('should list event stream clients and push events to them', () => {
+      const stream = { write: jest.fn(), end: jest.fn(), on: jest.fn() };
+      controller.events.connect({ path: '/prices/acme' }, stream, { id: 'prices', path: '/prices/:symbol' });
+
+      let res = createResponse();
+      handlers.listEventClients({}, res);
+      expect(res.json).toHaveBeenCalledWith([
+        { id: 'prices', route: '/prices/:symbol', path: '/prices/acme', connectedAt: expect.any(String) }
+      ]);
+
+      res = createResponse();
+      handlers.pushEvent({ body: { route: 'prices', event: 'tick', data: { price: 12 } } }, res);
+      expect(res.json).toHaveBeenCalledWith({ delivered: 1 });
+      expect(stream.write).toHaveBeenCalledWith('event: tick\ndata: {"price":12}\n\n');
+
+      res = createResponse();
+      handlers.pushEvent({ body: { route: '/news', data: 'hello' } }, res);
+      expect(res.json).toHaveBeenCalledWith({ delivered: 0 });
+    });
+
+    it('should reject events without data or with an invalid name', () => {
+      let res = createResponse();
+      handlers.pushEvent({ body: { event: 'tick' } }, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'data is required' });
+
+      res = createResponse();
+      handlers.pushEvent({ body: { event: 'a\nb', data: 1 } }, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'event must be a single-line string' });
+    });
+  });
+
+  describe('Router', () => {
+    it('should register every admin endpoint', () => {
+      const router = createAdminRouter(controller);
+
+      expect(router.get).toHaveBeenCalledWith('/routes', expect.any(Function));
+      expect(router.post).toHaveBeenCalledWith('/routes', expect.any(Function));
+      expect(router.get).toHaveBeenCalledWith('/routes/:routeId', expect.any(Function));
+      expect(router.put).toHaveBeenCalledWith('/routes/:routeId', expect.any(Function));
+      expect(router.delete).toHaveBeenCalledWith('/routes/:routeId', expect.any(Function));
+      expect(router.post).toHaveBeenCalledWith('/reset', expect.any(Function));
+      expect(router.post).toHaveBeenCalledWith('/reload', expect.any(Function));
+      expect(router.get).toHaveBeenCalledWith('/config', expect.any(Function));
+      expect(router.get).toHaveBeenCalledWith('/requests', expect.any(Function));
+      expect(router.post).toHaveBeenCalledWith('/requests/find', expect.any(Function));
+      expect(router.delete).toHaveBeenCalledWith('/requests', expect.any(Function));
+      expect(router.get).toHaveBeenCalledWith('/chaos', expect.any(Function));
+      expect(router.put).toHaveBeenCalledWith('/chaos', expect.any(Function));
+      expect(router.get).toHaveBeenCalledWith('/events', expect.any(Function));
+      expect(router.post).toHaveBeenCalledWith('/events', expect.any(Function));
+
+      const [notFound] = router.use.mock.calls[0];
+      const res = createResponse();
+      notFound({}, res);
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
@@ -0,0 +1,249 @@
+const {
+  validateChaosProfile,
+  getChaosProfile,
+  sampleLatency,
+  pickFault,
+  createChaosControl,
+  injectChaos
+} = require('../lib/chaos');
+const { createRandom } = require('../lib/random');
+
+/**
+ * Returns a random function that yields the given numbers in turn
+ * @param {...number} values - Numbers in [0, 1)
+ * @returns {Function} Random function
+ */
+const sequence = (...values) => {
+  let index = 0;
+  return () => values[index++ % values.length];
+};
+
+/**
+ * Creates a fake response that records what is written and whether its socket was destroyed
+ * @returns {Object} Response-like object
+ */
+const createResponse = () => {
+  const listeners = {};
+  const res = {
+    headers: {},
+    written: [],
+    socket: { destroy: jest.fn() },
+    status: jest.fn(function(code) { this.statusCode = code; return this; }),
+    json: jest.fn(function(body) { this.body = body; return this; }),
+    setHeader: jest.fn(function(name, value) { this.headers[name] = value; }),
+    write: jest.fn(function(chunk, callback) { this.written.push(Buffer.from(chunk).toString()); callback(); return true; }),
+    end: jest.fn(function(chunk) { this.written.push(String(chunk)); return this; }),
+    on: jest.fn((event, listener) => { listeners[event] = listener; }),
+    emit: (event) => listeners[event]()
+  };
+  return res;
+};
+
+describe('Chaos', () => {
+  describe('Profile Validation', () => {
+    it('should accept complete profiles', () => {
+      expect(() => validateChaosProfile({
+        enabled: false,
+        errorRate: 0.1,
+        errors: { 500: 3, 503: 1 },
+        resetRate: 0.01,
+        truncateRate: 0.02,
+        malformedRate: 0.02,
+        hangRate: 0.01,
+        latency: { distribution: 'percentiles', p50: 100, p90: 400, p99: 2000, max: 5000 }
+      }, true)).not.toThrow();
+      expect(() => validateChaosProfile({ latency: { distribution: 'uniform', min: 10, max: 50 } })).not.toThrow();
+      expect(() => validateChaosProfile({ latency: { distribution: 'normal', mean: 200, stddev: 50 } })).not.toThrow();
+      expect(() => validateChaosProfile(false)).not.toThrow();
+    });
+
+    it('should reject invalid profiles', () => {
+      expect(() => validateChaosProfile([])).toThrow('chaos must be an object');
+      expect(() => validateChaosProfile({ enabled: true })).toThrow('Invalid chaos fields: enabled');
+      expect(() => validateChaosProfile({ enabled: 'yes' }, true)).toThrow('chaos enabled must be a boolean');
+      expect(() => validateChaosProfile({ errorRate: 1.5 })).toThrow('chaos errorRate must be a number between 0 and 1');
+      expect(() => validateChaosProfile({ errorRate: 0.6, hangRate: 0.6 })).toThrow('chaos rates must add up to at most 1');
+      expect(() => validateChaosProfile({ errors: { 200: 1 } }))
+        .toThrow('chaos errors must map status codes (400-599) to positive weights');
+      expect(() => validateChaosProfile({ errors: { 500: 0 } })).toThrow('positive weights');
+      expect(() => validateChaosProfile({ errors: {} })).toThrow('positive weights');
+    });
+
+    it('should reject invalid latency distributions', () => {
+      const latency = (value) => () => validateChaosProfile({ latency: value });
+      expect(latency({ distribution: 'poisson' })).toThrow('chaos latency distribution must be one of: uniform, normal, percentiles');
+      expect(latency({ distribution: 'uniform', max: 10, mean: 5 })).toThrow('Invalid chaos latency fields: mean');
+      expect(latency({ distribution: 'uniform', max: -1 })).toThrow('chaos latency max must be a non-negative number of milliseconds');
+      expect(latency({ distribution: 'uniform', min: 20, max: 10 })).toThrow('chaos latency needs a max of at least min');
+      expect(latency({ distribution: 'normal', stddev: 10 })).toThrow('chaos latency needs a mean');
+      expect(latency({ distribution: 'percentiles', max: 10 })).toThrow('chaos latency needs percentiles');
+      expect(latency({ distribution: 'percentiles', p150: 10 })).toThrow('chaos latency needs percentiles');
+      expect(latency({ distribution: 'percentiles', p50: 100, p99: 50 })).toThrow('chaos latency percentiles must not decrease');
+    });
+  });
+
+  describe('Profiles', () => {
+    it('should merge the route profile over the global one', () => {
+      const globals = { chaos: { enabled: true, errorRate: 0.1, hangRate: 0.01 } };
+      expect(getChaosProfile(globals, {})).toEqual({ errorRate: 0.1, hangRate: 0.01 });
+      expect(getChaosProfile(globals, { chaos: { errorRate: 0.5 } })).toEqual({ errorRate: 0.5, hangRate: 0.01 });
+      expect(getChaosProfile(globals, { chaos: false })).toBeNull();
+      expect(getChaosProfile({}, { chaos: { resetRate: 1 } })).toEqual({ resetRate: 1 });
+      expect(getChaosProfile(undefined, {})).toBeNull();
+    });
+  });
+
+  describe('Latency', () => {
+    it('should draw from a uniform distribution', () => {
+      const latency = { distribution: 'uniform', min: 100, max: 300 };
+      expect(sampleLatency(latency, sequence(0))).toBe(100);
+      expect(sampleLatency(latency, sequence(0.5))).toBe(200);
+      expect(sampleLatency({ distribution: 'uniform', max: 10 }, sequence(0.99))).toBe(10);
+    });
+
+    it('should draw from a normal distribution that is never negative', () => {
+      const latency = { distribution: 'normal', mean: 200, stddev: 50 };
+      // cos(0) is 1, so a first draw of 1 - e^-0.5 lands exactly one standard deviation above the mean
+      expect(sampleLatency(latency, sequence(1 - Math.exp(-0.5), 0))).toBe(250);
+      expect(sampleLatency({ distribution: 'normal', mean: 0, stddev: 50 }, sequence(0.9, 0.5))).toBe(0);
+
+      const random = createRandom(1);
+      const samples = Array.from({ length: 2000 }, () => sampleLatency(latency, random));
+      const mean = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+      expect(mean).toBeGreaterThan(190);
+      expect(mean).toBeLessThan(210);
+    });
+
+    it('should interpolate between percentiles for long tails', () => {
+      const latency = { distribution: 'percentiles', p50: 100, p90: 400, p99: 2000 };
+      expect(sampleLatency(latency, sequence(0.25))).toBe(50);
+      expect(sampleLatency(latency, sequence(0.5))).toBe(100);
+      expect(sampleLatency(latency, sequence(0.7))).toBe(250);
+      expect(sampleLatency(latency, sequence(0.995))).toBe(2000);
+      expect(sampleLatency({ ...latency, min: 20, max: 3000 }, sequence(0.995))).toBe(2500);
+      expect(sampleLatency({ distribution: 'percentiles', p100: 80 }, sequence(0.5))).toBe(40);
+    });
+  });
+
+  describe('Faults', () => {
+    const profile = { hangRate: 0.1, resetRate: 0.1, errorRate: 0.2, truncateRate: 0.1, malformedRate: 0.1, errors: { 500: 1, 503: 3 } };
+
+    it('should stack the rates so a request runs into one fault at most', () => {
+      expect(pickFault(profile, sequence(0.05))).toEqual({ type: 'hang' });
+      expect(pickFault(profile, sequence(0.15))).toEqual({ type: 'reset' });
+      expect(pickFault(profile, sequence(0.3, 0.1))).toEqual({ type: 'error', status: 500 });
+      expect(pickFault(profile, sequence(0.3, 0.5))).toEqual({ type: 'error', status: 503 });
+      expect(pickFault(profile, sequence(0.45))).toEqual({ type: 'truncate' });
+      expect(pickFault(profile, sequence(0.55))).toEqual({ type: 'malformed' });
+      expect(pickFault(profile, sequence(0.6))).toBeNull();
+      expect(pickFault({ errorRate: 1 }, sequence(0.5, 0.999))).toEqual({ type: 'error', status: 500 });
+    });
+
+    it('should answer injected errors and drop reset connections', async () => {
+      const control = createChaosControl();
+      let res = createResponse();
+      expect(await injectChaos({}, res, { errorRate: 1, errors: { 503: 1 } }, { random: sequence(0), control }))
+        .toEqual({ type: 'error', answered: true });
+      expect(res.statusCode).toBe(503);
+      expect(res.body).toEqual({ error: 'Injected fault', status: 503 });
+
+      const req = { socket: { destroy: jest.fn() } };
+      res = createResponse();
+      expect(await injectChaos(req, res, { resetRate: 1 }, { random: sequence(0), control }))
+        .toEqual({ type: 'reset', answered: true });
+      expect(req.socket.destroy).toHaveBeenCalled();
+      expect(res.json).not.toHaveBeenCalled();
+
+      expect(await injectChaos(req, res, { errorRate: 0.5 }, { random: sequence(0.7), control })).toBeNull();
+    });
+
+    it('should wait for the drawn latency', async () => {
+      jest.useFakeTimers();
+      try {
+        let done = false;
+        const injected = injectChaos({}, createResponse(), { latency: { distribution: 'uniform', min: 500, max: 500 } },
+          { random: sequence(0.9), control: createChaosControl() }).then(() => { done = true; });
+        await jest.advanceTimersByTimeAsync(499);
+        expect(done).toBe(false);
+        await jest.advanceTimersByTimeAsync(1);
+        await injected;
+        expect(done).toBe(true);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should keep hanging requests until they close or are released', async () => {
+      const control = createChaosControl();
+      const closed = createResponse();
+      const hanging = createResponse();
+      for (const res of [closed, hanging]) {
+        expect(await injectChaos({}, res, { hangRate: 1 }, { random: sequence(0), control }))
+          .toEqual({ type: 'hang', answered: true });
+      }
+      closed.emit('close');
+
+      control.release();
+      expect(hanging.socket.destroy).toHaveBeenCalled();
+      expect(closed.socket.destroy).not.toHaveBeenCalled();
+      expect(hanging.json).not.toHaveBeenCalled();
+    });
+
+    it('should send half of a truncated body and close the connection', async () => {
+      const res = createResponse();
+      expect(await injectChaos({}, res, { truncateRate: 1 }, { random: sequence(0), control: createChaosControl() }))
+        .toEqual({ type: 'truncate', answered: false });
+
+      res.end('{"id":"12345"}', 'utf8');
+      expect(res.written).toEqual(['{"id":"']);
+      expect(res.socket.destroy).toHaveBeenCalled();
+    });
+
+    it('should break JSON bodies and fix their length', async () => {
+      const send = async (body) => {
+        const res = createResponse();
+        await injectChaos({}, res, { malformedRate: 1 }, { random: sequence(0), control: createChaosControl() });
+        res.end(body);
+        return res;
+      };
+
+      const res = await send('{"id":1}');
+      expect(res.written).toEqual(['{"id":1']);
+      expect(res.headers['Content-Length']).toBe(7);
+      expect((await send(Buffer.from('[1,2]\n'))).written).toEqual(['[1,2']);
+      expect((await send('42')).written).toEqual(['42{']);
+      expect((await send()).written).toEqual(['{']);
+      for (const body of ['{"id":1}', '[1,2]', '42', '"text"']) {
+        const [malformed] = (await send(body)).written;
+        expect(() => JSON.parse(malformed)).toThrow();
+      }
+    });
+
+    it('should break the end of streamed bodies', async () => {
+      const inject = async (profile) => {
+        const res = { ...createResponse(), headersSent: true };
+        await injectChaos({}, res, profile, { random: sequence(0), control: createChaosControl() });
+        res.end();
+        return res;
+      };
+
+      const malformed = await inject({ malformedRate: 1 });
+      expect(malformed.written).toEqual(['{']);
+      expect(malformed.setHeader).not.toHaveBeenCalled();
+
+      const truncated = await inject({ truncateRate: 1 });
+      expect(truncated.write).not.toHaveBeenCalled();
+      expect(truncated.socket.destroy).toHaveBeenCalled();
+    });
+  });
+
+  describe('Control', () => {
+    it('should switch chaos on and off', () => {
+      const control = createChaosControl();
+      expect(control.isEnabled()).toBe(true);
+      control.setEnabled(false);
+      expect(control.isEnabled()).toBe(false);
+      expect(createChaosControl(false).isEnabled()).toBe(false);
+    });
+  });
+});
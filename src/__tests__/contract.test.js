@@ -0,0 +1,89 @@
+const { createSampleRequest, checkRoutes } = require('../lib/contract');
+
+describe('Contract Checks', () => {
+  describe('Sample Requests', () => {
+    it('should fill in path parameters, conditions and request schemas', () => {
+      const req = createSampleRequest({
+        method: 'POST',
+        path: '/teams/:teamId/users/:userId',
+        conditions: { query: { role: 'admin' }, headers: { 'x-tenant': 'acme' } },
+        requestSchema: {
+          params: { type: 'object', properties: { userId: { type: 'integer', example: 7 } } },
+          body: { type: 'object', properties: { id: { type: 'string', format: 'uuid' }, name: { type: 'string', example: 'Ada' } } }
+        }
+      });
+
+      expect(req.params).toEqual({ teamId: '1', userId: 7 });
+      expect(req.query).toEqual({ role: 'admin' });
+      expect(req.headers).toEqual({ 'x-tenant': 'acme' });
+      expect(req.body.name).toBe('Ada');
+      expect(req.body.id).toMatch(/^[0-9a-f-]{36}$/);
+      expect(typeof req.startTime).toBe('number');
+    });
+
+    it('should default to empty request parts', () => {
+      expect(createSampleRequest({ method: 'GET', path: '/health', requestSchema: { body: { type: 'array' } } }))
+        .toMatchObject({ params: {}, query: {}, headers: {}, body: {} });
+    });
+  });
+
+  describe('Route Checks', () => {
+    it('should report schema violations of routes and sequence entries', () => {
+      const { checked, problems } = checkRoutes({
+        routes: [
+          { id: 'getUser', method: 'GET', path: '/users/:id', response: { id: '{{params.id}}' }, responseSchema: { type: 'object', required: ['id'] } },
+          {
+            method: 'GET',
+            path: '/jobs',
+            responseSchema: { type: 'object', properties: { state: { enum: ['running', 'done'] } } },
+            responses: [{ response: { state: 'running' } }, { response: { state: 'failed' } }, { errorCode: 503 }]
+          },
+          { method: 'GET', path: '/upstream', proxy: 'http://localhost:4000' }
+        ]
+      });
+
+      expect(checked).toBe(3);
+      expect(problems).toEqual([{
+        route: 'GET /jobs',
+        entry: 1,
+        message: 'Response does not match its responseSchema',
+        details: [{ in: 'response', path: '/state', message: 'must be equal to one of the allowed values' }]
+      }]);
+    });
+
+    it('should check each representation and skip raw bodies', () => {
+      const { checked, problems } = checkRoutes({
+        routes: [
+          {
+            method: 'GET',
+            path: '/users/:id',
+            responseSchema: { type: 'object', required: ['id'] },
+            representations: [
+              { contentType: 'application/json', response: { id: '{{params.id}}' } },
+              { contentType: 'application/vnd.user+json', response: { name: 'Ada' } },
+              { contentType: 'application/xml', body: '<user/>' }
+            ]
+          },
+          { method: 'GET', path: '/logo', bodyBase64: 'eA==' }
+        ]
+      });
+
+      expect(checked).toBe(2);
+      expect(problems).toEqual([expect.objectContaining({
+        route: 'GET /users/:id',
+        contentType: 'application/vnd.user+json',
+        message: 'Response does not match its responseSchema'
+      })]);
+    });
+
+    it('should report templates that fail to render', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      try {
+        const { problems } = checkRoutes({ routes: [{ method: 'GET', path: '/broken', response: { text: '{{#if}}' } }] });
+        expect(problems).toEqual([{ route: 'GET /broken', message: expect.stringMatching(/^Template processing error/) }]);
+      } finally {
+        console.error.mockRestore();
+      }
+    });
+  });
+});
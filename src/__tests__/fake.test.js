@@ -0,0 +1,97 @@
+const { LOCALES, GENERATORS, generate } = require('../lib/fake');
+
+/**
+ * Checks an IBAN with the ISO 7064 mod 97 check
+ * @param {string} iban - IBAN
+ * @returns {boolean} True if the check digits are valid
+ */
+const isValidIban = (iban) => {
+  const digits = `${iban.slice(4)}${iban.slice(0, 4)}`.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  return [...digits].reduce((remainder, digit) => (remainder * 10 + Number(digit)) % 97, 0) === 1;
+};
+
+/**
+ * Checks a card number with the Luhn algorithm
+ * @param {string} number - Card number
+ * @returns {boolean} True if the check digit is valid
+ */
+const isValidCardNumber = (number) => [...number].reverse().reduce((sum, char, index) => {
+  const digit = Number(char) * (index % 2 === 1 ? 2 : 1);
+  return sum + (digit > 9 ? digit - 9 : digit);
+}, 0) % 10 === 0;
+
+describe('Fake Data', () => {
+  describe('Generators', () => {
+    it('should generate a string for every generator and locale', () => {
+      for (const locale of Object.keys(LOCALES)) {
+        for (const name of Object.keys(GENERATORS)) {
+          const value = generate(name, { locale });
+          expect(typeof value).toBe('string');
+          expect(value.length).toBeGreaterThan(0);
+        }
+      }
+    });
+
+    it('should be reproducible with a seed', () => {
+      expect(generate('person.fullName', { seed: 7 })).toBe(generate('person.fullName', { seed: 7 }));
+      expect(generate('location.address', { locale: 'de', seed: 'abc' }))
+        .toBe(generate('location.address', { locale: 'de', seed: 'abc' }));
+    });
+
+    it('should use the names of the locale', () => {
+      const [firstName, lastName] = generate('person.fullName', { locale: 'fr', seed: 1 }).split(' ');
+      expect(LOCALES.fr.firstNames).toContain(firstName);
+      expect(LOCALES.fr.lastNames).toContain(lastName);
+      expect(generate('location.country', { locale: 'es' })).toBe('España');
+    });
+
+    it('should generate ASCII email addresses on reserved domains', () => {
+      expect(generate('internet.email', { firstName: 'Zoë', lastName: 'Müller-Lüdenscheidt' }))
+        .toMatch(/^zoe\.mullerludenscheidt\d+@example\.(com|org|net)$/);
+    });
+
+    it('should generate lorem text of the requested length', () => {
+      expect(generate('lorem.words', { count: 4 }).split(' ')).toHaveLength(4);
+      expect(generate('lorem.sentence', { words: 5 })).toMatch(/^[A-Z][a-z]*( [a-z]+){4}\.$/);
+      expect(generate('lorem.paragraph', { sentences: 2 }).match(/\./g)).toHaveLength(2);
+    });
+
+    it('should generate dates within the requested range', () => {
+      const date = new Date(generate('date.between', { from: '2020-01-01', to: '2020-01-31' }));
+      expect(date.getTime()).toBeGreaterThanOrEqual(Date.parse('2020-01-01'));
+      expect(date.getTime()).toBeLessThan(Date.parse('2020-01-31'));
+
+      expect(Date.parse(generate('date.past', { days: 1 }))).toBeLessThanOrEqual(Date.now());
+      expect(Date.parse(generate('date.future', { days: 1 }))).toBeGreaterThanOrEqual(Date.now() - 1000);
+      expect(() => generate('date.between', { from: 'yesterday' })).toThrow('Invalid date: yesterday');
+
+      const now = Date.parse('2024-06-01T00:00:00Z');
+      expect(Date.parse(generate('date.past', { now, days: 2 }))).toBeGreaterThan(now - 2 * 24 * 60 * 60 * 1000);
+      expect(Date.parse(generate('date.future', { now, days: 2 }))).toBeLessThanOrEqual(now + 2 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should generate IBANs with valid check digits', () => {
+      for (const locale of Object.keys(LOCALES)) {
+        const iban = generate('finance.iban', { locale });
+        expect(iban.slice(0, 2)).toBe(LOCALES[locale].iban.country);
+        expect(isValidIban(iban)).toBe(true);
+      }
+      expect(generate('finance.iban', { country: 'es' })).toMatch(/^ES\d{22}$/);
+      expect(() => generate('finance.iban', { country: 'XX' })).toThrow('Unsupported IBAN country: XX');
+    });
+
+    it('should generate card numbers that pass the Luhn check', () => {
+      expect(generate('finance.creditCard')).toMatch(/^4\d{15}$/);
+      expect(generate('finance.creditCard', { brand: 'amex' })).toMatch(/^3[47]\d{13}$/);
+      for (let i = 0; i < 20; i++) {
+        expect(isValidCardNumber(generate('finance.creditCard', { brand: 'mastercard', seed: i }))).toBe(true);
+      }
+      expect(() => generate('finance.creditCard', { brand: 'diners' })).toThrow('Unknown card brand: diners');
+    });
+
+    it('should reject unknown generators and locales', () => {
+      expect(() => generate('person.age')).toThrow('Unknown fake generator: person.age');
+      expect(() => generate('person.firstName', { locale: 'jp' })).toThrow('Unknown locale: jp');
+    });
+  });
+});
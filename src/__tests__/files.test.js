@@ -0,0 +1,114 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { getFileType, createFileCache, loadResponseFile } = require('../lib/files');
+
+const baseDir = path.resolve('mocks');
+
+/**
+ * Serves files from memory through the mocked fs.promises.stat and readFile
+ * @param {Object} files - File contents by path relative to baseDir
+ * @returns {Object} The files, changing an entry changes its size for the cache
+ */
+const mockFiles = (files) => {
+  const resolve = (file) => path.relative(baseDir, file);
+  fs.stat.mockImplementation(async (file) => {
+    const content = files[resolve(file)];
+    if (content === undefined) {
+      throw Object.assign(new Error(`ENOENT: ${file}`), { code: 'ENOENT' });
+    }
+    return { isFile: () => content !== null, mtimeMs: 1, size: content ? content.length : 0 };
+  });
+  fs.readFile.mockImplementation(async (file) => Buffer.from(files[resolve(file)]));
+  return files;
+};
+
+describe('Response Files', () => {
+  let cache;
+  const load = (responseFile, data = {}) => loadResponseFile(responseFile, { baseDir, cache, data });
+
+  beforeEach(() => {
+    cache = createFileCache();
+  });
+
+  afterEach(() => {
+    fs.stat.mockReset();
+    fs.readFile.mockReset();
+  });
+
+  it('should tell the file type from the extension', () => {
+    expect(getFileType('users.JSON')).toBe('json');
+    expect(getFileType('page.html')).toBe('text');
+    expect(getFileType('feed.xml')).toBe('text');
+    expect(getFileType('logo.png')).toBe('binary');
+    expect(getFileType('archive')).toBe('binary');
+  });
+
+  it('should render JSON and text files as templates', async () => {
+    mockFiles({
+      'users/1.json': '{ "id": "{{number params.id}}", "tags": ["{{params.id}}"] }',
+      'hello.txt': 'Hello {{query.name}}',
+      'count.txt': '{{number params.id}}'
+    });
+    const data = { params: { id: '1' }, query: { name: 'Ada' } };
+
+    expect(await load('users/{{params.id}}.json', data))
+      .toEqual({ type: 'json', path: path.join(baseDir, 'users/1.json'), body: { id: 1, tags: ['1'] } });
+    expect((await load('hello.txt', data)).body).toBe('Hello Ada');
+    expect((await load('count.txt', data)).body).toBe('1');
+    expect((await load({ path: 'hello.txt', render: false }, data)).body).toBe('Hello {{query.name}}');
+  });
+
+  it('should send other files as they are', async () => {
+    mockFiles({ 'logo.png': '{{png}}' });
+    const file = await load('logo.png');
+    expect(file.type).toBe('binary');
+    expect(file.body).toEqual(Buffer.from('{{png}}'));
+  });
+
+  it('should re-read files only when they change', async () => {
+    const files = mockFiles({ 'a.json': '{ "v": 1 }' });
+    expect((await load('a.json')).body).toEqual({ v: 1 });
+    expect((await load('a.json')).body).toEqual({ v: 1 });
+    expect(fs.readFile).toHaveBeenCalledTimes(1);
+
+    files['a.json'] = '{ "v": 22 }';
+    expect((await load('a.json')).body).toEqual({ v: 22 });
+    expect(fs.readFile).toHaveBeenCalledTimes(2);
+
+    cache.clear();
+    await load('a.json');
+    expect(fs.readFile).toHaveBeenCalledTimes(3);
+  });
+
+  it('should keep templated paths inside their directory', async () => {
+    mockFiles({ 'users/1.json': '{}', 'secrets.json': '{ "key": "s3cret" }' });
+    expect(await load('users/{{params.id}}.json', { params: { id: '../secrets' } })).toBeNull();
+    expect(await load('users/{{params.id}}', { params: { id: '..' } })).toBeNull();
+    expect(fs.stat).not.toHaveBeenCalled();
+
+    // Static paths are trusted, they come from the configuration
+    expect((await load('users/../secrets.json')).body).toEqual({ key: 's3cret' });
+  });
+
+  it('should fall back to another file or a body when the file is missing', async () => {
+    mockFiles({ 'users/default.json': '{ "id": "{{params.id}}" }', users: null });
+    const data = { params: { id: '9' } };
+
+    expect((await load({ path: 'users/{{params.id}}.json', fallback: 'users/default.json' }, data)).body)
+      .toEqual({ id: '9' });
+    expect(await load({ path: 'users/{{params.id}}.json', fallback: { status: 410, body: { gone: '{{params.id}}' } } }, data))
+      .toEqual({ type: 'json', status: 410, body: { gone: '9' } });
+    expect(await load({ path: 'users', fallback: {} }))
+      .toEqual({ type: 'json', status: 404, body: { error: 'Response file not found' } });
+    expect(await load({ path: 'missing.json', fallback: 'missing.txt' })).toBeNull();
+    expect(await load('missing.json')).toBeNull();
+  });
+
+  it('should report invalid JSON and read errors', async () => {
+    mockFiles({ 'broken.json': '{ "id": ' });
+    await expect(load('broken.json')).rejects.toThrow(/^Invalid JSON in response file .*broken\.json: /);
+
+    fs.stat.mockRejectedValueOnce(Object.assign(new Error('denied'), { code: 'EACCES' }));
+    await expect(load('secret.json')).rejects.toThrow('denied');
+  });
+});
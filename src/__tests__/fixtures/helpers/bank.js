@@ -0,0 +1,6 @@
+/**
+ * Custom template helpers loaded through globals.helpers in the server tests
+ */
+module.exports = {
+  accountNumber: (prefix) => `${prefix}-0042`
+};
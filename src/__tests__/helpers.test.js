@@ -0,0 +1,129 @@
+const { helpers } = require('../lib/helpers');
+const { processTemplate } = require('../lib/server-utils');
+
+const now = Date.UTC(2024, 0, 31, 9, 5, 3, 7);
+
+/**
+ * Renders a template with a frozen clock
+ * @param {string} template - Template string
+ * @param {Object} [data={}] - Template data
+ * @returns {*} Rendered value
+ */
+const render = (template, data = {}) => processTemplate(template, data, { now });
+
+describe('Template Helpers', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Logic', () => {
+    it('should compare values', () => {
+      expect(render('{{eq params.id 1}}', { params: { id: '1' } })).toBe(true);
+      expect(render("{{eq 'a' 'b'}}")).toBe(false);
+      expect(render("{{eq '01' '1'}}")).toBe(false);
+      expect(render("{{eq 'x' 1}}")).toBe(false);
+      expect(render("{{ne 'a' 'b'}}")).toBe(true);
+      expect(render("{{gt '10' '9'}}")).toBe(true);
+      expect(render("{{lt 'b' 'a'}}")).toBe(false);
+      expect(render("{{lt 'a' 'b'}}")).toBe(true);
+      expect(render("{{gt 'a' 'a'}}")).toBe(false);
+    });
+
+    it('should combine conditions', () => {
+      expect(render('{{and true 1 "x"}}')).toBe(true);
+      expect(render('{{and true 0}}')).toBe(false);
+      expect(render('{{or false 0 "x"}}')).toBe(true);
+      expect(render('{{not flag}}', { flag: false })).toBe(true);
+      expect(render("{{#if (and (eq query.status 'active') (not query.hidden))}}shown{{else}}hidden{{/if}}",
+        { query: { status: 'active' } })).toBe('shown');
+    });
+  });
+
+  describe('Math', () => {
+    it('should calculate with numbers and numeric strings', () => {
+      expect(render("{{add '2' 3}}")).toBe(5);
+      expect(render('{{subtract 10 4}}')).toBe(6);
+      expect(render('{{multiply query.page 20}}', { query: { page: '3' } })).toBe(60);
+      expect(render('{{divide 7 2}}')).toBe(3.5);
+      expect(render('Page {{add query.page 1}}', { query: { page: '1' } })).toBe('Page 2');
+    });
+
+    it('should reject values that are not numbers', () => {
+      expect(() => helpers.add('a', 1)).toThrow('add needs numbers, got "a"');
+      expect(() => helpers.multiply('', 1)).toThrow('multiply needs numbers');
+      expect(() => helpers.divide(1, 0)).toThrow('divide cannot divide by zero');
+    });
+  });
+
+  describe('Strings', () => {
+    it('should change the case', () => {
+      expect(render('{{upper name}}', { name: 'ada' })).toBe('ADA');
+      expect(render("{{lower 'ADA'}}")).toBe('ada');
+      expect(render("{{capitalize 'ada lovelace'}}")).toBe('Ada lovelace');
+      expect(render('{{upper missing}}')).toBe('');
+    });
+
+    it('should cut and replace text', () => {
+      expect(render("{{substring 'lovelace' 0 4}}")).toBe('love');
+      expect(render("{{substring 'lovelace' 4}}")).toBe('lace');
+      expect(render("{{replace '555 123 456' ' ' '-'}}")).toBe('555-123-456');
+      expect(render("{{replace 'abc' '' '-'}}")).toBe('abc');
+      expect(render('{{upper items}}', { items: [1] })).toBe('[1]');
+    });
+  });
+
+  describe('Dates', () => {
+    it('should format dates in UTC', () => {
+      expect(render("{{dateFormat 'YYYY-MM-DD HH:mm:ss.SSS'}}")).toBe('2024-01-31 09:05:03.007');
+      expect(render("{{dateFormat '[Day] DD, [YY]YY'}}")).toBe('Day 31, YY24');
+      expect(render("{{dateFormat '2020-02-03T00:00:00Z' 'DD.MM.YYYY'}}")).toBe('03.02.2020');
+      expect(render("{{dateFormat 'X x'}}")).toBe(`${Math.floor(now / 1000)} ${now}`);
+    });
+
+    it('should shift dates relative to now', () => {
+      expect(render('{{dateAdd days=7}}')).toBe('2024-02-07T09:05:03.007Z');
+      expect(render('{{dateAdd months=1}}')).toBe('2024-03-02T09:05:03.007Z');
+      expect(render("{{dateAdd '2024-01-01T00:00:00Z' weeks=1 hours=-2}}")).toBe('2024-01-07T22:00:00.000Z');
+      expect(render("{{dateFormat (dateAdd years=1) 'YYYY'}}")).toBe('2025');
+    });
+
+    it('should reject invalid dates, formats and units', () => {
+      const options = { data: {}, hash: {} };
+      expect(() => helpers.dateFormat('soon', 'YYYY', options)).toThrow('dateFormat needs a date, got "soon"');
+      expect(() => helpers.dateFormat(options)).toThrow('dateFormat needs a format');
+      expect(() => helpers.dateAdd({ data: {}, hash: { dayz: 1 } })).toThrow('Unknown dateAdd unit "dayz"');
+      expect(() => helpers.dateAdd({ data: {}, hash: { days: 'x' } })).toThrow('dateAdd needs numbers');
+    });
+  });
+
+  describe('Lookup and Encoding', () => {
+    const body = { items: [{ id: 1, 'full name': 'Ada' }, { id: 2 }], total: 0 };
+
+    it('should fall back for missing values', () => {
+      expect(render('{{default query.page 1}}', { query: {} })).toBe(1);
+      expect(render("{{default query.sort 'name'}}", { query: { sort: '' } })).toBe('name');
+      expect(render('{{default body.total 5}}', { body })).toBe(0);
+      expect(() => render('{{default query.page}}', { query: {} })).toThrow('Template processing error');
+      expect(() => helpers.default(undefined, { data: {}, hash: {} })).toThrow('default needs a value and a fallback');
+    });
+
+    it('should look up values by JSON path', () => {
+      expect(render("{{jsonPath body '$.items[0].id'}}", { body })).toBe(1);
+      expect(render("{{jsonPath body 'items[0][\\'full name\\']'}}", { body })).toBe('Ada');
+      expect(render("{{jsonPath body '$.items[*].id'}}", { body })).toEqual([1, 2]);
+      expect(render("{{jsonPath body '$.items.*.id'}}", { body })).toEqual([1, 2]);
+      expect(render("{{jsonPath body '$'}}", { body })).toEqual(body);
+      expect(render("{{jsonPath body '$.missing.id'}}", { body })).toBe('');
+      expect(() => helpers.jsonPath(body, '$.items[')).toThrow('Invalid JSON path "$.items["');
+    });
+
+    it('should encode and decode Base64', () => {
+      expect(render("{{base64 'user:secret'}}")).toBe('dXNlcjpzZWNyZXQ=');
+      expect(render("{{{base64 'dXNlcjpzZWNyZXQ=' decode=true}}}")).toBe('user:secret');
+    });
+  });
+});
@@ -0,0 +1,230 @@
+const { EventEmitter } = require('events');
+const {
+  getJournalOptions,
+  validateFilter,
+  matchesFilter,
+  createJournal,
+  createJournalMiddleware,
+  parseFilterQuery
+} = require('../lib/journal');
+
+const createEntry = (overrides = {}) => ({
+  method: 'GET',
+  path: '/users',
+  route: 'GET /users',
+  unmatched: false,
+  headers: { accept: 'application/json' },
+  query: {},
+  body: {},
+  timestamp: new Date().toISOString(),
+  status: 200,
+  latency: 1,
+  ...overrides
+});
+
+describe('Request Journal', () => {
+  describe('Options', () => {
+    it('should be enabled with the default limit', () => {
+      expect(getJournalOptions()).toEqual({ limit: 1000 });
+      expect(getJournalOptions({ journal: true })).toEqual({ limit: 1000 });
+    });
+
+    it('should use a configured limit or be disabled', () => {
+      expect(getJournalOptions({ journal: { limit: 10 } })).toEqual({ limit: 10 });
+      expect(getJournalOptions({ journal: false })).toBeNull();
+    });
+  });
+
+  describe('Filters', () => {
+    const entry = createEntry({
+      method: 'POST',
+      path: '/orders',
+      route: 'create-order',
+      query: { dryRun: 'true' },
+      body: { item: 'book', quantity: 2 }
+    });
+
+    it('should match on method, path and route', () => {
+      expect(matchesFilter(entry)).toBe(true);
+      expect(matchesFilter(entry, { method: 'post', path: '/orders', route: 'create-order' })).toBe(true);
+      expect(matchesFilter(entry, { method: 'GET' })).toBe(false);
+      expect(matchesFilter(entry, { path: '/users' })).toBe(false);
+      expect(matchesFilter(entry, { route: 'GET /users' })).toBe(false);
+    });
+
+    it('should match paths against patterns', () => {
+      expect(matchesFilter(entry, { path: /^\/orders/ })).toBe(true);
+      expect(matchesFilter(entry, { path: /^\/users/ })).toBe(false);
+    });
+
+    it('should match unmatched requests', () => {
+      expect(matchesFilter(entry, { unmatched: false })).toBe(true);
+      expect(matchesFilter(entry, { unmatched: true })).toBe(false);
+    });
+
+    it('should match query, headers and body partially', () => {
+      expect(matchesFilter(entry, { body: { item: 'book' } })).toBe(true);
+      expect(matchesFilter(entry, { query: { dryRun: 'true' } })).toBe(true);
+      expect(matchesFilter(entry, { headers: { accept: 'application/json' } })).toBe(true);
+      expect(matchesFilter(entry, { body: { item: 'pen' } })).toBe(false);
+    });
+
+    it('should validate filters sent as JSON', () => {
+      expect(() => validateFilter({ method: 'post', path: '/orders', unmatched: false, body: { item: 'book' } })).not.toThrow();
+      expect(() => validateFilter(null)).toThrow('filter must be an object');
+      expect(() => validateFilter({ method: 1 })).toThrow('filter method must be a string');
+      expect(() => validateFilter({ route: ['a'] })).toThrow('filter route must be a string');
+      expect(() => validateFilter({ unmatched: 'true' })).toThrow('filter unmatched must be a boolean');
+      expect(() => validateFilter({ headers: 'accept' })).toThrow('filter headers must be an object');
+    });
+  });
+
+  describe('Ring Buffer', () => {
+    it('should keep entries oldest first', () => {
+      const journal = createJournal();
+      journal.record(createEntry({ path: '/a' }));
+      journal.record(createEntry({ path: '/b' }));
+      expect(journal.query().map(entry => entry.path)).toEqual(['/a', '/b']);
+    });
+
+    it('should drop the oldest entries when full', () => {
+      const journal = createJournal(3);
+      ['/a', '/b', '/c', '/d', '/e'].forEach(path => journal.record(createEntry({ path })));
+      expect(journal.query().map(entry => entry.path)).toEqual(['/c', '/d', '/e']);
+    });
+
+    it('should clear all entries', () => {
+      const journal = createJournal(2);
+      journal.record(createEntry());
+      journal.clear();
+      expect(journal.query()).toEqual([]);
+      journal.record(createEntry({ path: '/after' }));
+      expect(journal.query().map(entry => entry.path)).toEqual(['/after']);
+    });
+  });
+
+  describe('Verification', () => {
+    it('should return the matching entries when the count is right', () => {
+      const journal = createJournal();
+      journal.record(createEntry({ method: 'POST', path: '/orders', body: { item: 'book' } }));
+      journal.record(createEntry());
+
+      expect(journal.verify({ method: 'POST', path: '/orders', body: { item: 'book' } })).toHaveLength(1);
+      expect(journal.verify({}, 2)).toHaveLength(2);
+      expect(journal.verify({ path: '/missing' }, 0)).toHaveLength(0);
+    });
+
+    it('should throw when the count is wrong', () => {
+      const journal = createJournal();
+      journal.record(createEntry({ method: 'POST', path: '/orders' }));
+      journal.record(createEntry({ method: 'POST', path: '/orders' }));
+
+      expect(() => journal.verify({ method: 'POST', path: '/orders' }))
+        .toThrow('Expected 1 request(s) matching method="POST", path="/orders", found 2');
+      expect(() => journal.verify({ path: /^\/users/ }))
+        .toThrow('Expected 1 request(s) matching path=/^\\/users/, found 0');
+      expect(() => journal.verify(undefined, 3))
+        .toThrow('Expected 3 request(s) matching any request, found 2');
+    });
+  });
+
+  describe('Middleware', () => {
+    it('should record requests when the response finishes', () => {
+      const journal = createJournal();
+      const middleware = createJournalMiddleware(journal);
+      const req = {
+        method: 'POST',
+        path: '/orders',
+        headers: { 'content-type': 'application/json' },
+        query: {},
+        body: { item: 'book' },
+        startTime: Date.now() - 5
+      };
+      const res = Object.assign(new EventEmitter(), { statusCode: 201, locals: {} });
+      const next = jest.fn();
+
+      middleware(req, res, next);
+      expect(next).toHaveBeenCalled();
+      expect(journal.query()).toHaveLength(0);
+
+      res.locals.matchedRoute = 'POST /orders';
+      res.emit('finish');
+
+      const [entry] = journal.query();
+      expect(entry).toMatchObject({
+        method: 'POST',
+        path: '/orders',
+        route: 'POST /orders',
+        unmatched: false,
+        body: { item: 'book' },
+        status: 201
+      });
+      expect(entry.latency).toBeGreaterThanOrEqual(5);
+      expect(entry.timestamp).toBe(new Date(req.startTime).toISOString());
+      expect(entry.aborted).toBe(false);
+
+      // The connection closes after the response finished, which is not a second request
+      res.writableFinished = true;
+      res.emit('close');
+      expect(journal.query()).toHaveLength(1);
+    });
+
+    it('should record requests whose response never finishes when they close', () => {
+      const journal = createJournal();
+      const res = Object.assign(new EventEmitter(), { statusCode: 200, locals: {}, writableFinished: false });
+
+      createJournalMiddleware(journal)({ method: 'GET', path: '/prices/acme' }, res, jest.fn());
+      res.locals.matchedRoute = 'prices';
+      res.emit('close');
+      res.emit('close');
+
+      expect(journal.query()).toEqual([
+        expect.objectContaining({ path: '/prices/acme', route: 'prices', aborted: true })
+      ]);
+    });
+
+    it('should record requests the client aborts', async () => {
+      const http = require('http');
+      const journal = createJournal();
+      const middleware = createJournalMiddleware(journal);
+      const closed = new Promise(resolve => {
+        const server = http.createServer((req, res) => {
+          res.locals = {};
+          res.on('close', () => server.close(resolve));
+          // The handler never answers, like a hanging route
+          middleware(Object.assign(req, { path: '/slow' }), res, () => {});
+        });
+        server.listen(0, '127.0.0.1', () => {
+          const request = http.get(`http://127.0.0.1:${server.address().port}/slow`);
+          request.on('error', () => {});
+          setTimeout(() => request.destroy(), 20);
+        });
+      });
+      await closed;
+
+      expect(journal.query()).toEqual([expect.objectContaining({ method: 'GET', path: '/slow', aborted: true })]);
+    });
+
+    it('should flag unmatched requests', () => {
+      const journal = createJournal();
+      const res = Object.assign(new EventEmitter(), { statusCode: 404, locals: {} });
+
+      createJournalMiddleware(journal)({ method: 'GET', path: '/missing' }, res, jest.fn());
+      res.locals.unmatched = true;
+      res.emit('finish');
+
+      expect(journal.query({ unmatched: true })).toEqual([
+        expect.objectContaining({ path: '/missing', route: null, status: 404 })
+      ]);
+    });
+  });
+
+  describe('Query Parsing', () => {
+    it('should convert admin query parameters into a filter', () => {
+      expect(parseFilterQuery({ method: 'GET', path: '/users', route: 'users', other: 'x' }))
+        .toEqual({ method: 'GET', path: '/users', route: 'users' });
+      expect(parseFilterQuery({ unmatched: 'true' })).toEqual({ unmatched: true });
+      expect(parseFilterQuery({ unmatched: 'false' })).toEqual({ unmatched: false });
+    });
+  });
+});
@@ -0,0 +1,425 @@
+const {
+  isOpenApiDocument,
+  resolveRef,
+  synthesize,
+  getResponseExample,
+  toExpressPath,
+  getBasePath,
+  dereference,
+  getRequestSchema,
+  getResponseSchema,
+  convertOpenApi,
+  importOpenApi
+} = require('../lib/openapi');
+const { validateConfig } = require('../lib/server-utils');
+
+describe('OpenAPI Import', () => {
+  const openapi = {
+    openapi: '3.0.3',
+    servers: [{ url: 'https://api.example.com/{version}', variables: { version: { default: 'v1' } } }],
+    paths: {
+      '/users/{userId}': {
+        get: {
+          operationId: 'getUser',
+          responses: {
+            200: { description: 'OK', content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } } },
+            404: { $ref: '#/components/responses/NotFound' }
+          }
+        },
+        delete: {
+          responses: { 204: { description: 'Deleted' } }
+        }
+      },
+      '/users/me': {
+        get: {
+          responses: {
+            200: {
+              description: 'OK',
+              content: { 'application/json': { examples: { ada: { value: { id: 1, name: 'Ada' } } } } }
+            }
+          }
+        }
+      },
+      '/health': {
+        get: {
+          operationId: 'getUser',
+          responses: { default: { description: 'OK', content: { 'application/json': { example: { ok: true } } } } }
+        }
+      }
+    },
+    components: {
+      schemas: {
+        User: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            name: { type: 'string', example: 'Ada' },
+            role: { type: 'string', enum: ['admin', 'user'] },
+            createdAt: { type: 'string', format: 'date-time' },
+            age: { type: 'integer', minimum: 18 },
+            tags: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      },
+      responses: {
+        NotFound: { description: 'Not found', content: { 'application/json': { example: { error: 'Not found' } } } }
+      }
+    }
+  };
+
+  describe('Detection', () => {
+    it('should recognize OpenAPI and Swagger documents', () => {
+      expect(isOpenApiDocument({ openapi: '3.1.0', paths: {} })).toBe(true);
+      expect(isOpenApiDocument({ swagger: '2.0', paths: {} })).toBe(true);
+      expect(isOpenApiDocument({ routes: [] })).toBe(false);
+      expect(isOpenApiDocument(null)).toBe(false);
+      expect(isOpenApiDocument([])).toBe(false);
+    });
+  });
+
+  describe('References', () => {
+    it('should resolve local references', () => {
+      expect(resolveRef(openapi, { $ref: '#/components/schemas/User' })).toBe(openapi.components.schemas.User);
+      expect(resolveRef({ definitions: { 'a/b': { x: 1 } } }, { $ref: '#/definitions/a~1b' })).toEqual({ x: 1 });
+      expect(resolveRef(openapi, { type: 'string' })).toEqual({ type: 'string' });
+    });
+
+    it('should reject external, missing and circular references', () => {
+      expect(() => resolveRef(openapi, { $ref: 'common.yaml#/User' })).toThrow('Unresolvable $ref: common.yaml#/User');
+      expect(() => resolveRef(openapi, { $ref: '#/components/schemas/Missing' }))
+        .toThrow('Unresolvable $ref: #/components/schemas/Missing');
+      expect(() => resolveRef({ a: { $ref: '#/a' } }, { $ref: '#/a' })).toThrow('Unresolvable $ref: #/a');
+    });
+  });
+
+  describe('Schema Synthesis', () => {
+    it('should synthesize objects from their properties', () => {
+      expect(synthesize(openapi, { $ref: '#/components/schemas/User' })).toEqual({
+        id: '{{uuid}}',
+        name: 'Ada',
+        role: 'admin',
+        createdAt: '{{now}}',
+        age: 18,
+        tags: ['string']
+      });
+    });
+
+    it('should synthesize primitive values', () => {
+      expect(synthesize({}, { type: 'string', format: 'email' })).toBe('user@example.com');
+      expect(synthesize({}, { type: 'string', format: 'date' })).toBe('2024-01-01');
+      expect(synthesize({}, { type: 'string', format: 'uri' })).toBe('https://example.com');
+      expect(synthesize({}, { type: 'number' })).toBe(0);
+      expect(synthesize({}, { type: 'boolean' })).toBe(true);
+      expect(synthesize({}, { type: ['integer', 'null'] })).toBe(0);
+      expect(synthesize({}, { type: 'string', default: 'x' })).toBe('x');
+      expect(synthesize({}, { const: 3 })).toBe(3);
+      expect(synthesize({}, {})).toBeNull();
+    });
+
+    it('should combine allOf and pick the first oneOf or anyOf schema', () => {
+      expect(synthesize({}, {
+        allOf: [
+          { properties: { id: { type: 'integer' } } },
+          { properties: { name: { type: 'string' } } },
+          { type: 'string' }
+        ]
+      })).toEqual({ id: 0, name: 'string' });
+      expect(synthesize({}, { oneOf: [{ type: 'boolean' }, { type: 'string' }] })).toBe(true);
+      expect(synthesize({}, { anyOf: [{ type: 'string' }] })).toBe('string');
+      expect(synthesize({}, { items: { type: 'integer' } })).toEqual([0]);
+    });
+
+    it('should stop at recursive schemas', () => {
+      const doc = {
+        components: {
+          schemas: {
+            Node: { type: 'object', properties: { name: { type: 'string' }, child: { $ref: '#/components/schemas/Node' } } }
+          }
+        }
+      };
+      let node = synthesize(doc, { $ref: '#/components/schemas/Node' });
+      let depth = 0;
+      while (node.child) {
+        node = node.child;
+        depth++;
+      }
+      expect(depth).toBeGreaterThan(2);
+      expect(node).toEqual({});
+    });
+  });
+
+  describe('Response Examples', () => {
+    it('should prefer examples over schemas', () => {
+      expect(getResponseExample(openapi, openapi.paths['/users/me'].get.responses[200])).toEqual({ id: 1, name: 'Ada' });
+      expect(getResponseExample(openapi, { content: { 'application/json': { example: [1], schema: { type: 'array' } } } }))
+        .toEqual([1]);
+      expect(getResponseExample(openapi, { description: 'No content' })).toBeUndefined();
+    });
+
+    it('should prefer JSON media types', () => {
+      expect(getResponseExample(openapi, {
+        content: {
+          'text/plain': { example: 'text' },
+          'application/problem+json': { example: { title: 'Problem' } }
+        }
+      })).toEqual({ title: 'Problem' });
+    });
+
+    it('should read Swagger 2 examples and schemas', () => {
+      const swagger = { swagger: '2.0', definitions: { Pet: { type: 'object', properties: { name: { type: 'string' } } } } };
+      expect(getResponseExample(swagger, { examples: { 'application/json': { name: 'Rex' } } })).toEqual({ name: 'Rex' });
+      expect(getResponseExample(swagger, { schema: { $ref: '#/definitions/Pet' } })).toEqual({ name: 'string' });
+      expect(getResponseExample(swagger, { description: 'Empty' })).toBeUndefined();
+    });
+  });
+
+  describe('Paths', () => {
+    it('should convert path templates to Express paths', () => {
+      expect(toExpressPath('/users/{userId}/posts/{post-id}')).toBe('/users/:userId/posts/:post_id');
+    });
+
+    it('should derive the base path from servers or basePath', () => {
+      expect(getBasePath(openapi)).toBe('/v1');
+      expect(getBasePath({ openapi: '3.0.0', servers: [{ url: '/api/' }] })).toBe('/api');
+      expect(getBasePath({ openapi: '3.0.0' })).toBe('');
+      expect(getBasePath({ swagger: '2.0', basePath: '/v2' })).toBe('/v2');
+      expect(getBasePath({ swagger: '2.0' })).toBe('');
+    });
+  });
+
+  describe('Conversion', () => {
+    it('should convert operations into routes', () => {
+      const { routes } = convertOpenApi(openapi);
+
+      expect(routes.map(route => `${route.method} ${route.path} ${route.status}`)).toEqual([
+        'GET /v1/users/me 200',
+        'GET /v1/health 200',
+        'GET /v1/users/:userId 404',
+        'GET /v1/users/:userId 404',
+        'GET /v1/users/:userId 200',
+        'DELETE /v1/users/:userId 204'
+      ]);
+      expect(routes[1]).toEqual({ id: 'getUser', method: 'GET', path: '/v1/health', status: 200, response: { ok: true } });
+      // Duplicate operation ids are dropped, since route ids must be unique
+      expect(routes[4].id).toBeUndefined();
+      expect(routes[4].response).toMatchObject({ name: 'Ada', age: 18 });
+      expect(() => validateConfig({ routes })).not.toThrow();
+    });
+
+    it('should select other declared statuses by header or query parameter', () => {
+      const { routes } = convertOpenApi(openapi);
+
+      expect(routes[2]).toEqual({
+        method: 'GET',
+        path: '/v1/users/:userId',
+        conditions: { headers: { 'x-mock-status': '404' } },
+        status: 404,
+        response: { error: 'Not found' }
+      });
+      expect(routes[3].conditions).toEqual({ query: { __status: '404' } });
+    });
+
+    it('should convert Swagger 2 documents', () => {
+      const { routes } = convertOpenApi({
+        swagger: '2.0',
+        basePath: '/api',
+        paths: {
+          '/pets': {
+            post: {
+              operationId: 'createPet',
+              responses: {
+                400: { description: 'Invalid' },
+                201: { description: 'Created', examples: { 'application/json': { id: 1 } } }
+              }
+            }
+          }
+        }
+      });
+
+      expect(routes.map(route => route.status)).toEqual([400, 400, 201]);
+      expect(routes[2]).toEqual({ id: 'createPet', method: 'POST', path: '/api/pets', status: 201, response: { id: 1 } });
+    });
+
+    it('should add request schemas when validating requests', () => {
+      const doc = {
+        openapi: '3.0.3',
+        paths: {
+          '/users/{id}': {
+            put: {
+              parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+              requestBody: { content: { 'application/json': { schema: { type: 'object', required: ['name'] } } } },
+              responses: { 200: { description: 'OK' } }
+            }
+          }
+        }
+      };
+
+      expect(convertOpenApi(doc).routes[0].requestSchema).toBeUndefined();
+      expect(convertOpenApi(doc, { validateRequests: true }).routes[0].requestSchema).toEqual({
+        params: { type: 'object', properties: { id: { type: 'integer' } }, required: ['id'] },
+        body: { type: 'object', required: ['name'] }
+      });
+    });
+
+    it('should add response schemas when validating responses', () => {
+      const withSchemas = convertOpenApi(openapi, { validateResponses: true }).routes;
+      const getUser = withSchemas.filter(route => route.path.endsWith('/users/:userId') && route.method === 'GET');
+
+      expect(convertOpenApi(openapi).routes.some(route => route.responseSchema)).toBe(false);
+      expect(getUser[getUser.length - 1].responseSchema).toMatchObject({ type: 'object', properties: { id: { type: 'string', format: 'uuid' } } });
+      expect(withSchemas.find(route => route.method === 'DELETE').responseSchema).toBeUndefined();
+    });
+
+    it('should reject documents without paths', () => {
+      expect(() => convertOpenApi({ openapi: '3.0.0' })).toThrow('OpenAPI document must have a "paths" object');
+    });
+  });
+
+  describe('Request Schemas', () => {
+    it('should inline references and cut cycles', () => {
+      const doc = {
+        components: {
+          schemas: {
+            Tag: { type: 'string' },
+            Node: { type: 'object', properties: { tags: { type: 'array', items: { $ref: '#/components/schemas/Tag' } }, child: { $ref: '#/components/schemas/Node' } } }
+          }
+        }
+      };
+
+      expect(dereference(doc, { $ref: '#/components/schemas/Node' })).toEqual({
+        type: 'object',
+        properties: {
+          tags: { type: 'array', items: { type: 'string' } },
+          child: {}
+        }
+      });
+    });
+
+    it('should build schemas from OpenAPI 3 parameters and request bodies', () => {
+      const doc = {
+        components: {
+          parameters: { Page: { name: 'page', in: 'query', schema: { type: 'integer' } } },
+          schemas: { User: { type: 'object', properties: { name: { type: 'string' } } } }
+        }
+      };
+      const pathItem = { parameters: [{ name: 'user-id', in: 'path', required: true, schema: { type: 'string' } }] };
+      const operation = {
+        parameters: [
+          { $ref: '#/components/parameters/Page' },
+          { name: 'user-id', in: 'path', required: true, schema: { type: 'integer' } },
+          { name: 'X-Request-Id', in: 'header', required: true, schema: { type: 'string', format: 'uuid' } },
+          { name: 'session', in: 'cookie', schema: { type: 'string' } }
+        ],
+        requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } } }
+      };
+
+      expect(getRequestSchema(doc, pathItem, operation)).toEqual({
+        params: { type: 'object', properties: { user_id: { type: 'integer' } }, required: ['user_id'] },
+        query: { type: 'object', properties: { page: { type: 'integer' } } },
+        headers: { type: 'object', properties: { 'x-request-id': { type: 'string', format: 'uuid' } }, required: ['x-request-id'] },
+        body: { type: 'object', properties: { name: { type: 'string' } } }
+      });
+      expect(getRequestSchema(doc, {}, {})).toBeUndefined();
+    });
+
+    it('should build schemas from Swagger 2 parameters', () => {
+      const doc = { swagger: '2.0', definitions: { Pet: { type: 'object', required: ['name'] } } };
+
+      expect(getRequestSchema(doc, {}, {
+        parameters: [
+          { name: 'limit', in: 'query', type: 'integer', maximum: 50, description: 'Page size' },
+          { name: 'pet', in: 'body', required: true, schema: { $ref: '#/definitions/Pet' } }
+        ]
+      })).toEqual({
+        query: { type: 'object', properties: { limit: { type: 'integer', maximum: 50 } } },
+        body: { type: 'object', required: ['name'] }
+      });
+
+      expect(getRequestSchema(doc, {}, {
+        parameters: [{ name: 'file', in: 'formData', type: 'string', required: true }]
+      })).toEqual({ body: { type: 'object', properties: { file: { type: 'string' } }, required: ['file'] } });
+    });
+  });
+
+  describe('Response Schemas', () => {
+    it('should read OpenAPI 3 and Swagger 2 response schemas', () => {
+      const doc = { components: { schemas: { Id: { type: 'integer' } } } };
+      const response = { content: { 'application/json': { schema: { type: 'object', properties: { id: { $ref: '#/components/schemas/Id' } } } } } };
+
+      expect(getResponseSchema(doc, response)).toEqual({ type: 'object', properties: { id: { type: 'integer' } } });
+      expect(getResponseSchema(doc, { description: 'No content' })).toBeUndefined();
+      expect(getResponseSchema({ swagger: '2.0' }, { schema: { type: 'array' } })).toEqual({ type: 'array' });
+    });
+  });
+
+  describe('Spec Import', () => {
+    const doc = {
+      openapi: '3.0.3',
+      paths: {
+        '/users': {
+          post: {
+            operationId: 'createUser',
+            requestBody: { content: { 'application/json': { schema: { type: 'object', required: ['name'] } } } },
+            responses: { 201: { description: 'Created', content: { 'application/json': { example: { id: 1 } } } } }
+          }
+        },
+        '/health': {
+          get: { operationId: 'health', responses: { 200: { description: 'OK' } } }
+        }
+      }
+    };
+
+    it('should append generated routes after the configured ones', () => {
+      const config = { globals: { headers: { 'X-Mock': 'true' } }, routes: [{ method: 'GET', path: '/health', response: { ok: true } }] };
+      const imported = importOpenApi(config, doc);
+
+      expect(imported.globals).toBe(config.globals);
+      expect(imported.routes.map(route => `${route.method} ${route.path}`)).toEqual(['GET /health', 'POST /users', 'GET /health']);
+      expect(imported.routes[0]).toBe(config.routes[0]);
+    });
+
+    it('should add request schemas to configured routes of documented operations', () => {
+      const ownSchema = { body: { type: 'object' } };
+      const imported = importOpenApi({
+        routes: [
+          { method: 'post', path: '/users', response: {} },
+          { id: 'createUser', method: 'POST', path: '/users', requestSchema: ownSchema, response: {} }
+        ]
+      }, doc, { validateRequests: true });
+
+      expect(imported.routes[0].requestSchema).toEqual({ body: { type: 'object', required: ['name'] } });
+      expect(imported.routes[1].requestSchema).toBe(ownSchema);
+
+      // The generated route loses the operation id a configured route already uses
+      expect(imported.routes[2]).toMatchObject({ method: 'POST', path: '/users', status: 201 });
+      expect(imported.routes[2].id).toBeUndefined();
+      expect(() => validateConfig(imported)).not.toThrow();
+    });
+
+    it('should add response schemas matching the status of configured routes', () => {
+      const usersDoc = {
+        openapi: '3.0.3',
+        paths: {
+          '/users': {
+            post: {
+              responses: {
+                201: { description: 'Created', content: { 'application/json': { schema: { type: 'object', required: ['id'] } } } },
+                409: { description: 'Conflict', content: { 'application/json': { schema: { type: 'object', required: ['error'] } } } }
+              }
+            }
+          }
+        }
+      };
+      const imported = importOpenApi({
+        routes: [
+          { method: 'POST', path: '/users', status: 409, response: { error: 'taken' } },
+          { method: 'POST', path: '/users', response: {} }
+        ]
+      }, usersDoc, { validateResponses: true });
+
+      expect(imported.routes[0].responseSchema).toEqual({ type: 'object', required: ['error'] });
+      expect(imported.routes[1].responseSchema).toBeUndefined();
+      expect(() => validateConfig(imported)).not.toThrow();
+    });
+  });
+});
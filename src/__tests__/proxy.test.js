@@ -0,0 +1,364 @@
+const http = require('http');
+const { Readable } = require('stream');
+const {
+  getProxyOptions,
+  getRouteProxyOptions,
+  filterHeaders,
+  rewriteHeaders,
+  stripPathPrefix,
+  buildTargetUrl,
+  forwardRequest,
+  streamRequest,
+  mergePatch,
+  createRecordedRoute,
+  isSameRoute,
+  createRecorder
+} = require('../lib/proxy');
+const { validateConfig } = require('../lib/server-utils');
+
+describe('Proxy', () => {
+  let upstream;
+  let target;
+  let received;
+
+  beforeAll(async () => {
+    upstream = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        received = { method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks).toString() };
+
+        if (req.url.startsWith('/hang')) {
+          return;
+        }
+        if (req.method === 'DELETE') {
+          res.writeHead(204, { 'X-Upstream': 'yes' });
+          res.end();
+          return;
+        }
+        if (req.url.startsWith('/text')) {
+          res.writeHead(200, { 'Content-Type': 'text/plain' });
+          res.end('plain text');
+          return;
+        }
+        res.writeHead(req.method === 'POST' ? 201 : 200, {
+          'Content-Type': 'application/json',
+          'X-Upstream': 'yes'
+        });
+        res.end(JSON.stringify({ path: req.url, method: req.method }));
+      });
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    target = `http://127.0.0.1:${upstream.address().port}`;
+  });
+
+  afterAll(async () => {
+    upstream.closeAllConnections();
+    await new Promise(resolve => upstream.close(resolve));
+  });
+
+  describe('Options', () => {
+    it('should be disabled without a target', () => {
+      expect(getProxyOptions()).toBeNull();
+      expect(getProxyOptions({ proxy: { record: true } })).toBeNull();
+    });
+
+    it('should merge overrides over the global options', () => {
+      expect(getProxyOptions({ proxy: { target: 'http://a', timeout: 100 } }, { target: 'http://b', record: true }))
+        .toEqual({ target: 'http://b', record: true, timeout: 100 });
+      expect(getProxyOptions({}, { target: 'http://b' }))
+        .toEqual({ target: 'http://b', record: false, timeout: 30000 });
+    });
+  });
+
+  describe('Route Options', () => {
+    it('should accept a target URL', () => {
+      expect(getRouteProxyOptions('http://a')).toEqual({ target: 'http://a', timeout: 30000 });
+    });
+
+    it('should inherit global options except recording', () => {
+      const defaults = { target: 'http://a', record: true, recordFile: 'r.json', timeout: 100, headers: { 'X-A': '1' } };
+      expect(getRouteProxyOptions({ stripPrefix: '/api', patch: { ok: true } }, defaults)).toEqual({
+        target: 'http://a',
+        timeout: 100,
+        headers: { 'X-A': '1' },
+        stripPrefix: '/api',
+        patch: { ok: true }
+      });
+      expect(getRouteProxyOptions('http://b', defaults).target).toBe('http://b');
+    });
+  });
+
+  describe('Helpers', () => {
+    it('should filter headers case-insensitively', () => {
+      expect(filterHeaders({ Connection: 'close', 'X-Keep': '1' }, ['connection'])).toEqual({ 'X-Keep': '1' });
+      expect(filterHeaders(undefined, [])).toEqual({});
+    });
+
+    it('should build upstream URLs keeping the target path', () => {
+      expect(buildTargetUrl('http://api.local', '/users?page=2').href).toBe('http://api.local/users?page=2');
+      expect(buildTargetUrl('http://api.local/v1/', '/users').href).toBe('http://api.local/v1/users');
+    });
+
+    it('should strip whole path segments of a prefix', () => {
+      expect(stripPathPrefix('/api/users?page=2', '/api')).toBe('/users?page=2');
+      expect(stripPathPrefix('/api/users', '/api/')).toBe('/users');
+      expect(stripPathPrefix('/api?x=1', '/api')).toBe('/?x=1');
+      expect(stripPathPrefix('/apiary', '/api')).toBe('/apiary');
+      expect(stripPathPrefix('/users', undefined)).toBe('/users');
+      expect(buildTargetUrl('http://api.local/v2', '/api/users', '/api').href).toBe('http://api.local/v2/users');
+    });
+
+    it('should set, replace and remove headers', () => {
+      expect(rewriteHeaders(
+        { authorization: 'Bearer a', cookie: 'c=1', accept: '*/*' },
+        { Authorization: 'Bearer b', Cookie: null, 'X-Forwarded-By': 'mock' }
+      )).toEqual({ accept: '*/*', Authorization: 'Bearer b', 'X-Forwarded-By': 'mock' });
+      expect(rewriteHeaders({ accept: '*/*' })).toEqual({ accept: '*/*' });
+    });
+
+    it('should merge patches into objects and replace other values', () => {
+      expect(mergePatch(
+        { user: { id: 1, name: 'Ada', roles: ['a'] }, total: 1 },
+        { user: { name: 'Mock', roles: [] }, extra: true }
+      )).toEqual({ user: { id: 1, name: 'Mock', roles: [] }, total: 1, extra: true });
+      expect(mergePatch([1, 2], { a: 1 })).toEqual({ a: 1 });
+      expect(mergePatch({ a: 1 }, 'x')).toBe('x');
+    });
+
+    it('should not let protocol-relative paths switch hosts', () => {
+      expect(buildTargetUrl('http://api.local', '//evil.local/x').host).toBe('api.local');
+    });
+
+    it('should compare routes by method, path and conditions', () => {
+      const route = { method: 'GET', path: '/users', conditions: { query: { page: '1' } } };
+      expect(isSameRoute(route, { ...route, method: 'get', response: {} })).toBe(true);
+      expect(isSameRoute(route, { method: 'GET', path: '/users' })).toBe(false);
+      expect(isSameRoute({ method: 'GET', path: '/a' }, { method: 'GET', path: '/a' })).toBe(true);
+    });
+  });
+
+  describe('Forwarding', () => {
+    it('should forward method, path, query and headers', async () => {
+      const response = await forwardRequest({
+        method: 'GET',
+        originalUrl: '/users?page=2',
+        headers: { host: 'mock.local', 'x-client': 'test', 'accept-encoding': 'gzip', connection: 'keep-alive' }
+      }, { target });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['x-upstream']).toBe('yes');
+      expect(JSON.parse(response.body.toString())).toEqual({ path: '/users?page=2', method: 'GET' });
+      expect(received.headers['x-client']).toBe('test');
+      expect(received.headers.host).toBe(new URL(target).host);
+      expect(received.headers['accept-encoding']).toBeUndefined();
+    });
+
+    it('should rewrite headers and strip the path prefix', async () => {
+      await forwardRequest({
+        method: 'GET',
+        originalUrl: '/api/users',
+        headers: { cookie: 'session=1' }
+      }, { target, stripPrefix: '/api', headers: { cookie: null, 'X-Api-Key': 'secret' } });
+
+      expect(received.url).toBe('/users');
+      expect(received.headers.cookie).toBeUndefined();
+      expect(received.headers['x-api-key']).toBe('secret');
+    });
+
+    it('should serialize bodies consumed by the body parsers', async () => {
+      await forwardRequest({
+        method: 'POST',
+        url: '/orders',
+        headers: { 'content-type': 'application/json', 'content-length': '2' },
+        _body: true,
+        body: { item: 'book' }
+      }, { target });
+      expect(received.body).toBe('{"item":"book"}');
+
+      await forwardRequest({
+        method: 'POST',
+        url: '/form',
+        headers: { 'content-type': 'application/x-www-form-urlencoded' },
+        _body: true,
+        body: { a: '1', b: '2' }
+      }, { target });
+      expect(received.body).toBe('a=1&b=2');
+    });
+
+    it('should stream bodies that were not parsed', async () => {
+      const req = Readable.from([Buffer.from('raw '), Buffer.from('bytes')]);
+      Object.assign(req, { method: 'PUT', url: '/raw', headers: { 'content-type': 'text/plain' } });
+
+      await forwardRequest(req, { target });
+      expect(received.body).toBe('raw bytes');
+    });
+
+    it('should time out slow upstreams', async () => {
+      await expect(forwardRequest({ method: 'GET', url: '/hang', headers: {} }, { target, timeout: 50 }))
+        .rejects.toMatchObject({ code: 'ETIMEDOUT' });
+    });
+
+    it('should reject when the upstream is unreachable', async () => {
+      const closed = http.createServer();
+      await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+      const closedTarget = `http://127.0.0.1:${closed.address().port}`;
+      await new Promise(resolve => closed.close(resolve));
+
+      await expect(forwardRequest({ method: 'GET', url: '/', headers: {} }, { target: closedTarget }))
+        .rejects.toMatchObject({ code: 'ECONNREFUSED' });
+    });
+  });
+
+  describe('Streaming', () => {
+    let proxyServer;
+    let proxyUrl;
+
+    beforeAll(async () => {
+      proxyServer = http.createServer((req, res) => {
+        res.status = (code) => { res.statusCode = code; return res; };
+        res.setHeader('X-Upstream', 'overridden');
+        streamRequest(req, res, { target, stripPrefix: '/proxy' }).catch(() => {
+          res.statusCode = 502;
+          res.end();
+        });
+      });
+      await new Promise(resolve => proxyServer.listen(0, '127.0.0.1', resolve));
+      proxyUrl = `http://127.0.0.1:${proxyServer.address().port}`;
+    });
+
+    afterAll(async () => {
+      proxyServer.closeAllConnections();
+      await new Promise(resolve => proxyServer.close(resolve));
+    });
+
+    const request = (path, options = {}, body) => new Promise((resolve, reject) => {
+      const req = http.request(`${proxyUrl}${path}`, options, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+
+    it('should stream the upstream response through', async () => {
+      const response = await request('/proxy/orders', { method: 'POST' }, 'payload');
+
+      expect(response.status).toBe(201);
+      expect(JSON.parse(response.body)).toEqual({ path: '/orders', method: 'POST' });
+      expect(received.body).toBe('payload');
+      expect(response.headers['content-type']).toBe('application/json');
+    });
+
+    it('should keep headers already set on the response', async () => {
+      const response = await request('/proxy/users');
+      expect(response.headers['x-upstream']).toBe('overridden');
+    });
+  });
+
+  describe('Recording', () => {
+    it('should convert a JSON response into a route', async () => {
+      const upstreamResponse = await forwardRequest({ method: 'POST', url: '/orders', headers: {} }, { target });
+      const route = createRecordedRoute({ method: 'POST', path: '/orders', query: {} }, upstreamResponse);
+
+      expect(route).toEqual({
+        method: 'POST',
+        path: '/orders',
+        status: 201,
+        headers: { 'content-type': 'application/json', 'x-upstream': 'yes' },
+        response: { path: '/orders', method: 'POST' }
+      });
+    });
+
+    it('should record query parameters as conditions', () => {
+      const route = createRecordedRoute(
+        { method: 'GET', path: '/users', query: { page: '2' } },
+        { status: 200, headers: {}, body: Buffer.from('') }
+      );
+      expect(route).toEqual({
+        method: 'GET',
+        path: '/users',
+        conditions: { query: { page: '2' } },
+        status: 200
+      });
+    });
+
+    it('should record responses without a body and write them', async () => {
+      const fs = require('fs');
+      fs.promises.readFile.mockReset().mockResolvedValueOnce(JSON.stringify({ routes: [] }));
+      fs.promises.writeFile.mockReset();
+
+      const upstreamResponse = await forwardRequest({ method: 'DELETE', url: '/orders/1', headers: {} }, { target });
+      const route = createRecordedRoute({ method: 'DELETE', path: '/orders/1', query: {} }, upstreamResponse);
+      const expected = { method: 'DELETE', path: '/orders/1', status: 204, headers: { 'x-upstream': 'yes' } };
+      expect(route).toEqual(expected);
+      expect(() => validateConfig({ routes: [route] })).not.toThrow();
+
+      await expect(createRecorder('mocks.json').record(route)).resolves.toBe(true);
+      expect(JSON.parse(fs.promises.writeFile.mock.calls[0][1])).toEqual({ routes: [expected] });
+    });
+
+    it('should not record responses that are not JSON', async () => {
+      const upstreamResponse = await forwardRequest({ method: 'GET', url: '/text', headers: {} }, { target });
+      expect(createRecordedRoute({ method: 'GET', path: '/text', query: {} }, upstreamResponse)).toBeNull();
+    });
+  });
+
+  describe('Recorder', () => {
+    const fs = require('fs');
+
+    beforeEach(() => {
+      fs.promises.readFile.mockReset();
+      fs.promises.writeFile.mockReset();
+    });
+
+    it('should append routes to the record file', async () => {
+      fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({ globals: {}, routes: [] }));
+      const recorder = createRecorder('mocks.json');
+      const route = { method: 'GET', path: '/users', status: 200, response: [] };
+
+      expect(recorder.wrote(`${JSON.stringify({ routes: [] }, null, 2)}\n`)).toBe(false);
+      await expect(recorder.record(route)).resolves.toBe(true);
+      const content = `${JSON.stringify({ globals: {}, routes: [route] }, null, 2)}\n`;
+      expect(fs.promises.writeFile).toHaveBeenCalledWith('mocks.json', content);
+      expect(recorder.wrote(content)).toBe(true);
+      expect(recorder.wrote(content.replace('/users', '/people'))).toBe(false);
+    });
+
+    it('should create the record file when it does not exist', async () => {
+      fs.promises.readFile.mockRejectedValueOnce(Object.assign(new Error('missing'), { code: 'ENOENT' }));
+      const recorder = createRecorder('recorded.json');
+
+      await recorder.record({ method: 'GET', path: '/a', response: {} });
+      expect(JSON.parse(fs.promises.writeFile.mock.calls[0][1])).toEqual({
+        routes: [{ method: 'GET', path: '/a', response: {} }]
+      });
+    });
+
+    it('should skip routes that are already recorded', async () => {
+      const route = { method: 'GET', path: '/users', response: [] };
+      fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({ routes: [route] }));
+
+      await expect(createRecorder('mocks.json').record(route)).resolves.toBe(false);
+      expect(fs.promises.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should not rewrite files without routes', async () => {
+      fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({ openapi: '3.0.0', paths: {} }));
+
+      await expect(createRecorder('openapi.json').record({ method: 'GET', path: '/a' }))
+        .rejects.toThrow('openapi.json has no "routes" array, set proxy.recordFile to record into another file');
+      expect(fs.promises.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should keep recording after a failed write', async () => {
+      fs.promises.readFile.mockRejectedValueOnce(new Error('EACCES'));
+      fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({ routes: [] }));
+      const recorder = createRecorder('mocks.json');
+
+      await expect(recorder.record({ method: 'GET', path: '/a' })).rejects.toThrow('EACCES');
+      await expect(recorder.record({ method: 'GET', path: '/b' })).resolves.toBe(true);
+    });
+  });
+});
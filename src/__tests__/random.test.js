@@ -0,0 +1,69 @@
+const { createRandom, getRandomOptions, createRandomSource, createRequestRandom } = require('../lib/random');
+
+describe('Seeded Randomness', () => {
+  const originalSeed = process.env.MOCK_SEED;
+
+  afterEach(() => {
+    if (originalSeed === undefined) {
+      delete process.env.MOCK_SEED;
+    } else {
+      process.env.MOCK_SEED = originalSeed;
+    }
+  });
+
+  describe('Random Functions', () => {
+    it('should repeat the same sequence for the same seed', () => {
+      const first = createRandom(42);
+      const second = createRandom('42');
+      const values = Array.from({ length: 5 }, () => first());
+
+      expect(Array.from({ length: 5 }, () => second())).toEqual(values);
+      expect(values.every(value => value >= 0 && value < 1)).toBe(true);
+      expect(createRandom(43)()).not.toBe(values[0]);
+    });
+  });
+
+  describe('Options', () => {
+    it('should prefer server options over MOCK_SEED over the configuration', () => {
+      delete process.env.MOCK_SEED;
+      expect(getRandomOptions({ seed: 1 })).toEqual({ seed: 1, perRequest: false, frozenTime: undefined });
+      expect(getRandomOptions()).toEqual({ seed: undefined, perRequest: false, frozenTime: undefined });
+
+      process.env.MOCK_SEED = 'env';
+      expect(getRandomOptions({ seed: 1 }).seed).toBe('env');
+      expect(getRandomOptions({ seed: 1 }, { seed: 'cli' }).seed).toBe('cli');
+    });
+
+    it('should read per-request seeding and the frozen time', () => {
+      expect(getRandomOptions({ seedPerRequest: true, frozenTime: '2024-01-01T00:00:00Z' }, {}))
+        .toMatchObject({ perRequest: true, frozenTime: Date.parse('2024-01-01T00:00:00Z') });
+    });
+  });
+
+  describe('Sources', () => {
+    it('should share one sequence between requests and start it over on reset', () => {
+      const source = createRandomSource('run');
+      const options = { seed: 'run', perRequest: false };
+      const first = createRequestRandom(options, source, { method: 'GET', path: '/a' })();
+      const second = createRequestRandom(options, source, { method: 'GET', path: '/a' })();
+
+      expect(second).not.toBe(first);
+      source.reset();
+      expect(source.next()).toBe(first);
+    });
+
+    it('should derive per-request sequences from the method and path', () => {
+      const options = { seed: 7, perRequest: true };
+      const draw = (method, path) => createRequestRandom(options, undefined, { method, path })();
+
+      expect(draw('get', '/users/7')).toBe(draw('GET', '/users/7'));
+      expect(draw('GET', '/users/7')).not.toBe(draw('GET', '/users/8'));
+      expect(createRequestRandom({ perRequest: true }, undefined, { method: 'GET', path: '/users/7' })).toEqual(expect.any(Function));
+    });
+
+    it('should leave randomness alone without a seed', () => {
+      expect(createRandomSource(undefined)).toBeUndefined();
+      expect(createRequestRandom({ perRequest: false }, undefined, {})).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,169 @@
+const {
+  createResourceStore,
+  createResourceStores,
+  createResourceHandlers,
+  registerResourceRoutes
+} = require('../lib/resources');
+
+const createResponse = () => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+    end: jest.fn().mockReturnThis()
+  };
+  return res;
+};
+
+describe('Resources', () => {
+  const usersResource = {
+    name: 'users',
+    basePath: '/users',
+    seed: [
+      { id: 1, name: 'John Doe' },
+      { id: 2, name: 'Jane Smith' }
+    ]
+  };
+
+  let store;
+  let handlers;
+
+  beforeEach(() => {
+    store = createResourceStore(usersResource);
+    handlers = createResourceHandlers(store);
+  });
+
+  describe('Resource Store', () => {
+    it('should seed items and default the id field', () => {
+      expect(store.idField).toBe('id');
+      expect(store.list()).toEqual(usersResource.seed);
+      expect(store.get('1')).toEqual({ id: 1, name: 'John Doe' });
+    });
+
+    it('should not share seed objects with the config', () => {
+      store.get(1).name = 'Changed';
+      expect(usersResource.seed[0].name).toBe('John Doe');
+    });
+
+    it('should restore the seed on reset', () => {
+      store.remove(1);
+      store.set(3, { id: 3 });
+      store.reset();
+      expect(store.list()).toEqual(usersResource.seed);
+    });
+
+    it('should generate numeric ids when existing ids are numeric', () => {
+      expect(store.nextId()).toBe(3);
+      expect(createResourceStore({ name: 'empty', basePath: '/empty' }).nextId()).toBe(1);
+    });
+
+    it('should generate UUIDs when existing ids are not numeric', () => {
+      const skuStore = createResourceStore({
+        name: 'products',
+        basePath: '/products',
+        idField: 'sku',
+        seed: [{ sku: 'ABC-1' }]
+      });
+      expect(skuStore.nextId()).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-/);
+    });
+
+    it('should create a store per resource', () => {
+      const stores = createResourceStores([usersResource, { name: 'posts', basePath: '/posts' }]);
+      expect([...stores.keys()]).toEqual(['users', 'posts']);
+      expect(createResourceStores().size).toBe(0);
+    });
+  });
+
+  describe('Resource Handlers', () => {
+    it('should list all items', () => {
+      const res = createResponse();
+      handlers.list({}, res);
+      expect(res.json).toHaveBeenCalledWith(usersResource.seed);
+    });
+
+    it('should get an item by id', () => {
+      const res = createResponse();
+      handlers.get({ params: { id: '2' } }, res);
+      expect(res.json).toHaveBeenCalledWith({ id: 2, name: 'Jane Smith' });
+    });
+
+    it('should return 404 for unknown ids', () => {
+      for (const handler of ['get', 'replace', 'patch', 'remove']) {
+        const res = createResponse();
+        handlers[handler]({ params: { id: '99' }, body: {} }, res);
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith({ error: 'users with id "99" not found' });
+      }
+    });
+
+    it('should create an item and make it readable', () => {
+      const res = createResponse();
+      handlers.create({ body: { name: 'New User' } }, res);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({ id: 3, name: 'New User' });
+
+      const getRes = createResponse();
+      handlers.get({ params: { id: '3' } }, getRes);
+      expect(getRes.json).toHaveBeenCalledWith({ id: 3, name: 'New User' });
+    });
+
+    it('should return 409 when creating a duplicate id', () => {
+      const res = createResponse();
+      handlers.create({ body: { id: 1, name: 'Duplicate' } }, res);
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({ error: 'users with id "1" already exists' });
+    });
+
+    it('should reject bodies that are not objects', () => {
+      const res = createResponse();
+      handlers.create({ body: [1, 2] }, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+
+      const replaceRes = createResponse();
+      handlers.replace({ params: { id: '1' }, body: undefined }, replaceRes);
+      expect(replaceRes.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should replace an item keeping the id from the URL', () => {
+      const res = createResponse();
+      handlers.replace({ params: { id: '1' }, body: { id: 5, email: 'john@example.com' } }, res);
+      expect(res.json).toHaveBeenCalledWith({ id: 1, email: 'john@example.com' });
+      expect(store.get(1)).toEqual({ id: 1, email: 'john@example.com' });
+      expect(store.has(5)).toBe(false);
+    });
+
+    it('should patch fields of an item', () => {
+      const res = createResponse();
+      handlers.patch({ params: { id: '1' }, body: { email: 'john@example.com' } }, res);
+      expect(res.json).toHaveBeenCalledWith({ id: 1, name: 'John Doe', email: 'john@example.com' });
+    });
+
+    it('should delete an item', () => {
+      const res = createResponse();
+      handlers.remove({ params: { id: '1' } }, res);
+      expect(res.status).toHaveBeenCalledWith(204);
+      expect(res.end).toHaveBeenCalled();
+      expect(store.has(1)).toBe(false);
+    });
+  });
+
+  describe('Route Registration', () => {
+    it('should register list, item and mutation routes', () => {
+      const router = {
+        get: jest.fn(),
+        post: jest.fn(),
+        put: jest.fn(),
+        patch: jest.fn(),
+        delete: jest.fn()
+      };
+
+      registerResourceRoutes(router, createResourceStores([{ name: 'posts', basePath: '/posts/' }]));
+
+      expect(router.get).toHaveBeenCalledWith('/posts/', expect.any(Function));
+      expect(router.post).toHaveBeenCalledWith('/posts/', expect.any(Function));
+      expect(router.get).toHaveBeenCalledWith('/posts/:id', expect.any(Function));
+      expect(router.put).toHaveBeenCalledWith('/posts/:id', expect.any(Function));
+      expect(router.patch).toHaveBeenCalledWith('/posts/:id', expect.any(Function));
+      expect(router.delete).toHaveBeenCalledWith('/posts/:id', expect.any(Function));
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const {
+  createScenarioStore,
+  createSequenceCounters,
+  mergeEntry,
+  resolveSequence
+} = require('../lib/scenarios');
+
+describe('Scenarios', () => {
+  describe('Scenario Store', () => {
+    it('should start with the initial states', () => {
+      const store = createScenarioStore({ order: 'created', payment: 'pending' });
+      expect(store.getStates()).toEqual({ order: 'created', payment: 'pending' });
+      expect(createScenarioStore().getStates()).toEqual({});
+    });
+
+    it('should apply transitions', () => {
+      const store = createScenarioStore({ order: 'created', payment: 'pending' });
+      store.apply({ order: 'paid' });
+      store.apply(undefined);
+      expect(store.getStates()).toEqual({ order: 'paid', payment: 'pending' });
+    });
+
+    it('should return snapshots that cannot change the store', () => {
+      const store = createScenarioStore({ order: 'created' });
+      store.getStates().order = 'shipped';
+      expect(store.getStates().order).toBe('created');
+    });
+
+    it('should reset to the initial states', () => {
+      const store = createScenarioStore({ order: 'created' });
+      store.apply({ order: 'shipped' });
+      store.reset();
+      expect(store.getStates()).toEqual({ order: 'created' });
+    });
+  });
+
+  describe('Sequence Counters', () => {
+    const responses = [{ status: 202 }, { status: 202 }, { status: 200 }];
+
+    it('should stick on the last entry by default', () => {
+      const sequences = createSequenceCounters();
+      const route = { responses };
+      const statuses = [1, 2, 3, 4].map(() => sequences.next(route).status);
+      expect(statuses).toEqual([202, 202, 200, 200]);
+    });
+
+    it('should cycle through entries', () => {
+      const sequences = createSequenceCounters();
+      const route = { responses, sequenceMode: 'cycle' };
+      const entries = [1, 2, 3, 4].map(() => sequences.next(route));
+      expect(entries).toEqual([responses[0], responses[1], responses[2], responses[0]]);
+    });
+
+    it('should count each route separately', () => {
+      const sequences = createSequenceCounters();
+      const first = { responses: [{ status: 500 }, { status: 200 }] };
+      const second = { responses: [{ status: 503 }, { status: 201 }] };
+      expect(sequences.next(first).status).toBe(500);
+      expect(sequences.next(second).status).toBe(503);
+      expect(sequences.next(first).status).toBe(200);
+    });
+
+    it('should start over after a reset', () => {
+      const sequences = createSequenceCounters();
+      const route = { responses };
+      sequences.next(route);
+      sequences.next(route);
+      sequences.reset();
+      expect(sequences.next(route)).toBe(responses[0]);
+    });
+  });
+
+  describe('Sequence Resolution', () => {
+    it('should return routes without a sequence unchanged', () => {
+      const route = { path: '/plain', response: { ok: true } };
+      expect(resolveSequence(route, createSequenceCounters())).toBe(route);
+      expect(resolveSequence({ ...route, responses: [] }, createSequenceCounters()).response)
+        .toEqual({ ok: true });
+    });
+
+    it('should merge the next entry over the route', () => {
+      const route = {
+        path: '/jobs/:id',
+        headers: { 'X-Job': '{{id}}' },
+        response: { state: 'done' },
+        responses: [{ status: 202, response: { state: 'running' } }, {}]
+      };
+      const sequences = createSequenceCounters();
+
+      const first = resolveSequence(route, sequences);
+      expect(first.status).toBe(202);
+      expect(first.response).toEqual({ state: 'running' });
+      expect(first.headers).toEqual({ 'X-Job': '{{id}}' });
+
+      const second = resolveSequence(route, sequences);
+      expect(second.status).toBeUndefined();
+      expect(second.response).toEqual({ state: 'done' });
+    });
+
+    it('should replace every body of the route with the body of an entry', () => {
+      const route = { path: '/a', contentType: 'text', body: 'route', headers: { 'X-A': '1' } };
+      expect(mergeEntry(route, { representations: [] })).toEqual({
+        path: '/a', contentType: 'text', headers: { 'X-A': '1' }, representations: []
+      });
+      expect(mergeEntry(route, { contentType: 'csv' })).toEqual({ ...route, contentType: 'csv' });
+    });
+
+    it('should let an entry body replace the response file of the route and the other way round', () => {
+      const sequences = createSequenceCounters();
+      const fileRoute = { path: '/a', responseFile: 'a.json', responses: [{ response: { ok: true } }, {}] };
+      expect(resolveSequence(fileRoute, sequences)).not.toHaveProperty('responseFile');
+      expect(resolveSequence(fileRoute, sequences).responseFile).toBe('a.json');
+
+      const inlineRoute = { path: '/b', response: { ok: true }, responses: [{ responseFile: 'b.json' }] };
+      const entry = resolveSequence(inlineRoute, sequences);
+      expect(entry).not.toHaveProperty('response');
+      expect(entry.responseFile).toBe('b.json');
+    });
+  });
+});
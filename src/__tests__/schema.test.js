@@ -0,0 +1,149 @@
+const Ajv = require('ajv');
+const {
+  createValidationError,
+  compileRequestSchema,
+  validateRequestSchema,
+  compileResponseSchema,
+  validateResponseSchema
+} = require('../lib/schema');
+
+describe('Request Schemas', () => {
+  const requestSchema = {
+    params: { type: 'object', properties: { id: { type: 'integer' } } },
+    query: {
+      type: 'object',
+      properties: { page: { type: 'integer', minimum: 1 }, tags: { type: 'array', items: { type: 'string' } } }
+    },
+    headers: { type: 'object', properties: { 'X-Api-Key': { type: 'string', minLength: 3 } }, required: ['X-Api-Key'] },
+    body: {
+      type: 'object',
+      properties: { email: { type: 'string', format: 'email' }, age: { type: 'integer' } },
+      required: ['email'],
+      additionalProperties: false
+    }
+  };
+
+  const validRequest = () => ({
+    params: { id: '7' },
+    query: { page: '2', tags: 'a' },
+    headers: { 'x-api-key': 'secret' },
+    body: { email: 'ada@example.com', age: 36 }
+  });
+
+  describe('Validation', () => {
+    it('should accept valid requests without changing them', () => {
+      const validate = compileRequestSchema(requestSchema);
+      const req = validRequest();
+
+      expect(validate(req)).toEqual([]);
+      expect(req.query).toEqual({ page: '2', tags: 'a' });
+      expect(req.params).toEqual({ id: '7' });
+    });
+
+    it('should report every violation with its location', () => {
+      const validate = compileRequestSchema(requestSchema);
+      const violations = validate({
+        params: { id: 'abc' },
+        query: { page: '0' },
+        headers: {},
+        body: { email: 'not-an-email', age: '36', admin: true }
+      });
+
+      expect(violations).toEqual([
+        { in: 'params', path: '/id', message: 'must be integer' },
+        { in: 'query', path: '/page', message: 'must be >= 1' },
+        { in: 'headers', path: '/x-api-key', message: "must have required property 'x-api-key'" },
+        { in: 'body', path: '/admin', message: 'must NOT have additional properties' },
+        { in: 'body', path: '/email', message: 'must match format "email"' },
+        { in: 'body', path: '/age', message: 'must be integer' }
+      ]);
+    });
+
+    it('should report missing body fields', () => {
+      const validate = compileRequestSchema({ body: requestSchema.body });
+      expect(validate({ body: {} })).toEqual([
+        { in: 'body', path: '/email', message: "must have required property 'email'" }
+      ]);
+      expect(validate({ body: [] })).toEqual([{ in: 'body', path: '', message: 'must be object' }]);
+    });
+
+    it('should validate missing request parts as empty objects', () => {
+      const validate = compileRequestSchema({ query: { type: 'object', required: ['q'] } });
+      expect(validate({})).toEqual([{ in: 'query', path: '/q', message: "must have required property 'q'" }]);
+    });
+  });
+
+  describe('Configuration', () => {
+    it('should accept valid request schemas', () => {
+      expect(() => validateRequestSchema(requestSchema)).not.toThrow();
+      expect(() => validateRequestSchema({ body: { type: 'object' }, status: 422 })).not.toThrow();
+    });
+
+    it('should reject invalid request schemas', () => {
+      expect(() => validateRequestSchema([])).toThrow('requestSchema must be an object');
+      expect(() => validateRequestSchema({ cookies: {} })).toThrow('Invalid requestSchema fields: cookies');
+      expect(() => validateRequestSchema({ body: 'object' })).toThrow('requestSchema body must be a JSON schema object');
+      expect(() => validateRequestSchema({ status: 500 })).toThrow('requestSchema status must be 400 or 422');
+      expect(() => validateRequestSchema({ body: { type: 'text' } })).toThrow(/^Invalid requestSchema body: /);
+    });
+  });
+
+  describe('Errors', () => {
+    it('should create ValidationErrors carrying the violations', () => {
+      const details = [{ in: 'body', path: '/email', message: 'must be string' }];
+      const error = createValidationError('Request validation failed', details, 422);
+
+      expect(error).toBeInstanceOf(Error);
+      expect(error).toMatchObject({ name: 'ValidationError', message: 'Request validation failed', status: 422, details });
+      expect(createValidationError('Invalid')).toMatchObject({ status: 400 });
+      expect(createValidationError('Invalid').details).toBeUndefined();
+    });
+  });
+});
+
+describe('Response Schemas', () => {
+  const responseSchema = {
+    type: 'object',
+    properties: { id: { type: 'integer' }, createdAt: { type: 'string', format: 'date-time' } },
+    required: ['id']
+  };
+
+  it('should report the violations of rendered responses', () => {
+    const validate = compileResponseSchema(responseSchema);
+
+    expect(validate({ id: 1, createdAt: new Date().toISOString() })).toEqual([]);
+    expect(validate({ createdAt: 'yesterday' })).toEqual([
+      { in: 'response', path: '/id', message: "must have required property 'id'" },
+      { in: 'response', path: '/createdAt', message: 'must match format "date-time"' }
+    ]);
+  });
+
+  it('should compile each schema object once and keep replaced ones out of Ajv', () => {
+    const compile = jest.spyOn(Ajv.prototype, 'compile');
+    try {
+      const schema = { $id: 'https://example.com/node', type: 'object', properties: { next: { $ref: '#' } } };
+      compileResponseSchema(schema);
+      compileResponseSchema(schema);
+      expect(compile).toHaveBeenCalledTimes(1);
+
+      // A reloaded configuration brings equal schemas in new objects, with the same $id
+      const validate = compileResponseSchema(JSON.parse(JSON.stringify(schema)));
+      expect(compile).toHaveBeenCalledTimes(2);
+      expect(validate({ next: { next: {} } })).toEqual([]);
+      expect(validate({ next: { next: 1 } })).toEqual([{ in: 'response', path: '/next/next', message: 'must be object' }]);
+
+      const requestSchema = { headers: { type: 'object', required: ['X-Api-Key'] } };
+      compileRequestSchema(requestSchema);
+      compileRequestSchema(requestSchema);
+      expect(compile).toHaveBeenCalledTimes(3);
+    } finally {
+      compile.mockRestore();
+    }
+  });
+
+  it('should reject invalid response schemas', () => {
+    expect(() => validateResponseSchema(responseSchema)).not.toThrow();
+    expect(() => validateResponseSchema([])).toThrow('responseSchema must be a JSON schema object');
+    expect(() => validateResponseSchema({ type: 'text' })).toThrow(/^Invalid responseSchema: /);
+  });
+});
@@ -4,6 +4,13 @@ const {
   validateConfig,
   processJsonTemplate,
   validateConditions,
+  validateResource,
+  validateWebSocket,
+  validateSequence,
+  validateProxyOptions,
+  createHandlebars,
+  precompileTemplates,
+  createTemplateData,
   matchValues
 } = require('../lib/server-utils');
 
@@ -82,6 +89,52 @@ describe('Server Utils', () => {
     });
   });
 
+  describe('Typed Output', () => {
+    const data = { id: '7', items: [1, { a: 2 }], name: 'O"Brien <b>', nothing: null, active: true, filter: '{"tags":["a"]}' };
+
+    it('should keep the type of single-expression templates', () => {
+      expect(processTemplate('{{random 1000 9999}}', {})).toEqual(expect.any(Number));
+      expect(processTemplate('{{items}}', data)).toBe(data.items);
+      expect(processTemplate('{{active}}', data)).toBe(true);
+      expect(processTemplate('{{nothing}}', data)).toBeNull();
+      expect(processTemplate('{{ id }}', data)).toBe('7');
+      expect(processTemplate('{{missing}}', data)).toBe('');
+    });
+
+    it('should escape strings unless the triple-stash is used', () => {
+      expect(processTemplate('{{name}}', data)).toBe('O&quot;Brien &lt;b&gt;');
+      expect(processTemplate('{{{name}}}', data)).toBe('O"Brien <b>');
+      expect(processTemplate('Dear {{name}}', data)).toBe('Dear O&quot;Brien &lt;b&gt;');
+    });
+
+    it('should render anything else as text', () => {
+      expect(processTemplate('#{{id}}', data)).toBe('#7');
+      expect(processTemplate('{{#if active}}{{id}}{{/if}}', data)).toBe('7');
+      expect(processTemplate('{{id}}{{id}}', data)).toBe('77');
+    });
+
+    it('should convert values with the number helper', () => {
+      expect(processTemplate('{{number id}}', data)).toBe(7);
+      expect(processTemplate('{{number "2.5"}}', data)).toBe(2.5);
+      expect(processTemplate('Item {{number id}}', data)).toBe('Item 7');
+      expect(() => processTemplate('{{number name}}', data)).toThrow('Template processing error');
+      expect(() => processTemplate('{{number missing}}', data)).toThrow('Template processing error');
+    });
+
+    it('should emit values with the json helper', () => {
+      expect(processTemplate('{{json items}}', data)).toBe(data.items);
+      expect(processTemplate('{{json filter}}', data)).toEqual({ tags: ['a'] });
+      expect(processTemplate('{{json missing}}', data)).toBeNull();
+      expect(processTemplate('items: {{json items}}', data)).toBe('items: [1,{"a":2}]');
+      expect(() => processTemplate('{{json name}}', data)).toThrow('Template processing error');
+    });
+
+    it('should keep types inside JSON templates', () => {
+      expect(processJsonTemplate({ id: '{{number id}}', items: '{{json items}}', label: 'User {{id}}' }, data))
+        .toEqual({ id: 7, items: data.items, label: 'User 7' });
+    });
+  });
+
   describe('JSON Template Processing', () => {
     it('should process string values in a JSON object', () => {
       const data = { id: '123', startTime: Date.now() - 100 };
@@ -138,6 +191,415 @@ describe('Server Utils', () => {
     });
   });
 
+  describe('Handlebars Instances', () => {
+    it('should render with the helpers and partials of an instance', () => {
+      const handlebars = createHandlebars({
+        helpers: { sku: (number) => `SKU-${number}` },
+        partials: { greeting: 'Hello {{name}}' }
+      });
+
+      expect(processTemplate('{{sku 7}}', {}, { handlebars })).toBe('SKU-7');
+      expect(processTemplate('{{> greeting}}!', { name: 'Ada' }, { handlebars })).toBe('Hello Ada!');
+      expect(processJsonTemplate({ id: '{{sku (add 1 2)}}' }, {}, { handlebars })).toEqual({ id: 'SKU-3' });
+      expect(processTemplate('{{upper name}}', { name: 'ada' }, { handlebars })).toBe('ADA');
+    });
+
+    it('should keep instances apart', () => {
+      const handlebars = createHandlebars({ helpers: { sku: () => 'SKU' } });
+      expect(createHandlebars().helpers.sku).toBeUndefined();
+      expect(require('handlebars').helpers.sku).toBeUndefined();
+      expect(() => processTemplate('{{sku 7}}', {})).toThrow('Template processing error');
+      expect(processTemplate('{{sku 7}}', {}, { handlebars })).toBe('SKU');
+    });
+
+    it('should validate templates against the helpers and partials of an instance', () => {
+      const handlebars = createHandlebars({ helpers: { sku: () => 'SKU' }, partials: { label: 'Label' } });
+      const config = { routes: [{ method: 'get', path: '/products', response: { sku: '{{sku 1}}', label: '{{> label}}' } }] };
+
+      expect(() => validateConfig(config, handlebars)).not.toThrow();
+      expect(() => validateConfig(config)).toThrow('Unknown template helper "sku" in "{{sku 1}}"');
+      // Single-expression templates hand their typed value back through a helper other templates cannot call
+      expect(createHandlebars().helpers).not.toHaveProperty('typedValue');
+      for (const template of ['{{typedValue 1}}', '{{__typedValue 1}}', 'id: {{__typedValue params.id}}']) {
+        expect(() => validateConfig({ routes: [{ method: 'get', path: '/', response: template }] }))
+          .toThrow(/^Unknown template helper "(__)?typedValue"/);
+      }
+      expect(() => validateConfig({ routes: [{ method: 'get', path: '/', response: '{{> label}}' }] }))
+        .toThrow('Unknown template partial "label" in "{{> label}}"');
+      expect(() => validateConfig({ routes: [{ method: 'get', path: '/', response: '{{#> layout}}fallback{{/layout}}' }] }))
+        .not.toThrow();
+    });
+
+    it('should validate custom helpers, partials and their configuration', () => {
+      expect(() => createHandlebars({ helpers: { sku: 'SKU' } })).toThrow('Helper sku must be a function');
+      expect(() => createHandlebars({ helpers: { eq: () => true } })).toThrow('Helper eq is built in and cannot be replaced');
+      expect(() => createHandlebars({ helpers: { __typedValue: () => 1 } })).toThrow('Helper __typedValue is reserved');
+      expect(() => createHandlebars({ partials: { label: {} } })).toThrow('Partial label must be a template string');
+
+      expect(() => validateConfig({ globals: { helpers: 'helpers.js', partials: 'partials' }, routes: [] })).not.toThrow();
+      expect(() => validateConfig({ globals: { helpers: ['a.js', 'b.js'] }, routes: [] })).not.toThrow();
+      expect(() => validateConfig({ globals: { helpers: [1] }, routes: [] }))
+        .toThrow('helpers must be a module path or an array of module paths');
+      expect(() => validateConfig({ globals: { partials: '' }, routes: [] })).toThrow('partials must be a directory path');
+    });
+  });
+
+  describe('Template Cache', () => {
+    let handlebars;
+
+    beforeEach(() => {
+      handlebars = createHandlebars();
+      jest.spyOn(handlebars, 'compile');
+    });
+
+    it('should compile a template once and render it with the data of every call', () => {
+      const now = Date.now();
+      expect(processTemplate('{{responseTime}}', { startTime: now - 1000 }, { handlebars })).toBeGreaterThanOrEqual(1000);
+      expect(processTemplate('{{responseTime}}', { startTime: now }, { handlebars })).toBeLessThan(1000);
+      expect(processTemplate('User {{id}}', { id: '1' }, { handlebars })).toBe('User 1');
+      expect(processTemplate('User {{id}}', { id: '2' }, { handlebars })).toBe('User 2');
+
+      expect(handlebars.compile).toHaveBeenCalledTimes(2);
+    });
+
+    it('should compile templates ahead of the first request', () => {
+      precompileTemplates({ id: '{{params.id}}', items: ['{{uuid}}', 'static', 7], nested: { name: '{{body.name}}' } }, handlebars);
+      expect(handlebars.compile).toHaveBeenCalledTimes(3);
+
+      expect(processJsonTemplate({ id: '{{params.id}}', nested: { name: '{{body.name}}' } },
+        { params: { id: '1' }, body: { name: 'Ada' } }, { handlebars })).toEqual({ id: '1', nested: { name: 'Ada' } });
+      expect(handlebars.compile).toHaveBeenCalledTimes(3);
+    });
+
+    it('should render text without expressions as is', () => {
+      expect(processTemplate('plain text', {}, { handlebars })).toBe('plain text');
+      expect(handlebars.compile).not.toHaveBeenCalled();
+    });
+
+    it('should keep string and object templates apart', () => {
+      expect(processTemplate({ id: '{{id}}' }, { id: '1' }, { handlebars })).toEqual({ id: '1' });
+      expect(processTemplate('{"id":"{{id}}"}', { id: '1' }, { handlebars })).toBe('{"id":"1"}');
+    });
+
+    it('should keep a cache per Handlebars instance', () => {
+      const other = createHandlebars({ helpers: { name: () => 'other' } });
+      expect(processTemplate('{{name 1}}', {}, { handlebars: other })).toBe('other');
+      expect(() => processTemplate('{{name 1}}', {}, { handlebars })).toThrow('Template processing error');
+    });
+  });
+
+  describe('Fake Data Helper', () => {
+    it('should generate data in the configured locale', () => {
+      const template = "{{fake 'location.country'}}";
+      expect(processTemplate(template)).toBe('United States');
+      expect(processTemplate(template, {}, { locale: 'de' })).toBe('Deutschland');
+      expect(processTemplate("{{fake 'location.country' locale='fr'}}", {}, { locale: 'de' })).toBe('France');
+    });
+
+    it('should pass hash options and seeds to the generator', () => {
+      const response = processJsonTemplate({
+        words: "{{fake 'lorem.words' count=3}}",
+        name: "{{fake 'person.fullName' seed=1}}",
+        again: "{{fake 'person.fullName' seed=1}}"
+      }, {}, { locale: 'es' });
+
+      expect(response.words.split(' ')).toHaveLength(3);
+      expect(response.name).toBe(response.again);
+    });
+  });
+
+  describe('Repeat Directive', () => {
+    const { createRandom } = require('../lib/random');
+
+    it('should expand the item template with its index', () => {
+      const response = processJsonTemplate({
+        total: '{{limit}}',
+        items: { $repeat: { count: '{{limit}}', template: { id: '{{@index}}', first: '{{#if @first}}yes{{/if}}', last: '{{@last}}' } } }
+      }, { limit: '3' });
+
+      expect(response).toEqual({
+        total: '3',
+        items: [
+          { id: 0, first: 'yes', last: false },
+          { id: 1, first: '', last: false },
+          { id: 2, first: '', last: true }
+        ]
+      });
+    });
+
+    it('should expand nested directives with their own index', () => {
+      const response = processJsonTemplate({ $repeat: { count: 2, template: { tags: { $repeat: { count: 3, template: 't{{@index}}' } } } } }, {});
+      expect(response).toEqual([{ tags: ['t0', 't1', 't2'] }, { tags: ['t0', 't1', 't2'] }]);
+    });
+
+    it('should pick a random count between min and max when the count is missing or empty', () => {
+      const repeat = { $repeat: { count: '{{limit}}', min: 2, max: '{{max}}', template: {} } };
+      const counts = new Set();
+      for (let seed = 0; seed < 20; seed++) {
+        const { length } = processJsonTemplate(repeat, { max: '4' }, { random: createRandom(seed) });
+        expect(length).toBeGreaterThanOrEqual(2);
+        expect(length).toBeLessThanOrEqual(4);
+        counts.add(length);
+      }
+      expect(counts.size).toBeGreaterThan(1);
+
+      expect(processJsonTemplate(repeat, { max: '4' }, { random: createRandom(1) }))
+        .toHaveLength(processJsonTemplate(repeat, { max: '4' }, { random: createRandom(1) }).length);
+      expect(processJsonTemplate(repeat, { limit: '0', max: '4' })).toEqual([]);
+    });
+
+    it('should treat objects with other keys as plain objects', () => {
+      expect(processJsonTemplate({ $repeat: 'literal', note: '{{name}}' }, { name: 'Ada' }))
+        .toEqual({ $repeat: 'literal', note: 'Ada' });
+    });
+
+    it('should reject counts that are not usable', () => {
+      expect(() => processJsonTemplate({ $repeat: { count: '{{limit}}', template: 1 } }, { limit: 'ten' }))
+        .toThrow('$repeat count must be a non-negative integer, got "ten"');
+      expect(() => processJsonTemplate({ $repeat: { count: '{{limit}}', template: 1 } }, {}))
+        .toThrow('$repeat needs a count, or a min and max');
+      expect(() => processJsonTemplate({ $repeat: { count: '{{limit}}', template: 1 } }, { limit: '10001' }))
+        .toThrow('$repeat count must not exceed 10000');
+      expect(() => processJsonTemplate({ items: [{ $repeat: { count: '{{limit}}', template: 1 } }] }, { limit: 'x' }))
+        .toThrow(expect.objectContaining({ name: 'ValidationError', status: 400 }));
+    });
+
+    it('should validate directives in route and sequence responses', () => {
+      const route = { method: 'get', path: '/items' };
+      const repeat = (options) => ({ ...route, response: { items: { $repeat: options } } });
+
+      expect(() => validateConfig({ routes: [repeat({ count: '{{limit}}', min: 1, max: 5, template: { id: '{{@index}}' } })] }))
+        .not.toThrow();
+      expect(() => validateConfig({ routes: [repeat([])] })).toThrow('$repeat must be an object with a "template"');
+      expect(() => validateConfig({ routes: [repeat({ count: 1, each: {}, template: {} })] }))
+        .toThrow('Invalid $repeat fields: each');
+      expect(() => validateConfig({ routes: [repeat({ count: -1, template: {} })] }))
+        .toThrow('$repeat count must be an integer between 0 and 10000, or a template');
+      expect(() => validateConfig({ routes: [repeat({ min: 1, template: {} })] }))
+        .toThrow('$repeat needs a count, or a min and max');
+      expect(() => validateConfig({ routes: [repeat({ min: 5, max: 1, template: {} })] }))
+        .toThrow('$repeat min must not be greater than max');
+      expect(() => validateConfig({
+        routes: [{ ...route, responses: [{ response: [{ $repeat: { count: 1, template: { $repeat: { template: 1 } } } }] }] }]
+      })).toThrow('$repeat needs a count, or a min and max');
+    });
+  });
+
+  describe('Response Body Validation', () => {
+    const route = { method: 'get', path: '/users/:id' };
+    const validate = (options) => () => validateConfig({ routes: [{ ...route, ...options }] });
+
+    it('should accept raw bodies and representations', () => {
+      expect(validate({ contentType: 'application/xml', body: '<id>{{params.id}}</id>' })).not.toThrow();
+      expect(validate({ contentType: 'image/gif', bodyBase64: 'R0lGODlhAQABAAAAACw=' })).not.toThrow();
+      expect(validate({
+        representations: [
+          { contentType: 'application/json', response: { id: '{{params.id}}' } },
+          { contentType: 'text/csv', body: 'id\n{{params.id}}' },
+          { contentType: 'application/pdf', responseFile: 'users.pdf' }
+        ]
+      })).not.toThrow();
+      expect(validate({ response: {}, responses: [{ body: 'done', contentType: 'text' }] })).not.toThrow();
+    });
+
+    it('should reject invalid bodies', () => {
+      expect(validate({ response: {}, body: 'x' })).toThrow('response and body cannot be combined');
+      expect(validate({ body: 'x', bodyBase64: 'eA==' })).toThrow('body and bodyBase64 cannot be combined');
+      expect(validate({ contentType: ' ', body: 'x' })).toThrow('contentType must be a non-empty string');
+      expect(validate({ body: { id: 1 } })).toThrow('body must be a string template');
+      expect(validate({ bodyBase64: 'not base64!' })).toThrow('bodyBase64 must be a Base64 string');
+      expect(validate({ body: '{{sku 1}}' })).toThrow('Unknown template helper "sku"');
+    });
+
+    it('should reject invalid representations', () => {
+      const representations = (value) => validate({ representations: value });
+      expect(representations([])).toThrow('representations must be a non-empty array');
+      expect(representations(['json'])).toThrow('Each representation must be an object');
+      expect(representations([{ contentType: 'text', body: 'x', status: 200 }])).toThrow('Invalid representation fields: status');
+      expect(representations([{ body: 'x' }])).toThrow('Each representation must have a contentType');
+      expect(representations([{ contentType: 'text', body: 'x' }, { contentType: 'text', body: 'y' }]))
+        .toThrow('Duplicate representation contentType: text');
+      expect(representations([{ contentType: 'text' }]))
+        .toThrow('Representation text must have a response, responseFile, body or bodyBase64');
+      expect(representations([{ contentType: 'json', response: { items: { $repeat: [] } } }]))
+        .toThrow('$repeat must be an object with a "template"');
+      expect(validate({ response: {}, representations: [{ contentType: 'text', body: 'x' }] }))
+        .toThrow('response and representations cannot be combined');
+    });
+  });
+
+  describe('Status Validation', () => {
+    const route = { method: 'get', path: '/users/:id' };
+    const validate = (options) => () => validateConfig({ routes: [{ ...route, ...options }] });
+
+    it('should accept statuses without a body, locations and error bodies', () => {
+      expect(validate({ status: 204 })).not.toThrow();
+      expect(validate({ status: 302, location: '/users/{{params.id}}' })).not.toThrow();
+      expect(validate({ errorCode: 422, errorBody: { title: 'Invalid', detail: '{{params.id}}' } })).not.toThrow();
+      expect(validate({ response: {}, responses: [{ status: 304 }, { status: 201, location: '/a' }] })).not.toThrow();
+    });
+
+    it('should reject bodies of statuses without one and invalid locations and error bodies', () => {
+      expect(validate({ status: 204, response: {} })).toThrow('status 204 responses cannot have a body');
+      expect(validate({ status: 304, body: 'x' })).toThrow('status 304 responses cannot have a body');
+      expect(validate({ status: 301, location: '' })).toThrow('location must be a URL template');
+      expect(validate({ location: '/{{sku 1}}' })).toThrow('Unknown template helper "sku"');
+      expect(validate({ errorCode: 500, errorBody: { items: { $repeat: [] } } }))
+        .toThrow('$repeat must be an object with a "template"');
+      expect(validate({ errorCode: 500, errorBody: '{{#if}}' })).toThrow('Invalid template');
+    });
+  });
+
+  describe('SSE Validation', () => {
+    const route = { method: 'get', path: '/events' };
+    const validate = (sse, options) => () => validateConfig({ routes: [{ ...route, ...options, sse }] });
+
+    it('should accept event scripts', () => {
+      expect(validate({})).not.toThrow();
+      expect(validate({
+        events: [{ event: 'tick', data: { n: '{{sse.number}}' }, id: 'tick-{{sse.number}}', delay: 500 }, { data: 'x' }],
+        repeat: true,
+        retry: 3000,
+        close: false
+      })).not.toThrow();
+      expect(validate({ events: [{ data: 1 }], repeat: 3 }, { headers: { 'X-Feed': 'on' } })).not.toThrow();
+    });
+
+    it('should reject invalid event scripts', () => {
+      expect(validate([])).toThrow('sse must be an object');
+      expect(validate({ loop: true })).toThrow('Invalid sse fields: loop');
+      expect(validate({}, { response: {} })).toThrow('sse cannot be combined with response');
+      expect(validate({}, { status: 201, proxy: 'http://localhost:4000' })).toThrow('sse cannot be combined with status, proxy');
+      expect(validate({ events: {} })).toThrow('sse events must be an array');
+      expect(validate({ events: ['tick'] })).toThrow('Each sse event must be an object');
+      expect(validate({ events: [{ data: 1, name: 'tick' }] })).toThrow('Invalid sse event fields: name');
+      expect(validate({ events: [{ event: 'tick' }] })).toThrow('Each sse event must have data');
+      expect(validate({ events: [{ event: 'a\nb', data: 1 }] })).toThrow('sse event names must be single-line strings');
+      expect(validate({ events: [{ id: {}, data: 1 }] })).toThrow('sse event ids must be strings or numbers');
+      expect(validate({ events: [{ delay: -1, data: 1 }] })).toThrow('sse event delay must be a non-negative number');
+      expect(validate({ repeat: 0 })).toThrow('sse repeat must be true or a positive integer');
+      expect(validate({ repeat: true })).toThrow('sse repeat needs at least one event');
+      expect(validate({ repeat: 2, events: [] })).toThrow('sse repeat needs at least one event');
+      expect(validate({ retry: '1s' })).toThrow('sse retry must be a non-negative number');
+      expect(validate({ close: 'yes' })).toThrow('sse close must be a boolean');
+      expect(validate({ repeat: true, events: [{ data: 1 }] })).toThrow('sse events that repeat forever need a delay or interval');
+      expect(validate({ events: [{ data: '{{#if}}' }] })).toThrow('Invalid template');
+    });
+  });
+
+  describe('Stream Validation', () => {
+    const route = { method: 'get', path: '/feed', response: [] };
+    const validate = (options) => () => validateConfig({ routes: [{ ...route, ...options }] });
+
+    it('should accept streaming options on routes and sequence entries', () => {
+      expect(validate({ throttle: 1024, chunks: { count: 4, delay: 50 }, ndjson: true })).not.toThrow();
+      expect(validate({ responses: [{ chunks: { size: 8 } }, { throttle: 64 }, { ndjson: false }] })).not.toThrow();
+    });
+
+    it('should reject invalid streaming options on routes and sequence entries', () => {
+      expect(validate({ throttle: -1 })).toThrow('throttle must be a positive number of bytes per second');
+      expect(validate({ responses: [{ chunks: { size: 8, count: 2 } }] })).toThrow('chunks can set a size or a count, not both');
+      expect(validate({ responses: [{ ndjson: 1 }] })).toThrow('ndjson must be a boolean');
+    });
+  });
+
+  describe('Response File Validation', () => {
+    const route = { method: 'get', path: '/users/:id' };
+    const validate = (responseFile, extra = {}) => () => validateConfig({ routes: [{ ...route, ...extra, responseFile }] });
+
+    it('should accept paths and file options', () => {
+      expect(validate('users/{{params.id}}.json')).not.toThrow();
+      expect(validate({ path: 'page.html', render: false, fallback: 'default.html' })).not.toThrow();
+      expect(validate({ path: 'a.json', fallback: { status: 410, body: { id: '{{params.id}}' } } })).not.toThrow();
+      expect(() => validateConfig({
+        routes: [{ ...route, response: {}, responses: [{ responseFile: 'a.json' }, { response: { ok: true } }] }]
+      })).not.toThrow();
+    });
+
+    it('should reject invalid response files', () => {
+      expect(validate('a.json', { response: {} })).toThrow('response and responseFile cannot be combined');
+      expect(validate('')).toThrow('responseFile must be a path or an object with a "path"');
+      expect(validate({ render: true })).toThrow('responseFile must be a path or an object with a "path"');
+      expect(validate({ path: 'a.json', type: 'json' })).toThrow('Invalid responseFile fields: type');
+      expect(validate({ path: 'a.json', render: 'yes' })).toThrow('responseFile render must be a boolean');
+      expect(validate({ path: 'a.json', fallback: { headers: {} } }))
+        .toThrow('responseFile fallback must be a path or an object with a "status" and "body"');
+      expect(validate({ path: 'a.json', fallback: { status: 99 } }))
+        .toThrow('responseFile fallback status must be a valid HTTP status code (100-599)');
+      expect(validate('users/{{sku params.id}}.json')).toThrow('Unknown template helper "sku"');
+    });
+  });
+
+  describe('Seeded Helpers', () => {
+    const { createRandom } = require('../lib/random');
+    const template = {
+      id: '{{uuid}}',
+      score: '{{random 1 1000}}',
+      name: "{{fake 'person.fullName'}}",
+      joined: "{{fake 'date.past' days=30}}"
+    };
+
+    it('should render the same values for the same random sequence', () => {
+      const now = Date.now();
+      const first = processJsonTemplate(template, {}, { random: createRandom(1), now });
+      const second = processJsonTemplate(template, {}, { random: createRandom(1), now });
+
+      expect(second).toEqual(first);
+      expect(first.id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      expect(processJsonTemplate(template, {}, { random: createRandom(2), now })).not.toEqual(first);
+    });
+
+    it('should use the frozen time', () => {
+      const now = Date.parse('2024-03-01T12:00:00Z');
+      const response = processJsonTemplate({ at: '{{now}}', joined: template.joined }, {}, { now });
+
+      expect(response.at).toBe('2024-03-01T12:00:00.000Z');
+      expect(Date.parse(response.joined)).toBeLessThanOrEqual(now);
+    });
+  });
+
+  describe('Template Data', () => {
+    const req = {
+      method: 'POST',
+      path: '/users/1',
+      params: { id: '1' },
+      query: { q: 'a' },
+      body: { id: '2' },
+      headers: { authorization: 'Bearer token', cookie: 'session=abc%20def; theme="dark"; broken=%E0; flag' }
+    };
+
+    it('should namespace the request parts', () => {
+      const startTime = Date.now() - 5;
+      const data = createTemplateData({ ...req, startTime });
+
+      expect(data.request).toEqual({
+        method: 'POST',
+        path: '/users/1',
+        params: { id: '1' },
+        query: { q: 'a' },
+        body: { id: '2' },
+        headers: req.headers,
+        cookies: { session: 'abc def', theme: 'dark', broken: '%E0' }
+      });
+      expect(data).toMatchObject({ params: req.params, query: req.query, body: req.body, headers: req.headers, startTime });
+      expect(data.cookies).toBe(data.request.cookies);
+      expect(data.id).toBeUndefined();
+      expect(data.responseTime).toBeGreaterThanOrEqual(5);
+      expect(processTemplate('{{params.id}}/{{body.id}}/{{request.cookies.session}}', data)).toBe('1/2/abc def');
+    });
+
+    it('should merge params, query and body fields into the top level when asked to', () => {
+      const data = createTemplateData(req, { flat: true });
+      expect(data).toMatchObject({ id: '2', q: 'a', params: { id: '1' } });
+    });
+
+    it('should use parsed cookies and default missing parts', () => {
+      const data = createTemplateData({ method: 'GET', path: '/', cookies: { session: 'parsed' } });
+      expect(data.request).toMatchObject({ params: {}, query: {}, body: {}, headers: {}, cookies: { session: 'parsed' } });
+      expect(createTemplateData({ method: 'GET', path: '/' }).cookies).toEqual({});
+    });
+  });
+
   describe('Condition Checking', () => {
     it('should match query conditions', () => {
       const req = { query: { type: 'premium' } };
@@ -269,6 +731,13 @@ describe('Server Utils', () => {
       expect(result).toBe(false);
     });
 
+    it('should match scenario conditions against scenario states', () => {
+      const conditions = { scenario: { order: 'paid' } };
+      expect(checkConditions(conditions, {}, { order: 'paid' })).toBe(true);
+      expect(checkConditions(conditions, {}, { order: 'created' })).toBe(false);
+      expect(checkConditions(conditions, {})).toBe(false);
+    });
+
     it('should test matchValues directly for edge cases', () => {
       // Test null/undefined cases
       expect(matchValues({}, null)).toBe(false);
@@ -603,6 +1072,335 @@ describe('Server Utils', () => {
       expect(() => validateConfig(config)).toThrow('CORS credentials must be a boolean');
     });
 
+    it('should validate config with resources', () => {
+      const config = {
+        routes: [],
+        resources: [
+          { name: 'users', basePath: '/users', seed: [{ id: 1, name: 'John' }] },
+          { name: 'products', basePath: '/products', idField: 'sku', seed: [{ sku: 'A-1' }] }
+        ]
+      };
+
+      expect(() => validateConfig(config)).not.toThrow();
+    });
+
+    it('should throw for invalid resources', () => {
+      expect(() => validateConfig({ routes: [], resources: {} }))
+        .toThrow('resources must be an array');
+      expect(() => validateConfig({
+        routes: [],
+        resources: [{ name: 'users', basePath: '/users' }, { name: 'users', basePath: '/people' }]
+      })).toThrow('Duplicate resource name: users');
+    });
+
+    it('should test validateResource directly', () => {
+      expect(() => validateResource(null)).toThrow('Each resource must have a name');
+      expect(() => validateResource({ basePath: '/users' })).toThrow('Each resource must have a name');
+      expect(() => validateResource({ name: 'users', basePath: 'users' }))
+        .toThrow('Resource users must have a basePath starting with "/"');
+      expect(() => validateResource({ name: 'users', basePath: '/users', idField: '' }))
+        .toThrow('Resource users idField must be a non-empty string');
+      expect(() => validateResource({ name: 'users', basePath: '/users', seed: {} }))
+        .toThrow('Resource users seed must be an array');
+      expect(() => validateResource({ name: 'users', basePath: '/users', seed: [{ name: 'No id' }] }))
+        .toThrow('Resource users seed items must be objects with a "id" field');
+      expect(() => validateResource({ name: 'users', basePath: '/users', seed: [null] }))
+        .toThrow('seed items must be objects');
+      expect(() => validateResource({
+        name: 'users',
+        basePath: '/users',
+        seed: [{ id: 1 }, { id: '1' }]
+      })).toThrow('Resource users seed has duplicate id "1"');
+    });
+
+    it('should validate WebSocket endpoints', () => {
+      expect(() => validateConfig({
+        routes: [],
+        websockets: [
+          {
+            id: 'chat',
+            path: '/chat/:room',
+            onConnect: [{ message: { room: '{{params.room}}' }, delay: 10 }],
+            messages: [
+              { match: { type: 'say' }, reply: '{{message.text}}', broadcast: true },
+              { match: 'bye', close: { code: 4000, reason: 'Bye' } }
+            ],
+            broadcasts: [{ interval: 1000, message: { at: '{{now}}' } }],
+            close: { after: 60000, code: 1000 }
+          }
+        ]
+      })).not.toThrow();
+      expect(() => validateConfig({ routes: [], websockets: {} })).toThrow('websockets must be an array');
+      expect(() => validateConfig({ routes: [], websockets: [{ path: '/ws' }, { path: '/ws' }] }))
+        .toThrow('Duplicate websocket path: /ws');
+    });
+
+    it('should test validateWebSocket directly', () => {
+      const validate = (endpoint) => () => validateWebSocket({ path: '/ws', ...endpoint });
+      expect(() => validateWebSocket(null)).toThrow('Each websocket must have a path starting with "/"');
+      expect(() => validateWebSocket({ path: 'ws' })).toThrow('Each websocket must have a path starting with "/"');
+      expect(validate({ replies: [] })).toThrow('Invalid WebSocket /ws fields: replies');
+      expect(validate({ id: '' })).toThrow('WebSocket /ws id must be a non-empty string');
+      expect(validate({ onConnect: {} })).toThrow('WebSocket /ws onConnect must be an array');
+      expect(validate({ messages: ['ping'] })).toThrow('Each WebSocket /ws messages entry must be an object');
+      expect(validate({ messages: [{ when: {}, reply: 1 }] })).toThrow('Invalid WebSocket /ws messages fields: when');
+      expect(validate({ onConnect: [{ message: 1, delay: -1 }] })).toThrow('WebSocket /ws onConnect delay must be a non-negative number');
+      expect(validate({ onConnect: [{ delay: 1 }] })).toThrow('Each WebSocket /ws onConnect entry must have a message');
+      expect(validate({ messages: [{ match: 'ping' }] })).toThrow('Each WebSocket /ws messages entry must have a reply or close');
+      expect(validate({ messages: [{ reply: 1, broadcast: 'yes' }] })).toThrow('WebSocket /ws messages broadcast must be a boolean');
+      expect(validate({ messages: [{ close: 4000 }] })).toThrow('WebSocket /ws messages close must be an object');
+      expect(validate({ messages: [{ close: { code: 1006 } }] }))
+        .toThrow('WebSocket /ws messages close code must be 1000 or between 3000 and 4999');
+      expect(validate({ messages: [{ close: { reason: 'x'.repeat(124) } }] }))
+        .toThrow('WebSocket /ws messages close reason must be a string of at most 123 bytes');
+      expect(validate({ broadcasts: [{ interval: 10 }] })).toThrow('Each WebSocket /ws broadcasts entry must have a message');
+      expect(validate({ broadcasts: [{ message: 1, interval: 0 }] }))
+        .toThrow('WebSocket /ws broadcasts interval must be a positive number');
+      expect(validate({ close: { after: 10, when: 1 } })).toThrow('Invalid WebSocket /ws close fields: when');
+      expect(validate({ close: { code: 4001 } })).toThrow('WebSocket /ws close after must be a non-negative number');
+      expect(validate({ messages: [{ reply: '{{#if}}' }] })).toThrow('Invalid template');
+    });
+
+    it('should validate config with sequences and scenarios', () => {
+      const config = {
+        scenarios: { order: 'created' },
+        routes: [
+          {
+            path: '/jobs/:id',
+            method: 'GET',
+            sequenceMode: 'cycle',
+            responses: [
+              { status: 202, response: { state: 'running' }, delay: 10 },
+              { errorCode: 503, errorMessage: 'Try again' },
+              { status: 200, response: { state: 'done' }, headers: { 'X-State': 'done' } }
+            ]
+          },
+          {
+            path: '/orders/1/pay',
+            method: 'POST',
+            transition: { order: 'paid' },
+            response: {}
+          },
+          {
+            path: '/orders/1',
+            method: 'GET',
+            conditions: { scenario: { order: 'paid' } },
+            response: { state: 'paid' }
+          }
+        ]
+      };
+
+      expect(() => validateConfig(config)).not.toThrow();
+    });
+
+    it('should throw for invalid scenarios', () => {
+      expect(() => validateConfig({ routes: [], scenarios: [] }))
+        .toThrow('scenarios must be an object mapping scenario names to initial states');
+      expect(() => validateConfig({ routes: [], scenarios: { order: 1 } }))
+        .toThrow('Scenario order initial state must be a string');
+      expect(() => validateConfig({
+        routes: [{ path: '/a', method: 'GET', conditions: { scenario: { order: 'paid' } } }]
+      })).toThrow('Unknown scenario in conditions: order');
+    });
+
+    it('should throw for invalid transitions', () => {
+      const routeWith = transition => ({
+        scenarios: { order: 'created' },
+        routes: [{ path: '/a', method: 'POST', transition }]
+      });
+
+      expect(() => validateConfig(routeWith(['paid'])))
+        .toThrow('transition must be an object mapping scenario names to states');
+      expect(() => validateConfig(routeWith({ payment: 'done' })))
+        .toThrow('Unknown scenario in transition: payment');
+      expect(() => validateConfig(routeWith({ order: true })))
+        .toThrow('Scenario order state must be a string');
+    });
+
+    it('should throw for invalid status', () => {
+      const config = { routes: [{ path: '/a', method: 'GET', status: 700 }] };
+      expect(() => validateConfig(config)).toThrow('status must be a valid HTTP status code (100-599)');
+    });
+
+    it('should test validateSequence directly', () => {
+      expect(() => validateSequence({ responses: [] }, {}))
+        .toThrow('responses must be a non-empty array');
+      expect(() => validateSequence({ responses: [null] }, {}))
+        .toThrow('Each responses entry must be an object');
+      expect(() => validateSequence({ responses: [{ payload: {} }] }, {}))
+        .toThrow('Invalid responses entry fields: payload');
+      expect(() => validateSequence({ responses: [{ errorCode: 200 }] }, {}))
+        .toThrow('errorCode must be a valid HTTP error status code');
+      expect(() => validateSequence({ responses: [{ delay: -1 }] }, {}))
+        .toThrow('delay must be a non-negative number');
+      expect(() => validateSequence({ responses: [{}], sequenceMode: 'random' }, {}))
+        .toThrow('sequenceMode must be "cycle" or "stick-on-last"');
+    });
+
+    it('should validate admin options and route ids', () => {
+      const route = { path: '/a', method: 'GET', response: {} };
+      expect(() => validateConfig({ globals: { admin: false }, routes: [route] })).not.toThrow();
+      expect(() => validateConfig({
+        globals: { admin: { prefix: '/_mock' } },
+        routes: [{ ...route, id: 'a' }, { ...route, id: 'b' }]
+      })).not.toThrow();
+
+      expect(() => validateConfig({ globals: { admin: 'yes' }, routes: [] }))
+        .toThrow('admin must be a boolean or an object');
+      expect(() => validateConfig({ globals: { admin: null }, routes: [] }))
+        .toThrow('admin must be a boolean or an object');
+      expect(() => validateConfig({ globals: { admin: { prefix: '/' } }, routes: [] }))
+        .toThrow('admin prefix must be a path starting with "/"');
+      expect(() => validateConfig({ routes: [{ ...route, id: 1 }] }))
+        .toThrow('Route id must be a non-empty string');
+      expect(() => validateConfig({ routes: [{ ...route, id: 'a' }, { ...route, id: 'a' }] }))
+        .toThrow('Duplicate route id: a');
+      expect(() => validateConfig({ routes: [null] }))
+        .toThrow('Each route must have a method and path');
+    });
+
+    it('should validate request journal options', () => {
+      expect(() => validateConfig({ globals: { journal: false }, routes: [] })).not.toThrow();
+      expect(() => validateConfig({ globals: { journal: { limit: 50 } }, routes: [] })).not.toThrow();
+
+      expect(() => validateConfig({ globals: { journal: 100 }, routes: [] }))
+        .toThrow('journal must be a boolean or an object');
+      expect(() => validateConfig({ globals: { journal: { limit: 0 } }, routes: [] }))
+        .toThrow('journal limit must be a positive integer');
+    });
+
+    it('should validate proxy options', () => {
+      expect(() => validateConfig({
+        globals: { proxy: { target: 'https://api.example.com', record: true, recordFile: 'recorded.json', timeout: 5000 } },
+        routes: []
+      })).not.toThrow();
+      expect(() => validateProxyOptions({})).not.toThrow();
+
+      expect(() => validateConfig({ globals: { proxy: 'http://api' }, routes: [] }))
+        .toThrow('proxy must be an object');
+      expect(() => validateProxyOptions(null)).toThrow('proxy must be an object');
+      expect(() => validateProxyOptions({ target: 'http://api', port: 80 }))
+        .toThrow('Invalid proxy configuration fields: port');
+      expect(() => validateProxyOptions({ target: 'ftp://api' }))
+        .toThrow('proxy target must be an http or https URL');
+      expect(() => validateProxyOptions({ target: 'not a url' }))
+        .toThrow('proxy target must be an http or https URL');
+      expect(() => validateProxyOptions({ record: 'yes' })).toThrow('proxy record must be a boolean');
+      expect(() => validateProxyOptions({ recordFile: '' })).toThrow('proxy recordFile must be a non-empty string');
+      expect(() => validateProxyOptions({ timeout: 0 })).toThrow('proxy timeout must be a positive number');
+      expect(() => validateProxyOptions({ headers: { Cookie: null, 'X-Key': 'a' }, stripPrefix: '/api' })).not.toThrow();
+      expect(() => validateProxyOptions({ headers: { 'X-Key': 1 } }))
+        .toThrow('proxy headers must map header names to strings, or null to remove them');
+      expect(() => validateProxyOptions({ stripPrefix: 'api' })).toThrow('proxy stripPrefix must be a path starting with "/"');
+    });
+
+    it('should validate route request schemas', () => {
+      const route = { method: 'post', path: '/users' };
+      expect(() => validateConfig({ routes: [{ ...route, requestSchema: { body: { type: 'object' }, status: 422 } }] }))
+        .not.toThrow();
+      expect(() => validateConfig({ routes: [{ ...route, requestSchema: { body: { type: 'text' } } }] }))
+        .toThrow(/^Route POST \/users: Invalid requestSchema body: /);
+      expect(() => validateConfig({ routes: [{ ...route, requestSchema: { status: 409 } }] }))
+        .toThrow('Route POST /users: requestSchema status must be 400 or 422');
+    });
+
+    it('should validate OpenAPI import options', () => {
+      expect(() => validateConfig({ globals: { openapi: { spec: 'openapi.yaml', validateRequests: true } }, routes: [] }))
+        .not.toThrow();
+      expect(() => validateConfig({ globals: { openapi: 'openapi.yaml' }, routes: [] }))
+        .toThrow('globals.openapi must have a "spec" path');
+      expect(() => validateConfig({ globals: { openapi: { spec: 'openapi.yaml', watch: true } }, routes: [] }))
+        .toThrow('Invalid openapi configuration fields: watch');
+      expect(() => validateConfig({ globals: { openapi: { spec: 'openapi.yaml', validateRequests: 'yes' } }, routes: [] }))
+        .toThrow('openapi validateRequests must be a boolean');
+      expect(() => validateConfig({ globals: { openapi: { spec: 'openapi.yaml', validateResponses: 1 } }, routes: [] }))
+        .toThrow('openapi validateResponses must be a boolean');
+    });
+
+    it('should validate response schemas and the response validation mode', () => {
+      const route = { method: 'get', path: '/users', response: [] };
+      expect(() => validateConfig({
+        globals: { responseValidation: 'warn' },
+        routes: [{ ...route, responseSchema: { type: 'array' }, responses: [{ response: [], responseSchema: { type: 'array' } }] }]
+      })).not.toThrow();
+
+      expect(() => validateConfig({ globals: { responseValidation: 'loose' }, routes: [] }))
+        .toThrow('responseValidation must be "strict" or "warn"');
+      expect(() => validateConfig({ globals: { locale: 'de' }, routes: [] })).not.toThrow();
+      expect(() => validateConfig({
+        globals: { seed: 'snapshots', seedPerRequest: true, frozenTime: '2024-01-01T00:00:00Z' },
+        routes: []
+      })).not.toThrow();
+      expect(() => validateConfig({ globals: { seed: 1, frozenTime: 1704067200000 }, routes: [] })).not.toThrow();
+      expect(() => validateConfig({ globals: { seed: '' }, routes: [] }))
+        .toThrow('seed must be a number or a non-empty string');
+      expect(() => validateConfig({ globals: { seed: Infinity }, routes: [] }))
+        .toThrow('seed must be a number or a non-empty string');
+      expect(() => validateConfig({ globals: { seedPerRequest: 'yes' }, routes: [] }))
+        .toThrow('seedPerRequest must be a boolean');
+      expect(() => validateConfig({ globals: { frozenTime: 'tomorrow' }, routes: [] }))
+        .toThrow('frozenTime must be a date string or a timestamp');
+      expect(() => validateConfig({ globals: { frozenTime: true }, routes: [] }))
+        .toThrow('frozenTime must be a date string or a timestamp');
+      expect(() => validateConfig({ globals: { locale: 'pt' }, routes: [] }))
+        .toThrow('locale must be one of: en, de, fr, es');
+      expect(() => validateConfig({ globals: { flatTemplateData: true }, routes: [] })).not.toThrow();
+      expect(() => validateConfig({ globals: { flatTemplateData: 'yes' }, routes: [] }))
+        .toThrow('flatTemplateData must be a boolean');
+      expect(() => validateConfig({ routes: [{ ...route, responseSchema: 'array' }] }))
+        .toThrow('responseSchema must be a JSON schema object');
+      expect(() => validateConfig({ routes: [{ ...route, responses: [{ responseSchema: { type: 'list' } }] }] }))
+        .toThrow(/^Invalid responseSchema: /);
+    });
+
+    it('should validate route proxies', () => {
+      const route = { method: 'get', path: '/users' };
+      expect(() => validateConfig({ routes: [{ ...route, proxy: 'http://localhost:4000' }] })).not.toThrow();
+      expect(() => validateConfig({
+        globals: { proxy: { target: 'http://localhost:4000' } },
+        routes: [{ ...route, proxy: { stripPrefix: '/api', patch: { mocked: true } } }]
+      })).not.toThrow();
+
+      expect(() => validateConfig({ routes: [{ ...route, proxy: { patch: {} } }] }))
+        .toThrow('Route GET /users proxy needs a target, or a globals.proxy target');
+      expect(() => validateConfig({ routes: [{ ...route, proxy: 'localhost' }] }))
+        .toThrow('Route GET /users: proxy target must be an http or https URL');
+      expect(() => validateConfig({ routes: [{ ...route, proxy: { target: 'http://a', record: true } }] }))
+        .toThrow('Route GET /users: Invalid proxy configuration fields: record');
+      expect(() => validateConfig({ routes: [{ ...route, proxy: { target: 'http://a', patch: [] } }] }))
+        .toThrow('Route GET /users: proxy patch must be an object');
+    });
+
+    it('should validate the helpers templates call', () => {
+      const route = { method: 'get', path: '/users/:id' };
+      expect(() => validateConfig({
+        globals: { headers: { 'X-Date': "{{dateFormat 'YYYY-MM-DD'}}" } },
+        routes: [{
+          ...route,
+          headers: { 'X-Name': '{{upper query.name}}' },
+          response: { id: '{{params.id}}', active: "{{#if (eq query.status 'active')}}yes{{/if}}", items: ['{{{json body}}}'] },
+          responses: [{ response: '{{default query.page 1}}' }]
+        }]
+      })).not.toThrow();
+
+      expect(() => validateConfig({ routes: [{ ...route, response: { name: '{{uper query.name}}' } }] }))
+        .toThrow('Unknown template helper "uper" in "{{uper query.name}}"');
+      expect(() => validateConfig({ routes: [{ ...route, response: { ok: '{{#if (eqq a b)}}x{{/if}}' } }] }))
+        .toThrow('Unknown template helper "eqq"');
+      expect(() => validateConfig({ routes: [{ ...route, responses: [{ headers: { 'X-Id': '{{dateFromat now}}' } }] }] }))
+        .toThrow('Unknown template helper "dateFromat"');
+      expect(() => validateConfig({ globals: { headers: { 'X-Id': '{{#unknown}}x{{/unknown}}' } }, routes: [] }))
+        .not.toThrow();
+      expect(() => validateConfig({ globals: { headers: { 'X-Id': '{{nope 1}}' } }, routes: [] }))
+        .toThrow('Unknown template helper "nope"');
+      expect(() => validateConfig({ routes: [{ ...route, response: { id: '{{#if params.id}}' } }] }))
+        .toThrow(/^Invalid template "\{\{#if params.id\}\}": Parse error on line 1: Expecting/);
+      expect(() => validateConfig({ routes: [{ ...route, response: '{{#each a}}{{/if}}' }] }))
+        .toThrow('Invalid template "{{#each a}}{{/if}}": each doesn\'t match if');
+      expect(() => validateConfig({ routes: [{ ...route, proxy: { target: 'http://a', patch: { x: '{{lowr a}}' } } }] }))
+        .toThrow('Route GET /users/:id: Unknown template helper "lowr"');
+    });
+
     it('should throw for invalid CORS optionsSuccessStatus', () => {
       const config = {
         globals: {
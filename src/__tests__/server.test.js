@@ -11,7 +11,9 @@ jest.mock('fs', () => ({
         }
       ]
     })),
-    writeFile: jest.fn()
+    writeFile: jest.fn(),
+    readdir: jest.fn(),
+    stat: jest.fn()
   },
   existsSync: jest.fn().mockReturnValue(true)
 }));
@@ -41,7 +43,13 @@ jest.mock('express', () => {
     })
   };
   
+  const router = jest.fn();
+  ['use', 'get', 'post', 'put', 'delete', 'patch', 'options'].forEach(method => {
+    router[method] = jest.fn().mockReturnThis();
+  });
+  
   const mockExpress = jest.fn().mockReturnValue(app);
+  mockExpress.Router = jest.fn().mockReturnValue(router);
   mockExpress.json = jest.fn().mockReturnValue((req, res, next) => next());
   mockExpress.urlencoded = jest.fn().mockReturnValue((req, res, next) => next());
   mockExpress.static = jest.fn().mockReturnValue((req, res, next) => next());
@@ -84,12 +92,66 @@ jest.mock('net', () => {
 });
 
 // Import the actual module (not mocked version)
-const { createMockServer, getAvailablePort } = require('../lib/server');
+const { createMockServer, validateMocks, getAvailablePort } = require('../lib/server');
+
+/**
+ * Returns the handlers registered on the mocked router for a method and path
+ */
+const getRouteHandlers = (method, path) => {
+  const router = require('express').Router();
+  return router[method].mock.calls
+    .filter(([routePath]) => routePath === path)
+    .map(([, handler]) => handler);
+};
+
+/**
+ * Invokes a route handler with a fake request and returns the recorded response
+ * Properties in `resOverrides` are added to the fake response, such as the `on` of event streams
+ */
+const invokeHandler = async (handler, req = {}, resOverrides = {}) => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    locals: {},
+    status: jest.fn(function(code) { this.statusCode = code; return this; }),
+    json: jest.fn(function(body) { this.body = body; return this; }),
+    set: jest.fn(function(name, value) {
+      Object.assign(this.headers, typeof name === 'object' ? name : { [name]: value });
+      return this;
+    }),
+    get: jest.fn(function(name) { return this.headers[name]; }),
+    type: jest.fn(function(type) { this.headers['Content-Type'] = type; return this; }),
+    send: jest.fn(function(body) { this.body = body; return this; }),
+    write: jest.fn(function(chunk) { this.written = [...(this.written || []), chunk.toString()]; return true; }),
+    end: jest.fn(function() { this.ended = true; return this; }),
+    ...resOverrides
+  };
+  const next = jest.fn();
+  await handler({ params: {}, query: {}, body: {}, headers: {}, startTime: Date.now(), ...req }, res, next);
+  return { res, next };
+};
+
+/**
+ * Creates a fake response for proxied requests, which copy headers with getHeader and setHeader
+ */
+const createProxyResponse = () => {
+  const headers = {};
+  return {
+    headers,
+    locals: {},
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+    send: jest.fn().mockReturnThis(),
+    set: jest.fn(function(name, value) { headers[name] = value; return this; }),
+    getHeader: jest.fn(name => headers[name]),
+    setHeader: jest.fn((name, value) => { headers[name] = value; })
+  };
+};
 
 describe('Mock Server - Basic', () => {
   let server;
   let fs;
-  let expressApp;
   
   beforeEach(async () => {
     jest.clearAllMocks();
@@ -99,7 +161,6 @@ describe('Mock Server - Basic', () => {
     
     // Get the mocked modules
     fs = require('fs');
-    expressApp = require('express')();
     
     // Clear any previous event listeners
     process.removeAllListeners('SIGTERM');
@@ -176,27 +237,1190 @@ describe('Mock Server - Basic', () => {
     const testServer = createMockServer('mocks.json');
     await testServer.start();
     
-    // Check all HTTP methods were set up
-    expect(expressApp.get).toHaveBeenCalled();
-    expect(expressApp.post).toHaveBeenCalled();
-    expect(expressApp.put).toHaveBeenCalled();
-    expect(expressApp.delete).toHaveBeenCalled();
-    expect(expressApp.patch).toHaveBeenCalled();
-    expect(expressApp.options).toHaveBeenCalled();
+    // Check all HTTP methods were set up on the route table
+    const router = require('express').Router();
+    expect(router.get).toHaveBeenCalled();
+    expect(router.post).toHaveBeenCalled();
+    expect(router.put).toHaveBeenCalled();
+    expect(router.delete).toHaveBeenCalled();
+    expect(router.patch).toHaveBeenCalled();
+    expect(router.options).toHaveBeenCalled();
     
     await testServer.stop();
   });
   
-  // Skip the file watching tests for now
-  it.skip('should set up file watching during server start', async () => {
-    // This test requires deep mocking that's difficult to achieve
-    expect(true).toBe(true); // Dummy assertion to pass linting
+  it('should set up file watching during server start', async () => {
+    const chokidar = require('chokidar');
+    await server.start();
+    
+    expect(chokidar.watch).toHaveBeenCalledWith('mocks.json', { ignoreInitial: true });
+    const watcher = chokidar.watch.mock.results[0].value;
+    expect(watcher.on).toHaveBeenCalledWith('change', expect.any(Function));
   });
   
-  // Skip the file watching event test for now
-  it.skip('should handle file watching events', async () => {
-    // This test requires deep mocking that's difficult to achieve
-    expect(true).toBe(true); // Dummy assertion to pass linting
+  it('should not watch the config file when AUTO_RELOAD is false', async () => {
+    const chokidar = require('chokidar');
+    process.env.AUTO_RELOAD = 'false';
+    
+    try {
+      await server.start();
+      expect(chokidar.watch).not.toHaveBeenCalled();
+    } finally {
+      delete process.env.AUTO_RELOAD;
+    }
+  });
+  
+  it('should handle file watching events', async () => {
+    const chokidar = require('chokidar');
+    const express = require('express');
+    await server.start();
+    
+    const watcher = chokidar.watch.mock.results[0].value;
+    const [, handleChange] = watcher.on.mock.calls.find(([event]) => event === 'change');
+    const routerCount = express.Router.mock.calls.length;
+    
+    // A valid config rebuilds the route table
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      routes: [{ path: '/reloaded', method: 'POST', response: {} }]
+    }));
+    await handleChange();
+    
+    expect(express.Router).toHaveBeenCalledTimes(routerCount + 1);
+    expect(express.Router().post).toHaveBeenCalledWith('/reloaded', expect.any(Function));
+    expect(console.log).toHaveBeenCalledWith('Config reloaded: 1 routes active');
+  });
+  
+  it('should keep the previous routes when a reloaded config is invalid', async () => {
+    const chokidar = require('chokidar');
+    const express = require('express');
+    await server.start();
+    
+    const watcher = chokidar.watch.mock.results[0].value;
+    const [, handleChange] = watcher.on.mock.calls.find(([event]) => event === 'change');
+    const routerCount = express.Router.mock.calls.length;
+    
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({ routes: [{ path: '/missing-method' }] }));
+    await handleChange();
+    
+    expect(express.Router).toHaveBeenCalledTimes(routerCount);
+    expect(console.log).toHaveBeenCalledWith(
+      'Config reload failed, keeping previous routes: Each route must have a method and path'
+    );
+  });
+  
+  it('should serve response sequences and reset them', async () => {
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      routes: [{
+        path: '/jobs/1',
+        method: 'GET',
+        response: { state: 'done' },
+        responses: [{ status: 202, response: { state: 'running' } }, { errorCode: 503 }, {}]
+      }]
+    }));
+    await server.start();
+    const [handler] = getRouteHandlers('get', '/jobs/1');
+    
+    const statuses = [];
+    for (let i = 0; i < 4; i++) {
+      const { res } = await invokeHandler(handler);
+      statuses.push(res.statusCode);
+    }
+    expect(statuses).toEqual([202, 503, 200, 200]);
+    
+    server.resetSequences();
+    const { res } = await invokeHandler(handler);
+    expect(res.statusCode).toBe(202);
+    expect(res.body).toEqual({ state: 'running' });
+  });
+  
+  it('should route on scenario states and apply transitions', async () => {
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      scenarios: { order: 'created' },
+      routes: [
+        {
+          path: '/orders/1',
+          method: 'GET',
+          conditions: { scenario: { order: 'paid' } },
+          response: { state: 'paid' }
+        },
+        { path: '/orders/1', method: 'GET', response: { state: 'created' } },
+        { path: '/orders/1/pay', method: 'POST', transition: { order: 'paid' }, response: {} }
+      ]
+    }));
+    await server.start();
+    const [paidHandler, createdHandler] = getRouteHandlers('get', '/orders/1');
+    const [payHandler] = getRouteHandlers('post', '/orders/1/pay');
+    
+    // Unmet conditions fall through to the next route for the same path
+    const before = await invokeHandler(paidHandler);
+    expect(before.next).toHaveBeenCalled();
+    expect((await invokeHandler(createdHandler)).res.body).toEqual({ state: 'created' });
+    
+    await invokeHandler(payHandler);
+    expect(server.getScenarioStates()).toEqual({ order: 'paid' });
+    expect((await invokeHandler(paidHandler)).res.body).toEqual({ state: 'paid' });
+    
+    server.resetScenarios();
+    expect(server.getScenarioStates()).toEqual({ order: 'created' });
+  });
+  
+  it('should mount the admin API at the configured prefix', async () => {
+    const express = require('express');
+    await server.start();
+    expect(express().use).toHaveBeenCalledWith('/__admin', expect.any(Function));
+    
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      globals: { admin: false },
+      routes: []
+    }));
+    jest.clearAllMocks();
+    const disabledServer = createMockServer('mocks.json');
+    await disabledServer.start();
+    expect(express().use).not.toHaveBeenCalledWith('/__admin', expect.any(Function));
+    await disabledServer.stop();
+  });
+  
+  it('should validate and apply route changes from the admin API', async () => {
+    const express = require('express');
+    await server.start();
+    
+    const [addRoute] = getRouteHandlers('post', '/routes');
+    const [listRoutes] = getRouteHandlers('get', '/routes');
+    const route = { method: 'GET', path: '/added', response: { added: true } };
+    
+    const { res } = await invokeHandler(addRoute, { body: route });
+    expect(res.statusCode).toBe(201);
+    expect(express.Router().get).toHaveBeenCalledWith('/added', expect.any(Function));
+    
+    const invalid = await invokeHandler(addRoute, { body: { method: 'GET', path: '/bad', delay: -1 } });
+    expect(invalid.res.statusCode).toBe(400);
+    expect(invalid.res.body).toEqual({ error: 'delay must be a non-negative number' });
+    
+    const listed = await invokeHandler(listRoutes);
+    expect(listed.res.body).toEqual([
+      { path: '/test', method: 'GET', response: { message: 'test' } },
+      route
+    ]);
+  });
+  
+  it('should reset runtime state from the admin API', async () => {
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      scenarios: { order: 'created' },
+      routes: [{ path: '/pay', method: 'POST', transition: { order: 'paid' }, response: {} }]
+    }));
+    await server.start();
+    
+    const [pay] = getRouteHandlers('post', '/pay');
+    const [reset] = getRouteHandlers('post', '/reset');
+    await invokeHandler(pay);
+    expect(server.getScenarioStates()).toEqual({ order: 'paid' });
+    
+    const res = { status: jest.fn().mockReturnThis(), end: jest.fn() };
+    reset({}, res);
+    expect(res.status).toHaveBeenCalledWith(204);
+    expect(server.getScenarioStates()).toEqual({ order: 'created' });
+  });
+  
+  it('should record requests in the journal and verify them', async () => {
+    const { EventEmitter } = require('events');
+    const express = require('express');
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      routes: [{ id: 'create-order', path: '/orders', method: 'POST', response: { ok: true } }]
+    }));
+    await server.start();
+    
+    // The journal middleware comes right before the route dispatcher and the error handler
+    const appMiddleware = express().use.mock.calls.map(([handler]) => handler);
+    const journalMiddleware = appMiddleware[appMiddleware.length - 3];
+    const [createOrder] = getRouteHandlers('post', '/orders');
+    
+    const req = { method: 'POST', path: '/orders', headers: {}, query: {}, body: { item: 'book' } };
+    const { res } = await invokeHandler(createOrder, req);
+    const finished = Object.assign(new EventEmitter(), res);
+    journalMiddleware({ ...req, startTime: Date.now() }, finished, jest.fn());
+    finished.emit('finish');
+    
+    expect(server.getRequests({ route: 'create-order' })).toHaveLength(1);
+    expect(() => server.verify({ method: 'POST', path: '/orders', body: { item: 'book' } }, 1)).not.toThrow();
+    expect(() => server.verify({ method: 'POST', path: '/orders' }, 2)).toThrow('found 1');
+    
+    server.clearRequests();
+    expect(server.getRequests()).toEqual([]);
+  });
+  
+  it('should not record requests when the journal is disabled', async () => {
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      globals: { journal: false },
+      routes: []
+    }));
+    await server.start();
+    
+    expect(server.getRequests()).toEqual([]);
+    expect(() => server.verify({})).toThrow('Request journal is disabled');
+    expect(() => server.clearRequests()).not.toThrow();
+  });
+  
+  it('should forward unmatched requests to the proxy target and record them', async () => {
+    const http = require('http');
+    const express = require('express');
+    const upstream = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ users: [], url: req.url }));
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    const target = `http://127.0.0.1:${upstream.address().port}`;
+
+    try {
+      server = createMockServer('mocks.json', { proxy: { target, record: true } });
+      await server.start();
+
+      // The proxy fallback replaces the 404 handler as the first catch-all of the route table
+      const [[fallback]] = express.Router().use.mock.calls;
+      const req = { method: 'GET', originalUrl: '/users?page=2', path: '/users', query: { page: '2' }, headers: {} };
+      const res = createProxyResponse();
+      await fallback(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(JSON.parse(res.send.mock.calls[0][0])).toEqual({ users: [], url: '/users?page=2' });
+      expect(res.locals.unmatched).toBe(true);
+
+      // The recorded route is served from memory right away and appended to the config file
+      expect(getRouteHandlers('get', '/users')).toHaveLength(1);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      const [file, content] = fs.promises.writeFile.mock.calls[0];
+      expect(file).toBe('mocks.json');
+      expect(JSON.parse(content).routes[1]).toEqual({
+        method: 'GET',
+        path: '/users',
+        conditions: { query: { page: '2' } },
+        status: 200,
+        headers: { 'content-type': 'application/json' },
+        response: { users: [], url: '/users?page=2' }
+      });
+
+      // The watcher skips the recorder's own write but reloads edits made by others
+      const chokidar = require('chokidar');
+      const [, handleChange] = chokidar.watch.mock.results[0].value.on.mock.calls.find(([event]) => event === 'change');
+      const routerCount = express.Router.mock.calls.length;
+      fs.promises.readFile.mockResolvedValueOnce(content);
+      await handleChange();
+      expect(express.Router).toHaveBeenCalledTimes(routerCount);
+
+      const edited = JSON.stringify({ routes: [{ path: '/edited', method: 'GET', response: {} }] });
+      fs.promises.readFile.mockResolvedValueOnce(edited).mockResolvedValueOnce(edited);
+      await handleChange();
+      expect(express.Router).toHaveBeenCalledTimes(routerCount + 1);
+    } finally {
+      await new Promise(resolve => upstream.close(resolve));
+    }
+  });
+
+  it('should proxy routes and patch the upstream JSON', async () => {
+    const http = require('http');
+    const upstream = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json', 'X-Upstream': 'yes' });
+      res.end(JSON.stringify({ id: 7, url: req.url, auth: req.headers.authorization, profile: { plan: 'free', seats: 1 } }));
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+
+    try {
+      fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+        globals: { proxy: { target: `http://127.0.0.1:${upstream.address().port}`, headers: { Authorization: 'Bearer dev' } } },
+        routes: [{
+          path: '/api/accounts/:id',
+          method: 'GET',
+          headers: { 'X-Mocked': 'true' },
+          proxy: { stripPrefix: '/api', patch: { profile: { plan: 'enterprise', owner: '{{params.id}}' }, original: '{{response.id}}' } }
+        }]
+      }));
+      await server.start();
+
+      const [handler] = getRouteHandlers('get', '/api/accounts/:id');
+      const res = createProxyResponse();
+      await handler(
+        { method: 'GET', originalUrl: '/api/accounts/7', params: { id: '7' }, query: {}, body: {}, headers: {}, startTime: Date.now() },
+        res,
+        jest.fn()
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        id: 7,
+        url: '/accounts/7',
+        auth: 'Bearer dev',
+        profile: { plan: 'enterprise', seats: 1, owner: '7' },
+        original: 7
+      });
+      expect(res.headers['X-Mocked']).toBe('true');
+      expect(res.headers['x-upstream']).toBe('yes');
+    } finally {
+      await new Promise(resolve => upstream.close(resolve));
+    }
+  });
+
+  it('should answer 502 when the proxy target is unreachable', async () => {
+    const express = require('express');
+    server = createMockServer('mocks.json', { proxy: { target: 'http://127.0.0.1:1' } });
+    await server.start();
+
+    const [[fallback]] = express.Router().use.mock.calls;
+    const res = createProxyResponse();
+    await fallback({ method: 'GET', originalUrl: '/users', headers: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(502);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Bad Gateway' }));
+  });
+
+  it('should reject invalid proxy options', () => {
+    expect(() => createMockServer('mocks.json', { proxy: { target: 'ftp://upstream' } }))
+      .toThrow('proxy target must be an http or https URL');
+  });
+
+  it('should reject recording without a proxy target', async () => {
+    server = createMockServer('mocks.json', { proxy: { record: true } });
+    await expect(server.start())
+      .rejects.toThrow('Recording needs a proxy target, set proxy.target or globals.proxy.target');
+
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      globals: { proxy: { target: 'http://127.0.0.1:1' } },
+      routes: []
+    }));
+    server = createMockServer('mocks.json', { proxy: { record: true } });
+    await expect(server.start()).resolves.toBeDefined();
+  });
+  
+  it('should generate routes from an OpenAPI document', async () => {
+    fs.promises.readFile.mockResolvedValueOnce([
+      'openapi: 3.0.3',
+      'servers:',
+      '  - url: /v1',
+      'paths:',
+      '  /users/{id}:',
+      '    get:',
+      '      responses:',
+      '        "200":',
+      '          description: OK',
+      '          content:',
+      '            application/json:',
+      '              example: { id: "{{params.id}}" }',
+      '        "404":',
+      '          description: Not found',
+      '          content:',
+      '            application/json:',
+      '              example: { error: Not found }'
+    ].join('\n'));
+    server = createMockServer('openapi.yaml');
+    await server.start();
+
+    const handlers = getRouteHandlers('get', '/v1/users/:id');
+    expect(handlers).toHaveLength(3);
+
+    // The 404 routes are skipped unless the status is selected
+    const [byHeader, byQuery, defaultRoute] = handlers;
+    const { next } = await invokeHandler(byHeader, { params: { id: '7' } });
+    expect(next).toHaveBeenCalled();
+    expect((await invokeHandler(defaultRoute, { params: { id: '7' } })).res.body).toEqual({ id: '7' });
+
+    const { res } = await invokeHandler(byQuery, { params: { id: '7' }, query: { __status: '404' } });
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toEqual({ error: 'Not found' });
+  });
+
+  it('should reject requests that do not match the request schema', async () => {
+    const express = require('express');
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      routes: [{
+        path: '/users',
+        method: 'POST',
+        requestSchema: {
+          body: { type: 'object', properties: { email: { type: 'string', format: 'email' } }, required: ['email'] },
+          status: 422
+        },
+        responses: [{ response: { created: 1 } }, { response: { created: 2 } }]
+      }]
+    }));
+    await server.start();
+
+    const [handler] = getRouteHandlers('post', '/users');
+    const { res, next } = await invokeHandler(handler, { body: { email: 'not-an-email' } });
+    expect(res.json).not.toHaveBeenCalled();
+
+    const [error] = next.mock.calls[0];
+    expect(error).toMatchObject({
+      name: 'ValidationError',
+      status: 422,
+      details: [{ in: 'body', path: '/email', message: 'must match format "email"' }]
+    });
+
+    // The error handler is registered last and answers with the violations
+    const appMiddleware = express().use.mock.calls.map(([middleware]) => middleware);
+    const errorHandler = appMiddleware[appMiddleware.length - 1];
+    const errorRes = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+    errorHandler(error, {}, errorRes, jest.fn());
+    expect(errorRes.status).toHaveBeenCalledWith(422);
+    expect(errorRes.json).toHaveBeenCalledWith({ error: 'Request validation failed', details: error.details });
+
+    // Rejected requests do not use up the sequence
+    expect((await invokeHandler(handler, { body: { email: 'ada@example.com' } })).res.body).toEqual({ created: 1 });
+  });
+
+  it('should add routes and request schemas from the OpenAPI spec in globals', async () => {
+    fs.promises.readFile
+      .mockResolvedValueOnce(JSON.stringify({
+        globals: { openapi: { spec: 'specs/openapi.json', validateRequests: true } },
+        routes: [{ path: '/orders', method: 'POST', response: { mocked: true } }]
+      }))
+      .mockResolvedValueOnce(JSON.stringify({
+        openapi: '3.0.3',
+        paths: {
+          '/orders': {
+            post: {
+              requestBody: { content: { 'application/json': { schema: { type: 'object', required: ['item'] } } } },
+              responses: { 201: { description: 'Created', content: { 'application/json': { example: { id: 1 } } } } }
+            }
+          }
+        }
+      }));
+    server = createMockServer('config/mocks.json');
+    await server.start();
+
+    expect(fs.promises.readFile).toHaveBeenLastCalledWith(require('path').resolve('config/specs/openapi.json'), 'utf8');
+
+    const [configured, generated] = getRouteHandlers('post', '/orders');
+    expect(generated).toBeDefined();
+    const { next } = await invokeHandler(configured, { body: {} });
+    expect(next.mock.calls[0][0].details).toEqual([{ in: 'body', path: '/item', message: "must have required property 'item'" }]);
+    expect((await invokeHandler(configured, { body: { item: 'book' } })).res.body).toEqual({ mocked: true });
+  });
+
+  it('should answer 500 when a response does not match its schema in strict mode', async () => {
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      routes: [{
+        id: 'getUser',
+        path: '/users/:id',
+        method: 'GET',
+        response: { id: '{{params.id}}' },
+        responseSchema: { type: 'object', properties: { id: { type: 'string', pattern: '^[0-9]+$' } } }
+      }]
+    }));
+    await server.start();
+
+    const [handler] = getRouteHandlers('get', '/users/:id');
+    expect((await invokeHandler(handler, { params: { id: '7' } })).res.body).toEqual({ id: '7' });
+
+    const { res } = await invokeHandler(handler, { params: { id: 'abc' } });
+    expect(res.statusCode).toBe(500);
+    expect(res.body).toEqual({
+      error: 'Response validation failed',
+      route: 'getUser',
+      details: [{ in: 'response', path: '/id', message: 'must match pattern "^[0-9]+$"' }],
+      response: { id: 'abc' }
+    });
+  });
+
+  it('should send mismatching responses with a warning header in warn mode', async () => {
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      globals: { responseValidation: 'warn' },
+      routes: [{
+        path: '/users',
+        method: 'GET',
+        responses: [
+          { response: [{ id: 1 }] },
+          { response: [{ id: 'one' }], responseSchema: { type: 'array', items: { type: 'object', required: ['name'] } } }
+        ],
+        responseSchema: { type: 'array' }
+      }]
+    }));
+    await server.start();
+
+    const [handler] = getRouteHandlers('get', '/users');
+    expect((await invokeHandler(handler, {})).res.set).not.toHaveBeenCalledWith('X-Response-Schema-Violations', expect.anything());
+
+    const { res } = await invokeHandler(handler, {});
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual([{ id: 'one' }]);
+    expect(res.set).toHaveBeenCalledWith('X-Response-Schema-Violations', '1');
+  });
+
+  it('should generate fake data in the configured locale', async () => {
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      globals: { locale: 'fr' },
+      routes: [{
+        path: '/customers/:id',
+        method: 'GET',
+        headers: { 'X-Country': "{{fake 'location.country'}}" },
+        response: { id: '{{params.id}}', country: "{{fake 'location.country'}}" }
+      }]
+    }));
+    await server.start();
+
+    const [handler] = getRouteHandlers('get', '/customers/:id');
+    const { res } = await invokeHandler(handler, { params: { id: '3' } });
+    expect(res.body).toEqual({ id: '3', country: 'France' });
+    expect(res.set).toHaveBeenCalledWith('X-Country', 'France');
+  });
+
+  it('should render reproducible responses with a seed', async () => {
+    const config = JSON.stringify({
+      globals: { seed: 42, frozenTime: '2024-01-01T00:00:00Z' },
+      routes: [{ path: '/users/:id', method: 'GET', response: { id: '{{uuid}}', name: "{{fake 'person.fullName'}}", at: '{{now}}' } }]
+    });
+    const render = async () => {
+      fs.promises.readFile.mockResolvedValueOnce(config);
+      const seededServer = createMockServer('mocks.json');
+      await seededServer.start();
+      // Handlers of earlier starts stay registered on the shared router mock
+      const handler = getRouteHandlers('get', '/users/:id').pop();
+      const bodies = [];
+      for (const id of ['1', '2']) {
+        bodies.push((await invokeHandler(handler, { method: 'GET', path: `/users/${id}`, params: { id } })).res.body);
+      }
+      await seededServer.stop();
+      return bodies;
+    };
+
+    const [first, second] = await render();
+    expect(first.at).toBe('2024-01-01T00:00:00.000Z');
+    expect(second.id).not.toBe(first.id);
+    expect(await render()).toEqual([first, second]);
+  });
+
+  it('should seed each request from its method and path', async () => {
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      globals: { seedPerRequest: true },
+      routes: [{ path: '/users/:id', method: 'GET', response: { name: "{{fake 'person.fullName'}}", score: '{{random 1 1000000}}' } }]
+    }));
+    server = createMockServer('mocks.json', { seed: 'cli' });
+    await server.start();
+
+    const [handler] = getRouteHandlers('get', '/users/:id');
+    const request = (id) => invokeHandler(handler, { method: 'GET', path: `/users/${id}`, params: { id } });
+    const user7 = (await request('7')).res.body;
+
+    expect((await request('8')).res.body).not.toEqual(user7);
+    expect((await request('7')).res.body).toEqual(user7);
+  });
+
+  it('should render templates with the request context', async () => {
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      routes: [{
+        path: '/users/:id',
+        method: 'PUT',
+        headers: { 'X-Session': '{{cookies.session}}' },
+        response: { id: '{{params.id}}', name: '{{body.name}}', agent: '{{headers.user-agent}}', route: '{{request.method}} {{request.path}}', flat: '{{id}}' }
+      }]
+    }));
+    await server.start();
+
+    const [handler] = getRouteHandlers('put', '/users/:id');
+    const { res } = await invokeHandler(handler, {
+      method: 'PUT',
+      path: '/users/7',
+      params: { id: '7' },
+      body: { id: 'body-id', name: 'Ada' },
+      headers: { 'user-agent': 'jest', cookie: 'session=s1' }
+    });
+    expect(res.body).toEqual({ id: '7', name: 'Ada', agent: 'jest', route: 'PUT /users/7', flat: '' });
+    expect(res.set).toHaveBeenCalledWith('X-Session', 's1');
+  });
+
+  it('should keep the flat template data behind a compatibility flag', async () => {
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      globals: { flatTemplateData: true },
+      routes: [{ path: '/users/:id', method: 'GET', response: { id: '{{id}}', page: '{{page}}', param: '{{params.id}}' } }]
+    }));
+    await server.start();
+
+    const [handler] = getRouteHandlers('get', '/users/:id');
+    expect((await invokeHandler(handler, { params: { id: '7' }, query: { page: '2' } })).res.body)
+      .toEqual({ id: '7', page: '2', param: '7' });
+  });
+
+  it('should repeat list items as often as the request asks', async () => {
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      routes: [{
+        path: '/users',
+        method: 'GET',
+        response: { data: { $repeat: { count: '{{query.limit}}', min: 1, max: 3, template: { id: 'user-{{@index}}' } } } }
+      }, {
+        path: '/tags',
+        method: 'GET',
+        response: { $repeat: { count: '{{query.limit}}', template: 'tag' } }
+      }]
+    }));
+    await server.start();
+
+    const [handler] = getRouteHandlers('get', '/users');
+    expect((await invokeHandler(handler, { query: { limit: '2' } })).res.body)
+      .toEqual({ data: [{ id: 'user-0' }, { id: 'user-1' }] });
+    expect((await invokeHandler(handler, { query: {} })).res.body.data.length).toBeLessThanOrEqual(3);
+
+    // Counts the request gets wrong are answered with 400 by the error handler
+    const badRequest = (message) => expect.objectContaining({ name: 'ValidationError', status: 400, message });
+    let { res, next } = await invokeHandler(handler, { query: { limit: 'all' } });
+    expect(next).toHaveBeenCalledWith(badRequest('$repeat count must be a non-negative integer, got "all"'));
+    expect(res.json).not.toHaveBeenCalled();
+    ({ next } = await invokeHandler(handler, { query: { limit: '20000' } }));
+    expect(next).toHaveBeenCalledWith(badRequest('$repeat count must not exceed 10000'));
+
+    const [tags] = getRouteHandlers('get', '/tags');
+    ({ res, next } = await invokeHandler(tags, { query: {} }));
+    expect(next).toHaveBeenCalledWith(badRequest('$repeat needs a count, or a min and max'));
+    expect(res.json).not.toHaveBeenCalled();
+  });
+
+  it('should render custom helpers and partials from the configuration', async () => {
+    const path = require('path');
+    const fixtures = path.join(__dirname, 'fixtures');
+    fs.promises.readdir.mockResolvedValueOnce(['address.hbs', 'notes.txt']);
+    fs.promises.readFile
+      .mockResolvedValueOnce(JSON.stringify({
+        globals: { helpers: ['helpers/bank.js'], partials: 'partials' },
+        routes: [{
+          path: '/accounts/:id',
+          method: 'GET',
+          response: { account: "{{accountNumber 'DE'}}", address: '{{> address}}' }
+        }]
+      }))
+      .mockResolvedValueOnce('{{upper body.city}}, {{params.id}}');
+    server = createMockServer(path.join(fixtures, 'mocks.json'));
+    await server.start();
+
+    expect(fs.promises.readdir).toHaveBeenCalledWith(path.join(fixtures, 'partials'));
+    expect(fs.promises.readFile).toHaveBeenCalledWith(path.join(fixtures, 'partials', 'address.hbs'), 'utf8');
+    const [handler] = getRouteHandlers('get', '/accounts/:id');
+    const { res } = await invokeHandler(handler, { params: { id: '7' }, body: { city: 'Berlin' } });
+    expect(res.body).toEqual({ account: 'DE-0042', address: 'BERLIN, 7' });
+
+    // Helpers are registered on the server's own instance, not on the global Handlebars
+    expect(require('handlebars').helpers.accountNumber).toBeUndefined();
+    expect(require('handlebars').helpers.upper).toBeUndefined();
+  });
+
+  it('should keep the previous helpers when a reloaded configuration cannot be applied', async () => {
+    const path = require('path');
+    const chokidar = require('chokidar');
+    const express = require('express');
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      globals: { helpers: ['helpers/bank.js'] },
+      routes: [{ path: '/accounts', method: 'GET', response: { account: "{{accountNumber 'DE'}}" } }]
+    }));
+    server = createMockServer(path.join(__dirname, 'fixtures', 'mocks.json'));
+    await server.start();
+
+    // The reloaded configuration drops the helper, and building its routes fails
+    const [, handleChange] = chokidar.watch.mock.results[0].value.on.mock.calls.find(([event]) => event === 'change');
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({ routes: [] }));
+    express.Router.mockImplementationOnce(() => {
+      throw new Error('Router failed');
+    });
+    await handleChange();
+    expect(console.log).toHaveBeenCalledWith('Config reload failed, keeping previous routes: Router failed');
+
+    const [addRoute] = getRouteHandlers('post', '/routes');
+    const { res } = await invokeHandler(addRoute, {
+      body: { method: 'GET', path: '/iban', response: { account: "{{accountNumber 'FR'}}" } }
+    });
+    expect(res.statusCode).toBe(201);
+  });
+
+  it('should take custom helpers and partials from the server options', async () => {
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      routes: [{ path: '/products', method: 'GET', response: { sku: '{{sku 12}}', label: '{{> label}}' } }]
+    }));
+    server = createMockServer('mocks.json', {
+      helpers: { sku: (number) => `SKU-${String(number).padStart(5, '0')}` },
+      partials: { label: 'Product {{sku 1}}' }
+    });
+    await server.start();
+
+    const [handler] = getRouteHandlers('get', '/products');
+    expect((await invokeHandler(handler)).res.body).toEqual({ sku: 'SKU-00012', label: 'Product SKU-00001' });
+
+    await server.stop();
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      routes: [{ path: '/products', method: 'GET', response: { sku: '{{sku 12}}' } }]
+    }));
+    server = createMockServer('mocks.json');
+    await expect(server.start()).rejects.toThrow('Unknown template helper "sku" in "{{sku 12}}"');
+  });
+
+  it('should reject invalid custom helpers and partials', async () => {
+    expect(() => createMockServer('mocks.json', { helpers: { sku: 'SKU' } })).toThrow('Helper sku must be a function');
+    expect(() => createMockServer('mocks.json', { helpers: { now: () => 'later' } }))
+      .toThrow('Helper now is built in and cannot be replaced');
+    expect(() => createMockServer('mocks.json', { partials: { label: 1 } })).toThrow('Partial label must be a template string');
+
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({ globals: { helpers: 'missing.js' }, routes: [] }));
+    await expect(createMockServer('mocks.json').start()).rejects.toThrow(/^Failed to load helpers .*missing\.js/);
+
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({ globals: { partials: 'partials' }, routes: [] }));
+    fs.promises.readdir.mockRejectedValueOnce(Object.assign(new Error('missing'), { code: 'ENOENT' }));
+    await expect(createMockServer('mocks.json').start()).rejects.toThrow('Partials directory not found');
+
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({ globals: { partials: 'partials' }, routes: [] }));
+    fs.promises.readdir.mockRejectedValueOnce(new Error('denied'));
+    await expect(createMockServer('mocks.json').start()).rejects.toThrow(/^Failed to load partials .*: denied$/);
+
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      routes: [{ path: '/a', method: 'GET', response: '{{> missing}}' }]
+    }));
+    await expect(createMockServer('mocks.json').start()).rejects.toThrow('Unknown template partial "missing"');
+
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({ globals: { helpers: [''] }, routes: [] }));
+    await expect(createMockServer('mocks.json').start())
+      .rejects.toThrow('helpers must be a module path or an array of module paths');
+  });
+
+  it('should compile route templates when the routes are set up', async () => {
+    const Handlebars = require('handlebars');
+    const create = Handlebars.create.bind(Handlebars);
+    let instance;
+    jest.spyOn(Handlebars, 'create').mockImplementationOnce(() => {
+      instance = create();
+      jest.spyOn(instance, 'compile');
+      return instance;
+    });
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      globals: { headers: { 'X-Served-By': 'mock {{uuid}}' } },
+      routes: [{
+        path: '/users/:id',
+        method: 'GET',
+        headers: { 'X-User': '{{params.id}}' },
+        responses: [{ response: { id: '{{number params.id}}' } }, { response: { id: '{{params.id}}', seen: true } }]
+      }]
+    }));
+    server = createMockServer('mocks.json');
+    await server.start();
+    // The header and the second response share "{{params.id}}", which is compiled once
+    expect(instance.compile).toHaveBeenCalledTimes(3);
+
+    const [handler] = getRouteHandlers('get', '/users/:id');
+    expect((await invokeHandler(handler, { params: { id: '1' } })).res.body).toEqual({ id: 1 });
+    expect((await invokeHandler(handler, { params: { id: '2' } })).res.body).toEqual({ id: '2', seen: true });
+    expect(instance.compile).toHaveBeenCalledTimes(3);
+  });
+
+  it('should serve response bodies from files', async () => {
+    const path = require('path');
+    const files = {
+      [path.resolve('fixtures/users/7.json')]: '{ "id": "{{params.id}}", "name": "{{upper query.name}}" }',
+      [path.resolve('fixtures/page.html')]: '<h1>{{params.id}}</h1>',
+      [path.resolve('fixtures/logo.png')]: 'png'
+    };
+    fs.promises.stat.mockImplementation(async (file) => {
+      if (!files[file]) {
+        throw Object.assign(new Error('missing'), { code: 'ENOENT' });
+      }
+      return { isFile: () => true, mtimeMs: 1, size: files[file].length };
+    });
+    fs.promises.readFile
+      .mockResolvedValueOnce(JSON.stringify({
+        routes: [
+          { path: '/users/:id', method: 'GET', responseFile: 'fixtures/users/{{params.id}}.json' },
+          { path: '/pages/:id', method: 'GET', status: 201, responseFile: { path: 'fixtures/page.html' } },
+          { path: '/logo', method: 'GET', responseFile: { path: 'fixtures/logo.png', render: false } },
+          {
+            path: '/orders/:id',
+            method: 'GET',
+            responseFile: { path: 'fixtures/orders/{{params.id}}.json', fallback: { status: 410, body: { id: '{{params.id}}' } } },
+            responses: [{}, { response: { id: 'inline' } }]
+          }
+        ]
+      }))
+      .mockResolvedValueOnce(Buffer.from(files[path.resolve('fixtures/users/7.json')]))
+      .mockResolvedValueOnce(Buffer.from(files[path.resolve('fixtures/page.html')]))
+      .mockResolvedValueOnce(Buffer.from(files[path.resolve('fixtures/logo.png')]));
+    await server.start();
+
+    const [users] = getRouteHandlers('get', '/users/:id');
+    let { res } = await invokeHandler(users, { params: { id: '7' }, query: { name: 'ada' } });
+    expect(res.body).toEqual({ id: '7', name: 'ADA' });
+    ({ res } = await invokeHandler(users, { params: { id: '8' } }));
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toEqual({ error: 'Response file not found' });
+    // Parameters cannot lead out of the directory of the templated path
+    ({ res } = await invokeHandler(users, { params: { id: '../secrets' } }));
+    expect(res.statusCode).toBe(404);
+    expect(fs.promises.stat).not.toHaveBeenCalledWith(path.resolve('fixtures/secrets.json'));
+
+    const [pages] = getRouteHandlers('get', '/pages/:id');
+    ({ res } = await invokeHandler(pages, { params: { id: '3' } }));
+    expect(res.statusCode).toBe(201);
+    expect(res.type).toHaveBeenCalledWith('.html');
+    expect(res.body).toBe('<h1>3</h1>');
+
+    const [logo] = getRouteHandlers('get', '/logo');
+    ({ res } = await invokeHandler(logo));
+    expect(Buffer.isBuffer(res.body)).toBe(true);
+    expect(res.type).toHaveBeenCalledWith('.png');
+
+    // The fallback answers while the file is missing, until the sequence entry replaces the body
+    const [orders] = getRouteHandlers('get', '/orders/:id');
+    ({ res } = await invokeHandler(orders, { params: { id: '5' } }));
+    expect(res.statusCode).toBe(410);
+    expect(res.body).toEqual({ id: '5' });
+    expect((await invokeHandler(orders, { params: { id: '5' } })).res.body).toEqual({ id: 'inline' });
+  });
+
+  it('should send text and binary bodies with their content type', async () => {
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      routes: [
+        {
+          path: '/soap/users/:id',
+          method: 'POST',
+          contentType: 'application/xml',
+          body: '<user id="{{params.id}}"><name>{{upper body.name}}</name></user>',
+          conditions: { headers: { soapaction: 'GetUser' } },
+          fallback: '<fault>Unknown action</fault>'
+        },
+        { path: '/report', method: 'GET', body: 'id,total\n{{query.id}},{{add 1 2}}' },
+        { path: '/pixel', method: 'GET', contentType: 'image/gif', bodyBase64: 'R0lGODlhAQABAAAAACw=' },
+        { path: '/export', method: 'GET', contentType: 'csv', errorCode: 503, errorMessage: 'Export unavailable' },
+        { path: '/problem', method: 'GET', status: 409, contentType: 'application/problem+json', response: { title: 'Conflict' } }
+      ]
+    }));
+    await server.start();
+
+    const [soap] = getRouteHandlers('post', '/soap/users/:id');
+    let { res } = await invokeHandler(soap, { params: { id: '7' }, headers: { soapaction: 'GetUser' }, body: { name: 'ada' } });
+    expect(res.type).toHaveBeenCalledWith('application/xml');
+    expect(res.send).toHaveBeenCalledWith('<user id="7"><name>ADA</name></user>');
+    ({ res } = await invokeHandler(soap, { params: { id: '7' } }));
+    expect(res.headers['Content-Type']).toBe('application/xml');
+    expect(res.body).toBe('<fault>Unknown action</fault>');
+
+    const [report] = getRouteHandlers('get', '/report');
+    ({ res } = await invokeHandler(report, { query: { id: '4' } }));
+    expect(res.type).toHaveBeenCalledWith('text');
+    expect(res.body).toBe('id,total\n4,3');
+
+    const [pixel] = getRouteHandlers('get', '/pixel');
+    ({ res } = await invokeHandler(pixel));
+    expect(res.headers['Content-Type']).toBe('image/gif');
+    expect(res.body).toEqual(Buffer.from('R0lGODlhAQABAAAAACw=', 'base64'));
+
+    const [exportRoute] = getRouteHandlers('get', '/export');
+    ({ res } = await invokeHandler(exportRoute));
+    expect(res.statusCode).toBe(503);
+    expect(res.headers['Content-Type']).toBe('csv');
+    expect(res.body).toBe('Export unavailable');
+
+    const [problem] = getRouteHandlers('get', '/problem');
+    ({ res } = await invokeHandler(problem));
+    expect(res.statusCode).toBe(409);
+    expect(res.headers['Content-Type']).toBe('application/problem+json');
+    expect(res.json).toHaveBeenCalledWith({ title: 'Conflict' });
+  });
+
+  it('should answer success statuses without a body and with a Location', async () => {
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      routes: [
+        { path: '/users', method: 'POST', status: 201, location: '/users/{{body.id}}', response: { id: '{{body.id}}' } },
+        { path: '/users/:id', method: 'DELETE', status: 204 },
+        { path: '/old/:id', method: 'GET', status: 301, location: 'https://example.com/new/{{params.id}}' },
+        { path: '/jobs/:id', method: 'GET', response: { state: 'running' }, responses: [{ status: 202 }, { status: 304 }] }
+      ]
+    }));
+    await server.start();
+
+    const [create] = getRouteHandlers('post', '/users');
+    let { res } = await invokeHandler(create, { body: { id: '9' } });
+    expect(res.statusCode).toBe(201);
+    expect(res.headers.Location).toBe('/users/9');
+    expect(res.body).toEqual({ id: '9' });
+
+    const [remove] = getRouteHandlers('delete', '/users/:id');
+    ({ res } = await invokeHandler(remove));
+    expect(res.statusCode).toBe(204);
+    expect(res.ended).toBe(true);
+    expect(res.json).not.toHaveBeenCalled();
+
+    const [redirect] = getRouteHandlers('get', '/old/:id');
+    ({ res } = await invokeHandler(redirect, { params: { id: '3' } }));
+    expect(res.statusCode).toBe(301);
+    expect(res.headers.Location).toBe('https://example.com/new/3');
+
+    // A 304 entry drops the body the route would send
+    const [job] = getRouteHandlers('get', '/jobs/:id');
+    expect((await invokeHandler(job)).res.body).toEqual({ state: 'running' });
+    ({ res } = await invokeHandler(job));
+    expect(res.statusCode).toBe(304);
+    expect(res.ended).toBe(true);
+    expect(res.body).toBeUndefined();
+  });
+
+  it('should render error bodies from templates', async () => {
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      routes: [{
+        path: '/accounts/:id',
+        method: 'GET',
+        contentType: 'application/problem+json',
+        errorCode: 404,
+        errorBody: {
+          type: 'https://example.com/problems/not-found',
+          title: 'Account not found',
+          status: 404,
+          detail: 'No account {{params.id}}',
+          instance: '{{request.path}}'
+        }
+      }]
+    }));
+    await server.start();
+
+    const [handler] = getRouteHandlers('get', '/accounts/:id');
+    const { res } = await invokeHandler(handler, { params: { id: '5' }, path: '/accounts/5' });
+    expect(res.statusCode).toBe(404);
+    expect(res.headers['Content-Type']).toBe('application/problem+json');
+    expect(res.body).toEqual({
+      type: 'https://example.com/problems/not-found',
+      title: 'Account not found',
+      status: 404,
+      detail: 'No account 5',
+      instance: '/accounts/5'
+    });
+  });
+
+  it('should inject the same faults for the same seed until chaos is switched off', async () => {
+    const config = JSON.stringify({
+      globals: { seed: 7, chaos: { errorRate: 0.5, errors: { 500: 1, 503: 1 } } },
+      routes: [
+        { path: '/orders', method: 'GET', response: { id: '{{random 1 1000}}' } },
+        { path: '/health', method: 'GET', chaos: false, response: { ok: true } }
+      ]
+    });
+    const run = async () => {
+      // Handlers of earlier starts stay registered on the shared router mock
+      const handler = getRouteHandlers('get', '/orders').pop();
+      const responses = [];
+      for (let i = 0; i < 10; i++) {
+        const { res } = await invokeHandler(handler);
+        responses.push([res.statusCode, res.body]);
+      }
+      return responses;
+    };
+
+    fs.promises.readFile.mockResolvedValueOnce(config);
+    await server.start();
+    const first = await run();
+    const statuses = first.map(([status]) => status);
+    expect(statuses).toEqual(expect.arrayContaining([200, 500, 503]));
+    const [health] = getRouteHandlers('get', '/health');
+    expect((await invokeHandler(health)).res.statusCode).toBe(200);
+
+    await server.stop();
+    fs.promises.readFile.mockResolvedValueOnce(config);
+    await server.start();
+    expect(await run()).toEqual(first);
+    expect(server.isChaosEnabled()).toBe(true);
+
+    // Switched off, the rendered values still follow the seed, since faults draw from their own sequence
+    await server.stop();
+    fs.promises.readFile.mockResolvedValueOnce(config);
+    server = createMockServer('mocks.json', { chaos: false });
+    await server.start();
+    expect(server.isChaosEnabled()).toBe(false);
+    const calm = await run();
+    expect(calm.every(([status]) => status === 200)).toBe(true);
+    expect(calm[0]).toEqual(first.find(([status]) => status === 200));
+
+    server.setChaos(true);
+    expect((await run()).some(([status]) => status !== 200)).toBe(true);
+    expect(() => createMockServer('mocks.json', { chaos: 'on' })).toThrow('chaos must be a boolean');
+  });
+
+  it('should stream chunked, throttled and NDJSON bodies', async () => {
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      routes: [
+        { path: '/feed', method: 'GET', ndjson: true, chunks: { delay: 1 }, response: [{ id: 1 }, { id: '{{query.id}}' }] },
+        { path: '/page', method: 'GET', contentType: 'html', chunks: { count: 3 }, body: '<p>{{query.id}}</p>' },
+        { path: '/slow', method: 'GET', throttle: 100000, response: { ok: true } },
+        {
+          path: '/jobs',
+          method: 'GET',
+          response: { state: 'done' },
+          responses: [{ chunks: { size: 4 }, status: 202, response: { state: 'busy' } }, {}]
+        }
+      ]
+    }));
+    await server.start();
+
+    const [feed] = getRouteHandlers('get', '/feed');
+    let { res } = await invokeHandler(feed, { query: { id: '2' } });
+    expect(res.headers['Content-Type']).toBe('application/x-ndjson');
+    expect(res.written).toEqual(['{"id":1}\n', '{"id":"2"}\n']);
+    expect(res.ended).toBe(true);
+    expect(res.send).not.toHaveBeenCalled();
+
+    const [page] = getRouteHandlers('get', '/page');
+    ({ res } = await invokeHandler(page, { query: { id: '42' } }));
+    expect(res.headers['Content-Type']).toBe('html');
+    expect(res.written).toEqual(['<p>', '42<', '/p>']);
+
+    const [slow] = getRouteHandlers('get', '/slow');
+    ({ res } = await invokeHandler(slow));
+    expect(res.headers['Content-Type']).toBe('json');
+    expect(res.written.join('')).toBe('{"ok":true}');
+
+    const [jobs] = getRouteHandlers('get', '/jobs');
+    ({ res } = await invokeHandler(jobs));
+    expect(res.statusCode).toBe(202);
+    expect(res.written).toEqual(['{"st', 'ate"', ':"bu', 'sy"}']);
+    ({ res } = await invokeHandler(jobs));
+    expect(res.json).toHaveBeenCalledWith({ state: 'done' });
+    expect(res.write).not.toHaveBeenCalled();
+  });
+
+  it('should break streamed bodies with chaos and hand late errors to Express', async () => {
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      routes: [
+        { path: '/feed', method: 'GET', ndjson: true, chaos: { malformedRate: 1 }, response: [{ id: 1 }, { id: 2 }] },
+        { path: '/page', method: 'GET', chunks: { count: 2 }, response: { ok: true } }
+      ]
+    }));
+    await server.start();
+
+    /**
+     * Creates response overrides that send the headers with the first chunk, like Node does
+     * @param {Function} [write] - Records a chunk once the headers are sent
+     * @returns {Object} Response overrides
+     */
+    const streaming = (write = () => {}) => ({
+      headersSent: false,
+      socket: { destroy: jest.fn() },
+      setHeader: jest.fn(function() {
+        if (this.headersSent) throw new Error('Cannot set headers after they are sent to the client');
+      }),
+      write: jest.fn(function(chunk) {
+        this.headersSent = true;
+        this.written = [...(this.written || []), chunk.toString()];
+        write(chunk);
+        return true;
+      }),
+      end: jest.fn(function(chunk) {
+        this.written = [...(this.written || []), String(chunk)];
+        this.ended = true;
+        return this;
+      })
+    });
+
+    const [feed] = getRouteHandlers('get', '/feed');
+    let { res, next } = await invokeHandler(feed, {}, streaming());
+    expect(res.written).toEqual(['{"id":1}\n', '{"id":2}\n', '{']);
+    expect(res.ended).toBe(true);
+    expect(next).not.toHaveBeenCalled();
+
+    const [page] = getRouteHandlers('get', '/page');
+    let calls = 0;
+    ({ res, next } = await invokeHandler(page, {}, streaming(() => {
+      calls += 1;
+      if (calls > 1) throw new Error('Connection lost');
+    })));
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'Connection lost' }));
+    expect(res.json).not.toHaveBeenCalled();
+  });
+
+  it('should stream scripted and pushed events until the server stops', async () => {
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      routes: [
+        {
+          id: 'prices',
+          path: '/prices/:symbol',
+          method: 'GET',
+          headers: { 'X-Feed': '{{params.symbol}}' },
+          sse: { events: [{ event: 'quote', data: { symbol: '{{params.symbol}}' } }] }
+        }
+      ]
+    }));
+    await server.start();
+
+    const [prices] = getRouteHandlers('get', '/prices/:symbol');
+    const { res } = await invokeHandler(prices, { path: '/prices/acme', params: { symbol: 'acme' }, get: () => '' },
+      { flushHeaders: jest.fn(), on: jest.fn() });
+    expect(res.headers['Content-Type']).toBe('text/event-stream');
+    expect(res.headers['X-Feed']).toBe('acme');
+    expect(res.written).toEqual(['id: 1\nevent: quote\ndata: {"symbol":"acme"}\n\n']);
+    expect(res.ended).toBeUndefined();
+
+    expect(server.pushEvent({ event: 'halt', data: 'Trading halted' }, 'prices')).toBe(1);
+    expect(res.written[1]).toBe('event: halt\ndata: Trading halted\n\n');
+
+    await server.stop();
+    expect(res.ended).toBe(true);
+    expect(server.pushEvent({ data: 'late' })).toBe(0);
+  });
+
+  it('should pick the representation the Accept header asks for', async () => {
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      routes: [{
+        path: '/users/:id',
+        method: 'GET',
+        representations: [
+          { contentType: 'application/json', response: { id: '{{number params.id}}' } },
+          { contentType: 'application/xml', body: '<user id="{{params.id}}"/>' },
+          { contentType: 'text/csv', body: 'id\n{{params.id}}' }
+        ]
+      }]
+    }));
+    await server.start();
+
+    // A simplified req.accepts, which returns the first type for */* and false when nothing matches
+    const request = (accept) => ({
+      params: { id: '3' },
+      accepts: (types) => (accept === '*/*' ? types[0] : types.find(type => type === accept) || false)
+    });
+    const [handler] = getRouteHandlers('get', '/users/:id');
+    expect((await invokeHandler(handler, request('*/*'))).res.body).toEqual({ id: 3 });
+
+    let { res } = await invokeHandler(handler, request('application/xml'));
+    expect(res.headers['Content-Type']).toBe('application/xml');
+    expect(res.body).toBe('<user id="3"/>');
+    expect((await invokeHandler(handler, request('text/csv'))).res.body).toBe('id\n3');
+
+    ({ res } = await invokeHandler(handler, request('image/png')));
+    expect(res.statusCode).toBe(406);
+    expect(res.body).toEqual({ error: 'Not Acceptable', accepts: ['application/json', 'application/xml', 'text/csv'] });
+  });
+
+  it('should reject invalid response files', async () => {
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      routes: [{ path: '/a', method: 'GET', response: {}, responseFile: 'a.json' }]
+    }));
+    await expect(createMockServer('mocks.json').start()).rejects.toThrow('response and responseFile cannot be combined');
+  });
+
+  it('should check every mock response without starting a server', async () => {
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      routes: [
+        { path: '/users/:id', method: 'GET', response: { id: '{{params.id}}' }, responseSchema: { type: 'object', required: ['name'] } },
+        { path: '/health', method: 'GET', response: { ok: true } }
+      ]
+    }));
+
+    const result = await validateMocks('mocks.json');
+    expect(result).toEqual({
+      checked: 2,
+      problems: [{
+        route: 'GET /users/:id',
+        message: 'Response does not match its responseSchema',
+        details: [{ in: 'response', path: '/name', message: "must have required property 'name'" }]
+      }]
+    });
+    expect(require('express')().listen).not.toHaveBeenCalled();
+  });
+
+  it('should fail to start when the OpenAPI spec in globals is missing', async () => {
+    fs.promises.readFile
+      .mockResolvedValueOnce(JSON.stringify({ globals: { openapi: { spec: 'missing.yaml' } }, routes: [] }))
+      .mockRejectedValueOnce(Object.assign(new Error('missing'), { code: 'ENOENT' }));
+
+    await expect(createMockServer('mocks.json').start()).rejects.toThrow('OpenAPI spec not found');
+  });
+
+  it('should report invalid YAML', async () => {
+    fs.promises.readFile.mockResolvedValueOnce('routes: [');
+    const errorServer = createMockServer('mocks.yaml');
+    await expect(errorServer.start()).rejects.toThrow('Invalid YAML in config file');
   });
   
   it('should handle multiple signal events correctly', async () => {
@@ -20,8 +20,10 @@ jest.spyOn(process, 'removeListener');
 jest.mock('fs', () => ({
   promises: {
     readFile: jest.fn(),
+    readdir: jest.fn(),
     writeFile: jest.fn(),
-    unlink: jest.fn()
+    unlink: jest.fn(),
+    stat: jest.fn()
   }
 }));
 
@@ -61,6 +63,13 @@ jest.mock('express', () => {
     };
     return app;
   };
+  express.Router = jest.fn(() => {
+    const router = jest.fn();
+    ['use', 'get', 'post', 'put', 'delete', 'patch', 'options', 'all'].forEach(method => {
+      router[method] = jest.fn().mockReturnThis();
+    });
+    return router;
+  });
   express.json = jest.fn().mockReturnValue((req, res, next) => next());
   express.urlencoded = jest.fn().mockReturnValue((req, res, next) => next());
   express.static = jest.fn().mockReturnValue((req, res, next) => next());
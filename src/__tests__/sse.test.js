@@ -0,0 +1,148 @@
+const { formatEvent, getResumeNumber, createEventHub, streamEvents } = require('../lib/sse');
+
+/**
+ * Creates a fake event stream response that records what is written
+ * @returns {Object} Response-like object
+ */
+const createResponse = () => {
+  const listeners = {};
+  return {
+    headers: {},
+    written: [],
+    status: jest.fn(function(code) { this.statusCode = code; return this; }),
+    set: jest.fn(function(headers) { Object.assign(this.headers, headers); return this; }),
+    flushHeaders: jest.fn(),
+    write: jest.fn(function(chunk) { this.written.push(chunk); return true; }),
+    end: jest.fn(function() { this.ended = true; }),
+    on: jest.fn((event, listener) => { listeners[event] = listener; }),
+    emit: (event) => listeners[event]()
+  };
+};
+
+/**
+ * Creates a request for an event stream
+ * @param {Object} [headers={}] - Request headers
+ * @param {Object} [query={}] - Query parameters
+ * @returns {Object} Request-like object
+ */
+const createRequest = (headers = {}, query = {}) => ({
+  path: '/prices/acme',
+  params: { symbol: 'acme' },
+  query,
+  get: (name) => headers[name]
+});
+
+const route = {
+  id: 'prices',
+  path: '/prices/:symbol',
+  sse: {
+    events: [
+      { event: 'tick', data: { symbol: '{{params.symbol}}', n: '{{sse.number}}' }, delay: 100 },
+      { data: 'line one\nline two', id: 'quote-{{sse.number}}' }
+    ]
+  }
+};
+
+describe('Server-Sent Events', () => {
+  describe('Formatting', () => {
+    it('should format events with their id, name and data lines', () => {
+      expect(formatEvent({ event: 'tick', id: 3, data: { price: 1 } })).toBe('id: 3\nevent: tick\ndata: {"price":1}\n\n');
+      expect(formatEvent({ data: 'a\nb' })).toBe('data: a\ndata: b\n\n');
+      expect(formatEvent({ event: 'x\ny', data: 1 })).toBe('event: xy\ndata: 1\n\n');
+    });
+
+    it('should read the event number from the Last-Event-ID', () => {
+      expect(getResumeNumber('17')).toBe(17);
+      expect(getResumeNumber('quote-17')).toBe(17);
+      expect(getResumeNumber('quote')).toBe(0);
+      expect(getResumeNumber(undefined)).toBe(0);
+    });
+  });
+
+  describe('Hub', () => {
+    it('should push events to the clients of a route until they close', () => {
+      const hub = createEventHub();
+      const first = createResponse();
+      const second = createResponse();
+      hub.connect(createRequest(), first, route);
+      hub.connect({ path: '/news' }, second, { path: '/news' });
+
+      expect(hub.push({ data: 'all' })).toBe(2);
+      expect(hub.push({ data: 'prices' }, 'prices')).toBe(1);
+      expect(hub.push({ data: 'news' }, '/news')).toBe(1);
+      expect(hub.push({ data: 'acme' }, '/prices/acme')).toBe(1);
+      expect(first.written).toEqual(['data: all\n\n', 'data: prices\n\n', 'data: acme\n\n']);
+
+      second.emit('close');
+      expect(hub.list()).toEqual([
+        { id: 'prices', route: '/prices/:symbol', path: '/prices/acme', connectedAt: expect.any(String) }
+      ]);
+
+      hub.closeAll();
+      expect(first.ended).toBe(true);
+      expect(hub.list()).toEqual([]);
+      expect(hub.push({ data: 'gone' })).toBe(0);
+    });
+  });
+
+  describe('Streaming', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should play the script with numbered ids and keep the stream open', async () => {
+      const hub = createEventHub();
+      const res = createResponse();
+      const done = streamEvents(createRequest(), res, { ...route, sse: { ...route.sse, retry: 2000 } }, {
+        hub,
+        data: { params: { symbol: 'acme' } }
+      });
+      await jest.advanceTimersByTimeAsync(100);
+      await done;
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['Content-Type']).toBe('text/event-stream');
+      expect(res.flushHeaders).toHaveBeenCalled();
+      expect(res.written).toEqual([
+        'retry: 2000\n\n',
+        'id: 1\nevent: tick\ndata: {"symbol":"acme","n":1}\n\n',
+        'id: quote-2\ndata: line one\ndata: line two\n\n'
+      ]);
+      expect(res.ended).toBeUndefined();
+      expect(hub.list()).toHaveLength(1);
+    });
+
+    it('should resume after the Last-Event-ID and close when asked to', async () => {
+      const res = createResponse();
+      const done = streamEvents(createRequest({ 'Last-Event-ID': 'quote-2' }), res,
+        { ...route, sse: { ...route.sse, repeat: 2, close: true } },
+        { hub: createEventHub(), data: { params: { symbol: 'acme' } } });
+      await jest.advanceTimersByTimeAsync(100);
+      await done;
+
+      expect(res.written).toEqual([
+        'id: 3\nevent: tick\ndata: {"symbol":"acme","n":3}\n\n',
+        'id: quote-4\ndata: line one\ndata: line two\n\n'
+      ]);
+      expect(res.ended).toBe(true);
+    });
+
+    it('should loop until the client goes away', async () => {
+      const hub = createEventHub();
+      const res = createResponse();
+      const done = streamEvents(createRequest({}, { lastEventId: '10' }), res,
+        { path: '/clock', sse: { repeat: true, interval: 1000, events: [{ data: '{{sse.iteration}}' }] } },
+        { hub, data: {} });
+      await jest.advanceTimersByTimeAsync(3000);
+      res.emit('close');
+      await done;
+
+      expect(res.written).toEqual(['id: 11\ndata: 10\n\n', 'id: 12\ndata: 11\n\n', 'id: 13\ndata: 12\n\n']);
+      expect(hub.list()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const { validateStreamOptions, isStreamed, toNdjson, splitBody, streamBody } = require('../lib/stream');
+
+/**
+ * Creates a fake response that records the chunks written and when they were written
+ * @returns {Object} Response-like object
+ */
+const createResponse = () => ({
+  destroyed: false,
+  written: [],
+  write: jest.fn(function(chunk) { this.written.push({ chunk: chunk.toString(), at: Date.now() }); return true; }),
+  end: jest.fn(function() { this.ended = true; })
+});
+
+describe('Stream', () => {
+  describe('Option Validation', () => {
+    it('should accept streaming options', () => {
+      expect(() => validateStreamOptions({})).not.toThrow();
+      expect(() => validateStreamOptions({ throttle: 512, chunks: { count: 4, delay: 100 }, ndjson: true })).not.toThrow();
+      expect(() => validateStreamOptions({ chunks: { size: 16 } })).not.toThrow();
+    });
+
+    it('should reject invalid streaming options', () => {
+      expect(() => validateStreamOptions({ throttle: 0 })).toThrow('throttle must be a positive number of bytes per second');
+      expect(() => validateStreamOptions({ throttle: '1kb' })).toThrow('throttle must be a positive number of bytes per second');
+      expect(() => validateStreamOptions({ chunks: 4 })).toThrow('chunks must be an object');
+      expect(() => validateStreamOptions({ chunks: { pause: 1 } })).toThrow('Invalid chunks fields: pause');
+      expect(() => validateStreamOptions({ chunks: { size: 1.5 } })).toThrow('chunks size must be a positive integer');
+      expect(() => validateStreamOptions({ chunks: { count: 0 } })).toThrow('chunks count must be a positive integer');
+      expect(() => validateStreamOptions({ chunks: { size: 2, count: 2 } })).toThrow('chunks can set a size or a count, not both');
+      expect(() => validateStreamOptions({ chunks: { delay: -1 } })).toThrow('chunks delay must be a non-negative number of milliseconds');
+      expect(() => validateStreamOptions({ ndjson: 'yes' })).toThrow('ndjson must be a boolean');
+    });
+
+    it('should tell streamed routes apart', () => {
+      expect(isStreamed({ delay: 100 })).toBe(false);
+      expect(isStreamed({ ndjson: false })).toBe(false);
+      expect(isStreamed({ throttle: 100 })).toBe(true);
+      expect(isStreamed({ chunks: {} })).toBe(true);
+      expect(isStreamed({ ndjson: true })).toBe(true);
+    });
+  });
+
+  describe('Splitting', () => {
+    it('should split bodies by size, count or throttle', () => {
+      const pieces = (body, options) => splitBody(body, options).map(piece => piece.toString());
+      expect(pieces('abcdefg', { chunks: { size: 3 } })).toEqual(['abc', 'def', 'g']);
+      expect(pieces('abcdefg', { chunks: { count: 2 } })).toEqual(['abcd', 'efg']);
+      expect(pieces('abcdefg', { throttle: 20 })).toEqual(['ab', 'cd', 'ef', 'g']);
+      expect(pieces('abcdefg', { chunks: { delay: 10 } })).toEqual(['abcdefg']);
+      expect(splitBody(Buffer.from([1, 2, 3]), { chunks: { size: 2 } })).toEqual([Buffer.from([1, 2]), Buffer.from([3])]);
+    });
+
+    it('should send NDJSON lines one piece each', () => {
+      const lines = toNdjson([{ id: 1 }, 'two', [3]]);
+      expect(lines).toEqual(['{"id":1}\n', '"two"\n', '[3]\n']);
+      expect(toNdjson({ id: 1 })).toEqual(['{"id":1}\n']);
+      expect(splitBody(lines, { chunks: { size: 2 } }).map(piece => piece.toString())).toEqual(lines);
+    });
+  });
+
+  describe('Streaming', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should wait the chunk delay between pieces', async () => {
+      const res = createResponse();
+      const start = Date.now();
+      const done = streamBody(res, splitBody('abcdef', { chunks: { size: 2 } }), { chunks: { delay: 100 } });
+      await jest.advanceTimersByTimeAsync(250);
+      await done;
+
+      expect(res.written.map(({ chunk, at }) => [chunk, at - start])).toEqual([['ab', 0], ['cd', 100], ['ef', 200]]);
+      expect(res.ended).toBe(true);
+    });
+
+    it('should pace pieces to the throttle bandwidth', async () => {
+      const res = createResponse();
+      const start = Date.now();
+      const options = { throttle: 10, chunks: { size: 5, delay: 50 } };
+      const done = streamBody(res, splitBody('abcdefghij', options), options);
+      await jest.advanceTimersByTimeAsync(2000);
+      await done;
+
+      expect(res.written.map(({ chunk, at }) => [chunk, at - start])).toEqual([['abcde', 500], ['fghij', 1050]]);
+    });
+
+    it('should stop when the client goes away', async () => {
+      const res = createResponse();
+      const done = streamBody(res, splitBody('abcdef', { chunks: { size: 2 } }), { chunks: { delay: 100 } });
+      await jest.advanceTimersByTimeAsync(50);
+      res.destroyed = true;
+      await jest.advanceTimersByTimeAsync(300);
+      await done;
+
+      expect(res.written.map(({ chunk }) => chunk)).toEqual(['ab']);
+      expect(res.end).not.toHaveBeenCalled();
+    });
+
+    it('should wait for the client to drain', async () => {
+      const listeners = {};
+      const res = {
+        ...createResponse(),
+        write: jest.fn().mockReturnValueOnce(false).mockReturnValue(true),
+        once: jest.fn((event, listener) => { listeners[event] = listener; }),
+        removeListener: jest.fn((event, listener) => {
+          if (listeners[event] === listener) delete listeners[event];
+        })
+      };
+      const done = streamBody(res, [Buffer.from('a'), Buffer.from('b')], {});
+      await Promise.resolve();
+      expect(res.write).toHaveBeenCalledTimes(1);
+
+      listeners.drain();
+      await done;
+      expect(res.write).toHaveBeenCalledTimes(2);
+      expect(listeners).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,215 @@
+const http = require('http');
+const net = require('net');
+const { WebSocket } = require('ws');
+const { matchPath, parseMessage, matchMessage, createWebSocketServer } = require('../lib/websockets');
+
+/**
+ * Connects a client and records its messages and how it was closed
+ * @param {number} port - Server port
+ * @param {string} path - Path with query string
+ * @returns {Promise<Object>} Client with its `socket`, `messages`, a `next(count)` waiting for messages
+ *   and a `closed` promise resolving with the close code and reason
+ */
+const connect = (port, path) => new Promise((resolve, reject) => {
+  const socket = new WebSocket(`ws://localhost:${port}${path}`);
+  const messages = [];
+  let waiting = null;
+  const client = {
+    socket,
+    messages,
+    next: (count) => new Promise(done => {
+      waiting = () => {
+        if (messages.length >= count) done(messages.slice(0, count));
+      };
+      waiting();
+    }),
+    closed: new Promise(done => socket.on('close', (code, reason) => done({ code, reason: reason.toString() })))
+  };
+  socket.on('message', data => {
+    messages.push(parseMessage(data));
+    if (waiting) waiting();
+  });
+  socket.on('open', () => resolve(client));
+  socket.on('error', reject);
+});
+
+describe('WebSockets', () => {
+  describe('Matching', () => {
+    it('should match paths with parameters', () => {
+      expect(matchPath('/chat/:room', '/chat/general')).toEqual({ room: 'general' });
+      expect(matchPath('/chat/:room', '/chat/a%20b')).toEqual({ room: 'a b' });
+      expect(matchPath('/chat', '/chat')).toEqual({});
+      expect(matchPath('/chat/:room', '/chat/')).toBeNull();
+      expect(matchPath('/chat/:room', '/news/general')).toBeNull();
+      expect(matchPath('/chat', '/chat/general')).toBeNull();
+    });
+
+    it('should read JSON and text messages', () => {
+      expect(parseMessage(Buffer.from('{"type":"ping"}'))).toEqual({ type: 'ping' });
+      expect(parseMessage(Buffer.from('ping'))).toBe('ping');
+    });
+
+    it('should match messages field by field or exactly', () => {
+      expect(matchMessage(undefined, 'anything')).toBe(true);
+      expect(matchMessage({ type: 'say' }, { type: 'say', text: 'hi' })).toBe(true);
+      expect(matchMessage({ user: { role: 'admin' } }, { user: { role: 'admin', id: 1 } })).toBe(true);
+      expect(matchMessage({ type: 'say' }, { type: 'ping' })).toBe(false);
+      expect(matchMessage({ type: 'say' }, 'say')).toBe(false);
+      expect(matchMessage('ping', 'ping')).toBe(true);
+      expect(matchMessage('ping', { type: 'ping' })).toBe(false);
+    });
+  });
+
+  describe('Server', () => {
+    let server;
+    let websockets;
+    let port;
+    let config;
+
+    beforeEach(async () => {
+      config = {
+        routes: [],
+        websockets: [
+          {
+            id: 'chat',
+            path: '/chat/:room',
+            onConnect: [{ message: { type: 'welcome', room: '{{params.room}}', user: '{{query.user}}' } }],
+            messages: [
+              { match: { type: 'say' }, reply: { type: 'said', from: '{{query.user}}', text: '{{message.text}}' }, broadcast: true },
+              { match: { type: 'ping' }, reply: { type: 'pong', id: '{{message.id}}' }, delay: 10 },
+              { match: 'bye', reply: 'see you', close: { code: 4000, reason: 'Bye' } }
+            ]
+          },
+          {
+            path: '/ticker',
+            broadcasts: [{ interval: 20, message: { tick: '{{broadcast.count}}' } }],
+            close: { after: 110, code: 4001, reason: 'Session expired' }
+          }
+        ]
+      };
+      websockets = createWebSocketServer({ getConfig: () => config, getTemplateOptions: () => ({}) });
+      server = http.createServer();
+      websockets.attach(server);
+      await new Promise(resolve => server.listen(0, resolve));
+      ({ port } = server.address());
+    });
+
+    afterEach(async () => {
+      await websockets.close();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should greet sockets and reply to matching messages', async () => {
+      const client = await connect(port, '/chat/general?user=ada');
+      expect(await client.next(1)).toEqual([{ type: 'welcome', room: 'general', user: 'ada' }]);
+
+      client.socket.send(JSON.stringify({ type: 'unknown' }));
+      client.socket.send(JSON.stringify({ type: 'ping', id: 7 }));
+      expect((await client.next(2))[1]).toEqual({ type: 'pong', id: 7 });
+      expect(websockets.list()).toEqual([{ id: 'chat', path: '/chat/general', connectedAt: expect.any(String) }]);
+
+      client.socket.send('bye');
+      expect((await client.next(3))[2]).toBe('see you');
+      expect(await client.closed).toEqual({ code: 4000, reason: 'Bye' });
+      expect(client.messages).toHaveLength(3);
+    });
+
+    it('should broadcast replies to the sockets of the same path', async () => {
+      const ada = await connect(port, '/chat/general?user=ada');
+      const bob = await connect(port, '/chat/general?user=bob');
+      const eve = await connect(port, '/chat/random?user=eve');
+      await Promise.all([ada.next(1), bob.next(1), eve.next(1)]);
+
+      ada.socket.send(JSON.stringify({ type: 'say', text: 'hello' }));
+      const said = { type: 'said', from: 'ada', text: 'hello' };
+      expect((await ada.next(2))[1]).toEqual(said);
+      expect((await bob.next(2))[1]).toEqual(said);
+      expect(eve.messages).toHaveLength(1);
+    });
+
+    it('should send periodic messages until the forced disconnect', async () => {
+      const client = await connect(port, '/ticker');
+      expect(await client.closed).toEqual({ code: 4001, reason: 'Session expired' });
+      expect(client.messages.length).toBeGreaterThanOrEqual(2);
+      expect(client.messages.slice(0, 2)).toEqual([{ tick: 1 }, { tick: 2 }]);
+    });
+
+    it('should reject paths without an endpoint', async () => {
+      await expect(connect(port, '/unknown')).rejects.toThrow('Unexpected server response: 404');
+    });
+
+    it('should reject malformed paths and keep answering', async () => {
+      const response = await new Promise((resolve, reject) => {
+        const socket = net.connect(port, 'localhost', () => {
+          socket.write([
+            'GET /chat/%E0%A4%A HTTP/1.1',
+            'Host: localhost',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+            'Sec-WebSocket-Version: 13',
+            '',
+            ''
+          ].join('\r\n'));
+        });
+        let received = '';
+        socket.on('data', chunk => { received += chunk; });
+        socket.on('close', () => resolve(received));
+        socket.on('error', reject);
+      });
+      expect(response).toMatch(/^HTTP\/1\.1 400 Bad Request/);
+
+      const client = await connect(port, '/chat/general');
+      expect(await client.next(1)).toEqual([{ type: 'welcome', room: 'general', user: '' }]);
+    });
+
+    it('should drop sockets sending invalid frames and keep answering', async () => {
+      const response = await new Promise((resolve, reject) => {
+        const socket = net.connect(port, 'localhost', () => {
+          socket.write([
+            'GET /chat/general HTTP/1.1',
+            'Host: localhost',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+            'Sec-WebSocket-Version: 13',
+            '',
+            ''
+          ].join('\r\n'));
+        });
+        let received = '';
+        socket.on('data', chunk => {
+          if (!received) {
+            // Client frames must be masked, this one is not
+            socket.write(Buffer.from([0x81, 0x02, 0x68, 0x69]));
+          }
+          received += chunk;
+        });
+        socket.on('close', () => resolve(received));
+        socket.on('error', reject);
+      });
+      expect(response).toMatch(/^HTTP\/1\.1 101 Switching Protocols/);
+      expect(websockets.list()).toEqual([]);
+
+      const client = await connect(port, '/chat/general');
+      expect(await client.next(1)).toEqual([{ type: 'welcome', room: 'general', user: '' }]);
+    });
+
+    it('should use endpoints of the current configuration', async () => {
+      config = { routes: [], websockets: [{ path: '/news', onConnect: [{ message: 'extra', delay: 5 }] }] };
+      const client = await connect(port, '/news');
+      expect(await client.next(1)).toEqual(['extra']);
+      await expect(connect(port, '/ticker')).rejects.toThrow('Unexpected server response: 404');
+    });
+
+    it('should close every socket when the server stops', async () => {
+      const first = await connect(port, '/chat/general');
+      const second = await connect(port, '/ticker');
+      await websockets.close();
+
+      expect(await first.closed).toEqual({ code: 1001, reason: 'Server shutting down' });
+      expect(await second.closed).toEqual({ code: 1001, reason: 'Server shutting down' });
+      expect(websockets.list()).toEqual([]);
+    });
+  });
+});
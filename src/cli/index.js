@@ -1,18 +1,120 @@
 #!/usr/bin/env node
 
-const createMockServer = require('../lib/server');
+const { createMockServer, validateMocks } = require('../lib/server');
 const path = require('path');
 
-const configPath = process.argv[2];
-if (!configPath) {
+const usage = [
+  'Usage: express-template-mock-server <config.json|openapi.yaml> [--proxy <url>] [--record] [--seed <value>]',
+  '       express-template-mock-server validate <config.json|openapi.yaml>'
+].join('\n');
+
+/**
+ * Parses the command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} Command, config path and server options
+ */
+const parseArgs = (args) => {
+  const options = {};
+  let command = 'start';
+  let configPath;
+
+  if (args[0] === 'validate') {
+    command = 'validate';
+    args = args.slice(1);
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--proxy') {
+      const target = args[++i];
+      if (!target) {
+        throw new Error('--proxy requires a target URL');
+      }
+      options.proxy = { ...options.proxy, target };
+    } else if (arg === '--record') {
+      options.proxy = { ...options.proxy, record: true };
+    } else if (arg === '--seed') {
+      const seed = args[++i];
+      if (!seed) {
+        throw new Error('--seed requires a value');
+      }
+      options.seed = seed;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      configPath = arg;
+    }
+  }
+
+  return { command, configPath, options };
+};
+
+let parsed;
+try {
+  parsed = parseArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  console.error(usage);
+  process.exit(1);
+}
+
+if (!parsed.configPath) {
   console.error('Please provide a path to the mock configuration file');
+  console.error(usage);
   process.exit(1);
 }
 
-const absoluteConfigPath = path.resolve(process.cwd(), configPath);
-const server = createMockServer(absoluteConfigPath);
+/**
+ * Renders every route with sample data and prints the problems found
+ * @param {string} configPath - Absolute path to the configuration file
+ */
+const runValidate = async (configPath) => {
+  const { checked, problems } = await validateMocks(configPath);
 
-server.start(process.env.PORT || 3000).catch(error => {
-  console.error('Failed to start server:', error);
-  process.exit(1);
-}); 
\ No newline at end of file
+  for (const problem of problems) {
+    const entry = problem.entry !== undefined ? ` (responses[${problem.entry}])` : '';
+    console.error(`${problem.route}${entry}: ${problem.message}`);
+    for (const violation of problem.details || []) {
+      console.error(`  ${violation.path || '/'} ${violation.message}`);
+    }
+  }
+
+  console.log(`Checked ${checked} responses, found ${problems.length} problems`);
+  process.exitCode = problems.length > 0 ? 1 : 0;
+};
+
+/**
+ * Starts the mock server
+ * @param {string} configPath - Absolute path to the configuration file
+ * @param {Object} options - Server options
+ */
+const runServer = (configPath, options) => {
+  let server;
+  try {
+    server = createMockServer(configPath, options);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  // --record without --proxy only works when the config file sets globals.proxy.target
+  const recordsWithoutTarget = Boolean(options.proxy && options.proxy.record && !options.proxy.target);
+
+  server.start(process.env.PORT || 3000).catch(error => {
+    console.error('Failed to start server:', error);
+    if (recordsWithoutTarget) {
+      console.error(usage);
+    }
+    process.exit(1);
+  });
+};
+
+const absoluteConfigPath = path.resolve(process.cwd(), parsed.configPath);
+if (parsed.command === 'validate') {
+  runValidate(absoluteConfigPath).catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+} else {
+  runServer(absoluteConfigPath, parsed.options);
+}
@@ -0,0 +1,244 @@
+/**
+ * @module admin
+ * @description Admin REST API for runtime route management and inspection
+ */
+const express = require('express');
+const { validateFilter, parseFilterQuery } = require('./journal');
+
+const DEFAULT_ADMIN_PREFIX = '/__admin';
+
+/**
+ * Resolves the admin API options from the global configuration
+ * @param {Object} [globals={}] - Global configuration options
+ * @returns {Object|null} Admin options with a prefix, or null when the admin API is disabled
+ */
+const getAdminOptions = (globals = {}) => {
+  const { admin } = globals;
+  if (admin === false) {
+    return null;
+  }
+  const prefix = (admin && typeof admin === 'object' && admin.prefix) || DEFAULT_ADMIN_PREFIX;
+  return { prefix };
+};
+
+/**
+ * Finds the index of a route by its `id`, falling back to its position in the routes array
+ * @param {Array<Object>} routes - Route configurations
+ * @param {string} routeId - Route id or numeric index
+ * @returns {number} Index of the route, or -1 if there is none
+ */
+const findRouteIndex = (routes, routeId) => {
+  const byId = routes.findIndex(route => route.id === routeId);
+  if (byId !== -1) {
+    return byId;
+  }
+  if (/^\d+$/.test(routeId) && Number(routeId) < routes.length) {
+    return Number(routeId);
+  }
+  return -1;
+};
+
+/**
+ * Creates the admin request handlers
+ * @param {Object} controller - Server operations the admin API can perform
+ * @param {Function} controller.getConfig - Returns the current configuration
+ * @param {Function} controller.updateRoutes - Validates and applies a new routes array
+ * @param {Function} controller.reload - Reloads the configuration from disk
+ * @param {Function} controller.reset - Resets sequences, scenarios and resources
+ * @param {Object|null} controller.journal - Request journal, null when it is disabled
+ * @param {Object} [controller.chaos] - Chaos control, see createChaosControl
+ * @param {Object} [controller.events] - Event hub of Server-Sent Events clients, see createEventHub
+ * @returns {Object} Admin request handlers
+ */
+const createAdminHandlers = (controller) => {
+  /**
+   * Applies a routes array, answering 400 when the resulting config is invalid
+   * @returns {boolean} True if the routes were applied
+   */
+  const applyRoutes = (res, routes) => {
+    try {
+      controller.updateRoutes(routes);
+      return true;
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      return false;
+    }
+  };
+
+  /**
+   * Looks up the route addressed by the request, answering 404 when there is none
+   * @returns {number} Index of the route, or -1 if a 404 was sent
+   */
+  const requireRoute = (req, res) => {
+    const index = findRouteIndex(controller.getConfig().routes, req.params.routeId);
+    if (index === -1) {
+      res.status(404).json({ error: `Route not found: ${req.params.routeId}` });
+    }
+    return index;
+  };
+
+  /**
+   * Answers 404 when the request journal is disabled
+   * @returns {boolean} True if the journal is available
+   */
+  const requireJournal = (res) => {
+    if (!controller.journal) {
+      res.status(404).json({ error: 'Request journal is disabled' });
+      return false;
+    }
+    return true;
+  };
+
+  return {
+    listRoutes: (req, res) => {
+      res.json(controller.getConfig().routes);
+    },
+
+    getRoute: (req, res) => {
+      const index = requireRoute(req, res);
+      if (index === -1) return;
+      res.json(controller.getConfig().routes[index]);
+    },
+
+    addRoute: (req, res) => {
+      const { routes } = controller.getConfig();
+      const newRoutes = req.query.position === 'first'
+        ? [req.body, ...routes]
+        : [...routes, req.body];
+
+      if (!applyRoutes(res, newRoutes)) return;
+      res.status(201).json(req.body);
+    },
+
+    replaceRoute: (req, res) => {
+      const index = requireRoute(req, res);
+      if (index === -1) return;
+
+      const newRoutes = [...controller.getConfig().routes];
+      newRoutes[index] = req.body;
+      if (!applyRoutes(res, newRoutes)) return;
+      res.json(req.body);
+    },
+
+    deleteRoute: (req, res) => {
+      const index = requireRoute(req, res);
+      if (index === -1) return;
+
+      const newRoutes = controller.getConfig().routes.filter((route, i) => i !== index);
+      if (!applyRoutes(res, newRoutes)) return;
+      res.status(204).end();
+    },
+
+    reset: (req, res) => {
+      controller.reset();
+      res.status(204).end();
+    },
+
+    reload: async (req, res) => {
+      try {
+        const config = await controller.reload();
+        res.json({ routes: config.routes.length });
+      } catch (error) {
+        res.status(400).json({ error: `Reload failed, keeping previous routes: ${error.message}` });
+      }
+    },
+
+    getConfig: (req, res) => {
+      res.json(controller.getConfig());
+    },
+
+    listRequests: (req, res) => {
+      if (!requireJournal(res)) return;
+      res.json(controller.journal.query(parseFilterQuery(req.query)));
+    },
+
+    findRequests: (req, res) => {
+      if (!requireJournal(res)) return;
+      const filter = req.body || {};
+      try {
+        validateFilter(filter);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+        return;
+      }
+      res.json(controller.journal.query(filter));
+    },
+
+    clearRequests: (req, res) => {
+      if (!requireJournal(res)) return;
+      controller.journal.clear();
+      res.status(204).end();
+    },
+
+    getChaos: (req, res) => {
+      res.json({ enabled: controller.chaos.isEnabled() });
+    },
+
+    setChaos: (req, res) => {
+      const { enabled } = req.body || {};
+      if (typeof enabled !== 'boolean') {
+        res.status(400).json({ error: 'enabled must be a boolean' });
+        return;
+      }
+      controller.chaos.setEnabled(enabled);
+      res.json({ enabled });
+    },
+
+    listEventClients: (req, res) => {
+      res.json(controller.events.list());
+    },
+
+    pushEvent: (req, res) => {
+      const { route, event, id, data } = req.body || {};
+      if (data === undefined) {
+        res.status(400).json({ error: 'data is required' });
+        return;
+      }
+      if (event !== undefined && (typeof event !== 'string' || !event || /[\r\n]/.test(event))) {
+        res.status(400).json({ error: 'event must be a single-line string' });
+        return;
+      }
+      res.json({ delivered: controller.events.push({ event, id, data }, route) });
+    }
+  };
+};
+
+/**
+ * Creates the admin router
+ * @param {Object} controller - Server operations the admin API can perform
+ * @returns {Function} Express router to mount under the admin prefix
+ */
+const createAdminRouter = (controller) => {
+  const router = express.Router();
+  const handlers = createAdminHandlers(controller);
+
+  router.get('/routes', handlers.listRoutes);
+  router.post('/routes', handlers.addRoute);
+  router.get('/routes/:routeId', handlers.getRoute);
+  router.put('/routes/:routeId', handlers.replaceRoute);
+  router.delete('/routes/:routeId', handlers.deleteRoute);
+  router.post('/reset', handlers.reset);
+  router.post('/reload', handlers.reload);
+  router.get('/config', handlers.getConfig);
+  router.get('/requests', handlers.listRequests);
+  router.post('/requests/find', handlers.findRequests);
+  router.delete('/requests', handlers.clearRequests);
+  router.get('/chaos', handlers.getChaos);
+  router.put('/chaos', handlers.setChaos);
+  router.get('/events', handlers.listEventClients);
+  router.post('/events', handlers.pushEvent);
+
+  router.use((req, res) => {
+    res.status(404).json({ error: 'Unknown admin endpoint' });
+  });
+
+  return router;
+};
+
+module.exports = {
+  DEFAULT_ADMIN_PREFIX,
+  getAdminOptions,
+  findRouteIndex,
+  createAdminHandlers,
+  createAdminRouter
+};
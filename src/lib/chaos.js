@@ -0,0 +1,352 @@
+/**
+ * @module chaos
+ * @description Fault injection profiles: random errors, latency, dropped connections and broken bodies
+ */
+
+// Faults a request can run into, in the order their rates are stacked for a single draw
+const FAULTS = ['hang', 'reset', 'error', 'truncate', 'malformed'];
+
+const RATES = FAULTS.map(fault => `${fault}Rate`);
+
+const DISTRIBUTIONS = ['uniform', 'normal', 'percentiles'];
+
+const PERCENTILE = /^p(\d+(?:\.\d+)?)$/;
+
+/**
+ * Checks if a value is a number that is not negative
+ * @param {*} value - Value to check
+ * @returns {boolean} True for finite numbers of zero or more
+ */
+const isNonNegative = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Returns the percentile points of a long-tail latency, sorted by percentile
+ * @param {Object} latency - Latency with "pNN" fields, such as { p50: 100, p99: 2000 }
+ * @returns {Array<Array<number>>} Pairs of a fraction between 0 and 1 and a latency
+ */
+const getPercentiles = (latency) => Object.entries(latency)
+  .filter(([key]) => PERCENTILE.test(key))
+  .map(([key, value]) => [Number(PERCENTILE.exec(key)[1]) / 100, value])
+  .sort(([a], [b]) => a - b);
+
+/**
+ * Validates the latency distribution of a chaos profile
+ * @param {Object} latency - Latency distribution
+ * @throws {Error} If the distribution is unknown or its parameters are invalid
+ */
+const validateLatency = (latency) => {
+  if (!latency || typeof latency !== 'object' || !DISTRIBUTIONS.includes(latency.distribution)) {
+    throw new Error(`chaos latency distribution must be one of: ${DISTRIBUTIONS.join(', ')}`);
+  }
+
+  const fields = {
+    uniform: ['min', 'max'],
+    normal: ['mean', 'stddev'],
+    percentiles: ['min', 'max']
+  }[latency.distribution];
+  const invalidFields = Object.keys(latency).filter(field =>
+    field !== 'distribution' && !fields.includes(field) && !(latency.distribution === 'percentiles' && PERCENTILE.test(field))
+  );
+  if (invalidFields.length > 0) {
+    throw new Error(`Invalid chaos latency fields: ${invalidFields.join(', ')}`);
+  }
+  for (const [field, value] of Object.entries(latency)) {
+    if (field !== 'distribution' && !isNonNegative(value)) {
+      throw new Error(`chaos latency ${field} must be a non-negative number of milliseconds`);
+    }
+  }
+
+  if (latency.distribution === 'uniform') {
+    if (latency.max === undefined || (latency.min || 0) > latency.max) {
+      throw new Error('chaos latency needs a max of at least min');
+    }
+  } else if (latency.distribution === 'normal') {
+    if (latency.mean === undefined) {
+      throw new Error('chaos latency needs a mean');
+    }
+  } else {
+    const percentiles = getPercentiles(latency);
+    if (percentiles.length === 0 || percentiles.some(([fraction]) => fraction <= 0 || fraction > 1)) {
+      throw new Error('chaos latency needs percentiles between p0 and p100, such as p50 and p99');
+    }
+    const values = [latency.min || 0, ...percentiles.map(([, value]) => value), ...(latency.max !== undefined ? [latency.max] : [])];
+    if (values.some((value, index) => index > 0 && value < values[index - 1])) {
+      throw new Error('chaos latency percentiles must not decrease');
+    }
+  }
+};
+
+/**
+ * Validates a chaos profile of the globals or a route
+ * @param {Object|boolean} profile - Chaos profile, false to turn chaos off for a route
+ * @param {boolean} [isGlobal=false] - Whether this is the global profile, which can set `enabled`
+ * @throws {Error} If the profile is invalid
+ */
+const validateChaosProfile = (profile, isGlobal = false) => {
+  if (profile === false) {
+    return;
+  }
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new Error('chaos must be an object');
+  }
+
+  const validFields = [...(isGlobal ? ['enabled'] : []), 'errors', 'latency', ...RATES];
+  const invalidFields = Object.keys(profile).filter(field => !validFields.includes(field));
+  if (invalidFields.length > 0) {
+    throw new Error(`Invalid chaos fields: ${invalidFields.join(', ')}`);
+  }
+
+  if (profile.enabled !== undefined && typeof profile.enabled !== 'boolean') {
+    throw new Error('chaos enabled must be a boolean');
+  }
+
+  for (const rate of RATES) {
+    if (profile[rate] !== undefined && !(isNonNegative(profile[rate]) && profile[rate] <= 1)) {
+      throw new Error(`chaos ${rate} must be a number between 0 and 1`);
+    }
+  }
+  if (RATES.reduce((sum, rate) => sum + (profile[rate] || 0), 0) > 1) {
+    throw new Error('chaos rates must add up to at most 1');
+  }
+
+  if (profile.errors !== undefined) {
+    const { errors } = profile;
+    const entries = errors && typeof errors === 'object' && !Array.isArray(errors) ? Object.entries(errors) : [];
+    if (entries.length === 0 || entries.some(([status, weight]) =>
+      !/^[45]\d\d$/.test(status) || !(isNonNegative(weight) && weight > 0))) {
+      throw new Error('chaos errors must map status codes (400-599) to positive weights');
+    }
+  }
+
+  if (profile.latency !== undefined) {
+    validateLatency(profile.latency);
+  }
+};
+
+/**
+ * Resolves the chaos profile of a route, its own fields merged over those of the globals
+ * @param {Object} [globals={}] - Global configuration
+ * @param {Object} route - Route configuration
+ * @returns {Object|null} Chaos profile, null when there is none or the route opts out with `chaos: false`
+ */
+const getChaosProfile = (globals = {}, route) => {
+  if (route.chaos === false || (!globals.chaos && !route.chaos)) {
+    return null;
+  }
+  const profile = { ...globals.chaos, ...route.chaos };
+  // Whether chaos starts enabled is up to the switch, see createChaosControl
+  delete profile.enabled;
+  return profile;
+};
+
+/**
+ * Draws a latency from a distribution
+ * Percentiles are interpolated linearly, from `min` (0 by default) to `max` (the highest percentile by default)
+ * @param {Object} latency - Latency distribution
+ * @param {Function} random - Function returning numbers in [0, 1)
+ * @returns {number} Latency in whole milliseconds
+ */
+const sampleLatency = (latency, random) => {
+  if (latency.distribution === 'uniform') {
+    const min = latency.min || 0;
+    return Math.round(min + random() * (latency.max - min));
+  }
+
+  if (latency.distribution === 'normal') {
+    // Box-Muller transform, 1 - random() keeps the logarithm finite
+    const normal = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    return Math.max(0, Math.round(latency.mean + normal * (latency.stddev || 0)));
+  }
+
+  const percentiles = getPercentiles(latency);
+  const points = [[0, latency.min || 0], ...percentiles];
+  if (percentiles[percentiles.length - 1][0] < 1) {
+    points.push([1, latency.max !== undefined ? latency.max : percentiles[percentiles.length - 1][1]]);
+  }
+  const fraction = random();
+  const upper = points.findIndex(([point]) => point > fraction);
+  const [[fromFraction, from], [toFraction, to]] = [points[upper - 1], points[upper]];
+  return Math.round(from + (to - from) * (fraction - fromFraction) / (toFraction - fromFraction));
+};
+
+/**
+ * Picks a weighted error status
+ * @param {Object} [errors={ 500: 1 }] - Weights by status code
+ * @param {Function} random - Function returning numbers in [0, 1)
+ * @returns {number} Status code
+ */
+const pickErrorStatus = (errors = { 500: 1 }, random) => {
+  const entries = Object.entries(errors);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let draw = random() * total;
+  for (const [status, weight] of entries) {
+    draw -= weight;
+    if (draw < 0) {
+      return Number(status);
+    }
+  }
+  return Number(entries[entries.length - 1][0]);
+};
+
+/**
+ * Decides which fault, if any, a request runs into
+ * A single draw is made against the stacked rates, so a request runs into one fault at most
+ * @param {Object} profile - Chaos profile
+ * @param {Function} random - Function returning numbers in [0, 1)
+ * @returns {Object|null} The fault `type` and the `status` of errors, or null
+ */
+const pickFault = (profile, random) => {
+  const draw = random();
+  let threshold = 0;
+  for (const fault of FAULTS) {
+    threshold += profile[`${fault}Rate`] || 0;
+    if (draw < threshold) {
+      return fault === 'error' ? { type: fault, status: pickErrorStatus(profile.errors, random) } : { type: fault };
+    }
+  }
+  return null;
+};
+
+/**
+ * Converts the arguments of response.end to a buffer
+ * @param {*} chunk - Body chunk, or the callback
+ * @param {*} encoding - Encoding of a string chunk, or the callback
+ * @returns {Buffer} The body
+ */
+const toBuffer = (chunk, encoding) => {
+  if (chunk === undefined || chunk === null || typeof chunk === 'function') {
+    return Buffer.alloc(0);
+  }
+  return Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+};
+
+/**
+ * Breaks JSON text so it cannot be parsed, dropping a closing bracket or appending an opening one
+ * @param {string} text - JSON text
+ * @returns {string} Malformed text
+ */
+const malformJson = (text) => (/[}\]]\s*$/.test(text) ? text.replace(/[}\]]\s*$/, '') : `${text}{`);
+
+/**
+ * Replaces response.end so the body is sent broken
+ * A truncated body is cut in half and the connection closed, a malformed one is sent with a fixed Content-Length.
+ * Streamed bodies have their headers sent before they end: a truncated stream loses its end, a malformed one
+ * gets a broken tail
+ * @param {Object} res - Express response
+ * @param {string} type - "truncate" or "malformed"
+ */
+const breakBody = (res, type) => {
+  const end = res.end.bind(res);
+  res.end = (chunk, encoding) => {
+    const body = toBuffer(chunk, encoding);
+    if (type === 'truncate') {
+      const destroy = () => res.socket && res.socket.destroy();
+      if (res.headersSent && body.length === 0) {
+        destroy();
+      } else {
+        res.write(body.subarray(0, Math.floor(body.length / 2)), destroy);
+      }
+      return res;
+    }
+    const malformed = malformJson(body.toString('utf8'));
+    if (!res.headersSent) {
+      res.setHeader('Content-Length', Buffer.byteLength(malformed));
+    }
+    return end(malformed);
+  };
+};
+
+/**
+ * Creates the switch that turns chaos on and off at runtime and the list of requests left hanging
+ * @param {boolean} [enabled=true] - Whether faults are injected
+ * @returns {Object} Chaos control with `isEnabled`, `setEnabled`, `hold` and `release`
+ */
+const createChaosControl = (enabled = true) => {
+  let active = enabled;
+  const hanging = new Set();
+
+  return {
+    /**
+     * Tells whether faults are injected
+     * @returns {boolean} True if chaos is enabled
+     */
+    isEnabled: () => active,
+
+    /**
+     * Turns chaos on or off
+     * @param {boolean} value - Whether to inject faults
+     */
+    setEnabled: (value) => {
+      active = value;
+    },
+
+    /**
+     * Keeps a request hanging until its client gives up or the server stops
+     * @param {Object} res - Express response
+     */
+    hold: (res) => {
+      hanging.add(res);
+      res.on('close', () => hanging.delete(res));
+    },
+
+    /**
+     * Closes the connections of all hanging requests, so the server can stop
+     */
+    release: () => {
+      for (const res of hanging) {
+        if (res.socket) res.socket.destroy();
+      }
+      hanging.clear();
+    }
+  };
+};
+
+/**
+ * Waits for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>} Resolves after the wait
+ */
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Injects the latency and fault of a chaos profile into a request
+ * Errors, resets and hangs answer the request; truncated and malformed bodies only change how the response is sent
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} profile - Chaos profile from getChaosProfile
+ * @param {Object} context - Injection context
+ * @param {Function} context.random - Function returning numbers in [0, 1)
+ * @param {Object} context.control - Chaos control from createChaosControl
+ * @returns {Promise<Object|null>} The `type` of the injected fault and whether it `answered` the request, or null
+ */
+const injectChaos = async (req, res, profile, { random, control }) => {
+  if (profile.latency) {
+    await wait(sampleLatency(profile.latency, random));
+  }
+
+  const fault = pickFault(profile, random);
+  if (!fault) {
+    return null;
+  }
+
+  if (fault.type === 'hang') {
+    control.hold(res);
+  } else if (fault.type === 'reset') {
+    req.socket.destroy();
+  } else if (fault.type === 'error') {
+    res.status(fault.status).json({ error: 'Injected fault', status: fault.status });
+  } else {
+    breakBody(res, fault.type);
+    return { type: fault.type, answered: false };
+  }
+  return { type: fault.type, answered: true };
+};
+
+module.exports = {
+  validateChaosProfile,
+  getChaosProfile,
+  sampleLatency,
+  pickFault,
+  createChaosControl,
+  injectChaos
+};
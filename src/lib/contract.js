@@ -0,0 +1,110 @@
+/**
+ * @module contract
+ * @description Offline rendering of every mock response to catch template errors and schema violations
+ */
+const { synthesize } = require('./openapi');
+const { processJsonTemplate, createTemplateData } = require('./server-utils');
+const { compileResponseSchema } = require('./schema');
+const { mergeEntry } = require('./scenarios');
+
+/**
+ * Synthesizes a sample value from a JSON schema, rendering the helpers synthesized strings use
+ * @param {Object} [schema] - JSON schema
+ * @returns {Object} Sample object, empty when there is no schema
+ */
+const sampleFromSchema = (schema) => {
+  const value = schema ? processJsonTemplate(synthesize({}, schema), {}) : undefined;
+  return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+};
+
+/**
+ * Builds a request a route would match, for rendering its response without a server
+ * Path parameters default to "1"; the route's `requestSchema` and `conditions` fill in the rest
+ * @param {Object} route - Route configuration
+ * @returns {Object} Request-like object with method, path, params, query, headers, body and startTime
+ */
+const createSampleRequest = (route) => {
+  const requestSchema = route.requestSchema || {};
+  const conditions = route.conditions || {};
+
+  const pathParams = {};
+  for (const [, name] of route.path.matchAll(/:(\w+)/g)) {
+    pathParams[name] = '1';
+  }
+  const params = { ...pathParams, ...sampleFromSchema(requestSchema.params) };
+
+  return {
+    method: route.method.toUpperCase(),
+    path: route.path.replace(/:(\w+)/g, (_, name) => String(params[name])),
+    params,
+    query: { ...sampleFromSchema(requestSchema.query), ...conditions.query },
+    headers: { ...sampleFromSchema(requestSchema.headers), ...conditions.headers },
+    body: { ...sampleFromSchema(requestSchema.body), ...conditions.body },
+    startTime: Date.now()
+  };
+};
+
+/**
+ * Renders the response of every route, sequence entry and representation and checks it against its `responseSchema`
+ * Proxied routes, error responses, response files, raw bodies and event streams are skipped, since they are
+ * not rendered from a `response`
+ * @param {Object} config - Validated server configuration
+ * @param {Object} [handlebars] - Handlebars instance with the custom helpers and partials, see createHandlebars
+ * @returns {Object} Number of `checked` responses and the `problems` found, each with a `route`,
+ *   the sequence `entry` index and the `contentType` of the representation if any, a `message` and the schema
+ *   violations as `details`
+ */
+const checkRoutes = (config, handlebars) => {
+  const problems = [];
+  const globals = config.globals || {};
+  const templateOptions = { handlebars, locale: globals.locale };
+  const templateDataOptions = { flat: globals.flatTemplateData === true };
+  let checked = 0;
+
+  for (const route of config.routes) {
+    const description = route.id || `${route.method.toUpperCase()} ${route.path}`;
+    const entries = Array.isArray(route.responses)
+      ? route.responses.map((entry, index) => ({ entry: index, route: mergeEntry(route, entry) }))
+      : [{ route }];
+    const variants = entries.flatMap(({ entry, route: variant }) => (Array.isArray(variant.representations)
+      ? variant.representations.map(representation =>
+        ({ entry, contentType: representation.contentType, route: mergeEntry(variant, representation) }))
+      : [{ entry, route: variant }]));
+
+    for (const { entry, contentType, route: variant } of variants) {
+      if (variant.proxy || variant.errorCode || variant.sse ||
+          ['responseFile', 'body', 'bodyBase64'].some(option => variant[option] !== undefined)) {
+        continue;
+      }
+      checked++;
+
+      const problem = {
+        route: description,
+        ...(entry !== undefined ? { entry } : {}),
+        ...(contentType !== undefined ? { contentType } : {})
+      };
+      let response;
+      try {
+        const data = createTemplateData(createSampleRequest(route), templateDataOptions);
+        response = processJsonTemplate(variant.response, data, templateOptions);
+      } catch (error) {
+        problems.push({ ...problem, message: error.message });
+        continue;
+      }
+
+      if (variant.responseSchema) {
+        const violations = compileResponseSchema(variant.responseSchema)(response);
+        if (violations.length > 0) {
+          problems.push({ ...problem, message: 'Response does not match its responseSchema', details: violations });
+        }
+      }
+    }
+  }
+
+  return { checked, problems };
+};
+
+module.exports = {
+  createSampleRequest,
+  checkRoutes
+};
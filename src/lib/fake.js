@@ -0,0 +1,256 @@
+/**
+ * @module fake
+ * @description Generators for realistic test data used by the `fake` template helper
+ */
+const { createRandom } = require('./random');
+
+const DEFAULT_LOCALE = 'en';
+
+const LOREM = [
+  'lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit', 'sed', 'do', 'eiusmod',
+  'tempor', 'incididunt', 'ut', 'labore', 'et', 'dolore', 'magna', 'aliqua', 'enim', 'ad', 'minim', 'veniam',
+  'quis', 'nostrud', 'exercitation', 'ullamco', 'laboris', 'nisi', 'aliquip', 'ex', 'ea', 'commodo', 'consequat'
+];
+
+// Reserved example domains, so generated addresses never reach a real mailbox
+const EMAIL_DOMAINS = ['example.com', 'example.org', 'example.net'];
+
+// Prefixes and lengths of well-known test card ranges
+const CARD_BRANDS = {
+  visa: { prefixes: ['4'], length: 16 },
+  mastercard: { prefixes: ['51', '52', '53', '54', '55'], length: 16 },
+  amex: { prefixes: ['34', '37'], length: 15 }
+};
+
+/**
+ * Locale data
+ * Patterns use "#" for a random digit and "A" for a random uppercase letter
+ */
+const LOCALES = {
+  en: {
+    firstNames: ['James', 'Mary', 'John', 'Patricia', 'Robert', 'Jennifer', 'Michael', 'Linda', 'David', 'Elizabeth',
+      'William', 'Susan', 'Richard', 'Jessica', 'Thomas', 'Sarah', 'Daniel', 'Karen', 'Ada', 'Grace'],
+    lastNames: ['Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Miller', 'Davis', 'Wilson', 'Anderson', 'Taylor',
+      'Thomas', 'Moore', 'Jackson', 'Martin', 'Lee', 'Thompson', 'White', 'Harris', 'Clark', 'Lewis'],
+    cities: ['Springfield', 'Riverside', 'Franklin', 'Greenville', 'Bristol', 'Clinton', 'Fairview', 'Salem',
+      'Madison', 'Georgetown', 'Arlington', 'Ashland'],
+    streetSuffixes: ['Street', 'Avenue', 'Lane', 'Road', 'Drive', 'Court'],
+    street: (name, number, suffix) => `${number} ${name} ${suffix}`,
+    zipCode: '#####',
+    country: 'United States',
+    phone: '(###) ###-####',
+    companySuffixes: ['Inc.', 'LLC', 'Group', 'Holdings'],
+    iban: { country: 'GB', bban: 'AAAA##############' }
+  },
+  de: {
+    firstNames: ['Lukas', 'Anna', 'Leon', 'Lea', 'Finn', 'Hannah', 'Jonas', 'Lena', 'Paul', 'Marie',
+      'Felix', 'Sophie', 'Max', 'Emma', 'Noah', 'Mia', 'Elias', 'Clara', 'Ben', 'Greta'],
+    lastNames: ['Müller', 'Schmidt', 'Schneider', 'Fischer', 'Weber', 'Meyer', 'Wagner', 'Becker', 'Schulz', 'Hoffmann',
+      'Koch', 'Richter', 'Klein', 'Wolf', 'Schröder', 'Neumann', 'Schwarz', 'Braun', 'Zimmermann', 'Krüger'],
+    cities: ['Berlin', 'Hamburg', 'München', 'Köln', 'Frankfurt am Main', 'Stuttgart', 'Düsseldorf', 'Leipzig',
+      'Dresden', 'Bremen', 'Hannover', 'Nürnberg'],
+    streetSuffixes: ['straße', 'weg', 'allee', 'platz'],
+    street: (name, number, suffix) => `${name}${suffix} ${number}`,
+    zipCode: '#####',
+    country: 'Deutschland',
+    phone: '+49 ### #######',
+    companySuffixes: ['GmbH', 'AG', 'KG', 'GmbH & Co. KG'],
+    iban: { country: 'DE', bban: '##################' }
+  },
+  fr: {
+    firstNames: ['Gabriel', 'Louise', 'Raphaël', 'Jade', 'Léo', 'Ambre', 'Louis', 'Alice', 'Lucas', 'Chloé',
+      'Arthur', 'Lina', 'Jules', 'Rose', 'Adam', 'Léa', 'Hugo', 'Manon', 'Paul', 'Camille'],
+    lastNames: ['Martin', 'Bernard', 'Thomas', 'Petit', 'Robert', 'Richard', 'Durand', 'Dubois', 'Moreau', 'Laurent',
+      'Simon', 'Michel', 'Lefebvre', 'Leroy', 'Roux', 'David', 'Bertrand', 'Morel', 'Fournier', 'Girard'],
+    cities: ['Paris', 'Marseille', 'Lyon', 'Toulouse', 'Nice', 'Nantes', 'Strasbourg', 'Montpellier', 'Bordeaux',
+      'Lille', 'Rennes', 'Reims'],
+    streetSuffixes: ['rue', 'avenue', 'boulevard', 'place'],
+    street: (name, number, suffix) => `${number} ${suffix} ${name}`,
+    zipCode: '#####',
+    country: 'France',
+    phone: '+33 # ## ## ## ##',
+    companySuffixes: ['SA', 'SARL', 'SAS', 'et Fils'],
+    iban: { country: 'FR', bban: '#######################' }
+  },
+  es: {
+    firstNames: ['Hugo', 'Lucía', 'Martín', 'Sofía', 'Pablo', 'María', 'Alejandro', 'Martina', 'Lucas', 'Paula',
+      'Daniel', 'Julia', 'Mateo', 'Valeria', 'Adrián', 'Emma', 'Álvaro', 'Carmen', 'Diego', 'Elena'],
+    lastNames: ['García', 'Rodríguez', 'González', 'Fernández', 'López', 'Martínez', 'Sánchez', 'Pérez', 'Gómez',
+      'Martín', 'Jiménez', 'Ruiz', 'Hernández', 'Díaz', 'Moreno', 'Muñoz', 'Álvarez', 'Romero', 'Alonso', 'Navarro'],
+    cities: ['Madrid', 'Barcelona', 'Valencia', 'Sevilla', 'Zaragoza', 'Málaga', 'Murcia', 'Palma', 'Bilbao',
+      'Alicante', 'Córdoba', 'Valladolid'],
+    streetSuffixes: ['Calle', 'Avenida', 'Paseo', 'Plaza'],
+    street: (name, number, suffix) => `${suffix} de ${name}, ${number}`,
+    zipCode: '#####',
+    country: 'España',
+    phone: '+34 ### ### ###',
+    companySuffixes: ['S.L.', 'S.A.', 'y Asociados', 'Grupo'],
+    iban: { country: 'ES', bban: '####################' }
+  }
+};
+
+/**
+ * Computes the two ISO 13616 check digits of an IBAN
+ * @param {string} country - Two-letter country code
+ * @param {string} bban - Basic bank account number
+ * @returns {string} Check digits
+ */
+const ibanCheckDigits = (country, bban) => {
+  const digits = `${bban}${country}00`.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const digit of digits) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return String(98 - remainder).padStart(2, '0');
+};
+
+/**
+ * Computes the Luhn check digit of a card number
+ * @param {string} number - Card number without its check digit
+ * @returns {string} Check digit
+ */
+const luhnCheckDigit = (number) => {
+  let sum = 0;
+  [...number].reverse().forEach((char, index) => {
+    let digit = Number(char);
+    if (index % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  });
+  return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Removes diacritics and anything else that is not allowed in the local part of an email address
+ * @param {string} value - Name
+ * @returns {string} ASCII lowercase name
+ */
+const toEmailPart = (value) => value
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]/g, '');
+
+/**
+ * Parses a date option, accepting dates, timestamps and ISO strings
+ * @param {*} value - Date option
+ * @param {number} fallback - Timestamp used when the option is missing
+ * @returns {number} Timestamp
+ * @throws {Error} If the option is not a valid date
+ */
+const toTimestamp = (value, fallback) => {
+  if (value === undefined) return fallback;
+  const timestamp = new Date(value).getTime();
+  if (Number.isNaN(timestamp)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return timestamp;
+};
+
+/**
+ * Finds the locale whose IBANs use a country code
+ * @param {string} country - Two-letter country code
+ * @returns {string} Locale name
+ * @throws {Error} If no locale generates IBANs for the country
+ */
+const localeForIban = (country) => {
+  const name = Object.keys(LOCALES).find(locale => LOCALES[locale].iban.country === String(country).toUpperCase());
+  if (!name) {
+    throw new Error(`Unsupported IBAN country: ${country}`);
+  }
+  return name;
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Generators by name, each called with a context and the helper's hash options
+ */
+const GENERATORS = {
+  'person.firstName': ({ pick, locale }) => pick(locale.firstNames),
+  'person.lastName': ({ pick, locale }) => pick(locale.lastNames),
+  'person.fullName': ({ pick, locale }) => `${pick(locale.firstNames)} ${pick(locale.lastNames)}`,
+  'internet.email': ({ pick, int, locale }, { firstName, lastName }) => {
+    const first = toEmailPart(firstName || pick(locale.firstNames));
+    const last = toEmailPart(lastName || pick(locale.lastNames));
+    return `${first}.${last}${int(1, 99)}@${pick(EMAIL_DOMAINS)}`;
+  },
+  'internet.username': ({ pick, int, locale }) =>
+    `${toEmailPart(pick(locale.firstNames))}_${toEmailPart(pick(locale.lastNames))}${int(1, 999)}`,
+  'location.street': ({ pick, int, locale }) =>
+    locale.street(pick(locale.lastNames), int(1, 250), pick(locale.streetSuffixes)),
+  'location.city': ({ pick, locale }) => pick(locale.cities),
+  'location.zipCode': ({ pattern, locale }) => pattern(locale.zipCode),
+  'location.country': ({ locale }) => locale.country,
+  'location.address': (context) =>
+    `${GENERATORS['location.street'](context)}, ${context.pattern(context.locale.zipCode)} ${context.pick(context.locale.cities)}`,
+  'phone.number': ({ pattern, locale }) => pattern(locale.phone),
+  'company.name': ({ pick, locale }) => `${pick(locale.lastNames)} ${pick(locale.companySuffixes)}`,
+  'lorem.word': ({ pick }) => pick(LOREM),
+  'lorem.words': ({ pick }, { count = 3 }) => Array.from({ length: count }, () => pick(LOREM)).join(' '),
+  'lorem.sentence': (context, { words = context.int(4, 10) }) => {
+    const text = GENERATORS['lorem.words'](context, { count: words });
+    return `${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+  },
+  'lorem.paragraph': (context, { sentences = 3 }) =>
+    Array.from({ length: sentences }, () => GENERATORS['lorem.sentence'](context, {})).join(' '),
+  'date.between': ({ random, now }, { from, to }) => {
+    const start = toTimestamp(from, now - 365 * DAY);
+    const end = toTimestamp(to, now);
+    return new Date(start + Math.floor(random() * (end - start))).toISOString();
+  },
+  'date.past': ({ random, now }, { days = 365 }) => new Date(now - Math.floor(random() * days * DAY)).toISOString(),
+  'date.future': ({ random, now }, { days = 365 }) => new Date(now + Math.floor(random() * days * DAY)).toISOString(),
+  'finance.iban': ({ pattern, locale }, { country }) => {
+    const { country: code, bban: format } = country ? LOCALES[localeForIban(country)].iban : locale.iban;
+    const bban = pattern(format);
+    return `${code}${ibanCheckDigits(code, bban)}${bban}`;
+  },
+  'finance.creditCard': ({ pick, pattern }, { brand = 'visa' }) => {
+    const card = CARD_BRANDS[brand];
+    if (!card) {
+      throw new Error(`Unknown card brand: ${brand}`);
+    }
+    const prefix = pick(card.prefixes);
+    const number = `${prefix}${pattern('#'.repeat(card.length - prefix.length - 1))}`;
+    return `${number}${luhnCheckDigit(number)}`;
+  }
+};
+
+/**
+ * Generates a fake value
+ * @param {string} name - Generator name, such as "person.fullName"
+ * @param {Object} [options={}] - Generator options
+ * @param {string} [options.locale="en"] - Locale of names, addresses and phone numbers
+ * @param {number|string} [options.seed] - Seed making the value reproducible
+ * @param {Function} [options.random=Math.random] - Random source, used when no seed is given
+ * @param {number} [options.now=Date.now()] - Current timestamp, relative dates are generated around it
+ * @returns {string} Generated value
+ * @throws {Error} If the generator or locale is unknown
+ */
+const generate = (name, { locale = DEFAULT_LOCALE, seed, random = Math.random, now = Date.now(), ...options } = {}) => {
+  const generator = GENERATORS[name];
+  if (!generator) {
+    throw new Error(`Unknown fake generator: ${name}`);
+  }
+  if (!LOCALES[locale]) {
+    throw new Error(`Unknown locale: ${locale}`);
+  }
+
+  const next = seed !== undefined ? createRandom(seed) : random;
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = (values) => values[int(0, values.length - 1)];
+  const pattern = (format) => format.replace(/[#A]/g, char =>
+    (char === '#' ? String(int(0, 9)) : String.fromCharCode(int(65, 90))));
+
+  return generator({ locale: LOCALES[locale], random: next, now, int, pick, pattern }, options);
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  GENERATORS,
+  generate
+};
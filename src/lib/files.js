@@ -0,0 +1,171 @@
+/**
+ * @module files
+ * @description Response bodies served from files, rendered as templates and re-read when they change
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const { processTemplate, processJsonTemplate } = require('./server-utils');
+
+// Extensions of files rendered as text templates, other files except .json are sent as they are
+const TEXT_EXTENSIONS = ['.txt', '.html', '.htm', '.xml', '.csv', '.md', '.hbs', '.yaml', '.yml', '.svg', '.css', '.js'];
+
+// Errors meaning there is no file to serve, so the fallback is used
+const MISSING_FILE_CODES = ['ENOENT', 'ENOTDIR', 'EISDIR'];
+
+/**
+ * Tells how a file is served from its extension
+ * @param {string} filePath - File path
+ * @returns {string} "json", "text" or "binary"
+ */
+const getFileType = (filePath) => {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === '.json') {
+    return 'json';
+  }
+  return TEXT_EXTENSIONS.includes(extension) ? 'text' : 'binary';
+};
+
+/**
+ * Creates a cache of file contents that re-reads a file when its modification time or size changes
+ * @returns {Object} Cache with `read` and `clear`
+ */
+const createFileCache = () => {
+  const entries = new Map();
+
+  return {
+    /**
+     * Reads a file, from the cache while it is unchanged
+     * @param {string} filePath - Absolute file path
+     * @returns {Promise<Object>} Entry with the `content` buffer, where the parsed JSON is kept as `json`
+     * @throws {Error} If the file cannot be read, with code EISDIR for directories
+     */
+    read: async (filePath) => {
+      const stats = await fs.stat(filePath);
+      if (!stats.isFile()) {
+        throw Object.assign(new Error(`${filePath} is not a file`), { code: 'EISDIR' });
+      }
+
+      const cached = entries.get(filePath);
+      if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+        return cached;
+      }
+      const entry = { mtimeMs: stats.mtimeMs, size: stats.size, content: await fs.readFile(filePath) };
+      entries.set(filePath, entry);
+      return entry;
+    },
+
+    /**
+     * Forgets all files
+     */
+    clear: () => entries.clear()
+  };
+};
+
+/**
+ * Renders a file path template, relative to the configuration directory
+ * Values rendered into the path must stay inside the directory the path names before its first
+ * expression, so a parameter such as "../secrets" cannot reach other files
+ * @param {string} template - Path template, such as "fixtures/users/{{params.id}}.json"
+ * @param {string} baseDir - Directory of the configuration file
+ * @param {Object} data - Template data
+ * @param {Object} [options] - Rendering options, see processTemplate
+ * @returns {string|null} Absolute file path, null if it leaves its directory
+ */
+const resolveFilePath = (template, baseDir, data, options) => {
+  const filePath = path.resolve(baseDir, String(processTemplate(template, data, options)));
+  const index = template.indexOf('{{');
+  if (index === -1) {
+    return filePath;
+  }
+  const root = path.resolve(baseDir, path.dirname(`${template.slice(0, index)}x`));
+  return filePath.startsWith(`${root}${path.sep}`) ? filePath : null;
+};
+
+/**
+ * Reads a file and renders it according to its type
+ * JSON is rendered like a `response`, text files as a Handlebars template and anything else is sent as is
+ * @param {string} filePath - Absolute file path
+ * @param {Object} context - Rendering context
+ * @param {Object} context.cache - File cache from createFileCache
+ * @param {boolean} context.render - Whether to render JSON and text files as templates
+ * @param {Object} context.data - Template data
+ * @param {Object} [context.options] - Rendering options, see processTemplate
+ * @returns {Promise<Object|null>} The `type`, `body` and `path` of the file, null if there is no such file
+ * @throws {Error} If the file cannot be read, parsed or rendered
+ */
+const renderFile = async (filePath, { cache, render, data, options }) => {
+  let entry;
+  try {
+    entry = await cache.read(filePath);
+  } catch (error) {
+    if (MISSING_FILE_CODES.includes(error.code)) {
+      return null;
+    }
+    throw error;
+  }
+
+  const type = getFileType(filePath);
+  if (type === 'json') {
+    if (entry.json === undefined) {
+      try {
+        entry.json = JSON.parse(entry.content.toString('utf8'));
+      } catch (error) {
+        throw new Error(`Invalid JSON in response file ${filePath}: ${error.message}`);
+      }
+    }
+    return { type, path: filePath, body: render ? processJsonTemplate(entry.json, data, options) : entry.json };
+  }
+
+  if (type === 'text') {
+    const text = entry.content.toString('utf8');
+    const body = render ? processTemplate(text, data, options) : text;
+    return { type, path: filePath, body: typeof body === 'string' ? body : JSON.stringify(body) };
+  }
+
+  return { type, path: filePath, body: entry.content };
+};
+
+/**
+ * Loads the body of a route's `responseFile`
+ * When the file is missing, a `fallback` path is tried, or a fallback `body` is answered with its `status`
+ * @param {string|Object} responseFile - File path template, or an object with `path`, `render` and `fallback`
+ * @param {Object} context - Loading context
+ * @param {string} context.baseDir - Directory of the configuration file, paths are relative to it
+ * @param {Object} context.cache - File cache from createFileCache
+ * @param {Object} context.data - Template data
+ * @param {Object} [context.options] - Rendering options, see processTemplate
+ * @returns {Promise<Object|null>} The `type`, `body` and `path` of the file, with a `status` for fallback
+ *   bodies, null if neither the file nor a fallback exists
+ * @throws {Error} If a file cannot be read, parsed or rendered
+ */
+const loadResponseFile = async (responseFile, { baseDir, cache, data, options }) => {
+  const { path: template, render = true, fallback } = typeof responseFile === 'string'
+    ? { path: responseFile }
+    : responseFile;
+  const context = { cache, render, data, options };
+
+  const filePath = resolveFilePath(template, baseDir, data, options);
+  const file = filePath && await renderFile(filePath, context);
+  if (file) {
+    return file;
+  }
+
+  if (typeof fallback === 'string') {
+    const fallbackPath = resolveFilePath(fallback, baseDir, data, options);
+    return fallbackPath && renderFile(fallbackPath, context);
+  }
+  if (fallback) {
+    return {
+      type: 'json',
+      status: fallback.status || 404,
+      body: fallback.body !== undefined ? processJsonTemplate(fallback.body, data, options) : { error: 'Response file not found' }
+    };
+  }
+  return null;
+};
+
+module.exports = {
+  getFileType,
+  createFileCache,
+  loadResponseFile
+};
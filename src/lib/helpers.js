@@ -0,0 +1,352 @@
+/**
+ * @module helpers
+ * @description Logic, math, string, date and lookup helpers registered for templates
+ */
+const Handlebars = require('handlebars');
+
+// Units of the dateAdd helper, with the Date methods that read and write them in UTC
+const DATE_UNITS = {
+  years: ['getUTCFullYear', 'setUTCFullYear'],
+  months: ['getUTCMonth', 'setUTCMonth'],
+  weeks: ['getUTCDate', 'setUTCDate', 7],
+  days: ['getUTCDate', 'setUTCDate'],
+  hours: ['getUTCHours', 'setUTCHours'],
+  minutes: ['getUTCMinutes', 'setUTCMinutes'],
+  seconds: ['getUTCSeconds', 'setUTCSeconds'],
+  milliseconds: ['getUTCMilliseconds', 'setUTCMilliseconds']
+};
+
+// Tokens of the dateFormat helper, text in [brackets] is kept as is
+const DATE_TOKENS = /\[([^\]]*)\]|YYYY|YY|MM|DD|HH|mm|ss|SSS|X|x/g;
+
+const JSON_PATH_SEGMENT = /\.([^.[\]]+)|\[(\d+|\*|'[^']*'|"[^"]*")\]/y;
+
+/**
+ * Splits the arguments of a helper into its values and the Handlebars options passed last
+ * @param {Array} args - Helper arguments
+ * @returns {Array} The values and the options
+ */
+const splitArgs = (args) => [args.slice(0, -1), args[args.length - 1]];
+
+/**
+ * Checks if a value is a number or a string holding one, such as a path parameter
+ * @param {*} value - Value to check
+ * @returns {boolean} True for numbers and numeric strings
+ */
+const isNumeric = (value) =>
+  (typeof value === 'number' && !Number.isNaN(value)) ||
+  (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value)));
+
+/**
+ * Converts a helper argument to a number
+ * @param {string} helper - Helper name, for the error message
+ * @param {*} value - Value to convert
+ * @returns {number} The number
+ * @throws {Error} If the value is not numeric
+ */
+const toNumber = (helper, value) => {
+  if (!isNumeric(value)) {
+    throw new Error(`${helper} needs numbers, got "${value}"`);
+  }
+  return Number(value);
+};
+
+/**
+ * Converts a helper argument to text, objects as JSON and missing values as an empty string
+ * @param {*} value - Value to convert
+ * @returns {string} The text
+ */
+const toText = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Compares two values, numerically when both are numeric so "10" is greater than "9"
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+const compare = (a, b) => {
+  if (isNumeric(a) && isNumeric(b)) {
+    return Number(a) - Number(b);
+  }
+  const [left, right] = [toText(a), toText(b)];
+  return left < right ? -1 : Number(left > right);
+};
+
+/**
+ * Checks two values for equality, comparing a number with the number a string holds so {{eq params.id 1}} works
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if the values are equal
+ */
+const isEqual = (a, b) => {
+  if (typeof a === 'number' || typeof b === 'number') {
+    return isNumeric(a) && isNumeric(b) && Number(a) === Number(b);
+  }
+  return a === b;
+};
+
+/**
+ * Converts a helper argument to a date
+ * @param {string} helper - Helper name, for the error message
+ * @param {Date|number|string} value - Date, timestamp or date string
+ * @returns {Date} The date
+ * @throws {Error} If the value is not a valid date
+ */
+const toDate = (helper, value) => {
+  const date = new Date(value instanceof Date ? value.getTime() : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${helper} needs a date, got "${value}"`);
+  }
+  return date;
+};
+
+/**
+ * Returns the current time of a request, the frozen time if there is one
+ * @param {Object} options - Handlebars options
+ * @returns {number} Timestamp
+ */
+const getNow = (options) => (options.data.now !== undefined ? options.data.now : Date.now());
+
+/**
+ * Splits a JSON path such as "$.items[0].name" into property names, with "*" for wildcards
+ * The leading "$" is optional
+ * @param {string} path - JSON path
+ * @returns {Array<string>} Property names
+ * @throws {Error} If the path is invalid
+ */
+const parseJsonPath = (path) => {
+  let rest = String(path).replace(/^\$/, '');
+  if (rest && !/^[.[]/.test(rest)) {
+    rest = `.${rest}`;
+  }
+
+  const segments = [];
+  JSON_PATH_SEGMENT.lastIndex = 0;
+  while (JSON_PATH_SEGMENT.lastIndex < rest.length) {
+    const match = JSON_PATH_SEGMENT.exec(rest);
+    if (!match) {
+      throw new Error(`Invalid JSON path "${path}"`);
+    }
+    const segment = match[1] !== undefined ? match[1] : match[2];
+    segments.push(/^['"]/.test(segment) ? segment.slice(1, -1) : segment);
+  }
+  return segments;
+};
+
+/**
+ * Helpers by name
+ * Handlebars passes its options as the last argument of every helper
+ */
+const helpers = {
+  /**
+   * Checks if two values are equal, such as {{#if (eq query.status 'active')}}
+   * @returns {boolean} True if the values are equal
+   */
+  eq: (a, b) => isEqual(a, b),
+
+  /**
+   * Checks if two values differ
+   * @returns {boolean} True if the values are not equal
+   */
+  ne: (a, b) => !isEqual(a, b),
+
+  /**
+   * Checks if the first value is greater than the second
+   * @returns {boolean} True if a > b
+   */
+  gt: (a, b) => compare(a, b) > 0,
+
+  /**
+   * Checks if the first value is less than the second
+   * @returns {boolean} True if a < b
+   */
+  lt: (a, b) => compare(a, b) < 0,
+
+  /**
+   * Checks if all values are truthy
+   * @returns {boolean} True if no value is falsy
+   */
+  and: (...args) => splitArgs(args)[0].every(Boolean),
+
+  /**
+   * Checks if any value is truthy
+   * @returns {boolean} True if a value is truthy
+   */
+  or: (...args) => splitArgs(args)[0].some(Boolean),
+
+  /**
+   * Negates a value
+   * @returns {boolean} True if the value is falsy
+   */
+  not: (value) => !value,
+
+  /**
+   * Adds two numbers
+   * @returns {number} a + b
+   */
+  add: (a, b) => toNumber('add', a) + toNumber('add', b),
+
+  /**
+   * Subtracts the second number from the first
+   * @returns {number} a - b
+   */
+  subtract: (a, b) => toNumber('subtract', a) - toNumber('subtract', b),
+
+  /**
+   * Multiplies two numbers
+   * @returns {number} a * b
+   */
+  multiply: (a, b) => toNumber('multiply', a) * toNumber('multiply', b),
+
+  /**
+   * Divides the first number by the second
+   * @returns {number} a / b
+   * @throws {Error} When dividing by zero
+   */
+  divide: (a, b) => {
+    const divisor = toNumber('divide', b);
+    if (divisor === 0) {
+      throw new Error('divide cannot divide by zero');
+    }
+    return toNumber('divide', a) / divisor;
+  },
+
+  /**
+   * Converts a value to upper case
+   * @returns {string} Upper case text
+   */
+  upper: (value) => toText(value).toUpperCase(),
+
+  /**
+   * Converts a value to lower case
+   * @returns {string} Lower case text
+   */
+  lower: (value) => toText(value).toLowerCase(),
+
+  /**
+   * Converts the first character of a value to upper case
+   * @returns {string} Capitalized text
+   */
+  capitalize: (value) => {
+    const text = toText(value);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+
+  /**
+   * Returns part of a value, such as {{substring body.name 0 3}}
+   * @returns {string} Characters from start up to, but not including, end
+   */
+  substring: (...args) => {
+    const [[value, start, end]] = splitArgs(args);
+    return toText(value).substring(toNumber('substring', start), end !== undefined ? toNumber('substring', end) : undefined);
+  },
+
+  /**
+   * Replaces every occurrence of a text, such as {{replace body.phone ' ' ''}}
+   * @returns {string} Text with the replacements
+   */
+  replace: (value, search, replacement) => {
+    const text = toText(value);
+    return toText(search) ? text.split(toText(search)).join(toText(replacement)) : text;
+  },
+
+  /**
+   * Formats a date in UTC, such as {{dateFormat 'YYYY-MM-DD'}} for today or {{dateFormat body.date 'DD.MM.YYYY'}}
+   * Tokens are YYYY, YY, MM, DD, HH, mm, ss, SSS, X (Unix seconds) and x (Unix milliseconds)
+   * @returns {string} Formatted date
+   * @throws {Error} If the format is missing or the date is invalid
+   */
+  dateFormat: (...args) => {
+    const [values, options] = splitArgs(args);
+    if (values.length === 0) {
+      throw new Error('dateFormat needs a format');
+    }
+    const format = toText(values[values.length - 1]);
+    const date = toDate('dateFormat', values.length > 1 ? values[0] : getNow(options));
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const tokens = {
+      YYYY: pad(date.getUTCFullYear(), 4),
+      YY: pad(date.getUTCFullYear() % 100),
+      MM: pad(date.getUTCMonth() + 1),
+      DD: pad(date.getUTCDate()),
+      HH: pad(date.getUTCHours()),
+      mm: pad(date.getUTCMinutes()),
+      ss: pad(date.getUTCSeconds()),
+      SSS: pad(date.getUTCMilliseconds(), 3),
+      X: String(Math.floor(date.getTime() / 1000)),
+      x: String(date.getTime())
+    };
+    return format.replace(DATE_TOKENS, (token, literal) => (literal !== undefined ? literal : tokens[token]));
+  },
+
+  /**
+   * Shifts a date, such as {{dateAdd days=7}} for a week from now or {{dateAdd body.start hours=-2}}
+   * @returns {string} Shifted date in ISO format
+   * @throws {Error} If a unit is unknown or the date is invalid
+   */
+  dateAdd: (...args) => {
+    const [values, options] = splitArgs(args);
+    const date = toDate('dateAdd', values.length > 0 ? values[0] : getNow(options));
+    for (const [unit, amount] of Object.entries(options.hash)) {
+      if (!DATE_UNITS[unit]) {
+        throw new Error(`Unknown dateAdd unit "${unit}", use one of: ${Object.keys(DATE_UNITS).join(', ')}`);
+      }
+      const [get, set, factor = 1] = DATE_UNITS[unit];
+      date[set](date[get]() + toNumber('dateAdd', amount) * factor);
+    }
+    return date.toISOString();
+  },
+
+  /**
+   * Returns a fallback for missing values, such as {{default query.page 1}}
+   * @returns {*} The value, or the fallback when it is undefined, null or empty
+   * @throws {Error} If the fallback is missing
+   */
+  default: (...args) => {
+    const [values] = splitArgs(args);
+    if (values.length < 2) {
+      throw new Error('default needs a value and a fallback');
+    }
+    const [value, fallback] = values;
+    return value === undefined || value === null || value === '' ? fallback : value;
+  },
+
+  /**
+   * Looks up a value by JSON path, such as {{jsonPath body '$.items[0].name'}}
+   * A wildcard, as in "$.items[*].id", returns the array of all matches
+   * @returns {*} The value, undefined when the path does not exist
+   * @throws {Error} If the path is invalid
+   */
+  jsonPath: (value, path) => {
+    let matches = [value];
+    let multiple = false;
+    for (const segment of parseJsonPath(path)) {
+      if (segment === '*') {
+        multiple = true;
+        matches = matches.flatMap(match => (match && typeof match === 'object' ? Object.values(match) : []));
+      } else {
+        matches = matches.flatMap(match => (match !== undefined && match !== null &&
+          Object.prototype.hasOwnProperty.call(Object(match), segment) ? [match[segment]] : []));
+      }
+    }
+    return multiple ? matches : matches[0];
+  },
+
+  /**
+   * Encodes a value as Base64, or decodes it with decode=true
+   * Encoded text is not HTML-escaped, since its padding "=" would otherwise be
+   * @returns {string|Object} Decoded text, or a SafeString with the encoded text
+   */
+  base64: (value, options) => (options.hash.decode === true
+    ? Buffer.from(toText(value), 'base64').toString('utf8')
+    : new Handlebars.SafeString(Buffer.from(toText(value)).toString('base64')))
+};
+
+module.exports = {
+  helpers
+};
@@ -0,0 +1,238 @@
+/**
+ * @module journal
+ * @description Request journal kept in a bounded ring buffer
+ */
+const { matchValues } = require('./server-utils');
+
+const DEFAULT_JOURNAL_LIMIT = 1000;
+
+/**
+ * Resolves the journal options from the global configuration
+ * @param {Object} [globals={}] - Global configuration options
+ * @returns {Object|null} Journal options with a limit, or null when the journal is disabled
+ */
+const getJournalOptions = (globals = {}) => {
+  const { journal } = globals;
+  if (journal === false) {
+    return null;
+  }
+  const limit = (journal && typeof journal === 'object' && journal.limit) || DEFAULT_JOURNAL_LIMIT;
+  return { limit };
+};
+
+/**
+ * Validates a journal filter sent to the admin API as JSON
+ * @param {*} filter - Filter from the request body
+ * @throws {Error} If the filter or one of its fields has the wrong type
+ */
+const validateFilter = (filter) => {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new Error('filter must be an object');
+  }
+  for (const field of ['method', 'path', 'route']) {
+    if (filter[field] !== undefined && typeof filter[field] !== 'string') {
+      throw new Error(`filter ${field} must be a string`);
+    }
+  }
+  if (filter.unmatched !== undefined && typeof filter.unmatched !== 'boolean') {
+    throw new Error('filter unmatched must be a boolean');
+  }
+  for (const field of ['query', 'headers', 'body']) {
+    const value = filter[field];
+    if (value !== undefined && (!value || typeof value !== 'object' || Array.isArray(value))) {
+      throw new Error(`filter ${field} must be an object`);
+    }
+  }
+};
+
+/**
+ * Checks if a journal entry matches a filter
+ * @param {Object} entry - Journal entry
+ * @param {Object} [filter={}] - Filter to match
+ * @param {string} [filter.method] - HTTP method, case-insensitive
+ * @param {string|RegExp} [filter.path] - Exact request path or a pattern
+ * @param {string} [filter.route] - Matched route, its id or "METHOD path"
+ * @param {boolean} [filter.unmatched] - Only requests that did (not) match a route
+ * @param {Object} [filter.query] - Query parameters that must match
+ * @param {Object} [filter.headers] - Request headers that must match
+ * @param {Object} [filter.body] - Request body fields that must match
+ * @returns {boolean} True if the entry matches
+ */
+const matchesFilter = (entry, filter = {}) => {
+  if (filter.method && entry.method !== filter.method.toUpperCase()) {
+    return false;
+  }
+
+  if (filter.path !== undefined) {
+    const pathMatches = filter.path instanceof RegExp
+      ? filter.path.test(entry.path)
+      : entry.path === filter.path;
+    if (!pathMatches) return false;
+  }
+
+  if (filter.route !== undefined && entry.route !== filter.route) {
+    return false;
+  }
+
+  if (filter.unmatched !== undefined && entry.unmatched !== filter.unmatched) {
+    return false;
+  }
+
+  for (const field of ['query', 'headers', 'body']) {
+    if (filter[field] && !matchValues(filter[field], entry[field])) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Describes a filter for error messages
+ * @param {Object} filter - Filter to describe
+ * @returns {string} Readable description
+ */
+const describeFilter = (filter) => {
+  const described = Object.entries(filter).map(([key, value]) =>
+    `${key}=${value instanceof RegExp ? value : JSON.stringify(value)}`
+  );
+  return described.length > 0 ? described.join(', ') : 'any request';
+};
+
+/**
+ * Creates a request journal
+ * @param {number} [limit=1000] - Maximum number of entries kept, the oldest are dropped first
+ * @returns {Object} Request journal
+ */
+const createJournal = (limit = DEFAULT_JOURNAL_LIMIT) => {
+  let entries = new Array(limit);
+  let start = 0;
+  let size = 0;
+
+  /**
+   * Returns all entries, oldest first
+   * @returns {Array<Object>} Journal entries
+   */
+  const all = () => {
+    const result = [];
+    for (let i = 0; i < size; i++) {
+      result.push(entries[(start + i) % limit]);
+    }
+    return result;
+  };
+
+  return {
+    /**
+     * Adds an entry, dropping the oldest one when the journal is full
+     * @param {Object} entry - Journal entry
+     */
+    record: (entry) => {
+      if (size < limit) {
+        entries[(start + size) % limit] = entry;
+        size++;
+      } else {
+        entries[start] = entry;
+        start = (start + 1) % limit;
+      }
+    },
+
+    /**
+     * Returns the entries matching a filter, oldest first
+     * @param {Object} [filter] - Filter to match, see matchesFilter
+     * @returns {Array<Object>} Matching entries
+     */
+    query: (filter) => all().filter(entry => matchesFilter(entry, filter)),
+
+    /**
+     * Checks that a number of requests matched a filter
+     * @param {Object} [filter={}] - Filter to match, see matchesFilter
+     * @param {number} [count=1] - Expected number of matching requests
+     * @returns {Array<Object>} Matching entries
+     * @throws {Error} If the number of matching requests differs
+     */
+    verify: (filter = {}, count = 1) => {
+      const matching = all().filter(entry => matchesFilter(entry, filter));
+      if (matching.length !== count) {
+        throw new Error(
+          `Expected ${count} request(s) matching ${describeFilter(filter)}, found ${matching.length}`
+        );
+      }
+      return matching;
+    },
+
+    /**
+     * Removes all entries
+     */
+    clear: () => {
+      entries = new Array(limit);
+      start = 0;
+      size = 0;
+    }
+  };
+};
+
+/**
+ * Creates a middleware that records every request once its response has finished or its connection closed
+ * Responses that never finish, such as dropped or hanging chaos faults, client aborts and event streams,
+ * are recorded when they close and flagged as `aborted`
+ * Route handlers set `res.locals.matchedRoute`, the 404 handler sets `res.locals.unmatched`
+ * @param {Object} journal - Request journal
+ * @returns {Function} Express middleware
+ */
+const createJournalMiddleware = (journal) => (req, res, next) => {
+  const startTime = req.startTime || Date.now();
+  let recorded = false;
+
+  const record = (aborted) => {
+    if (recorded) {
+      return;
+    }
+    recorded = true;
+    journal.record({
+      method: req.method,
+      path: req.path,
+      route: res.locals.matchedRoute || null,
+      unmatched: Boolean(res.locals.unmatched),
+      aborted,
+      headers: req.headers,
+      query: req.query,
+      body: req.body,
+      timestamp: new Date(startTime).toISOString(),
+      status: res.statusCode,
+      latency: Date.now() - startTime
+    });
+  };
+
+  res.on('finish', () => record(false));
+  res.on('close', () => record(!res.writableFinished));
+
+  next();
+};
+
+/**
+ * Converts admin API query parameters into a journal filter
+ * @param {Object} query - Request query parameters
+ * @returns {Object} Journal filter
+ */
+const parseFilterQuery = (query) => {
+  const filter = {};
+  for (const field of ['method', 'path', 'route']) {
+    if (query[field] !== undefined) {
+      filter[field] = query[field];
+    }
+  }
+  if (query.unmatched !== undefined) {
+    filter.unmatched = query.unmatched === 'true';
+  }
+  return filter;
+};
+
+module.exports = {
+  DEFAULT_JOURNAL_LIMIT,
+  getJournalOptions,
+  validateFilter,
+  matchesFilter,
+  createJournal,
+  createJournalMiddleware,
+  parseFilterQuery
+};
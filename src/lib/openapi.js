@@ -0,0 +1,442 @@
+/**
+ * @module openapi
+ * @description Conversion of OpenAPI 3 and Swagger 2 documents into mock server configurations
+ */
+
+// Request header and query parameter that select one of the declared status codes
+const STATUS_HEADER = 'x-mock-status';
+const STATUS_QUERY = '__status';
+
+const METHODS = ['get', 'put', 'post', 'delete', 'options', 'patch'];
+
+// Schemas are synthesized at most this deep, which also stops recursive schemas
+const MAX_SYNTHESIS_DEPTH = 8;
+
+/**
+ * Checks if a parsed document is an OpenAPI 3 or Swagger 2 document
+ * @param {Object} doc - Parsed document
+ * @returns {boolean} True if the document declares an OpenAPI or Swagger version
+ */
+const isOpenApiDocument = (doc) =>
+  Boolean(doc) && typeof doc === 'object' && !Array.isArray(doc) &&
+  (typeof doc.openapi === 'string' || typeof doc.swagger === 'string');
+
+/**
+ * Resolves a local `$ref` such as `#/components/schemas/User`
+ * @param {Object} doc - OpenAPI document
+ * @param {Object} value - Value that may be a reference
+ * @returns {Object} The referenced value, or the value itself if it is no reference
+ * @throws {Error} If the reference is external or points to nothing
+ */
+const resolveRef = (doc, value) => {
+  let resolved = value;
+  const seen = new Set();
+
+  while (resolved && typeof resolved.$ref === 'string') {
+    const ref = resolved.$ref;
+    if (!ref.startsWith('#/') || seen.has(ref)) {
+      throw new Error(`Unresolvable $ref: ${ref}`);
+    }
+    seen.add(ref);
+
+    resolved = ref.slice(2).split('/').reduce((node, segment) => {
+      const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+      return node && typeof node === 'object' ? node[key] : undefined;
+    }, doc);
+
+    if (resolved === undefined) {
+      throw new Error(`Unresolvable $ref: ${ref}`);
+    }
+  }
+
+  return resolved;
+};
+
+/**
+ * Synthesizes an example value from a JSON schema
+ * Strings with a known format use template helpers or fixed samples, so responses stay realistic
+ * @param {Object} doc - OpenAPI document, for resolving references
+ * @param {Object} schema - Schema to synthesize a value for
+ * @param {number} [depth=0] - Current nesting depth
+ * @returns {*} Example value, undefined when the depth limit is reached
+ */
+const synthesize = (doc, schema, depth = 0) => {
+  if (!schema || depth > MAX_SYNTHESIS_DEPTH) {
+    return undefined;
+  }
+
+  const resolved = resolveRef(doc, schema);
+
+  if (resolved.example !== undefined) return resolved.example;
+  if (resolved.default !== undefined) return resolved.default;
+  if (resolved.const !== undefined) return resolved.const;
+  if (Array.isArray(resolved.enum) && resolved.enum.length > 0) return resolved.enum[0];
+
+  if (Array.isArray(resolved.allOf)) {
+    return resolved.allOf.reduce((result, part) => {
+      const value = synthesize(doc, part, depth + 1);
+      return value && typeof value === 'object' && !Array.isArray(value) ? { ...result, ...value } : result;
+    }, {});
+  }
+
+  const alternatives = resolved.oneOf || resolved.anyOf;
+  if (Array.isArray(alternatives) && alternatives.length > 0) {
+    return synthesize(doc, alternatives[0], depth + 1);
+  }
+
+  // OpenAPI 3.1 allows a list of types such as ["string", "null"]
+  const type = Array.isArray(resolved.type)
+    ? resolved.type.find(candidate => candidate !== 'null') || 'null'
+    : resolved.type || (resolved.properties ? 'object' : resolved.items ? 'array' : undefined);
+
+  switch (type) {
+    case 'object': {
+      const result = {};
+      for (const [name, property] of Object.entries(resolved.properties || {})) {
+        const value = synthesize(doc, property, depth + 1);
+        if (value !== undefined) {
+          result[name] = value;
+        }
+      }
+      return result;
+    }
+    case 'array': {
+      const item = synthesize(doc, resolved.items, depth + 1);
+      return item === undefined ? [] : [item];
+    }
+    case 'string':
+      switch (resolved.format) {
+        case 'date-time': return '{{now}}';
+        case 'date': return '2024-01-01';
+        case 'uuid': return '{{uuid}}';
+        case 'email': return 'user@example.com';
+        case 'uri':
+        case 'url': return 'https://example.com';
+        default: return 'string';
+      }
+    case 'integer':
+    case 'number':
+      return typeof resolved.minimum === 'number' ? resolved.minimum : 0;
+    case 'boolean':
+      return true;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Picks the JSON media type of an OpenAPI 3 `content` map
+ * @param {Object} [content={}] - Media types of a response
+ * @returns {Object|undefined} Media type object, preferring JSON
+ */
+const pickMediaType = (content = {}) => {
+  const types = Object.keys(content);
+  const type = types.find(name => name === 'application/json') ||
+    types.find(name => /[/+]json\b/.test(name)) ||
+    types[0];
+  return type ? content[type] : undefined;
+};
+
+/**
+ * Returns the example body of a declared response
+ * Explicit examples are preferred over examples synthesized from the schema
+ * @param {Object} doc - OpenAPI document
+ * @param {Object} response - OpenAPI 3 or Swagger 2 response object
+ * @returns {*} Response body, undefined for responses without content
+ */
+const getResponseExample = (doc, response) => {
+  const resolved = resolveRef(doc, response);
+
+  // Swagger 2 keeps examples per media type next to a single schema
+  if (doc.swagger) {
+    const examples = resolved.examples || {};
+    const type = Object.keys(examples).find(name => /json/.test(name)) || Object.keys(examples)[0];
+    if (type) return examples[type];
+    return resolved.schema ? synthesize(doc, resolved.schema) : undefined;
+  }
+
+  const media = pickMediaType(resolved.content);
+  if (!media) return undefined;
+  if (media.example !== undefined) return media.example;
+
+  const [example] = Object.values(media.examples || {});
+  if (example) {
+    const value = resolveRef(doc, example);
+    if (value.value !== undefined) return value.value;
+  }
+
+  return media.schema ? synthesize(doc, media.schema) : undefined;
+};
+
+/**
+ * Replaces the local references in a schema with the schemas they point to
+ * References that lead back into themselves are replaced with an empty schema, which accepts anything
+ * @param {Object} doc - OpenAPI document
+ * @param {*} schema - Schema to dereference
+ * @param {Array<string>} [seen=[]] - References being dereferenced further up
+ * @returns {*} Schema without references
+ */
+const dereference = (doc, schema, seen = []) => {
+  if (Array.isArray(schema)) {
+    return schema.map(item => dereference(doc, item, seen));
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  if (typeof schema.$ref === 'string') {
+    if (seen.includes(schema.$ref)) {
+      return {};
+    }
+    return dereference(doc, resolveRef(doc, { $ref: schema.$ref }), [...seen, schema.$ref]);
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    result[key] = dereference(doc, value, seen);
+  }
+  return result;
+};
+
+/**
+ * Builds a route `requestSchema` from the parameters and request body of an operation
+ * @param {Object} doc - OpenAPI document
+ * @param {Object} pathItem - Path item holding the operation, for shared parameters
+ * @param {Object} operation - OpenAPI operation
+ * @returns {Object|undefined} Request schema, undefined when the operation declares no inputs
+ */
+const getRequestSchema = (doc, pathItem, operation) => {
+  // Operation parameters override path item parameters with the same name and location
+  const parameters = new Map();
+  for (const parameter of [...(pathItem.parameters || []), ...(operation.parameters || [])]) {
+    const resolved = resolveRef(doc, parameter);
+    parameters.set(`${resolved.in}:${resolved.name}`, resolved);
+  }
+
+  const parts = {};
+  const addProperty = (part, name, schema, required) => {
+    parts[part] = parts[part] || { type: 'object', properties: {}, required: [] };
+    parts[part].properties[name] = dereference(doc, schema);
+    if (required) {
+      parts[part].required.push(name);
+    }
+  };
+
+  for (const parameter of parameters.values()) {
+    const { name, in: location, required, schema } = parameter;
+
+    // Swagger 2 declares the schema of non-body parameters on the parameter itself
+    const parameterSchema = schema || { ...parameter };
+    if (!schema) {
+      ['name', 'in', 'required', 'description', 'allowEmptyValue', 'collectionFormat']
+        .forEach(field => delete parameterSchema[field]);
+    }
+
+    if (location === 'path') {
+      addProperty('params', name.replace(/\W/g, '_'), parameterSchema, true);
+    } else if (location === 'query') {
+      addProperty('query', name, parameterSchema, required);
+    } else if (location === 'header') {
+      addProperty('headers', name.toLowerCase(), parameterSchema, required);
+    } else if (location === 'formData') {
+      addProperty('body', name, parameterSchema, required);
+    } else if (location === 'body' && schema) {
+      parts.body = dereference(doc, schema);
+    }
+  }
+
+  if (operation.requestBody) {
+    const media = pickMediaType(resolveRef(doc, operation.requestBody).content);
+    if (media && media.schema) {
+      parts.body = dereference(doc, media.schema);
+    }
+  }
+
+  for (const part of Object.values(parts)) {
+    if (Array.isArray(part.required) && part.required.length === 0) {
+      delete part.required;
+    }
+  }
+
+  return Object.keys(parts).length > 0 ? parts : undefined;
+};
+
+/**
+ * Returns the schema of a declared response
+ * @param {Object} doc - OpenAPI document
+ * @param {Object} response - OpenAPI 3 or Swagger 2 response object
+ * @returns {Object|undefined} Dereferenced schema, undefined for responses without one
+ */
+const getResponseSchema = (doc, response) => {
+  const resolved = resolveRef(doc, response);
+  const media = doc.swagger ? resolved : pickMediaType(resolved.content);
+  return media && media.schema ? dereference(doc, media.schema) : undefined;
+};
+
+/**
+ * Converts an OpenAPI path template into an Express path
+ * @param {string} path - Path such as `/users/{userId}`
+ * @returns {string} Express path such as `/users/:userId`
+ */
+const toExpressPath = (path) =>
+  path.replace(/\{([^}]+)\}/g, (match, name) => `:${name.replace(/\W/g, '_')}`);
+
+/**
+ * Returns the path prefix all operations are served under
+ * @param {Object} doc - OpenAPI document
+ * @returns {string} Base path without a trailing slash, empty when there is none
+ */
+const getBasePath = (doc) => {
+  if (doc.swagger) {
+    return (doc.basePath || '').replace(/\/$/, '');
+  }
+
+  const server = Array.isArray(doc.servers) ? doc.servers[0] : undefined;
+  if (!server || typeof server.url !== 'string') {
+    return '';
+  }
+
+  const variables = server.variables || {};
+  const url = server.url.replace(/\{([^}]+)\}/g, (match, name) =>
+    variables[name] && variables[name].default !== undefined ? variables[name].default : '');
+  try {
+    return new URL(url, 'http://localhost').pathname.replace(/\/$/, '');
+  } catch (error) {
+    return '';
+  }
+};
+
+/**
+ * Converts an OpenAPI 3 or Swagger 2 document into a mock server configuration
+ * Every operation answers with its lowest declared 2xx response. Other declared status codes
+ * are selected with the `x-mock-status` header or the `__status` query parameter
+ * @param {Object} doc - Parsed OpenAPI document
+ * @param {Object} [options={}] - Conversion options
+ * @param {boolean} [options.validateRequests=false] - Add a `requestSchema` built from each operation
+ * @param {boolean} [options.validateResponses=false] - Add the `responseSchema` of each declared response
+ * @returns {Object} Configuration with a `routes` array
+ * @throws {Error} If the document has no paths or contains unresolvable references
+ */
+const convertOpenApi = (doc, { validateRequests = false, validateResponses = false } = {}) => {
+  if (!doc.paths || typeof doc.paths !== 'object') {
+    throw new Error('OpenAPI document must have a "paths" object');
+  }
+
+  const basePath = getBasePath(doc);
+  const operationIds = new Set();
+
+  // Paths with fewer parameters go first, so /users/me is not shadowed by /users/{id}
+  const paths = Object.keys(doc.paths).sort((a, b) =>
+    (a.match(/\{/g) || []).length - (b.match(/\{/g) || []).length);
+
+  const routes = [];
+  for (const specPath of paths) {
+    const pathItem = resolveRef(doc, doc.paths[specPath]);
+    const path = `${basePath}${toExpressPath(specPath)}` || '/';
+
+    for (const method of METHODS.filter(name => pathItem[name])) {
+      const operation = pathItem[method];
+      const responses = operation.responses || {};
+      const statuses = Object.keys(responses)
+        .filter(code => /^[1-5]\d\d$/.test(code))
+        .map(Number)
+        .sort((a, b) => a - b);
+
+      const defaultStatus = statuses.find(code => code >= 200 && code < 300) || statuses[0];
+      const requestSchema = validateRequests ? getRequestSchema(doc, pathItem, operation) : undefined;
+      const route = (status, conditions) => {
+        const response = status === undefined ? responses.default : responses[status];
+        const responseSchema = validateResponses && response ? getResponseSchema(doc, response) : undefined;
+        return {
+          method: method.toUpperCase(),
+          path,
+          ...(conditions ? { conditions } : {}),
+          ...(requestSchema ? { requestSchema } : {}),
+          status: status || 200,
+          response: response ? getResponseExample(doc, response) : {},
+          ...(responseSchema ? { responseSchema } : {})
+        };
+      };
+
+      for (const status of statuses.filter(code => code !== defaultStatus)) {
+        routes.push(route(status, { headers: { [STATUS_HEADER]: String(status) } }));
+        routes.push(route(status, { query: { [STATUS_QUERY]: String(status) } }));
+      }
+
+      // Route ids must be unique, so only the first operation with an id gets it
+      const { operationId } = operation;
+      if (typeof operationId === 'string' && operationId && !operationIds.has(operationId)) {
+        operationIds.add(operationId);
+        routes.push({ id: operationId, ...route(defaultStatus) });
+      } else {
+        routes.push(route(defaultStatus));
+      }
+    }
+  }
+
+  return { routes };
+};
+
+/**
+ * Adds the operations of an OpenAPI document to a configuration
+ * Configured routes keep precedence over the generated ones. Configured routes for a documented
+ * operation also get its `requestSchema` and the `responseSchema` of their status, with the
+ * matching options, unless they declare their own
+ * @param {Object} config - Mock server configuration
+ * @param {Object} doc - Parsed OpenAPI document
+ * @param {Object} [options={}] - Conversion options, see convertOpenApi
+ * @returns {Object} Configuration with the generated routes appended
+ */
+const importOpenApi = (config, doc, options = {}) => {
+  const generated = convertOpenApi(doc, options).routes;
+  const key = (route, status) => `${route.method.toUpperCase()} ${route.path}${status ? ` ${status}` : ''}`;
+
+  const requestSchemas = new Map();
+  const responseSchemas = new Map();
+  for (const route of generated) {
+    if (route.requestSchema) requestSchemas.set(key(route), route.requestSchema);
+    if (route.responseSchema) responseSchemas.set(key(route, route.status), route.responseSchema);
+  }
+
+  const routes = config.routes.map(route => {
+    if (!route || !route.method || !route.path) {
+      return route;
+    }
+    const requestSchema = route.requestSchema ? undefined : requestSchemas.get(key(route));
+    const responseSchema = route.responseSchema ? undefined : responseSchemas.get(key(route, route.status || 200));
+    if (!requestSchema && !responseSchema) {
+      return route;
+    }
+    return {
+      ...route,
+      ...(requestSchema ? { requestSchema } : {}),
+      ...(responseSchema ? { responseSchema } : {})
+    };
+  });
+
+  // Operation ids that clash with configured route ids are dropped
+  const ids = new Set(routes.map(route => route && route.id));
+  for (const route of generated) {
+    if (route.id !== undefined && ids.has(route.id)) {
+      delete route.id;
+    }
+  }
+
+  return { ...config, routes: [...routes, ...generated] };
+};
+
+module.exports = {
+  STATUS_HEADER,
+  STATUS_QUERY,
+  isOpenApiDocument,
+  resolveRef,
+  synthesize,
+  getResponseExample,
+  toExpressPath,
+  getBasePath,
+  dereference,
+  getRequestSchema,
+  getResponseSchema,
+  convertOpenApi,
+  importOpenApi
+};
@@ -0,0 +1,391 @@
+/**
+ * @module proxy
+ * @description Forwarding of requests to an upstream, streamed or buffered, and recording of the responses
+ */
+const http = require('http');
+const https = require('https');
+const querystring = require('querystring');
+const fs = require('fs').promises;
+const { NO_BODY_STATUSES } = require('./server-utils');
+
+const DEFAULT_PROXY_TIMEOUT = 30000;
+
+// Headers that only describe a single connection and must not be forwarded
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade'
+];
+
+// Response headers that are recomputed when a recorded route is served
+const UNRECORDED_HEADERS = [...HOP_BY_HOP_HEADERS, 'content-length', 'content-encoding', 'date', 'etag'];
+
+/**
+ * Resolves the proxy options from the global configuration and programmatic overrides
+ * @param {Object} [globals={}] - Global configuration options
+ * @param {Object} [overrides={}] - Options passed to createMockServer or on the command line
+ * @returns {Object|null} Proxy options, or null when no target is configured
+ */
+const getProxyOptions = (globals = {}, overrides = {}) => {
+  const options = { ...(globals.proxy || {}), ...overrides };
+  if (!options.target) {
+    return null;
+  }
+  return {
+    ...options,
+    record: Boolean(options.record),
+    timeout: options.timeout || DEFAULT_PROXY_TIMEOUT
+  };
+};
+
+/**
+ * Resolves the proxy options of a route, inheriting unset options from the global proxy
+ * Recording only applies to unmatched requests, so it is never inherited
+ * @param {string|Object} routeProxy - Target URL or proxy options of the route
+ * @param {Object} [defaults={}] - Global proxy options
+ * @returns {Object} Proxy options
+ */
+const getRouteProxyOptions = (routeProxy, defaults = {}) => {
+  const inherited = { ...defaults };
+  delete inherited.record;
+  delete inherited.recordFile;
+
+  const options = {
+    ...inherited,
+    ...(typeof routeProxy === 'string' ? { target: routeProxy } : routeProxy)
+  };
+  return { ...options, timeout: options.timeout || DEFAULT_PROXY_TIMEOUT };
+};
+
+/**
+ * Removes headers that must not be copied between requests or responses
+ * @param {Object} headers - Headers to filter
+ * @param {Array<string>} excluded - Lowercase names of the headers to drop
+ * @returns {Object} Filtered headers
+ */
+const filterHeaders = (headers, excluded) => {
+  const result = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    if (!excluded.includes(name.toLowerCase())) {
+      result[name] = value;
+    }
+  }
+  return result;
+};
+
+/**
+ * Applies configured header rewrites, matching header names case-insensitively
+ * @param {Object} headers - Headers to rewrite
+ * @param {Object} [rewrites={}] - New value per header name, null removes the header
+ * @returns {Object} Rewritten headers
+ */
+const rewriteHeaders = (headers, rewrites = {}) => {
+  const result = filterHeaders(headers, Object.keys(rewrites).map(name => name.toLowerCase()));
+  for (const [name, value] of Object.entries(rewrites)) {
+    if (value !== null) {
+      result[name] = value;
+    }
+  }
+  return result;
+};
+
+/**
+ * Returns the body to forward for a request
+ * Bodies already consumed by the body parsers are serialized again, other bodies are streamed
+ * @param {Object} req - Express request
+ * @returns {Buffer|Object|null} Serialized body, the request stream, or null for no body
+ */
+const getForwardBody = (req) => {
+  if (!req._body) {
+    return typeof req.pipe === 'function' ? req : null;
+  }
+
+  const contentType = (req.headers && req.headers['content-type']) || '';
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return Buffer.from(querystring.stringify(req.body));
+  }
+  return Buffer.from(JSON.stringify(req.body));
+};
+
+/**
+ * Removes a path prefix from a request URL
+ * Only whole path segments are stripped, so "/api" does not match "/apiary"
+ * @param {string} url - Request URL including the query string
+ * @param {string} [prefix] - Path prefix to remove
+ * @returns {string} URL without the prefix
+ */
+const stripPathPrefix = (url, prefix) => {
+  const normalized = prefix ? prefix.replace(/\/$/, '') : '';
+  if (!normalized || !url.startsWith(normalized) || !/^($|[/?#])/.test(url.slice(normalized.length))) {
+    return url;
+  }
+  const rest = url.slice(normalized.length);
+  return rest.startsWith('/') ? rest : `/${rest}`;
+};
+
+/**
+ * Builds the upstream URL for a request, keeping any path the target has
+ * @param {string} target - Base URL of the upstream
+ * @param {string} url - Request URL including the query string
+ * @param {string} [stripPrefix] - Path prefix removed before the URL is joined to the target
+ * @returns {URL} Upstream URL
+ */
+const buildTargetUrl = (target, url, stripPrefix) => {
+  const base = new URL(target);
+  // Concatenating keeps protocol-relative request paths from switching hosts
+  const upstream = new URL(`${base.origin}${stripPathPrefix(url, stripPrefix)}`);
+  upstream.pathname = `${base.pathname.replace(/\/$/, '')}${upstream.pathname}`;
+  return upstream;
+};
+
+/**
+ * Sends a request to the upstream and resolves once the response headers arrive
+ * The response body is left unread so callers can stream or buffer it
+ * @param {Object} req - Request to forward
+ * @param {string} req.method - HTTP method
+ * @param {string} req.url - Request URL including the query string
+ * @param {Object} req.headers - Request headers
+ * @param {Object} options - Proxy options
+ * @param {string} options.target - Base URL of the upstream
+ * @param {string} [options.stripPrefix] - Path prefix removed before forwarding
+ * @param {Object} [options.headers] - Request header rewrites, null removes a header
+ * @param {number} [options.timeout] - Milliseconds the upstream may stay idle
+ * @returns {Promise<Object>} Upstream response stream
+ * @throws {Error} If the upstream cannot be reached or times out
+ */
+const openUpstream = (req, options) => new Promise((resolve, reject) => {
+  const url = buildTargetUrl(options.target, req.originalUrl || req.url, options.stripPrefix);
+  const body = getForwardBody(req);
+  const headers = rewriteHeaders(
+    filterHeaders(req.headers, [...HOP_BY_HOP_HEADERS, 'host', 'accept-encoding']),
+    options.headers
+  );
+
+  // Serialized bodies may differ in length from what the client sent
+  if (Buffer.isBuffer(body)) {
+    headers['content-length'] = body.length;
+  }
+
+  const timeout = options.timeout || DEFAULT_PROXY_TIMEOUT;
+  const client = url.protocol === 'https:' ? https : http;
+  const upstreamReq = client.request(url, { method: req.method, headers }, resolve);
+
+  upstreamReq.setTimeout(timeout, () => {
+    const error = new Error(`Upstream timed out after ${timeout}ms`);
+    error.code = 'ETIMEDOUT';
+    upstreamReq.destroy(error);
+  });
+  upstreamReq.on('error', reject);
+
+  if (body && Buffer.isBuffer(body)) {
+    upstreamReq.end(body);
+  } else if (body) {
+    body.pipe(upstreamReq);
+  } else {
+    upstreamReq.end();
+  }
+});
+
+/**
+ * Forwards a request to the upstream and buffers the response
+ * @param {Object} req - Request to forward
+ * @param {Object} options - Proxy options, see openUpstream
+ * @returns {Promise<Object>} Upstream response with status, headers and a body Buffer
+ * @throws {Error} If the upstream cannot be reached or times out
+ */
+const forwardRequest = async (req, options) => {
+  const upstreamRes = await openUpstream(req, options);
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    upstreamRes.on('data', chunk => chunks.push(chunk));
+    upstreamRes.on('end', () => resolve({
+      status: upstreamRes.statusCode,
+      headers: upstreamRes.headers,
+      body: Buffer.concat(chunks)
+    }));
+    upstreamRes.on('error', reject);
+  });
+};
+
+/**
+ * Copies upstream response headers onto a response
+ * Headers the response already has, such as route headers, take precedence
+ * @param {Object} res - Express response
+ * @param {Object} headers - Upstream response headers
+ * @param {Array<string>} [excluded=[]] - Additional lowercase header names to drop
+ */
+const copyResponseHeaders = (res, headers, excluded = []) => {
+  const filtered = filterHeaders(headers, [...HOP_BY_HOP_HEADERS, ...excluded]);
+  for (const [name, value] of Object.entries(filtered)) {
+    if (res.getHeader(name) === undefined) {
+      res.setHeader(name, value);
+    }
+  }
+};
+
+/**
+ * Forwards a request to the upstream and streams the response back without buffering it
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options - Proxy options, see openUpstream
+ * @returns {Promise<void>} Resolves once the upstream response has been piped
+ * @throws {Error} If the upstream cannot be reached or times out before responding
+ */
+const streamRequest = async (req, res, options) => {
+  const upstreamRes = await openUpstream(req, options);
+  res.status(upstreamRes.statusCode);
+  copyResponseHeaders(res, upstreamRes.headers);
+
+  // A failure after the headers were sent can only be signalled by aborting the response
+  upstreamRes.on('error', () => res.destroy());
+  upstreamRes.pipe(res);
+};
+
+/**
+ * Merges a patch into a JSON value
+ * Objects are merged recursively, any other value replaces the original
+ * @param {*} target - Original value
+ * @param {*} patch - Patch to apply
+ * @returns {*} Patched value
+ */
+const mergePatch = (target, patch) => {
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (!isObject(target) || !isObject(patch)) {
+    return patch;
+  }
+
+  const result = { ...target };
+  for (const [key, value] of Object.entries(patch)) {
+    result[key] = mergePatch(target[key], value);
+  }
+  return result;
+};
+
+/**
+ * Converts a proxied request and its upstream response into a route configuration
+ * Empty bodies and the statuses sent without a body, such as a 204 for a DELETE, are recorded without a `response`
+ * @param {Object} req - Express request
+ * @param {Object} upstream - Upstream response from forwardRequest
+ * @returns {Object|null} Route configuration, or null when the response body is not JSON
+ */
+const createRecordedRoute = (req, upstream) => {
+  const hasBody = upstream.body.length > 0 && !NO_BODY_STATUSES.includes(upstream.status);
+  let response;
+  try {
+    response = hasBody ? JSON.parse(upstream.body.toString('utf8')) : undefined;
+  } catch (error) {
+    return null;
+  }
+
+  const route = {
+    method: req.method,
+    path: req.path
+  };
+
+  if (req.query && Object.keys(req.query).length > 0) {
+    route.conditions = { query: req.query };
+  }
+
+  route.status = upstream.status;
+
+  const headers = filterHeaders(upstream.headers, UNRECORDED_HEADERS);
+  if (Object.keys(headers).length > 0) {
+    route.headers = headers;
+  }
+
+  if (hasBody) {
+    route.response = response;
+  }
+  return route;
+};
+
+/**
+ * Checks if two routes answer the same requests
+ * @param {Object} a - Route configuration
+ * @param {Object} b - Route configuration
+ * @returns {boolean} True if method, path and conditions are the same
+ */
+const isSameRoute = (a, b) =>
+  a.method.toUpperCase() === b.method.toUpperCase() &&
+  a.path === b.path &&
+  JSON.stringify(a.conditions || {}) === JSON.stringify(b.conditions || {});
+
+/**
+ * Creates a recorder that appends recorded routes to a configuration file
+ * Writes are queued so concurrent recordings cannot overwrite each other
+ * @param {string} filePath - Path of the configuration file to write
+ * @returns {Object} Recorder
+ */
+const createRecorder = (filePath) => {
+  let queue = Promise.resolve();
+  let lastWritten = null;
+
+  /**
+   * Appends a route unless an equivalent one is already recorded
+   * @param {Object} route - Route configuration
+   * @returns {Promise<boolean>} True if the route was written
+   */
+  const append = async (route) => {
+    let config;
+    try {
+      config = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      config = { routes: [] };
+    }
+
+    // OpenAPI documents and other files without routes must not be rewritten
+    if (!config || !Array.isArray(config.routes)) {
+      throw new Error(`${filePath} has no "routes" array, set proxy.recordFile to record into another file`);
+    }
+
+    if (config.routes.some(existing => isSameRoute(existing, route))) {
+      return false;
+    }
+
+    config.routes.push(route);
+    const content = `${JSON.stringify(config, null, 2)}\n`;
+    await fs.writeFile(filePath, content);
+    lastWritten = content;
+    return true;
+  };
+
+  return {
+    filePath,
+    record: (route) => {
+      const result = queue.then(() => append(route));
+      queue = result.catch(() => {});
+      return result;
+    },
+
+    /**
+     * Tells whether a file content is the one the recorder wrote last, so watchers can skip its own writes
+     * @param {string} content - Current content of the record file
+     * @returns {boolean} True if nobody changed the file since the last recording
+     */
+    wrote: (content) => lastWritten !== null && content === lastWritten
+  };
+};
+
+module.exports = {
+  DEFAULT_PROXY_TIMEOUT,
+  HOP_BY_HOP_HEADERS,
+  getProxyOptions,
+  getRouteProxyOptions,
+  filterHeaders,
+  rewriteHeaders,
+  stripPathPrefix,
+  buildTargetUrl,
+  forwardRequest,
+  streamRequest,
+  copyResponseHeaders,
+  mergePatch,
+  createRecordedRoute,
+  isSameRoute,
+  createRecorder
+};
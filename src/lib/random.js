@@ -0,0 +1,97 @@
+/**
+ * @module random
+ * @description Seeded randomness and frozen time for reproducible responses
+ */
+
+/**
+ * Creates a pseudo-random number generator (mulberry32) from a seed
+ * @param {number|string} seed - Seed, strings are hashed
+ * @returns {Function} Function returning numbers in [0, 1) like Math.random
+ */
+const createRandom = (seed) => {
+  let state = 0;
+  for (const char of String(seed)) {
+    state = Math.imul(state ^ char.charCodeAt(0), 2654435761);
+  }
+
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Resolves the randomness options
+ * The seed comes from the server options, the MOCK_SEED environment variable or `globals.seed`, in that order
+ * @param {Object} [globals={}] - Global configuration
+ * @param {Object} [overrides={}] - Server options
+ * @param {number|string} [overrides.seed] - Seed overriding the environment and configuration
+ * @returns {Object} The `seed`, whether to seed `perRequest` and the `frozenTime` timestamp
+ */
+const getRandomOptions = (globals = {}, overrides = {}) => {
+  let seed = globals.seed;
+  if (overrides.seed !== undefined) {
+    seed = overrides.seed;
+  } else if (process.env.MOCK_SEED) {
+    seed = process.env.MOCK_SEED;
+  }
+
+  return {
+    seed,
+    perRequest: globals.seedPerRequest === true,
+    frozenTime: globals.frozenTime !== undefined ? new Date(globals.frozenTime).getTime() : undefined
+  };
+};
+
+/**
+ * Creates the random source requests draw from in turn when a seed is set
+ * @param {number|string} [seed] - Seed, no source is created without one
+ * @returns {Object|undefined} Source with `next` and `reset`, or undefined
+ */
+const createRandomSource = (seed) => {
+  if (seed === undefined) {
+    return undefined;
+  }
+  let random = createRandom(seed);
+
+  return {
+    /**
+     * Returns the next number of the seeded sequence
+     * @returns {number} Number in [0, 1)
+     */
+    next: () => random(),
+
+    /**
+     * Starts the sequence over
+     */
+    reset: () => {
+      random = createRandom(seed);
+    }
+  };
+};
+
+/**
+ * Picks the random function the helpers use for a request
+ * With per-request seeding, the sequence is derived from the method and path, so the same URL always
+ * renders the same values; otherwise requests share the seeded sequence
+ * @param {Object} options - Randomness options from getRandomOptions
+ * @param {Object} [source] - Shared source from createRandomSource
+ * @param {Object} req - Express request
+ * @returns {Function|undefined} Random function, undefined to use Math.random
+ */
+const createRequestRandom = (options, source, req) => {
+  if (options.perRequest) {
+    const seed = options.seed !== undefined ? options.seed : '';
+    return createRandom(`${seed}:${req.method.toUpperCase()} ${req.path}`);
+  }
+  return source ? source.next : undefined;
+};
+
+module.exports = {
+  createRandom,
+  getRandomOptions,
+  createRandomSource,
+  createRequestRandom
+};
@@ -0,0 +1,201 @@
+/**
+ * @module resources
+ * @description Stateful CRUD resources backed by in-memory collections
+ */
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Creates an in-memory store for a resource definition
+ * @param {Object} resource - Resource configuration
+ * @param {string} resource.name - Resource name
+ * @param {string} resource.basePath - Base path of the generated routes
+ * @param {string} [resource.idField='id'] - Field holding the item id
+ * @param {Array<Object>} [resource.seed] - Items the store starts with
+ * @returns {Object} Resource store
+ */
+const createResourceStore = (resource) => {
+  const idField = resource.idField || 'id';
+  const items = new Map();
+
+  const reset = () => {
+    items.clear();
+    for (const item of resource.seed || []) {
+      items.set(String(item[idField]), { ...item });
+    }
+  };
+
+  /**
+   * Generates the next id: numeric when every existing id is numeric, UUID otherwise
+   * @returns {number|string} New id
+   */
+  const nextId = () => {
+    const ids = [...items.values()].map(item => item[idField]);
+    if (ids.every(id => typeof id === 'number')) {
+      return ids.length > 0 ? Math.max(...ids) + 1 : 1;
+    }
+    return uuidv4();
+  };
+
+  reset();
+
+  return {
+    name: resource.name,
+    basePath: resource.basePath,
+    idField,
+    reset,
+    list: () => [...items.values()],
+    get: id => items.get(String(id)),
+    has: id => items.has(String(id)),
+    set: (id, item) => items.set(String(id), item),
+    remove: id => items.delete(String(id)),
+    nextId
+  };
+};
+
+/**
+ * Creates stores for all resources in the configuration
+ * @param {Array<Object>} [resources=[]] - Resource configurations
+ * @returns {Map<string, Object>} Stores keyed by resource name
+ */
+const createResourceStores = (resources = []) => {
+  const stores = new Map();
+  for (const resource of resources) {
+    stores.set(resource.name, createResourceStore(resource));
+  }
+  return stores;
+};
+
+/**
+ * Sends a 404 response for an unknown item
+ * @param {Object} res - Express response
+ * @param {Object} store - Resource store
+ * @param {string} id - Requested id
+ */
+const sendNotFound = (res, store, id) => {
+  res.status(404).json({ error: `${store.name} with ${store.idField} "${id}" not found` });
+};
+
+/**
+ * Checks that the request body is a JSON object
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {boolean} True if the body is usable, false if a 400 was sent
+ */
+const requireObjectBody = (req, res) => {
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    res.status(400).json({ error: 'Request body must be a JSON object' });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Creates the request handlers for a resource store
+ * @param {Object} store - Resource store
+ * @returns {Object} Handlers for list, get, create, replace, patch and remove
+ */
+const createResourceHandlers = (store) => ({
+  list: (req, res) => {
+    res.json(store.list());
+  },
+
+  get: (req, res) => {
+    const item = store.get(req.params.id);
+    if (!item) {
+      sendNotFound(res, store, req.params.id);
+      return;
+    }
+    res.json(item);
+  },
+
+  create: (req, res) => {
+    if (!requireObjectBody(req, res)) return;
+
+    const item = { ...req.body };
+    if (item[store.idField] === undefined) {
+      item[store.idField] = store.nextId();
+    }
+
+    const id = item[store.idField];
+    if (store.has(id)) {
+      res.status(409).json({ error: `${store.name} with ${store.idField} "${id}" already exists` });
+      return;
+    }
+
+    store.set(id, item);
+    res.status(201).json(item);
+  },
+
+  replace: (req, res) => {
+    const existing = store.get(req.params.id);
+    if (!existing) {
+      sendNotFound(res, store, req.params.id);
+      return;
+    }
+    if (!requireObjectBody(req, res)) return;
+
+    // The id always comes from the URL so a replace cannot move an item
+    const item = { ...req.body, [store.idField]: existing[store.idField] };
+    store.set(req.params.id, item);
+    res.json(item);
+  },
+
+  patch: (req, res) => {
+    const existing = store.get(req.params.id);
+    if (!existing) {
+      sendNotFound(res, store, req.params.id);
+      return;
+    }
+    if (!requireObjectBody(req, res)) return;
+
+    const item = { ...existing, ...req.body, [store.idField]: existing[store.idField] };
+    store.set(req.params.id, item);
+    res.json(item);
+  },
+
+  remove: (req, res) => {
+    if (!store.remove(req.params.id)) {
+      sendNotFound(res, store, req.params.id);
+      return;
+    }
+    res.status(204).end();
+  }
+});
+
+/**
+ * Wraps a handler so the request journal knows which generated route matched
+ * @param {string} path - Route path
+ * @param {Function} handler - Request handler
+ * @returns {Function} Request handler
+ */
+const tagRoute = (path, handler) => (req, res) => {
+  res.locals.matchedRoute = `${req.method} ${path}`;
+  handler(req, res);
+};
+
+/**
+ * Registers the CRUD routes for every resource store on a router
+ * @param {Object} router - Express router
+ * @param {Map<string, Object>} stores - Resource stores
+ */
+const registerResourceRoutes = (router, stores) => {
+  for (const store of stores.values()) {
+    const handlers = createResourceHandlers(store);
+    const listPath = store.basePath;
+    const itemPath = `${store.basePath.replace(/\/$/, '')}/:id`;
+
+    router.get(listPath, tagRoute(listPath, handlers.list));
+    router.post(listPath, tagRoute(listPath, handlers.create));
+    router.get(itemPath, tagRoute(itemPath, handlers.get));
+    router.put(itemPath, tagRoute(itemPath, handlers.replace));
+    router.patch(itemPath, tagRoute(itemPath, handlers.patch));
+    router.delete(itemPath, tagRoute(itemPath, handlers.remove));
+  }
+};
+
+module.exports = {
+  createResourceStore,
+  createResourceStores,
+  createResourceHandlers,
+  registerResourceRoutes
+};
@@ -0,0 +1,113 @@
+/**
+ * @module scenarios
+ * @description Response sequences and named scenario state machines
+ */
+
+/**
+ * Creates a store for named scenario states
+ * @param {Object<string, string>} [scenarios={}] - Initial state per scenario name
+ * @returns {Object} Scenario store
+ */
+const createScenarioStore = (scenarios = {}) => {
+  let states = { ...scenarios };
+
+  return {
+    /**
+     * Returns a snapshot of all scenario states
+     * @returns {Object<string, string>} Current state per scenario name
+     */
+    getStates: () => ({ ...states }),
+
+    /**
+     * Applies a transition, moving each listed scenario to its new state
+     * @param {Object<string, string>} [transition] - New state per scenario name
+     */
+    apply: (transition) => {
+      if (!transition) return;
+      states = { ...states, ...transition };
+    },
+
+    /**
+     * Moves every scenario back to its initial state
+     */
+    reset: () => {
+      states = { ...scenarios };
+    }
+  };
+};
+
+/**
+ * Creates per-route counters for response sequences
+ * Counters are keyed by route object, so a reload starts every sequence over
+ * @returns {Object} Sequence counters
+ */
+const createSequenceCounters = () => {
+  let counters = new WeakMap();
+
+  return {
+    /**
+     * Picks the next entry of a route's `responses` sequence and advances its counter
+     * @param {Object} route - Route configuration with a `responses` array
+     * @returns {Object} The selected sequence entry
+     */
+    next: (route) => {
+      const count = counters.get(route) || 0;
+      counters.set(route, count + 1);
+
+      const { responses } = route;
+      const index = route.sequenceMode === 'cycle'
+        ? count % responses.length
+        : Math.min(count, responses.length - 1);
+      return responses[index];
+    },
+
+    /**
+     * Starts every sequence over from its first entry
+     */
+    reset: () => {
+      counters = new WeakMap();
+    }
+  };
+};
+
+// Options that set the body of a response, an entry setting one replaces all of them
+const BODY_OPTIONS = ['response', 'responseFile', 'body', 'bodyBase64', 'representations'];
+
+/**
+ * Merges a sequence entry or representation into a route
+ * An entry that sets a body, such as a `response` or `responseFile`, replaces the body of the route,
+ * whichever way the route sets it
+ * @param {Object} route - Route configuration
+ * @param {Object} entry - Options to merge over the route
+ * @returns {Object} Merged route configuration
+ */
+const mergeEntry = (route, entry) => {
+  const merged = { ...route };
+  if (BODY_OPTIONS.some(option => entry[option] !== undefined)) {
+    for (const option of BODY_OPTIONS) {
+      delete merged[option];
+    }
+  }
+  return Object.assign(merged, entry);
+};
+
+/**
+ * Resolves the effective route for a request, merging in the next sequence entry
+ * @param {Object} route - Route configuration
+ * @param {Object} sequences - Sequence counters
+ * @returns {Object} Route configuration to respond with
+ */
+const resolveSequence = (route, sequences) => {
+  if (!Array.isArray(route.responses) || route.responses.length === 0) {
+    return route;
+  }
+  return mergeEntry(route, sequences.next(route));
+};
+
+module.exports = {
+  BODY_OPTIONS,
+  createScenarioStore,
+  createSequenceCounters,
+  mergeEntry,
+  resolveSequence
+};
@@ -0,0 +1,205 @@
+/**
+ * @module schema
+ * @description JSON Schema validation of requests and rendered responses
+ */
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+// Parts of a request a route can validate, in the order they are reported
+const REQUEST_PARTS = ['params', 'query', 'headers', 'body'];
+
+/**
+ * Creates an Ajv instance that reports all errors and understands string formats
+ * @param {Object} [options] - Additional Ajv options
+ * @returns {Object} Ajv instance
+ */
+const createAjv = (options) => {
+  const ajv = new Ajv({ allErrors: true, strict: false, ...options });
+  addFormats(ajv);
+  return ajv;
+};
+
+// Path parameters, query strings and headers are always strings, so they are coerced
+// to the types their schemas declare, such as "?page=2" for an integer page
+const ajv = createAjv();
+const coercingAjv = createAjv({ coerceTypes: 'array' });
+
+// Compiled validators by schema object of the configuration and the part they check. Routes are compiled
+// again on every reload and admin update, so schemas are dropped from the shared Ajv instances after
+// compiling and the validators of replaced configurations can be garbage collected
+const compiledSchemas = new WeakMap();
+
+/**
+ * Creates the error passed to the error handling middleware when a request is invalid
+ * @param {string} message - Error message
+ * @param {Array<Object>} [details] - Violations, see compileRequestSchema
+ * @param {number} [status=400] - Response status code
+ * @returns {Error} Error named ValidationError
+ */
+const createValidationError = (message, details, status = 400) => {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  error.status = status;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+/**
+ * Lowercases the property names of a header schema, since Node lowercases request header names
+ * @param {Object} schema - JSON schema of the headers
+ * @returns {Object} Schema with lowercase property names
+ */
+const normalizeHeaderSchema = (schema) => {
+  if (!schema.properties && !schema.required) {
+    return schema;
+  }
+  const properties = {};
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    properties[name.toLowerCase()] = property;
+  }
+  return {
+    ...schema,
+    ...(schema.properties ? { properties } : {}),
+    ...(schema.required ? { required: schema.required.map(name => name.toLowerCase()) } : {})
+  };
+};
+
+/**
+ * Compiles a schema of the configuration, once per schema object and part
+ * Header schemas are compiled with lowercase property names, and request parts other than the body
+ * with type coercion
+ * @param {Object} schema - JSON schema from the configuration
+ * @param {string} part - Request part or "response"
+ * @returns {Function} Ajv validate function
+ * @throws {Error} If the schema is invalid
+ */
+const compileSchema = (schema, part) => {
+  const compiled = compiledSchemas.get(schema) || {};
+  if (!compiled[part]) {
+    const instance = ['body', 'response'].includes(part) ? ajv : coercingAjv;
+    const target = part === 'headers' ? normalizeHeaderSchema(schema) : schema;
+    try {
+      compiled[part] = instance.compile(target);
+    } finally {
+      instance.removeSchema(target);
+    }
+    compiledSchemas.set(schema, compiled);
+  }
+  return compiled[part];
+};
+
+/**
+ * Converts an Ajv error into a violation
+ * The path points at the offending value, including missing and unexpected properties
+ * @param {string} part - Request part the error was found in
+ * @param {Object} error - Ajv error
+ * @returns {Object} Violation with `in`, `path` and `message`
+ */
+const toViolation = (part, error) => {
+  const property = error.params.missingProperty || error.params.additionalProperty;
+  return {
+    in: part,
+    path: property !== undefined ? `${error.instancePath}/${property}` : error.instancePath,
+    message: error.message
+  };
+};
+
+/**
+ * Compiles the JSON schemas of a route's `requestSchema`
+ * @param {Object} requestSchema - Schemas for `params`, `query`, `headers` and `body`
+ * @returns {Function} Function that takes a request and returns its violations, empty when valid
+ * @throws {Error} If one of the schemas is invalid
+ */
+const compileRequestSchema = (requestSchema) => {
+  const validators = REQUEST_PARTS
+    .filter(part => requestSchema[part] !== undefined)
+    .map(part => {
+      const coerce = part !== 'body';
+      try {
+        return { part, coerce, validate: compileSchema(requestSchema[part], part) };
+      } catch (error) {
+        throw new Error(`Invalid requestSchema ${part}: ${error.message}`);
+      }
+    });
+
+  return (req) => {
+    const violations = [];
+    for (const { part, coerce, validate } of validators) {
+      // Coercion rewrites the data, so it works on a copy to keep the request untouched
+      const data = coerce ? { ...(req[part] || {}) } : req[part];
+      if (!validate(data)) {
+        violations.push(...validate.errors.map(error => toViolation(part, error)));
+      }
+    }
+    return violations;
+  };
+};
+
+/**
+ * Validates the `requestSchema` of a route
+ * @param {Object} requestSchema - Request schema configuration
+ * @throws {Error} If the configuration or one of its schemas is invalid
+ */
+const validateRequestSchema = (requestSchema) => {
+  if (!requestSchema || typeof requestSchema !== 'object' || Array.isArray(requestSchema)) {
+    throw new Error('requestSchema must be an object');
+  }
+
+  const validFields = [...REQUEST_PARTS, 'status'];
+  const invalidFields = Object.keys(requestSchema).filter(field => !validFields.includes(field));
+  if (invalidFields.length > 0) {
+    throw new Error(`Invalid requestSchema fields: ${invalidFields.join(', ')}`);
+  }
+
+  for (const part of REQUEST_PARTS) {
+    const schema = requestSchema[part];
+    if (schema !== undefined && (typeof schema !== 'object' || schema === null || Array.isArray(schema))) {
+      throw new Error(`requestSchema ${part} must be a JSON schema object`);
+    }
+  }
+
+  if (requestSchema.status !== undefined && ![400, 422].includes(requestSchema.status)) {
+    throw new Error('requestSchema status must be 400 or 422');
+  }
+
+  compileRequestSchema(requestSchema);
+};
+
+/**
+ * Compiles the `responseSchema` of a route
+ * @param {Object} schema - JSON schema the rendered response must match
+ * @returns {Function} Function that takes a response body and returns its violations, empty when valid
+ * @throws {Error} If the schema is invalid
+ */
+const compileResponseSchema = (schema) => {
+  let validate;
+  try {
+    validate = compileSchema(schema, 'response');
+  } catch (error) {
+    throw new Error(`Invalid responseSchema: ${error.message}`);
+  }
+
+  return (body) => (validate(body) ? [] : validate.errors.map(error => toViolation('response', error)));
+};
+
+/**
+ * Validates the `responseSchema` of a route or sequence entry
+ * @param {Object} schema - JSON schema of the response
+ * @throws {Error} If the schema is invalid
+ */
+const validateResponseSchema = (schema) => {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error('responseSchema must be a JSON schema object');
+  }
+  compileResponseSchema(schema);
+};
+
+module.exports = {
+  createValidationError,
+  compileRequestSchema,
+  validateRequestSchema,
+  compileResponseSchema,
+  validateResponseSchema
+};
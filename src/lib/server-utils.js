@@ -4,6 +4,19 @@
  */
 const Handlebars = require('handlebars');
 const { v4: uuidv4 } = require('uuid');
+const { createValidationError, validateRequestSchema, validateResponseSchema } = require('./schema');
+const { LOCALES, generate } = require('./fake');
+const { helpers } = require('./helpers');
+const { BODY_OPTIONS } = require('./scenarios');
+const { validateChaosProfile } = require('./chaos');
+const { validateStreamOptions } = require('./stream');
+
+// Statuses whose responses have no body
+const NO_BODY_STATUSES = [204, 205, 304];
+
+// Upper bound of a $repeat count, so a query parameter cannot make the server build huge responses
+const MAX_REPEAT_COUNT = 10000;
+const REPEAT_FIELDS = ['count', 'min', 'max', 'template'];
 
 /**
  * Logs a message to the console
@@ -19,47 +32,179 @@ const log = (message, debug = false) => {
   }
 };
 
-// Register custom Handlebars helpers
 /**
- * Handlebars helper that returns the current date and time in ISO format
- * @returns {string} Current date and time in ISO format
+ * Helpers built into every Handlebars instance, see createHandlebars
+ * Helpers read the random function and frozen time of a request from the Handlebars data, see processTemplate
  */
-Handlebars.registerHelper('now', function() {
-  return new Date().toISOString();
-});
+const BUILTIN_HELPERS = {
+  ...helpers,
+
+  /**
+   * Returns the current date and time in ISO format
+   * @param {Object} options - Handlebars options
+   * @returns {string} Current date and time in ISO format, or the frozen time
+   */
+  now: (options) => {
+    const { now } = options.data;
+    return new Date(now !== undefined ? now : Date.now()).toISOString();
+  },
+
+  /**
+   * Returns a random integer between min and max (inclusive)
+   * @param {number} min - Minimum value (inclusive)
+   * @param {number} max - Maximum value (inclusive)
+   * @param {Object} options - Handlebars options
+   * @returns {number} Random integer between min and max
+   */
+  random: (min, max, options) => {
+    const random = options.data.random || Math.random;
+    return Math.floor(random() * (max - min + 1)) + min;
+  },
+
+  /**
+   * Returns a UUID v4
+   * @param {Object} options - Handlebars options
+   * @returns {string} UUID v4
+   */
+  uuid: (options) => {
+    const { random } = options.data;
+    if (!random) {
+      return uuidv4();
+    }
+    return uuidv4({ random: Array.from({ length: 16 }, () => Math.floor(random() * 256)) });
+  },
+
+  /**
+   * Returns the response time in milliseconds, using the startTime of the template data
+   * @param {Object} options - Handlebars options
+   * @returns {number} Response time in milliseconds, 0 without a startTime
+   */
+  responseTime: (options) => {
+    const { root } = options.data;
+    if (root && typeof root.startTime === 'number') {
+      return Date.now() - root.startTime;
+    }
+    return 0;
+  },
+
+  /**
+   * Generates realistic test data, such as {{fake 'person.fullName'}}
+   * The locale comes from the `locale` option or `globals.locale`, and a `seed` option makes the value reproducible
+   * @param {string} name - Generator name
+   * @param {Object} options - Handlebars options, with generator options as hash arguments
+   * @returns {string} Generated value
+   */
+  fake: (name, options) => {
+    const { locale, random, now } = options.data;
+    return generate(name, { locale, random, now, ...options.hash });
+  },
+
+  /**
+   * Converts a value to a number, such as {{number params.id}} for a path parameter
+   * @param {*} value - Value to convert
+   * @returns {number} The number
+   * @throws {Error} If the value is not numeric
+   */
+  number: (value) => {
+    const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+    if (Number.isNaN(number)) {
+      throw new Error(`Cannot convert "${value}" to a number`);
+    }
+    return number;
+  },
+
+  /**
+   * Emits a value as JSON
+   * On its own it keeps objects and arrays, and parses strings such as a JSON query parameter;
+   * inside a longer template it renders the JSON text
+   * @param {*} value - Value to emit
+   * @returns {Object} SafeString rendering the JSON text and carrying the value
+   * @throws {Error} If a string value is not valid JSON
+   */
+  json: (value) => {
+    let parsed = value;
+    if (typeof value === 'string') {
+      try {
+        parsed = JSON.parse(value);
+      } catch (error) {
+        throw new Error(`Cannot parse "${value}" as JSON`);
+      }
+    }
+    const json = parsed === undefined ? null : parsed;
+    return Object.assign(new Handlebars.SafeString(JSON.stringify(json)), { value: json });
+  }
+};
+
+// Helper that hands the value of a single-expression template back to compileExpression. It is only passed
+// to those templates when they run, so other templates cannot call it and custom helpers cannot take its name
+const TYPED_VALUE_HELPER = '__typedValue';
 
 /**
- * Handlebars helper that returns a random integer between min and max (inclusive)
- * @param {number} min - Minimum value (inclusive)
- * @param {number} max - Maximum value (inclusive)
- * @returns {number} Random integer between min and max
+ * Hands the value of an expression back to compileExpression
+ * @param {*} value - Value of the expression
+ * @param {Object} options - Handlebars options
+ * @returns {string} Empty string
  */
-Handlebars.registerHelper('random', function(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
-});
+const captureTypedValue = (value, options) => {
+  options.data.capture.value = value;
+  return '';
+};
 
 /**
- * Handlebars helper that returns a UUID v4
- * @returns {string} UUID v4
+ * Creates an isolated Handlebars instance with the built-in helpers and the custom helpers and partials of a server
+ * @param {Object} [extensions={}] - Custom helpers and partials
+ * @param {Object} [extensions.helpers={}] - Helper functions by name
+ * @param {Object} [extensions.partials={}] - Partial templates by name
+ * @returns {Object} Handlebars instance
+ * @throws {Error} If a helper is no function, replaces a built-in helper, or a partial is no string
  */
-Handlebars.registerHelper('uuid', function() {
-  return uuidv4();
-});
+const createHandlebars = ({ helpers: customHelpers = {}, partials = {} } = {}) => {
+  const instance = Handlebars.create();
+  instance.registerHelper(BUILTIN_HELPERS);
+
+  for (const [name, helper] of Object.entries(customHelpers)) {
+    if (typeof helper !== 'function') {
+      throw new Error(`Helper ${name} must be a function`);
+    }
+    if (instance.helpers[name]) {
+      throw new Error(`Helper ${name} is built in and cannot be replaced`);
+    }
+    if (name === TYPED_VALUE_HELPER) {
+      throw new Error(`Helper ${name} is reserved`);
+    }
+  }
+  instance.registerHelper(customHelpers);
+
+  for (const [name, partial] of Object.entries(partials)) {
+    if (typeof partial !== 'string') {
+      throw new Error(`Partial ${name} must be a template string`);
+    }
+  }
+  instance.registerPartial(partials);
+
+  return instance;
+};
+
+// Instance used when no server instance is passed, with the built-in helpers only
+const defaultHandlebars = createHandlebars();
 
 /**
- * Handlebars helper that returns the response time in milliseconds
- * Using the startTime passed in the data context
- * @returns {number} Response time in milliseconds
+ * Validates the custom helper modules and partials directory of the global configuration
+ * @param {Object} [globals={}] - Global configuration
+ * @param {string|Array<string>} [globals.helpers] - Paths of modules exporting helper functions
+ * @param {string} [globals.partials] - Directory of .hbs partial files
+ * @throws {Error} If a path is invalid
  */
-Handlebars.registerHelper('responseTime', function() {
-  // Original version that's known to work
-  if (this && typeof this.startTime === 'number') {
-    return Date.now() - this.startTime;
+const validateTemplateExtensions = (globals = {}) => {
+  const { helpers: helperModules, partials } = globals;
+  if (helperModules !== undefined &&
+      ![].concat(helperModules).every(modulePath => typeof modulePath === 'string' && modulePath)) {
+    throw new Error('helpers must be a module path or an array of module paths');
   }
-  
-  // Safer fallback
-  return 0;
-});
+  if (partials !== undefined && (typeof partials !== 'string' || !partials)) {
+    throw new Error('partials must be a directory path');
+  }
+};
 
 /**
  * Validates the conditions object in a route configuration
@@ -67,10 +212,11 @@ Handlebars.registerHelper('responseTime', function() {
  * @param {Object} [conditions.query] - Query parameters conditions
  * @param {Object} [conditions.headers] - Headers conditions
  * @param {Object} [conditions.body] - Request body conditions
+ * @param {Object} [conditions.scenario] - Scenario state conditions
  * @throws {Error} If the conditions object contains invalid fields
  */
 const validateConditions = (conditions) => {
-  const validFields = ['query', 'headers', 'body'];
+  const validFields = ['query', 'headers', 'body', 'scenario'];
   const invalidFields = Object.keys(conditions).filter(field => !validFields.includes(field));
 
   if (invalidFields.length > 0) {
@@ -127,6 +273,661 @@ const validateCorsOptions = (corsOptions) => {
   }
 };
 
+/**
+ * Validates proxy options
+ * @param {Object} proxyOptions - Proxy configuration options
+ * @param {Array<string>} [validFields] - Allowed fields, the global proxy fields by default
+ * @throws {Error} If the proxy options contain invalid fields or values
+ */
+const validateProxyOptions = (
+  proxyOptions,
+  validFields = ['target', 'record', 'recordFile', 'timeout', 'headers', 'stripPrefix']
+) => {
+  if (!proxyOptions || typeof proxyOptions !== 'object' || Array.isArray(proxyOptions)) {
+    throw new Error('proxy must be an object');
+  }
+
+  const invalidFields = Object.keys(proxyOptions).filter(field => !validFields.includes(field));
+  if (invalidFields.length > 0) {
+    throw new Error(`Invalid proxy configuration fields: ${invalidFields.join(', ')}`);
+  }
+
+  if (proxyOptions.target !== undefined) {
+    let url;
+    try {
+      url = new URL(proxyOptions.target);
+    } catch (error) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      throw new Error('proxy target must be an http or https URL');
+    }
+  }
+
+  if (proxyOptions.record !== undefined && typeof proxyOptions.record !== 'boolean') {
+    throw new Error('proxy record must be a boolean');
+  }
+
+  if (proxyOptions.recordFile !== undefined && (typeof proxyOptions.recordFile !== 'string' || !proxyOptions.recordFile)) {
+    throw new Error('proxy recordFile must be a non-empty string');
+  }
+
+  if (proxyOptions.timeout !== undefined && (typeof proxyOptions.timeout !== 'number' || proxyOptions.timeout <= 0)) {
+    throw new Error('proxy timeout must be a positive number');
+  }
+
+  if (proxyOptions.headers !== undefined) {
+    const { headers } = proxyOptions;
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers) ||
+        Object.values(headers).some(value => value !== null && typeof value !== 'string')) {
+      throw new Error('proxy headers must map header names to strings, or null to remove them');
+    }
+  }
+
+  if (proxyOptions.stripPrefix !== undefined &&
+     (typeof proxyOptions.stripPrefix !== 'string' || !proxyOptions.stripPrefix.startsWith('/'))) {
+    throw new Error('proxy stripPrefix must be a path starting with "/"');
+  }
+
+  if (proxyOptions.patch !== undefined &&
+     (!proxyOptions.patch || typeof proxyOptions.patch !== 'object' || Array.isArray(proxyOptions.patch))) {
+    throw new Error('proxy patch must be an object');
+  }
+};
+
+/**
+ * Validates the `proxy` of a route
+ * @param {Object} route - Route configuration with a `proxy`
+ * @param {Object} [globalProxy] - Global proxy options the route inherits from
+ * @param {Object} [handlebars] - Handlebars instance the patch templates are checked against
+ * @throws {Error} If the proxy is invalid or no target is configured
+ */
+const validateRouteProxy = (route, globalProxy, handlebars) => {
+  const description = `${route.method.toUpperCase()} ${route.path}`;
+  const proxyOptions = typeof route.proxy === 'string' ? { target: route.proxy } : route.proxy;
+
+  try {
+    validateProxyOptions(proxyOptions, ['target', 'timeout', 'headers', 'stripPrefix', 'patch']);
+    validateTemplates(proxyOptions.patch, handlebars);
+  } catch (error) {
+    throw new Error(`Route ${description}: ${error.message}`);
+  }
+
+  if (!proxyOptions.target && !(globalProxy && globalProxy.target)) {
+    throw new Error(`Route ${description} proxy needs a target, or a globals.proxy target`);
+  }
+};
+
+/**
+ * Validates a scenario transition against the declared scenarios
+ * @param {Object} transition - New state per scenario name
+ * @param {Object} scenarios - Declared scenarios and their initial states
+ * @throws {Error} If the transition is invalid or references an unknown scenario
+ */
+const validateTransition = (transition, scenarios) => {
+  if (!transition || typeof transition !== 'object' || Array.isArray(transition)) {
+    throw new Error('transition must be an object mapping scenario names to states');
+  }
+
+  for (const [name, value] of Object.entries(transition)) {
+    if (!Object.prototype.hasOwnProperty.call(scenarios, name)) {
+      throw new Error(`Unknown scenario in transition: ${name}`);
+    }
+    if (typeof value !== 'string') {
+      throw new Error(`Scenario ${name} state must be a string`);
+    }
+  }
+};
+
+/**
+ * Checks if a JSON value is a $repeat directive, an object whose only key is "$repeat"
+ * @param {*} json - JSON value
+ * @returns {boolean} True for $repeat directives
+ */
+const isRepeatDirective = (json) =>
+  typeof json === 'object' && json !== null && !Array.isArray(json) &&
+  Object.keys(json).length === 1 && json.$repeat !== undefined;
+
+/**
+ * Validates the $repeat directives in a response template
+ * @param {*} json - Response template
+ * @throws {Error} If a directive is invalid
+ */
+const validateRepeatDirectives = (json) => {
+  if (Array.isArray(json)) {
+    json.forEach(validateRepeatDirectives);
+    return;
+  }
+  if (typeof json !== 'object' || json === null) {
+    return;
+  }
+  if (!isRepeatDirective(json)) {
+    Object.values(json).forEach(validateRepeatDirectives);
+    return;
+  }
+
+  const repeat = json.$repeat;
+  if (typeof repeat !== 'object' || repeat === null || Array.isArray(repeat) || repeat.template === undefined) {
+    throw new Error('$repeat must be an object with a "template"');
+  }
+
+  const invalidFields = Object.keys(repeat).filter(field => !REPEAT_FIELDS.includes(field));
+  if (invalidFields.length > 0) {
+    throw new Error(`Invalid $repeat fields: ${invalidFields.join(', ')}`);
+  }
+
+  for (const field of ['count', 'min', 'max']) {
+    const value = repeat[field];
+    if (value !== undefined && typeof value !== 'string' &&
+        (!Number.isInteger(value) || value < 0 || value > MAX_REPEAT_COUNT)) {
+      throw new Error(`$repeat ${field} must be an integer between 0 and ${MAX_REPEAT_COUNT}, or a template`);
+    }
+  }
+
+  if ((repeat.min === undefined) !== (repeat.max === undefined) ||
+      (repeat.count === undefined && repeat.min === undefined)) {
+    throw new Error('$repeat needs a count, or a min and max');
+  }
+  if (typeof repeat.min === 'number' && typeof repeat.max === 'number' && repeat.min > repeat.max) {
+    throw new Error('$repeat min must not be greater than max');
+  }
+
+  validateRepeatDirectives(repeat.template);
+};
+
+/**
+ * Finds the helpers and partials a template calls, so typos fail at load instead of per request
+ * Expressions with arguments, such as {{upper name}}, and subexpressions are helper calls;
+ * an expression without arguments may just look up a value
+ * @param {Object|Array} node - Handlebars syntax tree node
+ * @param {Object} [calls] - Names found so far
+ * @returns {Object} Names of the called `helpers` and `partials`
+ */
+const findCalls = (node, calls = { helpers: [], partials: [] }) => {
+  if (Array.isArray(node)) {
+    node.forEach(child => findCalls(child, calls));
+    return calls;
+  }
+  if (!node || typeof node !== 'object') {
+    return calls;
+  }
+
+  const { type, path } = node;
+  const isCall = type === 'SubExpression' ||
+    (['MustacheStatement', 'BlockStatement'].includes(type) && (node.params.length > 0 || node.hash));
+  if (isCall && path.type === 'PathExpression' && !path.data && path.parts.length === 1) {
+    calls.helpers.push(path.original);
+  }
+  // Partial blocks render their content when the partial is missing, and dynamic names are only known per request
+  if (type === 'PartialStatement' && node.name.type === 'PathExpression') {
+    calls.partials.push(node.name.original);
+  }
+  Object.values(node).forEach(child => findCalls(child, calls));
+  return calls;
+};
+
+/**
+ * Validates the templates in a response, header or patch template
+ * @param {*} json - Template, strings are checked wherever they are nested
+ * @param {Object} [handlebars] - Handlebars instance from createHandlebars, with the helpers and partials to expect
+ * @throws {Error} If a template cannot be parsed or calls an unknown helper or partial
+ */
+const validateTemplates = (json, handlebars = defaultHandlebars) => {
+  if (Array.isArray(json) || (typeof json === 'object' && json !== null)) {
+    Object.values(json).forEach(value => validateTemplates(value, handlebars));
+    return;
+  }
+  if (typeof json !== 'string' || !json.includes('{{')) {
+    return;
+  }
+
+  let ast;
+  try {
+    ast = Handlebars.parse(json);
+  } catch (error) {
+    // Parse errors span several lines, with the position and the expected tokens on the first and last
+    const lines = error.message.split('\n');
+    const message = lines.length > 1 ? `${lines[0]} ${lines[lines.length - 1]}` : lines[0];
+    throw new Error(`Invalid template "${json}": ${message}`);
+  }
+
+  const calls = findCalls(ast);
+  const unknownHelper = calls.helpers.find(name => !handlebars.helpers[name]);
+  if (unknownHelper) {
+    throw new Error(`Unknown template helper "${unknownHelper}" in "${json}"`);
+  }
+  const unknownPartial = calls.partials.find(name => !handlebars.partials[name]);
+  if (unknownPartial) {
+    throw new Error(`Unknown template partial "${unknownPartial}" in "${json}"`);
+  }
+};
+
+/**
+ * Validates the `responseFile` of a route or sequence entry
+ * @param {Object} options - Route or sequence entry configuration with a `responseFile`
+ * @param {Object} [handlebars] - Handlebars instance the path and fallback templates are checked against
+ * @throws {Error} If the file options are invalid
+ */
+const validateResponseFile = (options, handlebars) => {
+  const responseFile = typeof options.responseFile === 'string' ? { path: options.responseFile } : options.responseFile;
+  if (!responseFile || typeof responseFile !== 'object' || Array.isArray(responseFile) ||
+      typeof responseFile.path !== 'string' || !responseFile.path) {
+    throw new Error('responseFile must be a path or an object with a "path"');
+  }
+
+  const invalidFields = Object.keys(responseFile).filter(field => !['path', 'render', 'fallback'].includes(field));
+  if (invalidFields.length > 0) {
+    throw new Error(`Invalid responseFile fields: ${invalidFields.join(', ')}`);
+  }
+
+  if (responseFile.render !== undefined && typeof responseFile.render !== 'boolean') {
+    throw new Error('responseFile render must be a boolean');
+  }
+
+  const { fallback } = responseFile;
+  if (fallback !== undefined) {
+    const isPath = typeof fallback === 'string' && fallback;
+    const isResponse = fallback && typeof fallback === 'object' && !Array.isArray(fallback) &&
+      Object.keys(fallback).every(field => ['status', 'body'].includes(field));
+    if (!isPath && !isResponse) {
+      throw new Error('responseFile fallback must be a path or an object with a "status" and "body"');
+    }
+    if (isResponse && fallback.status !== undefined &&
+        (typeof fallback.status !== 'number' || fallback.status < 100 || fallback.status > 599)) {
+      throw new Error('responseFile fallback status must be a valid HTTP status code (100-599)');
+    }
+  }
+
+  validateTemplates(responseFile, handlebars);
+};
+
+/**
+ * Validates the `sse` event script of a route
+ * @param {Object} route - Route configuration with an `sse` script
+ * @param {Object} [handlebars] - Handlebars instance the templates are checked against
+ * @throws {Error} If the script is invalid or the route also sets a response
+ */
+const validateSse = (route, handlebars) => {
+  const { sse } = route;
+  if (!sse || typeof sse !== 'object' || Array.isArray(sse)) {
+    throw new Error('sse must be an object');
+  }
+
+  const invalidFields = Object.keys(sse).filter(field => !['events', 'repeat', 'interval', 'retry', 'close'].includes(field));
+  if (invalidFields.length > 0) {
+    throw new Error(`Invalid sse fields: ${invalidFields.join(', ')}`);
+  }
+
+  const conflicts = [...BODY_OPTIONS, 'responses', 'status', 'proxy', 'errorCode', 'throttle', 'chunks', 'ndjson']
+    .filter(option => route[option] !== undefined);
+  if (conflicts.length > 0) {
+    throw new Error(`sse cannot be combined with ${conflicts.join(', ')}`);
+  }
+
+  const events = sse.events === undefined ? [] : sse.events;
+  if (!Array.isArray(events)) {
+    throw new Error('sse events must be an array');
+  }
+  for (const event of events) {
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+      throw new Error('Each sse event must be an object');
+    }
+    const invalidEventFields = Object.keys(event).filter(field => !['event', 'data', 'id', 'delay'].includes(field));
+    if (invalidEventFields.length > 0) {
+      throw new Error(`Invalid sse event fields: ${invalidEventFields.join(', ')}`);
+    }
+    if (event.data === undefined) {
+      throw new Error('Each sse event must have data');
+    }
+    if (event.event !== undefined && (typeof event.event !== 'string' || !event.event || /[\r\n]/.test(event.event))) {
+      throw new Error('sse event names must be single-line strings');
+    }
+    if (event.id !== undefined && !['string', 'number'].includes(typeof event.id)) {
+      throw new Error('sse event ids must be strings or numbers');
+    }
+    if (event.delay !== undefined && (typeof event.delay !== 'number' || event.delay < 0)) {
+      throw new Error('sse event delay must be a non-negative number');
+    }
+  }
+
+  if (sse.repeat !== undefined && sse.repeat !== true && !(Number.isInteger(sse.repeat) && sse.repeat > 0)) {
+    throw new Error('sse repeat must be true or a positive integer');
+  }
+  if (sse.repeat !== undefined && events.length === 0) {
+    throw new Error('sse repeat needs at least one event');
+  }
+  for (const field of ['interval', 'retry']) {
+    if (sse[field] !== undefined && (typeof sse[field] !== 'number' || sse[field] < 0)) {
+      throw new Error(`sse ${field} must be a non-negative number`);
+    }
+  }
+  if (sse.close !== undefined && typeof sse.close !== 'boolean') {
+    throw new Error('sse close must be a boolean');
+  }
+
+  // A script repeated forever without pauses would write events as fast as the connection takes them
+  const interval = sse.interval || 0;
+  if (sse.repeat === true &&
+      events.every(event => (event.delay !== undefined ? event.delay : interval) === 0)) {
+    throw new Error('sse events that repeat forever need a delay or interval');
+  }
+
+  validateTemplates(events, handlebars);
+};
+
+/**
+ * Validates the body of a route, sequence entry or representation and its content type
+ * @param {Object} options - Route, sequence entry or representation configuration
+ * @param {Object} [handlebars] - Handlebars instance the templates are checked against
+ * @throws {Error} If more than one body is set or a body has an invalid value
+ */
+const validateResponseBody = (options, handlebars) => {
+  const bodies = BODY_OPTIONS.filter(option => options[option] !== undefined);
+  if (bodies.length > 1) {
+    throw new Error(`${bodies.join(' and ')} cannot be combined`);
+  }
+
+  if (options.contentType !== undefined && (typeof options.contentType !== 'string' || !options.contentType.trim())) {
+    throw new Error('contentType must be a non-empty string');
+  }
+
+  if (options.body !== undefined && typeof options.body !== 'string') {
+    throw new Error('body must be a string template');
+  }
+
+  if (options.bodyBase64 !== undefined &&
+      (typeof options.bodyBase64 !== 'string' || !/^[A-Za-z0-9+/\s]*={0,2}\s*$/.test(options.bodyBase64))) {
+    throw new Error('bodyBase64 must be a Base64 string');
+  }
+
+  if (options.responseFile !== undefined) {
+    validateResponseFile(options, handlebars);
+  }
+
+  validateRepeatDirectives(options.response);
+  validateTemplates(options.response, handlebars);
+  validateTemplates(options.body, handlebars);
+};
+
+/**
+ * Validates the `representations` a route chooses from by the Accept header of a request
+ * @param {Array<Object>} representations - Bodies with their `contentType`
+ * @param {Object} [handlebars] - Handlebars instance the templates are checked against
+ * @throws {Error} If a representation is invalid or a content type is listed twice
+ */
+const validateRepresentations = (representations, handlebars) => {
+  if (!Array.isArray(representations) || representations.length === 0) {
+    throw new Error('representations must be a non-empty array');
+  }
+
+  const validFields = ['contentType', 'response', 'responseFile', 'body', 'bodyBase64'];
+  const contentTypes = new Set();
+  for (const representation of representations) {
+    if (!representation || typeof representation !== 'object' || Array.isArray(representation)) {
+      throw new Error('Each representation must be an object');
+    }
+
+    const invalidFields = Object.keys(representation).filter(field => !validFields.includes(field));
+    if (invalidFields.length > 0) {
+      throw new Error(`Invalid representation fields: ${invalidFields.join(', ')}`);
+    }
+
+    const { contentType } = representation;
+    if (typeof contentType !== 'string' || !contentType.trim()) {
+      throw new Error('Each representation must have a contentType');
+    }
+    if (contentTypes.has(contentType)) {
+      throw new Error(`Duplicate representation contentType: ${contentType}`);
+    }
+    contentTypes.add(contentType);
+
+    if (!validFields.slice(1).some(option => representation[option] !== undefined)) {
+      throw new Error(`Representation ${contentType} must have a response, responseFile, body or bodyBase64`);
+    }
+    validateResponseBody(representation, handlebars);
+  }
+};
+
+/**
+ * Validates the response options shared by routes and sequence entries
+ * @param {Object} options - Route or sequence entry configuration
+ * @param {Object} scenarios - Declared scenarios and their initial states
+ * @param {Object} [handlebars] - Handlebars instance the templates are checked against
+ * @throws {Error} If an option has an invalid value
+ */
+const validateResponseOptions = (options, scenarios, handlebars) => {
+  if (options.status !== undefined) {
+    if (typeof options.status !== 'number' || options.status < 100 || options.status > 599) {
+      throw new Error('status must be a valid HTTP status code (100-599)');
+    }
+    if (NO_BODY_STATUSES.includes(options.status) && BODY_OPTIONS.some(option => options[option] !== undefined)) {
+      throw new Error(`status ${options.status} responses cannot have a body`);
+    }
+  }
+
+  if (options.location !== undefined && (typeof options.location !== 'string' || !options.location)) {
+    throw new Error('location must be a URL template');
+  }
+
+  if (options.errorCode !== undefined) {
+    if (typeof options.errorCode !== 'number' || options.errorCode < 400 || options.errorCode > 599) {
+      throw new Error('errorCode must be a valid HTTP error status code (400-599)');
+    }
+  }
+
+  if (options.delay !== undefined && (typeof options.delay !== 'number' || options.delay < 0)) {
+    throw new Error('delay must be a non-negative number');
+  }
+
+  validateStreamOptions(options);
+
+  if (options.transition !== undefined) {
+    validateTransition(options.transition, scenarios);
+  }
+
+  if (options.responseSchema !== undefined) {
+    validateResponseSchema(options.responseSchema);
+  }
+
+  validateResponseBody(options, handlebars);
+
+  if (options.representations !== undefined) {
+    validateRepresentations(options.representations, handlebars);
+  }
+
+  validateRepeatDirectives(options.errorBody);
+  validateTemplates(options.errorBody, handlebars);
+  validateTemplates(options.location, handlebars);
+  validateTemplates(options.headers, handlebars);
+};
+
+/**
+ * Validates the `responses` sequence of a route
+ * @param {Object} route - Route configuration with a `responses` array
+ * @param {Object} scenarios - Declared scenarios and their initial states
+ * @param {Object} [handlebars] - Handlebars instance the templates are checked against
+ * @throws {Error} If the sequence or one of its entries is invalid
+ */
+const validateSequence = (route, scenarios, handlebars) => {
+  const validFields = [
+    'response', 'responseFile', 'body', 'bodyBase64', 'representations', 'contentType', 'status', 'location',
+    'errorCode', 'errorMessage', 'errorBody', 'headers', 'delay', 'throttle', 'chunks', 'ndjson', 'transition',
+    'responseSchema'
+  ];
+
+  if (!Array.isArray(route.responses) || route.responses.length === 0) {
+    throw new Error('responses must be a non-empty array');
+  }
+
+  for (const entry of route.responses) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error('Each responses entry must be an object');
+    }
+
+    const invalidFields = Object.keys(entry).filter(field => !validFields.includes(field));
+    if (invalidFields.length > 0) {
+      throw new Error(`Invalid responses entry fields: ${invalidFields.join(', ')}`);
+    }
+
+    validateResponseOptions(entry, scenarios, handlebars);
+  }
+
+  if (route.sequenceMode !== undefined && !['cycle', 'stick-on-last'].includes(route.sequenceMode)) {
+    throw new Error('sequenceMode must be "cycle" or "stick-on-last"');
+  }
+};
+
+/**
+ * Validates a resource definition
+ * @param {Object} resource - The resource configuration to validate
+ * @param {string} resource.name - Resource name
+ * @param {string} resource.basePath - Base path of the generated routes
+ * @param {string} [resource.idField] - Field holding the item id
+ * @param {Array<Object>} [resource.seed] - Items the resource starts with
+ * @throws {Error} If the resource definition is invalid
+ */
+const validateResource = (resource) => {
+  if (!resource || typeof resource.name !== 'string' || !resource.name) {
+    throw new Error('Each resource must have a name');
+  }
+
+  if (typeof resource.basePath !== 'string' || !resource.basePath.startsWith('/')) {
+    throw new Error(`Resource ${resource.name} must have a basePath starting with "/"`);
+  }
+
+  if (resource.idField !== undefined && (typeof resource.idField !== 'string' || !resource.idField)) {
+    throw new Error(`Resource ${resource.name} idField must be a non-empty string`);
+  }
+
+  if (resource.seed !== undefined) {
+    if (!Array.isArray(resource.seed)) {
+      throw new Error(`Resource ${resource.name} seed must be an array`);
+    }
+
+    const idField = resource.idField || 'id';
+    const ids = new Set();
+    for (const item of resource.seed) {
+      if (!item || typeof item !== 'object' || item[idField] === undefined) {
+        throw new Error(`Resource ${resource.name} seed items must be objects with a "${idField}" field`);
+      }
+      if (ids.has(String(item[idField]))) {
+        throw new Error(`Resource ${resource.name} seed has duplicate ${idField} "${item[idField]}"`);
+      }
+      ids.add(String(item[idField]));
+    }
+  }
+};
+
+/**
+ * Validates a WebSocket close, a `code` of 1000 or 3000-4999 and a `reason` of at most 123 bytes
+ * @param {Object} close - Close configuration
+ * @param {string} name - Name of the option in error messages
+ * @throws {Error} If the close code or reason is invalid
+ */
+const validateWebSocketClose = (close, name) => {
+  if (!close || typeof close !== 'object' || Array.isArray(close)) {
+    throw new Error(`${name} must be an object`);
+  }
+  if (close.code !== undefined &&
+      !(close.code === 1000 || (Number.isInteger(close.code) && close.code >= 3000 && close.code <= 4999))) {
+    throw new Error(`${name} code must be 1000 or between 3000 and 4999`);
+  }
+  if (close.reason !== undefined && (typeof close.reason !== 'string' || Buffer.byteLength(close.reason) > 123)) {
+    throw new Error(`${name} reason must be a string of at most 123 bytes`);
+  }
+};
+
+/**
+ * Validates a WebSocket endpoint definition
+ * @param {Object} endpoint - The endpoint configuration to validate
+ * @param {string} endpoint.path - Path sockets connect to, with optional parameters
+ * @param {Array<Object>} [endpoint.onConnect] - Messages sent when a socket connects
+ * @param {Array<Object>} [endpoint.messages] - Rules matching incoming messages to replies
+ * @param {Array<Object>} [endpoint.broadcasts] - Messages sent at an interval
+ * @param {Object} [endpoint.close] - Forced disconnect after a number of milliseconds
+ * @param {Object} [handlebars] - Handlebars instance the templates are checked against
+ * @throws {Error} If the endpoint definition is invalid
+ */
+const validateWebSocket = (endpoint, handlebars) => {
+  if (!endpoint || typeof endpoint !== 'object' || typeof endpoint.path !== 'string' || !endpoint.path.startsWith('/')) {
+    throw new Error('Each websocket must have a path starting with "/"');
+  }
+  const name = `WebSocket ${endpoint.path}`;
+
+  const invalidFields = Object.keys(endpoint)
+    .filter(field => !['id', 'path', 'onConnect', 'messages', 'broadcasts', 'close'].includes(field));
+  if (invalidFields.length > 0) {
+    throw new Error(`Invalid ${name} fields: ${invalidFields.join(', ')}`);
+  }
+  if (endpoint.id !== undefined && (typeof endpoint.id !== 'string' || !endpoint.id)) {
+    throw new Error(`${name} id must be a non-empty string`);
+  }
+
+  const lists = {
+    onConnect: ['message', 'delay'],
+    messages: ['match', 'reply', 'delay', 'broadcast', 'close'],
+    broadcasts: ['message', 'interval']
+  };
+  for (const [list, fields] of Object.entries(lists)) {
+    if (endpoint[list] === undefined) continue;
+    if (!Array.isArray(endpoint[list])) {
+      throw new Error(`${name} ${list} must be an array`);
+    }
+    for (const entry of endpoint[list]) {
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        throw new Error(`Each ${name} ${list} entry must be an object`);
+      }
+      const invalidEntryFields = Object.keys(entry).filter(field => !fields.includes(field));
+      if (invalidEntryFields.length > 0) {
+        throw new Error(`Invalid ${name} ${list} fields: ${invalidEntryFields.join(', ')}`);
+      }
+      if (entry.delay !== undefined && (typeof entry.delay !== 'number' || entry.delay < 0)) {
+        throw new Error(`${name} ${list} delay must be a non-negative number`);
+      }
+    }
+  }
+
+  for (const entry of endpoint.onConnect || []) {
+    if (entry.message === undefined) {
+      throw new Error(`Each ${name} onConnect entry must have a message`);
+    }
+  }
+  for (const rule of endpoint.messages || []) {
+    if (rule.reply === undefined && rule.close === undefined) {
+      throw new Error(`Each ${name} messages entry must have a reply or close`);
+    }
+    if (rule.broadcast !== undefined && typeof rule.broadcast !== 'boolean') {
+      throw new Error(`${name} messages broadcast must be a boolean`);
+    }
+    if (rule.close !== undefined) {
+      validateWebSocketClose(rule.close, `${name} messages close`);
+    }
+  }
+  for (const broadcast of endpoint.broadcasts || []) {
+    if (broadcast.message === undefined) {
+      throw new Error(`Each ${name} broadcasts entry must have a message`);
+    }
+    if (typeof broadcast.interval !== 'number' || broadcast.interval <= 0) {
+      throw new Error(`${name} broadcasts interval must be a positive number`);
+    }
+  }
+
+  if (endpoint.close !== undefined) {
+    validateWebSocketClose(endpoint.close, `${name} close`);
+    const invalidCloseFields = Object.keys(endpoint.close).filter(field => !['after', 'code', 'reason'].includes(field));
+    if (invalidCloseFields.length > 0) {
+      throw new Error(`Invalid ${name} close fields: ${invalidCloseFields.join(', ')}`);
+    }
+    if (typeof endpoint.close.after !== 'number' || endpoint.close.after < 0) {
+      throw new Error(`${name} close after must be a non-negative number`);
+    }
+  }
+
+  validateTemplates(endpoint.onConnect, handlebars);
+  validateTemplates((endpoint.messages || []).map(rule => rule.reply), handlebars);
+  validateTemplates(endpoint.broadcasts, handlebars);
+};
+
 /**
  * Validates the server configuration
  * @param {Object} config - The configuration object to validate
@@ -134,94 +935,446 @@ const validateCorsOptions = (corsOptions) => {
  * @param {Object} [config.globals] - Global configuration options
  * @param {Object} [config.globals.headers] - Global headers
  * @param {Object|boolean} [config.globals.cors] - CORS configuration options
+ * @param {Object|boolean} [config.globals.admin] - Admin API options, false to disable it
+ * @param {Object|boolean} [config.globals.journal] - Request journal options, false to disable it
+ * @param {Object} [config.globals.proxy] - Proxy options for unmatched requests
+ * @param {Object} [config.globals.openapi] - OpenAPI document to add routes and schemas from
+ * @param {string} [config.globals.responseValidation] - "strict" or "warn" handling of responseSchema violations
+ * @param {string|Array<string>} [config.globals.helpers] - Modules exporting custom template helpers
+ * @param {string} [config.globals.partials] - Directory of .hbs partials
+ * @param {Object} [config.globals.chaos] - Fault injection profile of all routes
+ * @param {Array} [config.resources] - Array of CRUD resource configurations
+ * @param {Array} [config.websockets] - Array of WebSocket endpoint configurations
+ * @param {Object} [config.scenarios] - Initial state per scenario name
+ * @param {Object} [handlebars] - Handlebars instance from createHandlebars, with the custom helpers and partials
+ *   templates may use
  * @throws {Error} If the configuration is invalid
  */
-const validateConfig = (config) => {
+const validateConfig = (config, handlebars = defaultHandlebars) => {
   if (!config || !Array.isArray(config.routes)) {
     throw new Error('Config must have a "routes" array');
   }
 
+  // Validate scenarios
+  const scenarios = config.scenarios || {};
+  if (typeof scenarios !== 'object' || Array.isArray(scenarios)) {
+    throw new Error('scenarios must be an object mapping scenario names to initial states');
+  }
+  for (const [name, initialState] of Object.entries(scenarios)) {
+    if (typeof initialState !== 'string') {
+      throw new Error(`Scenario ${name} initial state must be a string`);
+    }
+  }
+
   // Validate global CORS configuration if present
   if (config.globals && config.globals.cors && typeof config.globals.cors === 'object') {
     validateCorsOptions(config.globals.cors);
   }
 
+  // Validate global header templates if present
+  if (config.globals && config.globals.headers !== undefined) {
+    validateTemplates(config.globals.headers, handlebars);
+  }
+
+  // Validate admin API configuration if present
+  if (config.globals && config.globals.admin !== undefined) {
+    const { admin } = config.globals;
+    if (typeof admin !== 'boolean' && (typeof admin !== 'object' || admin === null)) {
+      throw new Error('admin must be a boolean or an object');
+    }
+    if (typeof admin === 'object' && admin.prefix !== undefined &&
+       (typeof admin.prefix !== 'string' || !/^\/./.test(admin.prefix))) {
+      throw new Error('admin prefix must be a path starting with "/"');
+    }
+  }
+
+  // Validate proxy configuration if present
+  if (config.globals && config.globals.proxy !== undefined) {
+    validateProxyOptions(config.globals.proxy);
+  }
+
+  // Validate OpenAPI import configuration if present
+  if (config.globals && config.globals.openapi !== undefined) {
+    const { openapi } = config.globals;
+    if (!openapi || typeof openapi !== 'object' || typeof openapi.spec !== 'string' || !openapi.spec) {
+      throw new Error('globals.openapi must have a "spec" path');
+    }
+    const validFields = ['spec', 'validateRequests', 'validateResponses'];
+    const invalidFields = Object.keys(openapi).filter(field => !validFields.includes(field));
+    if (invalidFields.length > 0) {
+      throw new Error(`Invalid openapi configuration fields: ${invalidFields.join(', ')}`);
+    }
+    for (const option of ['validateRequests', 'validateResponses']) {
+      if (openapi[option] !== undefined && typeof openapi[option] !== 'boolean') {
+        throw new Error(`openapi ${option} must be a boolean`);
+      }
+    }
+  }
+
+  // Validate seeded randomness and frozen time if present
+  if (config.globals) {
+    const { seed, seedPerRequest, frozenTime } = config.globals;
+    if (seed !== undefined && !(typeof seed === 'number' && Number.isFinite(seed)) && !(typeof seed === 'string' && seed)) {
+      throw new Error('seed must be a number or a non-empty string');
+    }
+    if (seedPerRequest !== undefined && typeof seedPerRequest !== 'boolean') {
+      throw new Error('seedPerRequest must be a boolean');
+    }
+    if (frozenTime !== undefined &&
+        (!['string', 'number'].includes(typeof frozenTime) || Number.isNaN(new Date(frozenTime).getTime()))) {
+      throw new Error('frozenTime must be a date string or a timestamp');
+    }
+  }
+
+  // Validate the global fault injection profile if present
+  if (config.globals && config.globals.chaos !== undefined) {
+    validateChaosProfile(config.globals.chaos, true);
+  }
+
+  // Validate custom helper modules and partials if present
+  validateTemplateExtensions(config.globals);
+
+  // Validate the template data compatibility flag if present
+  if (config.globals && config.globals.flatTemplateData !== undefined &&
+      typeof config.globals.flatTemplateData !== 'boolean') {
+    throw new Error('flatTemplateData must be a boolean');
+  }
+
+  // Validate the locale of generated data if present
+  if (config.globals && config.globals.locale !== undefined && !Object.keys(LOCALES).includes(config.globals.locale)) {
+    throw new Error(`locale must be one of: ${Object.keys(LOCALES).join(', ')}`);
+  }
+
+  // Validate response validation mode if present
+  if (config.globals && config.globals.responseValidation !== undefined &&
+      !['strict', 'warn'].includes(config.globals.responseValidation)) {
+    throw new Error('responseValidation must be "strict" or "warn"');
+  }
+
+  // Validate request journal configuration if present
+  if (config.globals && config.globals.journal !== undefined) {
+    const { journal } = config.globals;
+    if (typeof journal !== 'boolean' && (typeof journal !== 'object' || journal === null)) {
+      throw new Error('journal must be a boolean or an object');
+    }
+    if (typeof journal === 'object' && journal.limit !== undefined &&
+       (!Number.isInteger(journal.limit) || journal.limit < 1)) {
+      throw new Error('journal limit must be a positive integer');
+    }
+  }
+
   // Validate routes
+  const routeIds = new Set();
   for (const route of config.routes) {
-    if (!route.method || !route.path) {
+    if (!route || !route.method || !route.path) {
       throw new Error('Each route must have a method and path');
     }
 
+    if (route.id !== undefined) {
+      if (typeof route.id !== 'string' || !route.id) {
+        throw new Error('Route id must be a non-empty string');
+      }
+      if (routeIds.has(route.id)) {
+        throw new Error(`Duplicate route id: ${route.id}`);
+      }
+      routeIds.add(route.id);
+    }
+
     if (route.conditions) {
       validateConditions(route.conditions);
+
+      for (const name of Object.keys(route.conditions.scenario || {})) {
+        if (!Object.prototype.hasOwnProperty.call(scenarios, name)) {
+          throw new Error(`Unknown scenario in conditions: ${name}`);
+        }
+      }
     }
 
-    if (route.errorCode !== undefined) {
-      if (typeof route.errorCode !== 'number' || route.errorCode < 400 || route.errorCode > 599) {
-        throw new Error('errorCode must be a valid HTTP error status code (400-599)');
+    validateResponseOptions(route, scenarios, handlebars);
+
+    if (route.chaos !== undefined) {
+      validateChaosProfile(route.chaos);
+    }
+
+    if (route.sse !== undefined) {
+      validateSse(route, handlebars);
+    }
+
+    if (route.proxy !== undefined) {
+      validateRouteProxy(route, config.globals && config.globals.proxy, handlebars);
+    }
+
+    if (route.requestSchema !== undefined) {
+      try {
+        validateRequestSchema(route.requestSchema);
+      } catch (error) {
+        throw new Error(`Route ${route.method.toUpperCase()} ${route.path}: ${error.message}`);
       }
     }
 
-    if (route.delay !== undefined && (typeof route.delay !== 'number' || route.delay < 0)) {
-      throw new Error('delay must be a non-negative number');
+    if (route.responses !== undefined) {
+      validateSequence(route, scenarios, handlebars);
     }
   }
+
+  // Validate WebSocket endpoints
+  if (config.websockets !== undefined) {
+    if (!Array.isArray(config.websockets)) {
+      throw new Error('websockets must be an array');
+    }
+
+    const paths = new Set();
+    for (const endpoint of config.websockets) {
+      validateWebSocket(endpoint, handlebars);
+      if (paths.has(endpoint.path)) {
+        throw new Error(`Duplicate websocket path: ${endpoint.path}`);
+      }
+      paths.add(endpoint.path);
+    }
+  }
+
+  // Validate resources
+  if (config.resources !== undefined) {
+    if (!Array.isArray(config.resources)) {
+      throw new Error('resources must be an array');
+    }
+
+    const names = new Set();
+    for (const resource of config.resources) {
+      validateResource(resource);
+      if (names.has(resource.name)) {
+        throw new Error(`Duplicate resource name: ${resource.name}`);
+      }
+      names.add(resource.name);
+    }
+  }
+};
+
+/**
+ * Finds the expression of a template that consists of a single mustache, such as "{{random 1 10}}"
+ * @param {string} template - Template string
+ * @returns {Object|null} The mustache statement, null for any other template
+ */
+const getSingleExpression = (template) => {
+  if (!/^\{\{[^{}]*\}\}$|^\{\{\{[^{}]*\}\}\}$/.test(template)) {
+    return null;
+  }
+  const [statement, ...rest] = Handlebars.parse(template).body;
+  return statement && rest.length === 0 && statement.type === 'MustacheStatement' ? statement : null;
+};
+
+/**
+ * Compiles a single-expression template into a function returning its value, keeping numbers, booleans,
+ * null, objects and arrays
+ * The expression is passed to a private helper, which hands its argument back through the data
+ * @param {string} template - Template string
+ * @param {Object} statement - Mustache statement from getSingleExpression
+ * @param {Object} handlebars - Handlebars instance from createHandlebars
+ * @returns {Function} Function taking the data and rendering options and returning the value of the expression
+ */
+const compileExpression = (template, statement, handlebars) => {
+  const expression = template.replace(/^\{\{\{?~?|~?\}?\}\}$/g, '').trim();
+  const { path } = statement;
+  const isHelperCall = statement.params.length > 0 || statement.hash ||
+    (path.type === 'PathExpression' && !path.data && path.parts.length === 1 && handlebars.helpers[path.original]);
+  const compiled = handlebars.compile(`{{${TYPED_VALUE_HELPER} ${isHelperCall ? `(${expression})` : expression}}}`);
+
+  return (data, options) => {
+    const capture = {};
+    compiled(data, { data: { ...options, capture }, helpers: { [TYPED_VALUE_HELPER]: captureTypedValue } });
+
+    const { value } = capture;
+    if (value instanceof Handlebars.SafeString) {
+      return Object.prototype.hasOwnProperty.call(value, 'value') ? value.value : value.toString();
+    }
+    if (value === undefined) {
+      return '';
+    }
+    // Strings are escaped like in any other template, unless the triple-stash {{{ }}} asks for raw output
+    return typeof value === 'string' && statement.escaped ? Handlebars.escapeExpression(value) : value;
+  };
+};
+
+/**
+ * Compiles a template into a function rendering it
+ * @param {string|Object} template - Template string, objects are rendered as a whole
+ * @param {Object} handlebars - Handlebars instance from createHandlebars
+ * @returns {Function} Function taking the data and rendering options and returning the rendered template
+ */
+const compileTemplate = (template, handlebars) => {
+  if (typeof template !== 'string') {
+    const compiled = handlebars.compile(JSON.stringify(template));
+    return (data, options) => JSON.parse(compiled(data, { data: options }));
+  }
+  if (!template.includes('{{')) {
+    return () => template;
+  }
+
+  const statement = getSingleExpression(template);
+  if (statement) {
+    return compileExpression(template, statement, handlebars);
+  }
+  const compiled = handlebars.compile(template);
+  return (data, options) => compiled(data, { data: options });
+};
+
+// Compiled templates per Handlebars instance, so a configuration reload, which creates a new instance,
+// starts over and the old templates are released with the old instance
+const templateCache = new WeakMap();
+
+/**
+ * Returns the compiled template from the cache of a Handlebars instance, compiling it on first use
+ * Strings are cached as they are and objects by their JSON text, in separate maps so they cannot collide
+ * @param {string|Object} template - Template
+ * @param {Object} handlebars - Handlebars instance from createHandlebars
+ * @returns {Function} Compiled template, see compileTemplate
+ */
+const getCompiledTemplate = (template, handlebars) => {
+  if (!templateCache.has(handlebars)) {
+    templateCache.set(handlebars, { strings: new Map(), objects: new Map() });
+  }
+  const cache = templateCache.get(handlebars);
+  const [map, key] = typeof template === 'string'
+    ? [cache.strings, template]
+    : [cache.objects, JSON.stringify(template)];
+
+  let compiled = map.get(key);
+  if (!compiled) {
+    compiled = compileTemplate(template, handlebars);
+    map.set(key, compiled);
+  }
+  return compiled;
+};
+
+/**
+ * Compiles the templates of a response, header or patch template ahead of the first request
+ * @param {*} json - Template, strings are compiled wherever they are nested
+ * @param {Object} [handlebars] - Handlebars instance from createHandlebars
+ */
+const precompileTemplates = (json, handlebars) => {
+  if (Array.isArray(json) || (typeof json === 'object' && json !== null)) {
+    Object.values(json).forEach(value => precompileTemplates(value, handlebars));
+  } else if (typeof json === 'string') {
+    getCompiledTemplate(json, handlebars || defaultHandlebars);
+  }
 };
 
 /**
  * Processes a template string with Handlebars
- * @param {string} template - The template string to process
+ * A string made of a single expression keeps the type of its value, so "{{random 1 10}}" renders a number
+ * and "{{json items}}" an array; any other string renders as text. Templates are compiled once per
+ * Handlebars instance and cached, per-request values such as `startTime` come from the data
+ * @param {string|Object} template - The template string to process, objects are rendered as a whole
  * @param {Object} data - The data to use for template processing
- * @returns {string} The processed template
+ * @param {Object} [options={}] - Rendering options, passed to helpers as Handlebars data
+ * @param {Object} [options.handlebars] - Handlebars instance from createHandlebars, with the custom helpers and partials
+ * @param {string} [options.locale] - Default locale of the fake helper
+ * @param {Function} [options.random] - Random function replacing Math.random, see createRequestRandom
+ * @param {number} [options.now] - Frozen timestamp used instead of the current time
+ * @returns {*} The processed template
  * @throws {Error} If template processing fails
  */
-const processTemplate = (template, data = {}) => {
+const processTemplate = (template, data = {}, options = {}) => {
   try {
-    // Ensure startTime is always available
+    // Ensure startTime is always available to the responseTime helper
     if (!data.startTime) {
       data.startTime = Date.now();
     }
-    
-    // Ensure responseTime helper has access to startTime
-    const responseTimeHelper = function() {
-      const endTime = Date.now();
-      const startTime = data.startTime || endTime;
-      return endTime - startTime;
-    };
-
-    const handlebars = require('handlebars');
-    handlebars.registerHelper('responseTime', responseTimeHelper);
-    
-    const compiled = handlebars.compile(JSON.stringify(template));
-    return JSON.parse(compiled(data));
+
+    const { handlebars, ...dataOptions } = options;
+    return getCompiledTemplate(template, handlebars || defaultHandlebars)(data, dataOptions);
   } catch (error) {
     console.error('Template processing error:', error);
     throw new Error('Template processing error');
   }
 };
 
+/**
+ * Renders a number option of a $repeat directive
+ * @param {string} name - Option name
+ * @param {number|string} [value] - Number or template such as "{{limit}}"
+ * @param {Object} data - The data to use for template processing
+ * @param {Object} [options] - Rendering options, see processTemplate
+ * @returns {number|undefined} The number, undefined when the option is missing or renders empty
+ * @throws {Error} ValidationError if the option is not a non-negative integer, usually a bad query parameter
+ */
+const resolveRepeatNumber = (name, value, data, options) => {
+  let rendered = typeof value === 'string' ? processTemplate(value, data, options) : value;
+  if (typeof rendered === 'string') {
+    rendered = rendered.trim();
+  }
+  if (rendered === undefined || rendered === '') {
+    return undefined;
+  }
+  const number = Number(rendered);
+  if (!Number.isInteger(number) || number < 0) {
+    throw createValidationError(`$repeat ${name} must be a non-negative integer, got "${rendered}"`);
+  }
+  return number;
+};
+
+/**
+ * Expands a $repeat directive into an array
+ * The count falls back to a random number between min and max when it is missing or renders empty,
+ * and every item is rendered with `@index`, `@first` and `@last`
+ * @param {Object} repeat - Directive options: `count`, `min`, `max` and the item `template`
+ * @param {Object} data - The data to use for template processing
+ * @param {Object} [options={}] - Rendering options, see processTemplate
+ * @returns {Array} Rendered items
+ * @throws {Error} ValidationError if the count cannot be resolved or is too large, answered with 400
+ */
+const expandRepeat = (repeat, data, options = {}) => {
+  let count = resolveRepeatNumber('count', repeat.count, data, options);
+  if (count === undefined) {
+    const min = resolveRepeatNumber('min', repeat.min, data, options);
+    const max = resolveRepeatNumber('max', repeat.max, data, options);
+    if (min === undefined || max === undefined || min > max) {
+      throw createValidationError('$repeat needs a count, or a min and max');
+    }
+    const random = options.random || Math.random;
+    count = min + Math.floor(random() * (max - min + 1));
+  }
+
+  if (count > MAX_REPEAT_COUNT) {
+    throw createValidationError(`$repeat count must not exceed ${MAX_REPEAT_COUNT}`);
+  }
+
+  return Array.from({ length: count }, (_, index) => processJsonTemplate(repeat.template, data, {
+    ...options,
+    index,
+    first: index === 0,
+    last: index === count - 1
+  }));
+};
+
 /**
  * Processes a JSON object or array, applying template processing to string values
+ * Objects of the form `{ "$repeat": { ... } }` are expanded into arrays, see expandRepeat
  * @param {*} json - The JSON value to process
  * @param {Object} data - The data to use for template processing
+ * @param {Object} [options] - Rendering options, see processTemplate
  * @returns {*} The processed JSON value
  * @throws {Error} If template processing fails
  */
-const processJsonTemplate = (json, data) => {
+const processJsonTemplate = (json, data, options) => {
   try {
     if (typeof json === 'string') {
-      return processTemplate(json, data);
+      return processTemplate(json, data, options);
     }
 
     if (Array.isArray(json)) {
-      return json.map(item => processJsonTemplate(item, data));
+      return json.map(item => processJsonTemplate(item, data, options));
+    }
+
+    if (isRepeatDirective(json)) {
+      return expandRepeat(json.$repeat, data, options);
     }
 
     if (typeof json === 'object' && json !== null) {
       const result = {};
       for (const [key, value] of Object.entries(json)) {
         try {
-          result[key] = processJsonTemplate(value, data);
+          result[key] = processJsonTemplate(value, data, options);
         } catch (error) {
           log(`Error processing key ${key}: ${error.message}`, true);
           throw error;
@@ -233,21 +1386,83 @@ const processJsonTemplate = (json, data) => {
     return json;
   } catch (error) {
     log(`JSON template processing error: ${error.message}`, true);
+    // Bad $repeat counts come from the request and keep their 400 status
+    if (error.name === 'ValidationError') {
+      throw error;
+    }
     throw new Error(`Template processing error: ${error.message}`);
   }
 };
 
+/**
+ * Parses the Cookie header of a request
+ * @param {string} [header] - Cookie header value
+ * @returns {Object} Cookie values by name
+ */
+const parseCookies = (header) => {
+  const cookies = {};
+  for (const pair of (header || '').split(';')) {
+    const separator = pair.indexOf('=');
+    if (separator < 1) {
+      continue;
+    }
+    const name = pair.slice(0, separator).trim();
+    const value = pair.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1');
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+  }
+  return cookies;
+};
+
+/**
+ * Builds the data templates are rendered with from a request
+ * Request parts are available under `request` and as `params`, `query`, `body`, `headers` and `cookies`.
+ * The flat merge of path parameters, query parameters and body fields, where later parts overwrite
+ * earlier ones, is only added for configurations that still rely on it
+ * @param {Object} req - Express request
+ * @param {Object} [options={}] - Template data options
+ * @param {boolean} [options.flat=false] - Also merge params, query and body fields into the top level
+ * @returns {Object} Request context plus timing data
+ */
+const createTemplateData = (req, { flat = false } = {}) => {
+  const request = {
+    method: req.method,
+    path: req.path,
+    params: req.params || {},
+    query: req.query || {},
+    body: req.body || {},
+    headers: req.headers || {},
+    cookies: req.cookies || parseCookies(req.headers && req.headers.cookie)
+  };
+
+  return {
+    ...(flat ? { ...req.params, ...req.query, ...req.body } : {}),
+    request,
+    params: request.params,
+    query: request.query,
+    body: request.body,
+    headers: request.headers,
+    cookies: request.cookies,
+    startTime: req.startTime,
+    responseTime: Date.now() - req.startTime
+  };
+};
+
 /**
  * Checks if request matches the specified conditions
  * @param {Object} conditions - The conditions to check
  * @param {Object} req - The request object
+ * @param {Object} [scenarios={}] - Current state per scenario name, matched by `conditions.scenario`
  * @returns {boolean} True if conditions are met, false otherwise
  */
-const checkConditions = (conditions, req) => {
+const checkConditions = (conditions, req, scenarios = {}) => {
   if (!conditions) return true;
 
   for (const [field, expectedValues] of Object.entries(conditions)) {
-    const actualValues = req[field];
+    const actualValues = field === 'scenario' ? scenarios : req[field];
     if (!matchValues(expectedValues, actualValues)) {
       return false;
     }
@@ -294,10 +1509,21 @@ const matchValues = (expected, actual) => {
 };
 
 module.exports = {
+  NO_BODY_STATUSES,
   validateConfig,
   validateConditions,
+  validateResource,
+  validateWebSocket,
+  validateSequence,
+  validateProxyOptions,
+  validateTemplateExtensions,
+  validateTemplates,
+  createHandlebars,
+  precompileTemplates,
   processTemplate,
   processJsonTemplate,
+  createTemplateData,
+  parseCookies,
   checkConditions,
   matchValues
 }; 
\ No newline at end of file
@@ -5,14 +5,47 @@
 const express = require('express');
 const fs = require('fs').promises;
 const cors = require('cors');
+const chokidar = require('chokidar');
+const yaml = require('js-yaml');
+const path = require('path');
 require('dotenv').config();
 
 const {
+  NO_BODY_STATUSES,
   validateConfig,
+  validateProxyOptions,
+  validateTemplateExtensions,
+  createHandlebars,
+  precompileTemplates,
   processTemplate,
   processJsonTemplate,
+  createTemplateData,
   checkConditions
 } = require('./server-utils');
+const { createResourceStores, registerResourceRoutes } = require('./resources');
+const { createScenarioStore, createSequenceCounters, mergeEntry, resolveSequence } = require('./scenarios');
+const { getAdminOptions, createAdminRouter } = require('./admin');
+const { getJournalOptions, createJournal, createJournalMiddleware } = require('./journal');
+const { isOpenApiDocument, convertOpenApi, importOpenApi } = require('./openapi');
+const { getRandomOptions, createRandomSource, createRequestRandom } = require('./random');
+const { createValidationError, compileRequestSchema, compileResponseSchema } = require('./schema');
+const { checkRoutes } = require('./contract');
+const { createFileCache, loadResponseFile } = require('./files');
+const { getChaosProfile, createChaosControl, injectChaos } = require('./chaos');
+const { isStreamed, toNdjson, splitBody, streamBody } = require('./stream');
+const { createEventHub, streamEvents } = require('./sse');
+const { createWebSocketServer } = require('./websockets');
+const {
+  getProxyOptions,
+  getRouteProxyOptions,
+  forwardRequest,
+  streamRequest,
+  copyResponseHeaders,
+  mergePatch,
+  createRecordedRoute,
+  isSameRoute,
+  createRecorder
+} = require('./proxy');
 
 // Fix for MaxListenersExceededWarning
 process.setMaxListeners(50);
@@ -22,13 +55,54 @@ process.setMaxListeners(50);
  * @returns {Object} State object with initial values
  */
 const createState = () => ({
+  configPath: null,
+  options: {},
   isShuttingDown: false,
   shutdownTimeout: null,
   server: null,
   config: null,
+  router: null,
+  runtime: null,
+  handlebars: null,
+  journal: null,
+  chaos: null,
+  events: null,
+  websockets: null,
+  recorder: null,
   watcher: null
 });
 
+/**
+ * Creates the mutable per-config stores routes read and write at request time
+ * @param {Object} config - Server configuration
+ * @param {number|string} [seed] - Seed of the random sequence shared by requests
+ * @returns {Object} Runtime with resource stores, scenario states, sequence counters, the random sources
+ *   of templates and faults and the cache of response files
+ */
+const createRuntime = (config, seed) => ({
+  resources: createResourceStores(config.resources),
+  scenarios: createScenarioStore(config.scenarios),
+  sequences: createSequenceCounters(),
+  random: createRandomSource(seed),
+  // Faults draw from their own sequence, so injecting them does not change the rendered values
+  chaos: createRandomSource(seed === undefined ? undefined : `${seed}:chaos`),
+  files: createFileCache()
+});
+
+/**
+ * Resets the runtime stores to their initial state
+ * @param {Object} runtime - Runtime stores created by createRuntime
+ */
+const resetRuntime = (runtime) => {
+  runtime.sequences.reset();
+  runtime.scenarios.reset();
+  if (runtime.random) runtime.random.reset();
+  if (runtime.chaos) runtime.chaos.reset();
+  for (const store of runtime.resources.values()) {
+    store.reset();
+  }
+};
+
 /**
  * Logs a message to the console
  * @param {string} message - The message to log
@@ -42,23 +116,161 @@ const log = (message, debug = false) => {
   }
 };
 
+/**
+ * Parses the content of a configuration file, as YAML for .yaml and .yml files and JSON otherwise
+ * @param {string} content - File content
+ * @param {string} configPath - Path to the configuration file
+ * @returns {Object} Parsed content
+ * @throws {Error} If the content cannot be parsed
+ */
+const parseConfigContent = (content, configPath) => {
+  if (/\.ya?ml$/i.test(configPath)) {
+    try {
+      return yaml.load(content);
+    } catch (error) {
+      throw new Error(`Invalid YAML in config file: ${error.reason || error.message}`);
+    }
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error('Invalid JSON in config file');
+  }
+};
+
+/**
+ * Adds the routes of the OpenAPI document referenced by `globals.openapi` to a configuration
+ * @param {Object} config - Parsed configuration
+ * @param {string} configPath - Path to the configuration file, the spec path is relative to it
+ * @returns {Promise<Object>} Configuration including the generated routes
+ * @throws {Error} If the spec cannot be read or is no OpenAPI document
+ */
+const loadOpenApiSpec = async (config, configPath) => {
+  const options = config.globals.openapi;
+  if (!options || typeof options.spec !== 'string' || !options.spec) {
+    throw new Error('globals.openapi must have a "spec" path');
+  }
+
+  const specPath = path.resolve(path.dirname(configPath), options.spec);
+  let doc;
+  try {
+    doc = parseConfigContent(await fs.readFile(specPath, 'utf8'), specPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`OpenAPI spec not found: ${specPath}`);
+    }
+    throw new Error(`Failed to load OpenAPI spec ${specPath}: ${error.message}`);
+  }
+  if (!isOpenApiDocument(doc)) {
+    throw new Error(`${specPath} is not an OpenAPI or Swagger document`);
+  }
+
+  const imported = importOpenApi(config, doc, {
+    validateRequests: options.validateRequests === true,
+    validateResponses: options.validateResponses === true
+  });
+  log(`Added ${imported.routes.length - config.routes.length} routes from ${options.spec}`);
+  return imported;
+};
+
+/**
+ * Loads the helper modules of `globals.helpers`
+ * Modules are loaded afresh, so a reload picks up changed helpers
+ * @param {string|Array<string>} [modulePaths] - Module paths, relative to the configuration file
+ * @param {string} baseDir - Directory of the configuration file
+ * @returns {Object} Helper functions by name
+ * @throws {Error} If a module cannot be loaded or does not export an object
+ */
+const loadHelperModules = (modulePaths, baseDir) => {
+  const helpers = {};
+  for (const modulePath of [].concat(modulePaths || [])) {
+    const file = path.resolve(baseDir, modulePath);
+    let exported;
+    try {
+      delete require.cache[require.resolve(file)];
+      exported = require(file);
+    } catch (error) {
+      throw new Error(`Failed to load helpers ${file}: ${error.message}`);
+    }
+    if (!exported || typeof exported !== 'object' || Array.isArray(exported)) {
+      throw new Error(`Helper module ${file} must export an object of helper functions`);
+    }
+    Object.assign(helpers, exported);
+  }
+  return helpers;
+};
+
+/**
+ * Reads the .hbs files of the `globals.partials` directory, named after the file without its extension
+ * @param {string} [partialsPath] - Directory, relative to the configuration file
+ * @param {string} baseDir - Directory of the configuration file
+ * @returns {Promise<Object>} Partial templates by name
+ * @throws {Error} If the directory cannot be read
+ */
+const loadPartials = async (partialsPath, baseDir) => {
+  const partials = {};
+  if (!partialsPath) {
+    return partials;
+  }
+
+  const dir = path.resolve(baseDir, partialsPath);
+  try {
+    const files = (await fs.readdir(dir)).filter(file => file.endsWith('.hbs'));
+    for (const file of files) {
+      partials[path.basename(file, '.hbs')] = await fs.readFile(path.join(dir, file), 'utf8');
+    }
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Partials directory not found: ${dir}`);
+    }
+    throw new Error(`Failed to load partials ${dir}: ${error.message}`);
+  }
+  return partials;
+};
+
+/**
+ * Creates the Handlebars instance of a server with the custom helpers and partials
+ * of the configuration and the server options, the options taking precedence
+ * @param {Object} config - Parsed configuration
+ * @param {string} configPath - Path to the configuration file, helper and partial paths are relative to it
+ * @param {Object} [options={}] - Server options with `helpers` and `partials`
+ * @returns {Promise<Object>} Handlebars instance
+ * @throws {Error} If a helper module or partial cannot be loaded
+ */
+const loadTemplateExtensions = async (config, configPath, options = {}) => {
+  const globals = (config && config.globals) || {};
+  validateTemplateExtensions(globals);
+
+  const baseDir = path.dirname(configPath);
+  return createHandlebars({
+    helpers: { ...loadHelperModules(globals.helpers, baseDir), ...options.helpers },
+    partials: { ...(await loadPartials(globals.partials, baseDir)), ...options.partials }
+  });
+};
+
 /**
  * Loads and parses the configuration file
+ * OpenAPI 3 and Swagger 2 documents are converted into routes
  * @param {string} configPath - Path to the configuration file
- * @returns {Promise<Object>} The parsed configuration
+ * @param {Object} [options={}] - Server options with custom `helpers` and `partials`
+ * @returns {Promise<Object>} The parsed `config` and the `handlebars` instance its templates are rendered with
  * @throws {Error} If the configuration file is invalid or not found
  */
-const loadConfig = async (configPath) => {
+const loadConfig = async (configPath, options = {}) => {
   try {
     const configContent = await fs.readFile(configPath, 'utf8');
-    try {
-      const config = JSON.parse(configContent);
-      validateConfig(config);
-      log('Config loaded successfully');
-      return config;
-    } catch (error) {
-      throw new Error('Invalid JSON in config file');
+    let config = parseConfigContent(configContent, configPath);
+    if (isOpenApiDocument(config)) {
+      config = convertOpenApi(config);
+      log(`Generated ${config.routes.length} routes from OpenAPI document`);
+    } else if (config && config.globals && config.globals.openapi) {
+      config = await loadOpenApiSpec(config, configPath);
     }
+    const handlebars = await loadTemplateExtensions(config, configPath, options);
+    validateConfig(config, handlebars);
+    log('Config loaded successfully');
+    return { config, handlebars };
   } catch (error) {
     if (error.code === 'ENOENT') {
       throw new Error(`Config file not found: ${configPath}`);
@@ -106,11 +318,12 @@ const setupCorsMiddleware = (app, config) => {
  * @param {string} header - Header name
  * @param {string} value - Header value template
  * @param {Object} data - Data for template substitution
+ * @param {Object} [options] - Rendering options, see processTemplate
  * @returns {string} Processed header value
  */
-const processHeaderValue = (header, value, data) => {
+const processHeaderValue = (header, value, data, options) => {
   try {
-    return processTemplate(value, data);
+    return processTemplate(value, data, options);
   } catch (error) {
     log(`Error processing header ${header}: ${error.message}`);
     throw new Error(`Header processing failed for ${header}: ${error.message}`);
@@ -155,39 +368,44 @@ const setupShutdownMiddleware = (app, state) => {
 
 /**
  * Sets up global headers middleware
+ * Headers are read from the current config on every request so reloads apply them
  * @param {Object} app - Express application
- * @param {Object} config - Server configuration
+ * @param {Object} state - Server state
  */
-const setupGlobalHeadersMiddleware = (app, config) => {
-  if (config.globals && config.globals.headers) {
-    app.use((req, res, next) => {
-      const headerErrors = [];
-      
-      for (const [header, value] of Object.entries(config.globals.headers)) {
-        try {
-          const headerData = { 
-            startTime: req.startTime,
-            responseTime: Date.now() - req.startTime 
-          };
-          
-          log(`Processing global header ${header} with data:`, JSON.stringify(headerData), true);
-          
-          res.set(header, processHeaderValue(header, value, headerData));
-        } catch (error) {
-          log(`Error processing global header ${header}: ${error.message}`);
-          headerErrors.push(error.message);
-          // Continue processing other headers
-        }
-      }
-      
-      // If there were errors, add a warning header but don't fail the request
-      if (headerErrors.length > 0) {
-        res.set('X-Header-Warning', `Failed to process ${headerErrors.length} headers`);
-      }
-      
+const setupGlobalHeadersMiddleware = (app, state) => {
+  app.use((req, res, next) => {
+    const { globals } = state.config || {};
+    if (!globals || !globals.headers) {
       next();
-    });
-  }
+      return;
+    }
+
+    const headerErrors = [];
+    
+    for (const [header, value] of Object.entries(globals.headers)) {
+      try {
+        const headerData = { 
+          startTime: req.startTime,
+          responseTime: Date.now() - req.startTime 
+        };
+        
+        log(`Processing global header ${header} with data:`, JSON.stringify(headerData), true);
+        
+        res.set(header, processHeaderValue(header, value, headerData, { handlebars: state.handlebars }));
+      } catch (error) {
+        log(`Error processing global header ${header}: ${error.message}`);
+        headerErrors.push(error.message);
+        // Continue processing other headers
+      }
+    }
+    
+    // If there were errors, add a warning header but don't fail the request
+    if (headerErrors.length > 0) {
+      res.set('X-Header-Warning', `Failed to process ${headerErrors.length} headers`);
+    }
+    
+    next();
+  });
 };
 
 /**
@@ -220,12 +438,20 @@ const setupErrorHandlingMiddleware = (app) => {
   });
 
   // Error handling middleware
-  app.use((err, req, res, _next) => {
+  app.use((err, req, res, next) => {
     log(`Error processing request: ${err.message}`);
+
+    // Leave responses that already started to the default handler, which closes the connection
+    if (res.headersSent) {
+      return next(err);
+    }
     
     // Handle different types of errors
     if (err.name === 'ValidationError') {
-      return res.status(400).json({ error: err.message });
+      return res.status(err.status || 400).json({
+        error: err.message,
+        ...(err.details ? { details: err.details } : {})
+      });
     }
     
     if (err.name === 'TemplateError') {
@@ -247,57 +473,353 @@ const setupMiddleware = (app, state, config) => {
   setupCorsMiddleware(app, config);
   setupResponseTimeMiddleware(app);
   setupShutdownMiddleware(app, state);
-  setupGlobalHeadersMiddleware(app, config);
+  setupGlobalHeadersMiddleware(app, state);
   setupSecurityHeadersMiddleware(app);
-  setupErrorHandlingMiddleware(app);
 };
 
 /**
- * Sets up routes from the configuration
- * @param {Object} app - Express application
+ * Checks a rendered response against a `responseSchema`
+ * In strict mode violations are answered with a 500 listing them, in warn mode they are logged
+ * and counted in the X-Response-Schema-Violations header
+ * @param {Object} res - Express response
+ * @param {Object} route - Route configuration
+ * @param {Object} schema - JSON schema of the response
+ * @param {*} response - Rendered response body
+ * @param {string} mode - "strict" or "warn"
+ * @returns {boolean} True if the response should still be sent
+ */
+const checkResponseSchema = (res, route, schema, response, mode) => {
+  const violations = compileResponseSchema(schema)(response);
+  if (violations.length === 0) {
+    return true;
+  }
+
+  const description = route.id || `${route.method.toUpperCase()} ${route.path}`;
+  if (mode === 'warn') {
+    const summary = violations.map(violation => `${violation.path || '/'} ${violation.message}`).join('; ');
+    log(`Response of ${description} does not match its responseSchema: ${summary}`);
+    res.set('X-Response-Schema-Violations', String(violations.length));
+    return true;
+  }
+
+  res.status(500).json({ error: 'Response validation failed', route: description, details: violations, response });
+  return false;
+};
+
+/**
+ * Checks if a content type is sent as JSON, such as "application/json" or "application/problem+json"
+ * @param {string} [contentType] - Content type of a route, JSON if there is none
+ * @returns {boolean} True for JSON content types
+ */
+const isJsonType = (contentType) => !contentType || /json/i.test(contentType);
+
+/**
+ * Sends a rendered body with the content type of a route
+ * JSON content types serialize the body, other types send strings and buffers as they are and anything else as JSON text
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status code
+ * @param {*} body - Rendered body
+ * @param {string} [contentType] - Content type or file extension, such as "application/xml" or "csv"
+ */
+const sendBody = (res, status, body, contentType) => {
+  if (contentType) {
+    res.type(contentType);
+  }
+  if (isJsonType(contentType) && !Buffer.isBuffer(body)) {
+    res.status(status).json(body);
+  } else {
+    res.status(status).send(serializeBody(body, contentType));
+  }
+};
+
+/**
+ * Serializes a rendered body the way sendBody sends it
+ * @param {*} body - Rendered body
+ * @param {string} [contentType] - Content type of the route
+ * @returns {Buffer|string} Buffers and strings of non-JSON types as they are, anything else as JSON text
+ */
+const serializeBody = (body, contentType) => (
+  Buffer.isBuffer(body) || (typeof body === 'string' && !isJsonType(contentType)) ? body : JSON.stringify(body)
+);
+
+/**
+ * Sends a serialized body with the content type already set, streamed when the route sets
+ * `throttle`, `chunks` or `ndjson`
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status code
+ * @param {Buffer|string|Array<string>} payload - Serialized body, or NDJSON lines
+ * @param {Object} activeRoute - Route configuration merged with the current sequence entry
+ * @returns {Promise<void>} Resolves when the body is sent
+ */
+const sendPayload = async (res, status, payload, activeRoute) => {
+  res.status(status);
+  if (isStreamed(activeRoute)) {
+    await streamBody(res, splitBody(payload, activeRoute), activeRoute);
+  } else {
+    res.send(payload);
+  }
+};
+
+/**
+ * Sends a rendered response like sendBody, streamed when the route sets `throttle`, `chunks` or `ndjson`
+ * NDJSON sends arrays one element per line, as application/x-ndjson unless the route sets a content type
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status code
+ * @param {*} body - Rendered body
+ * @param {Object} activeRoute - Route configuration merged with the current sequence entry
+ * @returns {Promise<void>} Resolves when the body is sent
+ */
+const sendRouteBody = async (res, status, body, activeRoute) => {
+  const { contentType } = activeRoute;
+  if (!isStreamed(activeRoute)) {
+    sendBody(res, status, body, contentType);
+    return;
+  }
+
+  if (activeRoute.ndjson) {
+    res.type(contentType || 'application/x-ndjson');
+    await sendPayload(res, status, toNdjson(body), activeRoute);
+    return;
+  }
+  res.type(contentType || 'json');
+  await sendPayload(res, status, serializeBody(body, contentType), activeRoute);
+};
+
+/**
+ * Sends an error in the content type of a route, as `{ "error": message }` for JSON and as plain text otherwise
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @param {string} [contentType] - Content type of the route
+ */
+const sendError = (res, status, message, contentType) => {
+  sendBody(res, status, isJsonType(contentType) ? { error: message } : message, contentType);
+};
+
+/**
+ * Picks the representation of a route that matches the Accept header of a request
+ * The first representation is used when the request accepts anything
+ * @param {Object} req - Express request
+ * @param {Array<Object>} representations - Bodies with their `contentType`
+ * @returns {Object|undefined} The representation, undefined if none is acceptable
+ */
+const selectRepresentation = (req, representations) => {
+  const accepted = req.accepts(representations.map(representation => representation.contentType));
+  return representations.find(representation => representation.contentType === accepted);
+};
+
+/**
+ * Answers a request with a raw `body` template or a `bodyBase64`
+ * Text defaults to text/plain and binary to application/octet-stream unless the route sets a content type
+ * @param {Object} res - Express response
+ * @param {Object} activeRoute - Route configuration merged with the current sequence entry
+ * @param {Object} data - Template data
+ * @param {Object} options - Rendering options, see processTemplate
+ * @returns {Promise<void>} Resolves when the body is sent
+ */
+const sendRawBody = async (res, activeRoute, data, options) => {
+  const isBinary = activeRoute.bodyBase64 !== undefined;
+  let body;
+  if (isBinary) {
+    body = Buffer.from(activeRoute.bodyBase64, 'base64');
+  } else {
+    const rendered = processTemplate(activeRoute.body, data, options);
+    body = typeof rendered === 'string' ? rendered : JSON.stringify(rendered);
+  }
+
+  if (activeRoute.contentType) {
+    res.type(activeRoute.contentType);
+  } else if (!res.get('Content-Type')) {
+    res.type(isBinary ? 'bin' : 'text');
+  }
+  await sendPayload(res, activeRoute.status || 200, body, activeRoute);
+};
+
+/**
+ * Answers a request with a body loaded by loadResponseFile
+ * JSON is checked against the `responseSchema`, other files get a Content-Type from their extension
+ * unless the route sets one
+ * @param {Object} res - Express response
+ * @param {Object} route - Route configuration
+ * @param {Object} activeRoute - Route configuration merged with the current sequence entry
+ * @param {Object|null} file - Loaded file, null if neither the file nor a fallback exists
+ * @param {string} responseValidation - "strict" or "warn" handling of responseSchema violations
+ * @returns {Promise<void>} Resolves when the body is sent
+ */
+const sendResponseFile = async (res, route, activeRoute, file, responseValidation) => {
+  if (!file) {
+    sendError(res, 404, 'Response file not found', activeRoute.contentType);
+    return;
+  }
+
+  const status = file.status || activeRoute.status || 200;
+  if (file.type === 'json') {
+    if (activeRoute.responseSchema && !file.status &&
+        !checkResponseSchema(res, route, activeRoute.responseSchema, file.body, responseValidation)) {
+      return;
+    }
+    await sendRouteBody(res, status, file.body, activeRoute);
+    return;
+  }
+
+  if (activeRoute.contentType) {
+    res.type(activeRoute.contentType);
+  } else if (!res.get('Content-Type')) {
+    res.type(path.extname(file.path));
+  }
+  await sendPayload(res, status, file.body, activeRoute);
+};
+
+/**
+ * Compiles the response, header, patch and event templates of a route and its sequence entries,
+ * so requests render cached templates
+ * @param {Object} route - Route configuration
+ * @param {Object} [handlebars] - Handlebars instance with the custom helpers and partials
+ */
+const precompileRoute = (route, handlebars) => {
+  for (const entry of [route, ...(route.responses || [])]) {
+    for (const body of [entry, ...(entry.representations || [])]) {
+      precompileTemplates(body.response, handlebars);
+      precompileTemplates(body.responseFile, handlebars);
+      precompileTemplates(body.body, handlebars);
+    }
+    precompileTemplates(entry.headers, handlebars);
+    precompileTemplates(entry.location, handlebars);
+    precompileTemplates(entry.errorBody, handlebars);
+  }
+  if (route.proxy && typeof route.proxy === 'object') {
+    precompileTemplates(route.proxy.patch, handlebars);
+  }
+  if (route.sse) {
+    precompileTemplates(route.sse.events, handlebars);
+  }
+};
+
+/**
+ * Builds a router holding the routes from the configuration
+ * The router is rebuilt on every reload and swapped in as a whole
  * @param {Object} config - Server configuration
+ * @param {Object} runtime - Runtime stores created by createRuntime
+ * @param {Object} [options={}] - Routing options
+ * @param {Function} [options.fallback] - Handler for unmatched requests, answers 404 by default
+ * @param {Object} [options.proxy] - Global proxy options inherited by routes with a `proxy`
+ * @param {Object} [options.random] - Randomness options from getRandomOptions
+ * @param {Object} [options.handlebars] - Handlebars instance with the custom helpers and partials
+ * @param {string} [options.baseDir='.'] - Directory response files are relative to
+ * @param {Object} [options.chaos] - Chaos control from createChaosControl, faults are only injected with one
+ * @param {Object} [options.events] - Event hub from createEventHub, a new one by default
+ * @returns {Function} Express router
  */
-const setupRoutes = (app, config) => {
+const setupRoutes = (config, runtime, {
+  fallback,
+  proxy,
+  random = getRandomOptions(config.globals),
+  handlebars,
+  baseDir = '.',
+  chaos,
+  events = createEventHub()
+} = {}) => {
+  const router = express.Router();
+  const globals = config.globals || {};
+  const responseValidation = globals.responseValidation || 'strict';
+  const templateDataOptions = { flat: globals.flatTemplateData === true };
+
   // Setup routes from config
   log('Setting up routes:', config.routes.length, true);
+  precompileTemplates(globals.headers, handlebars);
   
-  for (const route of config.routes) {
+  config.routes.forEach((route, index) => {
     log(`Registering route: ${route.method.toUpperCase()} ${route.path}`, true);
+    precompileRoute(route, handlebars);
+
+    // A later route for the same method and path gets a chance when conditions fail
+    const hasAlternative = config.routes.slice(index + 1).some(other =>
+      other.method.toLowerCase() === route.method.toLowerCase() && other.path === route.path
+    );
+    const validateRequest = route.requestSchema ? compileRequestSchema(route.requestSchema) : null;
+    const chaosProfile = getChaosProfile(globals, route);
     
-    app[route.method.toLowerCase()](route.path, async (req, res) => {
+    router[route.method.toLowerCase()](route.path, async (req, res, next) => {
       try {
+        res.locals.matchedRoute = route.id || `${route.method.toUpperCase()} ${route.path}`;
         log(`Processing request to ${route.path}`, true);
         log(`Request startTime: ${req.startTime}`, true);
         
         // Check conditions
-        if (route.conditions && !checkConditions(route.conditions, req)) {
+        const scenarioStates = runtime.scenarios.getStates();
+        if (route.conditions && !checkConditions(route.conditions, req, scenarioStates)) {
           if (route.fallback) {
             log(`Condition not met, using fallback for ${route.path}`, true);
-            res.json(route.fallback);
+            sendBody(res, 200, route.fallback, route.contentType);
+            return;
+          }
+          if (hasAlternative || fallback) {
+            res.locals.matchedRoute = null;
+            next();
             return;
           }
-          res.status(400).json({ error: 'Conditions not met' });
+          sendError(res, 400, 'Conditions not met', route.contentType);
           return;
         }
 
-        // Add route-specific headers
-        if (route.headers) {
+        // Reject malformed requests before sequences or scenarios move on
+        if (validateRequest) {
+          const violations = validateRequest(req);
+          if (violations.length > 0) {
+            next(createValidationError('Request validation failed', violations, route.requestSchema.status));
+            return;
+          }
+        }
+
+        // Inject faults before sequences and scenarios move on, as if the request never got through
+        if (chaosProfile && chaos && chaos.isEnabled()) {
+          const fault = await injectChaos(req, res, chaosProfile, {
+            random: runtime.chaos ? runtime.chaos.next : Math.random,
+            control: chaos
+          });
+          if (fault) {
+            log(`Injected ${fault.type} fault into ${route.path}`, true);
+            if (fault.answered) return;
+          }
+        }
+
+        // Pick the next response of a sequence and the representation the client accepts
+        let activeRoute = resolveSequence(route, runtime.sequences);
+        if (activeRoute.representations) {
+          const representation = selectRepresentation(req, activeRoute.representations);
+          if (!representation) {
+            res.status(406).json({
+              error: 'Not Acceptable',
+              accepts: activeRoute.representations.map(({ contentType }) => contentType)
+            });
+            return;
+          }
+          activeRoute = mergeEntry(activeRoute, representation);
+        }
+        runtime.scenarios.apply(activeRoute.transition);
+
+        const templateOptions = {
+          handlebars,
+          locale: globals.locale,
+          random: createRequestRandom(random, runtime.random, req),
+          now: random.frozenTime
+        };
+
+        // Add route-specific headers, with the Location of redirects and created resources
+        const headers = activeRoute.location !== undefined
+          ? { ...activeRoute.headers, Location: activeRoute.location }
+          : activeRoute.headers;
+        if (headers) {
           const headerErrors = [];
           
-          for (const [header, value] of Object.entries(route.headers)) {
+          for (const [header, value] of Object.entries(headers)) {
             try {
               // Make sure startTime is included in the template data
-              const headerTemplateData = {
-                ...req.params,
-                ...req.query,
-                ...req.body,
-                startTime: req.startTime,
-                responseTime: Date.now() - req.startTime
-              };
+              const headerTemplateData = createTemplateData(req, templateDataOptions);
               
               log(`Processing header ${header} with data:`, JSON.stringify(headerTemplateData), true);
               
-              res.set(header, processHeaderValue(header, value, headerTemplateData));
+              res.set(header, processHeaderValue(header, value, headerTemplateData, templateOptions));
             } catch (error) {
               log(`Error processing header ${header}: ${error.message}`);
               headerErrors.push(error.message);
@@ -312,45 +834,383 @@ const setupRoutes = (app, config) => {
         }
 
         // Handle error responses
-        if (route.errorCode) {
-          res.status(route.errorCode).json({ error: route.errorMessage || 'Internal server error' });
+        if (activeRoute.errorCode) {
+          if (activeRoute.errorBody !== undefined) {
+            const errorBody = processJsonTemplate(activeRoute.errorBody, createTemplateData(req, templateDataOptions), templateOptions);
+            sendBody(res, activeRoute.errorCode, errorBody, activeRoute.contentType);
+          } else {
+            sendError(res, activeRoute.errorCode, activeRoute.errorMessage || 'Internal server error', activeRoute.contentType);
+          }
           return;
         }
 
         // Handle delayed responses
-        if (route.delay) {
-          await new Promise(resolve => setTimeout(resolve, route.delay));
+        if (activeRoute.delay) {
+          await new Promise(resolve => setTimeout(resolve, activeRoute.delay));
         }
 
         // Process response template with all necessary data
-        const templateData = {
-          ...req.params,
-          ...req.query,
-          ...req.body,
-          startTime: req.startTime,
-          responseTime: Date.now() - req.startTime
-        };
-        
+        const templateData = createTemplateData(req, templateDataOptions);
+
+        // Let the upstream answer, optionally patching its JSON
+        if (activeRoute.proxy) {
+          await proxyRoute(req, res, getRouteProxyOptions(activeRoute.proxy, proxy), templateData, templateOptions);
+          return;
+        }
+
+        // Play the event script of Server-Sent Events routes, the stream stays open for pushed events
+        if (activeRoute.sse) {
+          try {
+            await streamEvents(req, res, activeRoute, { hub: events, data: templateData, options: templateOptions });
+          } catch (error) {
+            log(`Error streaming events for ${route.path}: ${error.message}`);
+            res.end();
+          }
+          return;
+        }
+
+        // Answer 204, 205 and 304 without a body, whatever the route would otherwise send
+        if (NO_BODY_STATUSES.includes(activeRoute.status)) {
+          res.status(activeRoute.status).end();
+          return;
+        }
+
+        // Serve the body from a file, rendered like a response for JSON and text files
+        if (activeRoute.responseFile !== undefined) {
+          const file = await loadResponseFile(activeRoute.responseFile, {
+            baseDir,
+            cache: runtime.files,
+            data: templateData,
+            options: templateOptions
+          });
+          await sendResponseFile(res, route, activeRoute, file, responseValidation);
+          return;
+        }
+
+        // Send text and binary bodies as they are
+        if (activeRoute.body !== undefined || activeRoute.bodyBase64 !== undefined) {
+          await sendRawBody(res, activeRoute, templateData, templateOptions);
+          return;
+        }
+
         log(`Processing response for ${route.path} with data:`, JSON.stringify(templateData), true);
 
         try {
-          const response = processJsonTemplate(route.response, templateData);
-          res.json(response);
+          const response = processJsonTemplate(activeRoute.response, templateData, templateOptions);
+          if (activeRoute.responseSchema &&
+              !checkResponseSchema(res, route, activeRoute.responseSchema, response, responseValidation)) {
+            return;
+          }
+          await sendRouteBody(res, activeRoute.status || 200, response, activeRoute);
         } catch (error) {
           log(`Error processing response: ${error.message}`);
-          res.status(500).json({ error: 'Internal server error' });
+          if (res.headersSent || error.name === 'ValidationError') {
+            next(error);
+            return;
+          }
+          sendError(res, 500, 'Internal server error', activeRoute.contentType);
         }
       } catch (error) {
         log(`Error processing route ${route.path}: ${error.message}`);
-        res.status(500).json({ error: 'Internal server error' });
+        // Streamed bodies fail after their headers went out, Express can only close the connection then;
+        // ValidationErrors, such as a bad $repeat count, are answered with their status by the error handler
+        if (res.headersSent || error.name === 'ValidationError') {
+          next(error);
+          return;
+        }
+        sendError(res, 500, 'Internal server error', route.contentType);
       }
     });
+  });
+
+  // Explicit routes are registered first so they can override generated CRUD routes
+  registerResourceRoutes(router, runtime.resources);
+
+  // Add 404 handler, or forward unmatched requests
+  if (fallback) {
+    router.use(fallback);
+  } else {
+    router.use((req, res) => {
+      res.locals.unmatched = true;
+      res.status(404).json({ error: 'Not Found' });
+    });
   }
 
-  // Add 404 handler
-  app.use((req, res) => {
-    res.status(404).json({ error: 'Not Found' });
+  return router;
+};
+
+/**
+ * Adds a recorded route to the active configuration and writes it to the record file
+ * @param {Object} state - Server state
+ * @param {Object} route - Recorded route configuration
+ */
+const recordRoute = (state, route) => {
+  const description = `${route.method} ${route.path}`;
+
+  if (!state.config.routes.some(existing => isSameRoute(existing, route))) {
+    const config = { ...state.config, routes: [...state.config.routes, route] };
+    try {
+      validateConfig(config, state.handlebars);
+      applyConfig(state, config, state.runtime);
+    } catch (error) {
+      log(`Not recording ${description}: ${error.message}`);
+      return;
+    }
+  }
+
+  state.recorder.record(route)
+    .then(written => {
+      if (written) log(`Recorded ${description} to ${state.recorder.filePath}`);
+    })
+    .catch(error => log(`Failed to record ${description}: ${error.message}`));
+};
+
+/**
+ * Answers a request whose upstream failed
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} proxyOptions - Proxy options of the failed request
+ * @param {Error} error - Error raised while proxying
+ */
+const sendProxyError = (req, res, proxyOptions, error) => {
+  log(`Proxy to ${proxyOptions.target} failed for ${req.method} ${req.originalUrl}: ${error.message}`);
+  if (res.headersSent) {
+    res.destroy();
+  } else if (error.code === 'ETIMEDOUT') {
+    res.status(504).json({ error: 'Gateway Timeout' });
+  } else {
+    res.status(502).json({ error: 'Bad Gateway', message: error.message });
+  }
+};
+
+/**
+ * Creates the handler that forwards unmatched requests to the proxy target
+ * Responses are streamed through unless they have to be buffered for recording
+ * @param {Object} state - Server state
+ * @param {Object} proxyOptions - Proxy options from getProxyOptions
+ * @returns {Function} Express request handler
+ */
+const createProxyFallback = (state, proxyOptions) => async (req, res) => {
+  res.locals.unmatched = true;
+
+  if (!proxyOptions.record) {
+    try {
+      await streamRequest(req, res, proxyOptions);
+    } catch (error) {
+      sendProxyError(req, res, proxyOptions, error);
+    }
+    return;
+  }
+
+  let upstream;
+  try {
+    upstream = await forwardRequest(req, proxyOptions);
+  } catch (error) {
+    sendProxyError(req, res, proxyOptions, error);
+    return;
+  }
+
+  res.status(upstream.status);
+  copyResponseHeaders(res, upstream.headers, ['content-length']);
+  res.send(upstream.body);
+
+  const route = createRecordedRoute(req, upstream);
+  if (route) {
+    recordRoute(state, route);
+  } else {
+    log(`Not recording ${req.method} ${req.path}: response is not JSON`);
+  }
+};
+
+/**
+ * Answers a request matched by a route with a `proxy` from the upstream
+ * With a `patch`, the upstream JSON is buffered and the processed patch is merged into it,
+ * otherwise the response is streamed through
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} proxyOptions - Proxy options from getRouteProxyOptions
+ * @param {Object} templateData - Data for processing the patch template
+ * @param {Object} [templateOptions] - Rendering options, see processTemplate
+ */
+const proxyRoute = async (req, res, proxyOptions, templateData, templateOptions) => {
+  if (!proxyOptions.patch) {
+    try {
+      await streamRequest(req, res, proxyOptions);
+    } catch (error) {
+      sendProxyError(req, res, proxyOptions, error);
+    }
+    return;
+  }
+
+  let upstream;
+  try {
+    upstream = await forwardRequest(req, proxyOptions);
+  } catch (error) {
+    sendProxyError(req, res, proxyOptions, error);
+    return;
+  }
+
+  let body;
+  try {
+    body = JSON.parse(upstream.body.toString('utf8'));
+  } catch (error) {
+    body = undefined;
+  }
+
+  res.status(upstream.status);
+  copyResponseHeaders(res, upstream.headers, ['content-length']);
+
+  // Bodies that are not JSON cannot be patched and are passed through unchanged
+  if (body === undefined) {
+    res.send(upstream.body);
+    return;
+  }
+
+  const patch = processJsonTemplate(proxyOptions.patch, { ...templateData, response: body }, templateOptions);
+  res.json(mergePatch(body, patch));
+};
+
+/**
+ * Mounts a dispatcher that forwards every request to the current router
+ * @param {Object} app - Express application
+ * @param {Object} state - Server state
+ */
+const setupRouteDispatcher = (app, state) => {
+  app.use((req, res, next) => state.router(req, res, next));
+};
+
+/**
+ * Builds the route table for a configuration and makes it the active one
+ * The state only changes once the routes are set up, so a failure keeps the previous routes and Handlebars instance
+ * @param {Object} state - Server state
+ * @param {Object} config - Validated server configuration
+ * @param {Object} [runtime] - Runtime stores to keep, a fresh runtime is created by default
+ * @param {Object} [handlebars] - Handlebars instance of the configuration, the active one by default
+ */
+const applyConfig = (state, config, runtime, handlebars = state.handlebars) => {
+  const randomOptions = getRandomOptions(config.globals, state.options);
+  const activeRuntime = runtime || createRuntime(config, randomOptions.seed);
+  const proxyOptions = getProxyOptions(config.globals, state.options.proxy);
+  if (proxyOptions && proxyOptions.record) {
+    const recordFile = proxyOptions.recordFile || state.configPath;
+    if (!state.recorder || state.recorder.filePath !== recordFile) {
+      state.recorder = createRecorder(recordFile);
+    }
+  }
+
+  const router = setupRoutes(config, activeRuntime, {
+    fallback: proxyOptions ? createProxyFallback(state, proxyOptions) : undefined,
+    proxy: { ...((config.globals && config.globals.proxy) || {}), ...state.options.proxy },
+    random: randomOptions,
+    handlebars,
+    baseDir: path.dirname(state.configPath),
+    chaos: state.chaos,
+    events: state.events
   });
+
+  state.config = config;
+  state.handlebars = handlebars;
+  state.runtime = activeRuntime;
+  state.router = router;
+};
+
+/**
+ * Reloads the configuration file and swaps in a new route table
+ * The previous routes stay active if the new configuration is invalid
+ * @param {Object} state - Server state
+ * @param {string} configPath - Path to the configuration file
+ * @returns {Promise<Object>} The new configuration
+ * @throws {Error} If the configuration file is invalid or not found
+ */
+const reloadConfig = async (state, configPath) => {
+  const { config, handlebars } = await loadConfig(configPath, state.options);
+  applyConfig(state, config, undefined, handlebars);
+  log(`Config reloaded: ${config.routes.length} routes active`);
+  return config;
+};
+
+/**
+ * Mounts the admin API under its prefix unless it is disabled in the configuration
+ * @param {Object} app - Express application
+ * @param {Object} state - Server state
+ * @param {string} configPath - Path to the configuration file
+ */
+const setupAdminApi = (app, state, configPath) => {
+  const adminOptions = getAdminOptions(state.config.globals);
+  if (!adminOptions) {
+    log('Admin API disabled by configuration');
+    return;
+  }
+
+  app.use(adminOptions.prefix, createAdminRouter({
+    getConfig: () => state.config,
+    updateRoutes: (routes) => {
+      const config = { ...state.config, routes };
+      validateConfig(config, state.handlebars);
+      // Route changes keep resources, scenarios and sequence counters of unchanged routes
+      applyConfig(state, config, state.runtime);
+      log(`Routes updated via admin API: ${routes.length} routes active`);
+    },
+    reload: () => reloadConfig(state, configPath),
+    reset: () => resetRuntime(state.runtime),
+    journal: state.journal,
+    chaos: state.chaos,
+    events: state.events
+  }));
+
+  log(`Admin API available at ${adminOptions.prefix}`);
+};
+
+/**
+ * Records every request reaching the routes in the request journal
+ * Mounted after the admin API so admin calls are not recorded
+ * @param {Object} app - Express application
+ * @param {Object} state - Server state
+ */
+const setupRequestJournal = (app, state) => {
+  if (!state.journal) {
+    log('Request journal disabled by configuration');
+    return;
+  }
+  app.use(createJournalMiddleware(state.journal));
+};
+
+/**
+ * Watches the configuration file and reloads it on change
+ * Disabled when the AUTO_RELOAD environment variable is set to "false"
+ * @param {Object} state - Server state
+ * @param {string} configPath - Path to the configuration file
+ */
+const setupConfigWatcher = (state, configPath) => {
+  if (process.env.AUTO_RELOAD === 'false') {
+    log('Config hot reloading disabled');
+    return;
+  }
+
+  const handleChange = async () => {
+    log(`Config file changed: ${configPath}`, true);
+
+    // Recorded routes are active already, reloading for the recorder's own writes would reset runtime state
+    if (state.recorder && path.resolve(state.recorder.filePath) === path.resolve(configPath)) {
+      const content = await fs.readFile(configPath, 'utf8').catch(() => null);
+      if (state.recorder.wrote(content)) {
+        log(`Skipping reload for routes recorded to ${configPath}`, true);
+        return;
+      }
+    }
+
+    await reloadConfig(state, configPath).catch(error => {
+      log(`Config reload failed, keeping previous routes: ${error.message}`);
+    });
+  };
+
+  state.watcher = chokidar.watch(configPath, { ignoreInitial: true });
+  state.watcher
+    .on('add', handleChange)
+    .on('change', handleChange)
+    .on('error', error => log(`Config watcher error: ${error.message}`));
+
+  log(`Watching ${configPath} for changes`);
 };
 
 /**
@@ -376,7 +1236,16 @@ const gracefulShutdown = (state) => {
     process.exit(1);
   }, 5000);
 
-  // Close the server
+  // Close the server, ending event streams and WebSockets and dropping requests left hanging by chaos
+  if (state.events) {
+    state.events.closeAll();
+  }
+  if (state.websockets) {
+    state.websockets.close();
+  }
+  if (state.chaos) {
+    state.chaos.release();
+  }
   if (state.server) {
     state.server.close(() => {
       log('Server closed');
@@ -409,14 +1278,46 @@ const gracefulShutdown = (state) => {
 const startServer = async (app, state, configPath, port = 3000) => {
   try {
     // Load and validate config
-    const config = await loadConfig(configPath);
-    state.config = config;
+    const { config, handlebars } = await loadConfig(configPath, state.options);
+    const proxyOverrides = state.options.proxy;
+    if (proxyOverrides && proxyOverrides.record && !getProxyOptions(config.globals, proxyOverrides)) {
+      throw new Error('Recording needs a proxy target, set proxy.target or globals.proxy.target');
+    }
+    state.handlebars = handlebars;
 
     // Setup middleware
     setupMiddleware(app, state, config);
 
     // Setup routes
-    setupRoutes(app, config);
+    const journalOptions = getJournalOptions(config.globals);
+    state.journal = journalOptions ? createJournal(journalOptions.limit) : null;
+    const chaosOptions = (config.globals && config.globals.chaos) || {};
+    state.chaos = createChaosControl(state.options.chaos !== undefined ? state.options.chaos : chaosOptions.enabled !== false);
+    state.events = createEventHub();
+    state.websockets = createWebSocketServer({
+      getConfig: () => state.config,
+      getTemplateOptions: (req) => {
+        const globals = state.config.globals || {};
+        const random = getRandomOptions(globals, state.options);
+        return {
+          handlebars: state.handlebars,
+          locale: globals.locale,
+          random: createRequestRandom(random, state.runtime.random, req),
+          now: random.frozenTime
+        };
+      },
+      log
+    });
+    applyConfig(state, config);
+    setupAdminApi(app, state, configPath);
+    setupRequestJournal(app, state);
+    setupRouteDispatcher(app, state);
+
+    // Registered last so errors passed on by the routes reach it
+    setupErrorHandlingMiddleware(app);
+
+    // Reload routes when the config file changes
+    setupConfigWatcher(state, configPath);
 
     // Start server
     return new Promise((resolve, reject) => {
@@ -432,6 +1333,9 @@ const startServer = async (app, state, configPath, port = 3000) => {
           log(`Server error: ${err.message}`);
           reject(err);
         });
+
+        // WebSocket endpoints share the port of the HTTP server
+        state.websockets.attach(serverInstance);
       } catch (err) {
         log(`Failed to start server: ${err.message}`);
         reject(err);
@@ -456,6 +1360,17 @@ const stopServer = async (state) => {
       state.watcher = null;
     }
 
+    // End event streams, WebSockets and hanging requests, the server waits for their connections otherwise
+    if (state.events) {
+      state.events.closeAll();
+    }
+    if (state.websockets) {
+      await state.websockets.close();
+    }
+    if (state.chaos) {
+      state.chaos.release();
+    }
+
     // Stop the server if it exists
     if (state.server) {
       await new Promise((resolve, reject) => {
@@ -484,6 +1399,12 @@ const stopServer = async (state) => {
     // Reset all state
     state.isShuttingDown = false;
     state.config = null;
+    state.router = null;
+    state.runtime = null;
+    state.handlebars = null;
+    state.chaos = null;
+    state.events = null;
+    state.websockets = null;
     state.app = null;
   } catch (error) {
     log(`Error stopping server: ${error.message}`);
@@ -494,11 +1415,30 @@ const stopServer = async (state) => {
 /**
  * Creates a new mock server instance
  * @param {string} configPath - Path to the configuration file
+ * @param {Object} [options={}] - Options overriding the configuration file
+ * @param {Object} [options.proxy] - Proxy options, merged over `globals.proxy`
+ * @param {number|string} [options.seed] - Seed for the random helpers, overriding MOCK_SEED and `globals.seed`
+ * @param {Object} [options.helpers] - Custom template helper functions by name, added to those of `globals.helpers`
+ * @param {Object} [options.partials] - Partial templates by name, added to those of `globals.partials`
+ * @param {boolean} [options.chaos] - Whether chaos starts enabled, overriding `globals.chaos.enabled`
  * @returns {Object} Server instance with start and stop methods
+ * @throws {Error} If the options are invalid
  */
-const createMockServer = (configPath) => {
+const createMockServer = (configPath, options = {}) => {
+  if (options.proxy) {
+    validateProxyOptions(options.proxy);
+  }
+  if (options.helpers || options.partials) {
+    createHandlebars({ helpers: options.helpers, partials: options.partials });
+  }
+  if (options.chaos !== undefined && typeof options.chaos !== 'boolean') {
+    throw new Error('chaos must be a boolean');
+  }
+
   const app = express();
   const state = createState();
+  state.configPath = configPath;
+  state.options = options;
   
   // Add body parsing middleware
   app.use(express.json());
@@ -519,10 +1459,44 @@ const createMockServer = (configPath) => {
       // Remove signal handlers when server is stopped
       process.removeListener('SIGTERM', handleSigterm);
       process.removeListener('SIGINT', handleSigint);
-    }
+    },
+    resetSequences: () => {
+      if (state.runtime) state.runtime.sequences.reset();
+    },
+    resetScenarios: () => {
+      if (state.runtime) state.runtime.scenarios.reset();
+    },
+    getScenarioStates: () => (state.runtime ? state.runtime.scenarios.getStates() : {}),
+    getRequests: (filter) => (state.journal ? state.journal.query(filter) : []),
+    verify: (filter, count) => {
+      if (!state.journal) {
+        throw new Error('Request journal is disabled');
+      }
+      return state.journal.verify(filter, count);
+    },
+    clearRequests: () => {
+      if (state.journal) state.journal.clear();
+    },
+    setChaos: (enabled) => {
+      if (state.chaos) state.chaos.setEnabled(enabled);
+    },
+    isChaosEnabled: () => (state.chaos ? state.chaos.isEnabled() : false),
+    pushEvent: (event, route) => (state.events ? state.events.push(event, route) : 0)
   };
 };
 
+/**
+ * Renders every mock response without starting a server and checks it against its `responseSchema`
+ * @param {string} configPath - Path to the configuration file
+ * @param {Object} [options={}] - Custom `helpers` and `partials`, like the createMockServer options
+ * @returns {Promise<Object>} Number of `checked` responses and the `problems` found, see checkRoutes
+ * @throws {Error} If the configuration cannot be loaded
+ */
+const validateMocks = async (configPath, options = {}) => {
+  const { config, handlebars } = await loadConfig(configPath, options);
+  return checkRoutes(config, handlebars);
+};
+
 /**
  * Gets an available port for the server to listen on
  * @returns {Promise<number>} Available port number
@@ -539,5 +1513,6 @@ const getAvailablePort = () => {
 
 module.exports = {
   createMockServer,
+  validateMocks,
   getAvailablePort
 }; 
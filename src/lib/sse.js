@@ -0,0 +1,215 @@
+/**
+ * @module sse
+ * @description Server-Sent Events endpoints playing a scripted list of events, with resuming and pushed events
+ */
+const { processTemplate, processJsonTemplate } = require('./server-utils');
+
+/**
+ * Formats an event in the text/event-stream format
+ * Strings are sent as they are, one `data` line per line, and anything else as JSON
+ * @param {Object} event - Event to send
+ * @param {*} event.data - Event data
+ * @param {string} [event.event] - Event name, "message" on the client when there is none
+ * @param {string|number} [event.id] - Event id the client sends back as Last-Event-ID when it reconnects
+ * @returns {string} Event block ending in a blank line
+ */
+const formatEvent = ({ event, id, data }) => {
+  const lines = [];
+  if (id !== undefined) {
+    lines.push(`id: ${String(id).replace(/[\r\n]/g, '')}`);
+  }
+  if (event !== undefined) {
+    lines.push(`event: ${String(event).replace(/[\r\n]/g, '')}`);
+  }
+  const text = typeof data === 'string' ? data : JSON.stringify(data);
+  for (const line of String(text).split(/\r\n|\r|\n/)) {
+    lines.push(`data: ${line}`);
+  }
+  return `${lines.join('\n')}\n\n`;
+};
+
+/**
+ * Reads the number of the last event a client received from its Last-Event-ID
+ * Ids end with the event number, such as "17" or "order-17", so custom ids can be resumed too
+ * @param {string} [lastEventId] - Last-Event-ID header or `lastEventId` query parameter
+ * @returns {number} Number of the last event received, 0 to start from the beginning
+ */
+const getResumeNumber = (lastEventId) => {
+  const match = /(\d+)$/.exec(String(lastEventId || ''));
+  return match ? Number(match[1]) : 0;
+};
+
+/**
+ * Creates the registry of connected event stream clients
+ * The hub outlives configuration reloads, so admin pushes reach clients of replaced routes too
+ * @returns {Object} Hub with `connect`, `push`, `list` and `closeAll`
+ */
+const createEventHub = () => {
+  const clients = new Set();
+
+  /**
+   * Checks if a client is connected to a route
+   * @param {Object} client - Connected client
+   * @param {string} [route] - Route id, configured path or request path, any route when missing
+   * @returns {boolean} True if the client matches
+   */
+  const matches = (client, route) => route === undefined || [client.id, client.route, client.path].includes(route);
+
+  return {
+    /**
+     * Registers the event stream of a request
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response, with the event stream headers sent
+     * @param {Object} route - Route configuration
+     * @returns {Object} Client with `send`, `wait`, `end` and whether it is `closed`
+     */
+    connect: (req, res, route) => {
+      let timer = null;
+      let resume = null;
+      const client = {
+        id: route.id,
+        route: route.path,
+        path: req.path,
+        connectedAt: new Date().toISOString(),
+        closed: false,
+
+        /**
+         * Writes an event, unless the stream is closed
+         * @param {Object} event - Event, see formatEvent
+         */
+        send: (event) => {
+          if (!client.closed) {
+            res.write(formatEvent(event));
+          }
+        },
+
+        /**
+         * Waits between events, cut short when the stream closes
+         * @param {number} ms - Milliseconds
+         * @returns {Promise<void>} Resolves after the wait or when the stream closes
+         */
+        wait: (ms) => new Promise(resolve => {
+          resume = resolve;
+          timer = setTimeout(resolve, ms);
+        }),
+
+        /**
+         * Ends the stream
+         */
+        end: () => {
+          if (!client.closed) {
+            res.end();
+          }
+          client.close();
+        },
+
+        /**
+         * Forgets the client and stops its script
+         */
+        close: () => {
+          client.closed = true;
+          clients.delete(client);
+          clearTimeout(timer);
+          if (resume) resume();
+        }
+      };
+
+      clients.add(client);
+      res.on('close', client.close);
+      return client;
+    },
+
+    /**
+     * Sends an event to connected clients
+     * @param {Object} event - Event, see formatEvent
+     * @param {string} [route] - Route id, configured path or request path of the clients, all clients by default
+     * @returns {number} Number of clients the event was sent to
+     */
+    push: (event, route) => {
+      const targets = [...clients].filter(client => matches(client, route));
+      targets.forEach(client => client.send(event));
+      return targets.length;
+    },
+
+    /**
+     * Lists the connected clients
+     * @returns {Array<Object>} The route `id`, configured `route` path, request `path` and `connectedAt` time
+     *   of each client
+     */
+    list: () => [...clients].map(({ id, route, path, connectedAt }) => ({ id, route, path, connectedAt })),
+
+    /**
+     * Ends every stream, so the server can stop
+     */
+    closeAll: () => {
+      for (const client of clients) {
+        client.end();
+      }
+    }
+  };
+};
+
+/**
+ * Answers a request with the event stream of a route with an `sse` script
+ * Events are numbered from 1 across repeats and sent with their number as id unless they set an `id` template;
+ * a client reconnecting with a Last-Event-ID continues after the event it names. Templates see the request
+ * and `sse.number`, `sse.index`, `sse.iteration` and `sse.lastEventId`
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} route - Route configuration with an `sse` script
+ * @param {Object} context - Streaming context
+ * @param {Object} context.hub - Event hub from createEventHub
+ * @param {Object} context.data - Template data
+ * @param {Object} [context.options] - Rendering options, see processTemplate
+ * @returns {Promise<void>} Resolves when the script is over or the stream closes
+ */
+const streamEvents = async (req, res, route, { hub, data, options }) => {
+  const { events = [], repeat = 1, interval = 0, retry, close = false } = route.sse;
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  const client = hub.connect(req, res, route);
+  if (retry !== undefined) {
+    res.write(`retry: ${retry}\n\n`);
+  }
+
+  const total = repeat === true ? Infinity : repeat * events.length;
+  for (let number = getResumeNumber(lastEventId) + 1; number <= total; number++) {
+    const index = (number - 1) % events.length;
+    const event = events[index];
+    const delay = event.delay !== undefined ? event.delay : interval;
+    if (delay > 0) {
+      await client.wait(delay);
+    }
+    if (client.closed) {
+      return;
+    }
+
+    const eventData = {
+      ...data,
+      sse: { number, index, iteration: Math.floor((number - 1) / events.length), lastEventId }
+    };
+    client.send({
+      event: event.event,
+      id: event.id !== undefined ? processTemplate(String(event.id), eventData, options) : number,
+      data: processJsonTemplate(event.data, eventData, options)
+    });
+  }
+
+  if (close) {
+    client.end();
+  }
+};
+
+module.exports = {
+  formatEvent,
+  getResumeNumber,
+  createEventHub,
+  streamEvents
+};
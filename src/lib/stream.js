@@ -0,0 +1,157 @@
+/**
+ * @module stream
+ * @description Bodies streamed in chunks, throttled to a bandwidth or sent as NDJSON one element at a time
+ */
+
+// Pieces per second a throttled body without chunk options is split into
+const THROTTLE_STEPS = 10;
+
+/**
+ * Checks if a value is a positive integer
+ * @param {*} value - Value to check
+ * @returns {boolean} True for integers of 1 or more
+ */
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Validates the streaming options of a route or sequence entry
+ * @param {Object} options - Route or sequence entry configuration
+ * @param {number} [options.throttle] - Bandwidth in bytes per second
+ * @param {Object} [options.chunks] - Chunk `size` or `count` and the `delay` between chunks
+ * @param {boolean} [options.ndjson] - Whether to stream arrays as newline-delimited JSON
+ * @throws {Error} If an option is invalid
+ */
+const validateStreamOptions = (options) => {
+  if (options.throttle !== undefined &&
+      !(typeof options.throttle === 'number' && Number.isFinite(options.throttle) && options.throttle > 0)) {
+    throw new Error('throttle must be a positive number of bytes per second');
+  }
+
+  if (options.chunks !== undefined) {
+    const { chunks } = options;
+    if (!chunks || typeof chunks !== 'object' || Array.isArray(chunks)) {
+      throw new Error('chunks must be an object');
+    }
+    const invalidFields = Object.keys(chunks).filter(field => !['size', 'count', 'delay'].includes(field));
+    if (invalidFields.length > 0) {
+      throw new Error(`Invalid chunks fields: ${invalidFields.join(', ')}`);
+    }
+    for (const field of ['size', 'count']) {
+      if (chunks[field] !== undefined && !isPositiveInteger(chunks[field])) {
+        throw new Error(`chunks ${field} must be a positive integer`);
+      }
+    }
+    if (chunks.size !== undefined && chunks.count !== undefined) {
+      throw new Error('chunks can set a size or a count, not both');
+    }
+    if (chunks.delay !== undefined && !(typeof chunks.delay === 'number' && chunks.delay >= 0)) {
+      throw new Error('chunks delay must be a non-negative number of milliseconds');
+    }
+  }
+
+  if (options.ndjson !== undefined && typeof options.ndjson !== 'boolean') {
+    throw new Error('ndjson must be a boolean');
+  }
+};
+
+/**
+ * Checks if a route streams its body
+ * @param {Object} options - Route configuration merged with the current sequence entry
+ * @returns {boolean} True if the route sets `throttle`, `chunks` or `ndjson`
+ */
+const isStreamed = (options) => options.throttle !== undefined || options.chunks !== undefined || options.ndjson === true;
+
+/**
+ * Converts a rendered value to NDJSON lines, one per array element
+ * @param {*} value - Rendered value, anything but an array is a single line
+ * @returns {Array<string>} Lines ending in a newline
+ */
+const toNdjson = (value) => (Array.isArray(value) ? value : [value]).map(item => `${JSON.stringify(item)}\n`);
+
+/**
+ * Splits a body into the pieces it is streamed in
+ * Bodies are split by `chunks.size` or `chunks.count`; throttled bodies without either are split into tenths
+ * of the bandwidth, so they arrive steadily
+ * @param {Buffer|string|Array<string>} body - Serialized body, or NDJSON lines which are sent one piece each
+ * @param {Object} options - Streaming options, see validateStreamOptions
+ * @returns {Array<Buffer>} Pieces of the body
+ */
+const splitBody = (body, { chunks = {}, throttle } = {}) => {
+  if (Array.isArray(body)) {
+    return body.map(line => Buffer.from(line));
+  }
+
+  const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body);
+  let size = buffer.length;
+  if (chunks.size) {
+    size = chunks.size;
+  } else if (chunks.count) {
+    size = Math.ceil(buffer.length / chunks.count);
+  } else if (throttle) {
+    size = Math.ceil(throttle / THROTTLE_STEPS);
+  }
+
+  const pieces = [];
+  for (let start = 0; start < buffer.length; start += Math.max(size, 1)) {
+    pieces.push(buffer.subarray(start, start + Math.max(size, 1)));
+  }
+  return pieces;
+};
+
+/**
+ * Waits for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>} Resolves after the wait
+ */
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Waits until a response drains its write buffer or closes
+ * Both listeners are removed as soon as either event fires, so long streams do not pile them up
+ * @param {Object} res - Express response
+ * @returns {Promise<void>} Resolves on "drain" or "close"
+ */
+const waitForDrain = (res) => new Promise(resolve => {
+  const done = () => {
+    res.removeListener('drain', done);
+    res.removeListener('close', done);
+    resolve();
+  };
+  res.once('drain', done);
+  res.once('close', done);
+});
+
+/**
+ * Writes pieces of a body with chunked transfer encoding, waiting between them
+ * Each piece waits the `chunks.delay` after the previous one plus the time the `throttle` bandwidth takes
+ * to transfer it; streaming stops when the client goes away
+ * @param {Object} res - Express response, with its status and content type set
+ * @param {Array<Buffer>} pieces - Pieces from splitBody
+ * @param {Object} options - Streaming options, see validateStreamOptions
+ * @returns {Promise<void>} Resolves when the body is sent or the client is gone
+ */
+const streamBody = async (res, pieces, { chunks = {}, throttle } = {}) => {
+  for (const [index, piece] of pieces.entries()) {
+    const ms = (index > 0 ? chunks.delay || 0 : 0) + (throttle ? piece.length / throttle * 1000 : 0);
+    if (ms > 0) {
+      await wait(ms);
+    }
+    if (res.destroyed) {
+      return;
+    }
+    if (!res.write(piece)) {
+      await waitForDrain(res);
+    }
+  }
+  if (!res.destroyed) {
+    res.end();
+  }
+};
+
+module.exports = {
+  validateStreamOptions,
+  isStreamed,
+  toNdjson,
+  splitBody,
+  streamBody
+};
@@ -0,0 +1,292 @@
+/**
+ * @module websockets
+ * @description WebSocket mock endpoints with on-connect messages, matched replies, periodic messages and forced disconnects
+ */
+const { WebSocketServer, WebSocket } = require('ws');
+const { processJsonTemplate, createTemplateData, matchValues } = require('./server-utils');
+
+// Close code and reason sent to every socket when the server stops
+const SHUTDOWN_CODE = 1001;
+const SHUTDOWN_REASON = 'Server shutting down';
+
+// Milliseconds a socket gets to answer the closing handshake before it is dropped
+const CLOSE_TIMEOUT = 1000;
+
+/**
+ * Matches a request path against an endpoint path with Express-style parameters, such as "/chat/:room"
+ * @param {string} pattern - Endpoint path
+ * @param {string} pathname - Request path
+ * @returns {Object|null} Path parameters, null if the path does not match
+ */
+const matchPath = (pattern, pathname) => {
+  const expected = pattern.split('/');
+  const actual = pathname.split('/');
+  if (expected.length !== actual.length) {
+    return null;
+  }
+
+  const params = {};
+  for (const [index, segment] of expected.entries()) {
+    if (segment.startsWith(':')) {
+      if (!actual[index]) return null;
+      params[segment.slice(1)] = decodeURIComponent(actual[index]);
+    } else if (segment !== actual[index]) {
+      return null;
+    }
+  }
+  return params;
+};
+
+/**
+ * Reads an incoming message as JSON, falling back to its text
+ * @param {Buffer|string} data - Message data
+ * @returns {*} Parsed JSON, or the text of messages that are not JSON
+ */
+const parseMessage = (data) => {
+  const text = data.toString('utf8');
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+};
+
+/**
+ * Checks if an incoming message matches the `match` of a message rule
+ * Objects are matched field by field like request conditions, anything else must be equal
+ * @param {*} match - Expected message, any message matches when it is undefined
+ * @param {*} message - Parsed incoming message
+ * @returns {boolean} True if the message matches
+ */
+const matchMessage = (match, message) => {
+  if (match === undefined) {
+    return true;
+  }
+  if (match && typeof match === 'object' && !Array.isArray(match)) {
+    return Boolean(message) && typeof message === 'object' && matchValues(match, message);
+  }
+  return match === message;
+};
+
+/**
+ * Serializes a rendered message, strings are sent as text frames and anything else as JSON
+ * @param {*} message - Rendered message
+ * @returns {string} Frame payload
+ */
+const serializeMessage = (message) => (typeof message === 'string' ? message : JSON.stringify(message));
+
+/**
+ * Creates the WebSocket side of the mock server
+ * Endpoints are looked up in the current configuration on every connection, so reloads apply to new sockets
+ * @param {Object} context - Server access
+ * @param {Function} context.getConfig - Returns the current configuration with its `websockets` endpoints
+ * @param {Function} context.getTemplateOptions - Returns the rendering options for a connection request,
+ *   see processTemplate
+ * @param {Function} [context.log] - Logs a message
+ * @returns {Object} WebSocket server with `attach`, `list` and `close`
+ */
+const createWebSocketServer = ({ getConfig, getTemplateOptions, log = () => {} }) => {
+  const wss = new WebSocketServer({ noServer: true });
+  const connections = new Set();
+
+  /**
+   * Sends a message template to a socket, rendered with the data of its connection
+   * @param {Object} connection - Connection the message is rendered for
+   * @param {Object} socket - Socket to send to
+   * @param {*} template - Message template
+   * @param {Object} [extra] - Data added to the template data, such as the incoming `message`
+   */
+  const send = (connection, socket, template, extra = {}) => {
+    if (socket.readyState !== WebSocket.OPEN) {
+      return;
+    }
+    const data = { ...connection.data, ...extra };
+    socket.send(serializeMessage(processJsonTemplate(template, data, connection.options)));
+  };
+
+  /**
+   * Runs an action after a delay that is cancelled when the socket closes
+   * @param {Object} connection - Connection the timer belongs to
+   * @param {number} [delay=0] - Milliseconds
+   * @param {Function} action - Action to run
+   */
+  const later = (connection, delay, action) => {
+    const run = () => {
+      try {
+        action();
+      } catch (error) {
+        log(`WebSocket ${connection.path}: ${error.message}`);
+      }
+    };
+    if (!delay) {
+      run();
+      return;
+    }
+    const timer = setTimeout(() => {
+      connection.timers.delete(timer);
+      run();
+    }, delay);
+    connection.timers.add(timer);
+  };
+
+  /**
+   * Closes a socket with a close code and reason
+   * @param {Object} socket - Socket to close
+   * @param {Object} [close={}] - Close `code`, 1000 by default, and `reason`
+   */
+  const closeSocket = (socket, { code = 1000, reason = '' } = {}) => {
+    socket.close(code, reason);
+  };
+
+  /**
+   * Answers an incoming message with the first message rule it matches
+   * @param {Object} connection - Connection the message arrived on
+   * @param {Buffer} data - Message data
+   */
+  const handleMessage = (connection, data) => {
+    const message = parseMessage(data);
+    const rule = (connection.endpoint.messages || []).find(candidate => matchMessage(candidate.match, message));
+    if (!rule) {
+      log(`WebSocket ${connection.path}: no message rule matched`, true);
+      return;
+    }
+
+    later(connection, rule.delay, () => {
+      if (rule.reply !== undefined) {
+        const recipients = rule.broadcast
+          ? [...connections].filter(other => other.endpoint === connection.endpoint && other.path === connection.path)
+          : [connection];
+        for (const recipient of recipients) {
+          send(connection, recipient.socket, rule.reply, { message });
+        }
+      }
+      if (rule.close) {
+        closeSocket(connection.socket, rule.close);
+      }
+    });
+  };
+
+  /**
+   * Plays the on-connect messages of an endpoint and starts its periodic messages and forced disconnect
+   * @param {Object} socket - Connected socket
+   * @param {Object} req - Upgrade request
+   * @param {Object} endpoint - Endpoint configuration
+   * @param {Object} params - Path parameters
+   */
+  const handleConnection = (socket, req, endpoint, params) => {
+    const url = new URL(req.url, 'http://localhost');
+    const request = {
+      method: req.method,
+      path: url.pathname,
+      params,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      startTime: Date.now()
+    };
+    const globals = getConfig().globals || {};
+    const connection = {
+      socket,
+      endpoint,
+      path: url.pathname,
+      connectedAt: new Date().toISOString(),
+      data: createTemplateData(request, { flat: globals.flatTemplateData === true }),
+      options: getTemplateOptions(request),
+      timers: new Set()
+    };
+    connections.add(connection);
+    log(`WebSocket connected to ${connection.path}`, true);
+
+    socket.on('message', data => handleMessage(connection, data));
+    // Invalid frames from the client surface as socket errors, which only cost that socket its connection
+    socket.on('error', error => {
+      log(`WebSocket ${connection.path}: ${error.message}`);
+      socket.terminate();
+    });
+    socket.on('close', () => {
+      connections.delete(connection);
+      // clearTimeout clears the intervals of periodic messages too
+      connection.timers.forEach(clearTimeout);
+      log(`WebSocket disconnected from ${connection.path}`, true);
+    });
+
+    for (const entry of endpoint.onConnect || []) {
+      later(connection, entry.delay, () => send(connection, socket, entry.message));
+    }
+
+    for (const broadcast of endpoint.broadcasts || []) {
+      let count = 0;
+      connection.timers.add(setInterval(() => {
+        count += 1;
+        later(connection, 0, () => send(connection, socket, broadcast.message, { broadcast: { count } }));
+      }, broadcast.interval));
+    }
+
+    if (endpoint.close) {
+      later(connection, endpoint.close.after, () => closeSocket(socket, endpoint.close));
+    }
+  };
+
+  return {
+    /**
+     * Answers WebSocket upgrade requests of an HTTP server, rejecting malformed paths with 400
+     * and paths without an endpoint with 404
+     * @param {Object} server - HTTP server
+     */
+    attach: (server) => {
+      server.on('upgrade', (req, socket, head) => {
+        let endpoint;
+        let params = null;
+        try {
+          const { pathname } = new URL(req.url, 'http://localhost');
+          endpoint = (getConfig().websockets || []).find(candidate => {
+            params = matchPath(candidate.path, pathname);
+            return params !== null;
+          });
+        } catch (error) {
+          log(`WebSocket upgrade rejected for ${req.url}: ${error.message}`, true);
+          socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+          socket.destroy();
+          return;
+        }
+
+        if (!endpoint) {
+          socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+          return;
+        }
+        // Until the handshake is done, connection resets would otherwise be unhandled errors
+        socket.on('error', error => log(`WebSocket upgrade for ${req.url} failed: ${error.message}`, true));
+        wss.handleUpgrade(req, socket, head, ws => handleConnection(ws, req, endpoint, params));
+      });
+    },
+
+    /**
+     * Lists the connected sockets
+     * @returns {Array<Object>} The endpoint `id`, request `path` and `connectedAt` time of each socket
+     */
+    list: () => [...connections].map(({ endpoint, path, connectedAt }) => ({ id: endpoint.id, path, connectedAt })),
+
+    /**
+     * Closes every socket with 1001 "Server shutting down", dropping those that do not answer in time
+     * @returns {Promise<void>} Resolves when all sockets are closed
+     */
+    close: () => Promise.all([...connections].map(({ socket }) => new Promise(resolve => {
+      if (socket.readyState === WebSocket.CLOSED) {
+        resolve();
+        return;
+      }
+      const timer = setTimeout(() => socket.terminate(), CLOSE_TIMEOUT);
+      socket.once('close', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      socket.close(SHUTDOWN_CODE, SHUTDOWN_REASON);
+    }))).then(() => new Promise(resolve => wss.close(() => resolve())))
+  };
+};
+
+module.exports = {
+  matchPath,
+  parseMessage,
+  matchMessage,
+  createWebSocketServer
+};